@@ -11,6 +11,9 @@ class AdminDashboard {
         this.notificationManager = new NotificationManager(this.authManager, this.dataManager);
         this.autoSaveManager = new AutoSaveManager();
         this.validationManager = new ValidationManager();
+        this.auditLogManager = new AuditLogManager(this.dataManager, this.uiManager);
+        this.templateManager = new TemplateManager(this.dataManager, this.uiManager);
+        this.calendarManager = new CalendarManager(this.dataManager, this.uiManager);
         this.dashboardWidgets = null; // Initialize after dashboard is shown
         
         // Make managers available globally for debugging and component communication
@@ -20,6 +23,9 @@ class AdminDashboard {
         window.dashboardNotifications = this.notificationManager;
         window.dashboardAutoSave = this.autoSaveManager;
         window.dashboardValidation = this.validationManager;
+        window.dashboardAudit = this.auditLogManager;
+        window.dashboardTemplates = this.templateManager;
+        window.dashboardCalendar = this.calendarManager;
         
         // Will be set when dashboard is shown
         window.dashboardWidgets = null;
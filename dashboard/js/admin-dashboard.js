@@ -525,7 +525,9 @@ class AdminDashboard {
         const types = {
             'estimate': 'Estimate',
             'schedule': 'Schedule',
-            'inquiry': 'Inquiry'
+            'inquiry': 'Inquiry',
+            'consultation': 'Consultation',
+            'chat': 'AI Chat'
         };
         return types[type] || type;
     }
@@ -535,7 +537,8 @@ class AdminDashboard {
             'new': 'New',
             'in_progress': 'In Progress',
             'completed': 'Completed',
-            'closed': 'Closed'
+            'closed': 'Closed',
+            'spam': 'Spam'
         };
         return statuses[status] || status;
     }
@@ -0,0 +1,166 @@
+const AUDIT_ACTION_LABELS = {
+    'submission.status_update': 'Status updated',
+    'submission.bulk_status_update': 'Bulk status update',
+    'submission.respond': 'Response sent',
+    'submission.bulk_respond': 'Bulk response sent',
+    'submission.sms_send': 'Text sent to customer',
+    'submission.export': 'Submissions exported',
+    'submission.assign': 'Submission assigned',
+    'submission.bulk_assign': 'Bulk assignment',
+    'submission.note_add': 'Internal note added',
+    'submission.note_edit': 'Internal note edited',
+    'submission.note_delete': 'Internal note deleted',
+    'template.create': 'Response template created',
+    'template.update': 'Response template updated',
+    'template.delete': 'Response template deleted',
+    'calendar.update': 'Business hours updated',
+    'calendar.closure_add': 'Holiday or blackout date added',
+    'calendar.closure_delete': 'Holiday or blackout date removed',
+    'audit.export': 'Audit log exported'
+};
+
+/**
+ * Audit Log Manager - Browse, filter and export the admin audit trail
+ */
+class AuditLogManager {
+    constructor(dataManager, uiManager) {
+        this.dataManager = dataManager;
+        this.uiManager = uiManager;
+        this.currentPage = 1;
+        this.filters = {};
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind audit modal events
+     */
+    bindEvents() {
+        this.uiManager.bindElement('auditLogButton', 'click', () => this.open());
+        this.uiManager.bindElement('closeAuditModal', 'click', () => this.uiManager.hide('auditModal'));
+        this.uiManager.bindElement('auditFiltersForm', 'submit', (e) => {
+            e.preventDefault();
+            this.filters = this.readFilters();
+            this.load(1);
+        });
+        this.uiManager.bindElement('auditExportBtn', 'click', () => {
+            this.dataManager.exportAuditEvents(this.readFilters());
+        });
+        this.uiManager.bindElement('auditPrevPage', 'click', () => this.load(this.currentPage - 1));
+        this.uiManager.bindElement('auditNextPage', 'click', () => this.load(this.currentPage + 1));
+    }
+
+    /**
+     * Open the audit modal on the first page
+     */
+    open() {
+        const actionSelect = document.getElementById('auditActionFilter');
+        if (actionSelect && actionSelect.options.length === 1) {
+            Object.entries(AUDIT_ACTION_LABELS).forEach(([value, label]) => {
+                actionSelect.add(new Option(label, value));
+            });
+        }
+
+        this.uiManager.show('auditModal');
+        this.filters = this.readFilters();
+        this.load(1);
+    }
+
+    /**
+     * Read the filter inputs; the end date includes the whole day
+     */
+    readFilters() {
+        const dateTo = this.uiManager.getValue('auditDateTo');
+
+        return {
+            action: this.uiManager.getValue('auditActionFilter') || null,
+            adminEmail: this.uiManager.getValue('auditAdminFilter') || null,
+            targetId: this.uiManager.getValue('auditTargetFilter') || null,
+            dateFrom: this.uiManager.getValue('auditDateFrom') || null,
+            dateTo: dateTo ? `${dateTo}T23:59:59` : null
+        };
+    }
+
+    /**
+     * Load and render a page of audit events
+     */
+    async load(page) {
+        if (page < 1) return;
+
+        const list = document.getElementById('auditEventsList');
+        list.innerHTML = '<p class="text-sm text-gray-500 py-4 text-center">Loading audit log...</p>';
+
+        try {
+            const { events, pagination } = await this.dataManager.getAuditEvents(this.filters, page);
+            this.currentPage = pagination.page;
+
+            list.innerHTML = events.length > 0
+                ? events.map(event => this.renderEvent(event)).join('')
+                : '<p class="text-sm text-gray-500 py-4 text-center">No audit events match these filters</p>';
+
+            this.uiManager.setText('auditPageInfo',
+                `Page ${pagination.page} of ${Math.max(pagination.pages, 1)} (${pagination.total} events)`);
+            document.getElementById('auditPrevPage').disabled = pagination.page <= 1;
+            document.getElementById('auditNextPage').disabled = pagination.page >= pagination.pages;
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            list.innerHTML = '<p class="text-sm text-red-600 py-4 text-center">The audit log could not be loaded</p>';
+        }
+    }
+
+    /**
+     * Render one audit event
+     */
+    renderEvent(event) {
+        const ui = this.uiManager;
+        const label = AUDIT_ACTION_LABELS[event.action] || event.action;
+        const targets = event.target_ids || [];
+
+        return `
+            <div class="border-b border-gray-200 py-3 text-sm">
+                <div class="flex justify-between">
+                    <p class="font-medium text-gray-900">${ui.escapeHtml(label)}</p>
+                    <p class="text-xs text-gray-500">${ui.formatDate(event.created_at)}</p>
+                </div>
+                <p class="text-gray-600">
+                    ${ui.escapeHtml(event.admin_email || 'Unknown admin')}
+                    ${targets.length > 0 ? `• ${targets.length} ${ui.escapeHtml(event.target_type)}${targets.length === 1 ? '' : 's'}` : ''}
+                </p>
+                ${this.renderChanges(event)}
+                <p class="text-xs text-gray-400 mt-1">
+                    ${ui.escapeHtml(event.ip_address || 'Unknown IP')} • ${ui.escapeHtml(event.user_agent || 'Unknown browser')}
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * Summarize before/after values and details
+     */
+    renderChanges(event) {
+        const ui = this.uiManager;
+        const lines = [];
+
+        if (event.after && event.before) {
+            Object.entries(event.after).forEach(([id, after]) => {
+                const before = event.before[id] || {};
+                if (before.status !== after.status) {
+                    lines.push(`${ui.escapeHtml(id)}: ${ui.formatStatus(before.status)} → ${ui.formatStatus(after.status)}`);
+                }
+            });
+        } else if (event.after && event.after.message) {
+            lines.push(`"${ui.escapeHtml(event.after.message)}"${event.after.send_email ? ' (emailed)' : ''}`);
+        }
+
+        if (event.details) {
+            lines.push(ui.escapeHtml(Object.entries(event.details)
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+                .join(', ')));
+        }
+
+        return lines.length > 0
+            ? `<div class="mt-1 text-xs text-gray-600 space-y-0.5">${lines.map(line => `<p>${line}</p>`).join('')}</div>`
+            : '';
+    }
+}
@@ -0,0 +1,187 @@
+const CALENDAR_DAYS = [
+    { day: 1, label: 'Monday' },
+    { day: 2, label: 'Tuesday' },
+    { day: 3, label: 'Wednesday' },
+    { day: 4, label: 'Thursday' },
+    { day: 5, label: 'Friday' },
+    { day: 6, label: 'Saturday' },
+    { day: 0, label: 'Sunday' }
+];
+
+/**
+ * Calendar Manager - Business hours, emergency window, arrival window,
+ * holidays and blackout dates
+ */
+class CalendarManager {
+    constructor(dataManager, uiManager) {
+        this.dataManager = dataManager;
+        this.uiManager = uiManager;
+        this.calendar = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind business hours modal events
+     */
+    bindEvents() {
+        this.uiManager.bindElement('calendarButton', 'click', () => this.open());
+        this.uiManager.bindElement('closeCalendarModal', 'click', () => this.uiManager.hide('calendarModal'));
+        this.uiManager.bindElement('calendarSettingsForm', 'submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+        this.uiManager.bindElement('closureForm', 'submit', (e) => {
+            e.preventDefault();
+            this.addClosure();
+        });
+    }
+
+    /**
+     * Open the modal with the current calendar
+     */
+    async open() {
+        this.uiManager.show('calendarModal');
+
+        try {
+            this.render(await this.dataManager.getCalendar());
+        } catch (error) {
+            console.error('Error loading business calendar:', error);
+            Toast.error(`Failed to load business hours: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the settings form and closure list
+     */
+    render(calendar) {
+        if (!calendar) return;
+        this.calendar = calendar;
+
+        this.uiManager.setText('calendarTimeZone', calendar.time_zone);
+        this.renderHours(calendar.weekly_hours || {});
+
+        const emergency = calendar.emergency_window;
+        document.getElementById('calendarEmergencyEnabled').checked = Boolean(emergency);
+        document.getElementById('calendarEmergencyStart').value = emergency ? emergency.start : '17:00';
+        document.getElementById('calendarEmergencyEnd').value = emergency ? emergency.end : '22:00';
+        document.getElementById('calendarArrivalWindow').value = calendar.arrival_window_minutes;
+
+        this.renderClosures(calendar.closures || []);
+    }
+
+    /**
+     * One row per day: open checkbox, opening and closing times
+     */
+    renderHours(weeklyHours) {
+        const container = document.getElementById('calendarHoursRows');
+        if (!container) return;
+
+        const input = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+        container.innerHTML = CALENDAR_DAYS.map(({ day, label }) => {
+            const hours = weeklyHours[day];
+            return `
+                <div class="flex items-center space-x-2 text-sm text-gray-700">
+                    <label class="flex items-center w-32">
+                        <input type="checkbox" id="calendarOpen${day}" class="mr-2" ${hours ? 'checked' : ''}>
+                        ${label}
+                    </label>
+                    <input type="time" id="calendarOpenTime${day}" value="${hours ? hours.open : '08:00'}" class="${input}">
+                    <span>to</span>
+                    <input type="time" id="calendarCloseTime${day}" value="${hours ? hours.close : '17:00'}" class="${input}">
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Upcoming holidays and blackout dates, each with a remove button
+     */
+    renderClosures(closures) {
+        const list = document.getElementById('calendarClosuresList');
+        if (!list) return;
+
+        const ui = this.uiManager;
+        list.innerHTML = closures.length > 0
+            ? closures.map(closure => `
+                <div class="flex justify-between items-center py-2 text-sm">
+                    <div>
+                        <span class="font-medium text-gray-900">${ui.escapeHtml(closure.name)}</span>
+                        <span class="block text-xs text-gray-500">
+                            ${closure.kind === 'holiday' ? 'Holiday' : 'Blackout'} •
+                            ${ui.escapeHtml(closure.starts_on)}${closure.ends_on !== closure.starts_on ? ` to ${ui.escapeHtml(closure.ends_on)}` : ''}
+                        </span>
+                    </div>
+                    <button type="button" onclick="window.dashboardCalendar.confirmDeleteClosure('${closure.id}')"
+                            class="text-red-600 hover:text-red-800" title="Remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('')
+            : '<p class="text-sm text-gray-500 py-4 text-center">No upcoming holidays or blackout dates</p>';
+    }
+
+    /**
+     * Save weekly hours, the emergency window and the arrival window
+     */
+    async saveSettings() {
+        const weeklyHours = {};
+        CALENDAR_DAYS.forEach(({ day }) => {
+            if (document.getElementById(`calendarOpen${day}`).checked) {
+                weeklyHours[day] = {
+                    open: this.uiManager.getValue(`calendarOpenTime${day}`),
+                    close: this.uiManager.getValue(`calendarCloseTime${day}`)
+                };
+            }
+        });
+
+        const emergencyWindow = document.getElementById('calendarEmergencyEnabled').checked
+            ? {
+                start: this.uiManager.getValue('calendarEmergencyStart'),
+                end: this.uiManager.getValue('calendarEmergencyEnd')
+            }
+            : null;
+
+        this.render(await this.dataManager.updateCalendar('update-calendar', {
+            weeklyHours,
+            emergencyWindow,
+            arrivalWindowMinutes: this.uiManager.getValue('calendarArrivalWindow')
+        }, 'Business hours saved'));
+    }
+
+    /**
+     * Add the holiday or blackout date range in the form
+     */
+    async addClosure() {
+        const calendar = await this.dataManager.updateCalendar('add-closure', {
+            kind: this.uiManager.getValue('closureKind'),
+            name: this.uiManager.getValue('closureName').trim(),
+            startsOn: this.uiManager.getValue('closureStartsOn'),
+            endsOn: this.uiManager.getValue('closureEndsOn') || null
+        }, 'Closure added');
+
+        if (calendar) {
+            document.getElementById('closureForm').reset();
+            this.render(calendar);
+        }
+    }
+
+    /**
+     * Ask before removing a holiday or blackout date
+     */
+    async confirmDeleteClosure(closureId) {
+        const closure = ((this.calendar && this.calendar.closures) || []).find(item => item.id === closureId);
+        if (!closure) return;
+
+        const confirmed = await this.uiManager.showConfirmationDialog(
+            'Remove closure',
+            `Remove "${closure.name}"? Customers will be able to book on those dates again.`,
+            'Remove',
+            'bg-red-600 hover:bg-red-700'
+        );
+
+        if (confirmed) {
+            this.render(await this.dataManager.updateCalendar('delete-closure', { closureId }, 'Closure removed'));
+        }
+    }
+}
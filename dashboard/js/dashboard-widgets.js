@@ -22,6 +22,7 @@ class DashboardWidgets {
         this.registerWidget('recentActivity', this.createRecentActivityWidget.bind(this));
         this.registerWidget('performanceMetrics', this.createPerformanceMetricsWidget.bind(this));
         this.registerWidget('quickActions', this.createQuickActionsWidget.bind(this));
+        this.registerWidget('loginLockouts', this.createLoginLockoutsWidget.bind(this));
 
         // Create widget container
         this.createWidgetContainer();
@@ -69,7 +70,7 @@ class DashboardWidgets {
         container.innerHTML = '';
 
         // Render each widget
-        const widgetsToRender = ['quickActions', 'responseTime', 'formTypeBreakdown', 'topCustomers', 'recentActivity', 'performanceMetrics'];
+        const widgetsToRender = ['quickActions', 'responseTime', 'formTypeBreakdown', 'topCustomers', 'recentActivity', 'performanceMetrics', 'loginLockouts'];
         
         widgetsToRender.forEach(widgetName => {
             const factory = this.widgets.get(widgetName);
@@ -231,6 +232,30 @@ class DashboardWidgets {
         return widget;
     }
 
+    /**
+     * Create Login Lockouts Widget
+     */
+    createLoginLockoutsWidget() {
+        if (!window.dashboardUI.can('security:view')) return null;
+
+        const widget = this.createBaseWidget('login-lockouts', 'Login Lockouts', 'fas fa-user-lock');
+
+        const content = document.createElement('div');
+        content.className = 'space-y-3';
+        content.innerHTML = `
+            <div id="lockoutsList" class="space-y-2 max-h-48 overflow-y-auto">
+                <div class="animate-pulse">
+                    <div class="h-3 bg-gray-200 rounded mb-2"></div>
+                    <div class="h-3 bg-gray-200 rounded"></div>
+                </div>
+            </div>
+        `;
+
+        widget.appendChild(content);
+        this.loadLoginLockoutsData(widget);
+        return widget;
+    }
+
     /**
      * Create Quick Actions Widget
      */
@@ -241,15 +266,15 @@ class DashboardWidgets {
         content.className = 'space-y-3';
         content.innerHTML = `
             <div class="grid grid-cols-2 gap-2">
-                <button onclick="window.dashboard.createNewResponse()" class="flex items-center justify-center p-2 bg-blue-50 hover:bg-blue-100 text-blue-700 rounded-md text-sm font-medium transition-colors">
+                <button onclick="window.dashboard.createNewResponse()" data-permission="submissions:respond" class="flex items-center justify-center p-2 bg-blue-50 hover:bg-blue-100 text-blue-700 rounded-md text-sm font-medium transition-colors">
                     <i class="fas fa-reply mr-2"></i>
                     New Response
                 </button>
-                <button onclick="window.dashboard.exportSubmissions('csv')" class="flex items-center justify-center p-2 bg-green-50 hover:bg-green-100 text-green-700 rounded-md text-sm font-medium transition-colors">
+                <button onclick="window.dashboard.exportSubmissions('csv')" data-permission="submissions:export" class="flex items-center justify-center p-2 bg-green-50 hover:bg-green-100 text-green-700 rounded-md text-sm font-medium transition-colors">
                     <i class="fas fa-download mr-2"></i>
                     Export CSV
                 </button>
-                <button onclick="window.dashboard.bulkStatusUpdate()" class="flex items-center justify-center p-2 bg-yellow-50 hover:bg-yellow-100 text-yellow-700 rounded-md text-sm font-medium transition-colors">
+                <button onclick="window.dashboard.bulkStatusUpdate()" data-permission="submissions:bulk-update" class="flex items-center justify-center p-2 bg-yellow-50 hover:bg-yellow-100 text-yellow-700 rounded-md text-sm font-medium transition-colors">
                     <i class="fas fa-edit mr-2"></i>
                     Bulk Update
                 </button>
@@ -274,6 +299,7 @@ class DashboardWidgets {
         `;
 
         widget.appendChild(content);
+        window.dashboardUI.applyPermissions(widget);
         return widget;
     }
 
@@ -348,17 +374,22 @@ class DashboardWidgets {
 
     async loadFormTypeData(widget) {
         try {
+            const stats = await this.dataManager.getDashboardStats();
+            const typeCounts = (stats && stats.typeCounts) || {};
+
             const formTypes = [
-                { type: 'Estimates', count: 45, color: 'bg-blue-500' },
-                { type: 'Scheduling', count: 32, color: 'bg-green-500' },
-                { type: 'Inquiries', count: 23, color: 'bg-yellow-500' }
-            ];
+                { key: 'estimate', type: 'Estimates', color: 'bg-blue-500' },
+                { key: 'schedule', type: 'Scheduling', color: 'bg-green-500' },
+                { key: 'inquiry', type: 'Inquiries', color: 'bg-yellow-500' },
+                { key: 'consultation', type: 'Consultations', color: 'bg-purple-500' },
+                { key: 'chat', type: 'AI Chat', color: 'bg-orange-500' }
+            ].map(type => ({ ...type, count: typeCounts[type.key] || 0 }));
 
             const total = formTypes.reduce((sum, type) => sum + type.count, 0);
-            
+
             const chartContainer = widget.querySelector('#formTypeChart');
             chartContainer.innerHTML = formTypes.map(type => {
-                const percentage = Math.round((type.count / total) * 100);
+                const percentage = total > 0 ? Math.round((type.count / total) * 100) : 0;
                 return `
                     <div class="flex items-center justify-between">
                         <div class="flex items-center">
@@ -377,6 +408,35 @@ class DashboardWidgets {
         }
     }
 
+    async loadLoginLockoutsData(widget) {
+        const listContainer = widget.querySelector('#lockoutsList');
+
+        try {
+            const lockouts = await this.dataManager.getLoginLockouts();
+            const ui = window.dashboardUI;
+
+            if (lockouts.length === 0) {
+                listContainer.innerHTML = '<p class="text-sm text-gray-500">No failed login lockouts</p>';
+                return;
+            }
+
+            listContainer.innerHTML = lockouts.map(lockout => {
+                const active = new Date(lockout.locked_until) > new Date();
+                const target = lockout.scope === 'email' ? 'Account' : 'IP address';
+                return `
+                    <div class="text-xs text-gray-600 border-l-2 ${active ? 'border-red-400' : 'border-gray-200'} pl-3">
+                        <p class="font-medium">${target} ${ui.escapeHtml(lockout.identifier)}${active ? ' <span class="text-red-600">(locked)</span>' : ''}</p>
+                        <p class="text-gray-500">${lockout.failed_attempts} failed attempts • lockout #${lockout.level} • ${ui.formatDate(lockout.created_at)}</p>
+                        ${lockout.scope === 'email' && lockout.ip_address ? `<p class="text-gray-500">From ${ui.escapeHtml(lockout.ip_address)}</p>` : ''}
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading login lockouts:', error);
+            listContainer.innerHTML = '<p class="text-sm text-gray-500">Login lockouts could not be loaded</p>';
+        }
+    }
+
     async loadRecentActivityData(widget) {
         try {
             const activities = [
@@ -448,6 +508,9 @@ class DashboardWidgets {
                 case 'performance':
                     await this.loadPerformanceData(widget);
                     break;
+                case 'login-lockouts':
+                    await this.loadLoginLockoutsData(widget);
+                    break;
             }
         } catch (error) {
             console.error(`Error refreshing widget ${widgetName}:`, error);
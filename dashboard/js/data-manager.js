@@ -70,6 +70,9 @@ class DataManager {
             if (filters.formType) {
                 queryParams.append('formType', filters.formType);
             }
+            if (filters.assignedTo) {
+                queryParams.append('assignedTo', filters.assignedTo);
+            }
             if (filters.dateFrom) {
                 queryParams.append('dateFrom', filters.dateFrom);
             }
@@ -121,12 +124,12 @@ class DataManager {
     }
 
     /**
-     * Get submission detail and customer history
+     * Get submission detail, timeline and the customer's other submissions
      */
     async getSubmissionDetail(submissionId) {
         try {
             const response = await this.authManager.apiRequest(
-                `/.netlify/functions/admin-dashboard?action=customer-history&customerId=${submissionId}`,
+                `/.netlify/functions/admin-dashboard?action=submission&submissionId=${encodeURIComponent(submissionId)}`,
                 { method: 'GET' }
             );
 
@@ -136,10 +139,16 @@ class DataManager {
 
             const data = await response.json();
 
-            if (data.success && data.history && data.history.length > 0) {
+            if (data.success && data.submission) {
+                const submission = data.submission;
+
+                if (submission.form_type === 'chat') {
+                    submission.transcript = await this.getChatTranscript(submission.id);
+                }
+
                 return {
-                    submission: data.history[0],
-                    history: data.history
+                    submission,
+                    history: data.history || []
                 };
             } else {
                 throw new Error('Submission not found');
@@ -151,6 +160,151 @@ class DataManager {
         }
     }
 
+    /**
+     * Get the conversation for a chat submission
+     */
+    async getChatTranscript(submissionId) {
+        try {
+            const response = await this.authManager.apiRequest(
+                `/.netlify/functions/admin-dashboard?action=chat-transcript&submissionId=${submissionId}`,
+                { method: 'GET' }
+            );
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            return data.transcript || [];
+        } catch (error) {
+            console.error('Error loading chat transcript:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get submission counts by status and form type
+     */
+    async getDashboardStats() {
+        const statsKey = 'dashboard-stats';
+        const cached = this.getFromCache(statsKey);
+        if (cached) {
+            return cached;
+        }
+
+        return await this.makeCachedRequest(statsKey, async () => {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard?action=stats');
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load dashboard stats');
+            }
+
+            this.setCache(statsKey, data.stats);
+            return data.stats;
+        });
+    }
+
+    /**
+     * Get recent admin login lockouts
+     */
+    async getLoginLockouts(limit = 10) {
+        const response = await this.authManager.apiRequest(
+            `/.netlify/functions/admin-dashboard?action=login-lockouts&limit=${limit}`
+        );
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to load login lockouts');
+        }
+
+        return data.lockouts;
+    }
+
+    /**
+     * Get a page of the admin audit trail
+     */
+    async getAuditEvents(filters = {}, page = 1) {
+        const queryParams = this.buildAuditParams('audit', filters);
+        queryParams.append('page', page);
+
+        const response = await this.authManager.apiRequest(
+            `/.netlify/functions/admin-dashboard?${queryParams}`
+        );
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to load audit log');
+        }
+
+        return data;
+    }
+
+    /**
+     * Download the audit trail matching the filters
+     */
+    async exportAuditEvents(filters = {}, format = 'csv') {
+        try {
+            const queryParams = this.buildAuditParams('audit-export', filters);
+            queryParams.append('format', format);
+
+            const loadingToast = Toast.loading('Preparing audit export...');
+
+            const response = await this.authManager.apiRequest(
+                `/.netlify/functions/admin-dashboard?${queryParams}`,
+                { method: 'GET' }
+            );
+
+            Toast.dismiss(loadingToast);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `audit_log_${new Date().toISOString().split('T')[0]}.${format}`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+
+            Toast.success('Audit log exported');
+            return true;
+        } catch (error) {
+            console.error('Error exporting audit log:', error);
+            Toast.error(`Export failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    buildAuditParams(action, filters) {
+        const queryParams = new URLSearchParams();
+        queryParams.append('action', action);
+
+        if (filters.action) queryParams.append('auditAction', filters.action);
+        if (filters.adminEmail) queryParams.append('adminEmail', filters.adminEmail);
+        if (filters.targetId) queryParams.append('targetId', filters.targetId);
+        if (filters.dateFrom) queryParams.append('dateFrom', filters.dateFrom);
+        if (filters.dateTo) queryParams.append('dateTo', filters.dateTo);
+
+        return queryParams;
+    }
+
     /**
      * Send response to customer
      */
@@ -194,20 +348,25 @@ class DataManager {
                     action: 'respond',
                     submissionId: submissionId,
                     message: messageEl.value.trim(),
-                    sendEmail: sendEmailEl ? sendEmailEl.checked : false
+                    sendEmail: sendEmailEl ? sendEmailEl.checked : false,
+                    templateId: window.dashboardTemplates?.getAppliedTemplateId() || undefined
                 })
             });
 
             Toast.dismiss(loadingToast);
 
+            const data = await response.json();
+
+            // Unknown merge fields are rejected with a message worth showing
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const data = await response.json();
-
             if (data.success) {
                 Toast.success('Response sent successfully!');
+                if (sendEmailEl && sendEmailEl.checked && !data.emailed) {
+                    Toast.warning('The response was saved, but the email to the customer could not be sent');
+                }
                 this.clearCache(); // Clear cache to refresh data
                 
                 // Close modal and refresh data
@@ -230,6 +389,53 @@ class DataManager {
         }
     }
 
+    /**
+     * Text the customer of a submission and reload it
+     */
+    async sendText(submissionId) {
+        try {
+            const messageEl = document.getElementById('textMessage');
+
+            if (!messageEl || !messageEl.value.trim()) {
+                Toast.error('Please enter a message');
+                return false;
+            }
+
+            const loadingToast = Toast.loading('Sending text...');
+
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify({
+                    action: 'send-sms',
+                    submissionId: submissionId,
+                    message: messageEl.value.trim()
+                })
+            });
+
+            Toast.dismiss(loadingToast);
+
+            const data = await response.json();
+
+            // Opted-out customers and missing numbers are rejected with a message worth showing
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            Toast.success('Text sent to customer');
+
+            if (window.dashboard) {
+                window.dashboard.uiManager.closeTextModal();
+                await window.dashboard.showSubmissionDetail(submissionId);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error sending text:', error);
+            Toast.error(`Failed to send text: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Update submission status
      */
@@ -287,6 +493,302 @@ class DataManager {
         }
     }
 
+    /**
+     * Get the admins submissions can be assigned to
+     */
+    async getAssignableAdmins() {
+        const adminsKey = 'assignable-admins';
+        const cached = this.getFromCache(adminsKey);
+        if (cached) {
+            return cached;
+        }
+
+        return await this.makeCachedRequest(adminsKey, async () => {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard?action=admins');
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load admins');
+            }
+
+            this.setCache(adminsKey, data.admins);
+            return data.admins;
+        });
+    }
+
+    /**
+     * Assign a submission to an admin, or unassign it with null
+     */
+    async assignSubmission(submissionId, adminId) {
+        try {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify({
+                    action: 'assign',
+                    submissionId,
+                    assignedTo: adminId
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            Toast.success(adminId ? 'Submission assigned' : 'Submission unassigned');
+            this.clearCache(); // Clear cache to refresh data
+
+            if (window.dashboard) {
+                await window.dashboard.showSubmissionDetail(submissionId);
+            }
+            await this.refreshDashboard();
+
+            return true;
+        } catch (error) {
+            console.error('Error assigning submission:', error);
+            Toast.error(`Failed to assign submission: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Get the response template library and the merge fields templates can use
+     */
+    async getResponseTemplates() {
+        const templatesKey = 'response-templates';
+        const cached = this.getFromCache(templatesKey);
+        if (cached) {
+            return cached;
+        }
+
+        return await this.makeCachedRequest(templatesKey, async () => {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard?action=response-templates');
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load response templates');
+            }
+
+            const library = { templates: data.templates, mergeFields: data.mergeFields };
+            this.setCache(templatesKey, library);
+            return library;
+        });
+    }
+
+    /**
+     * Create a response template, or update it when `templateId` is set
+     */
+    async saveResponseTemplate(template) {
+        try {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify({
+                    action: template.templateId ? 'update-template' : 'create-template',
+                    ...template
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            Toast.success('Template saved');
+            this.clearCache('response-templates');
+            return data.template;
+        } catch (error) {
+            console.error('Error saving response template:', error);
+            Toast.error(`Failed to save template: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a response template
+     */
+    async deleteResponseTemplate(templateId) {
+        try {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify({
+                    action: 'delete-template',
+                    templateId
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            Toast.success('Template deleted');
+            this.clearCache('response-templates');
+            return true;
+        } catch (error) {
+            console.error('Error deleting response template:', error);
+            Toast.error(`Failed to delete template: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Get the business calendar: weekly hours, emergency window, arrival
+     * window and upcoming holidays and blackout dates
+     */
+    async getCalendar() {
+        const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard?action=calendar');
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return data.calendar;
+    }
+
+    /**
+     * Change the business calendar; `action` is update-calendar, add-closure
+     * or delete-closure. Returns the updated calendar, or null on error.
+     */
+    async updateCalendar(action, changes, successMessage) {
+        try {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify({ action, ...changes })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            Toast.success(successMessage);
+            return data.calendar;
+        } catch (error) {
+            console.error(`Error in ${action}:`, error);
+            Toast.error(`Failed to update business hours: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Render a response with the submission's merge fields, or null on error
+     */
+    async previewResponse(submissionId, message) {
+        try {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify({
+                    action: 'preview-response',
+                    submissionId,
+                    message
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return data.message;
+        } catch (error) {
+            console.error('Error previewing response:', error);
+            Toast.error(`Failed to preview response: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the admins who can be @mentioned in internal notes
+     */
+    async getMentionableAdmins() {
+        const adminsKey = 'mentionable-admins';
+        const cached = this.getFromCache(adminsKey);
+        if (cached) {
+            return cached;
+        }
+
+        return await this.makeCachedRequest(adminsKey, async () => {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard?action=mentionable-admins');
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load admins');
+            }
+
+            this.setCache(adminsKey, data.admins);
+            return data.admins;
+        });
+    }
+
+    /**
+     * Add an internal note to a submission
+     */
+    async addNote(submissionId, note) {
+        return await this.saveNote(submissionId, { action: 'add-note', submissionId, note }, 'Note added');
+    }
+
+    /**
+     * Replace the text of one of the admin's own notes
+     */
+    async editNote(submissionId, noteId, note) {
+        return await this.saveNote(submissionId, { action: 'edit-note', noteId, note }, 'Note updated');
+    }
+
+    /**
+     * Delete one of the admin's own notes
+     */
+    async deleteNote(submissionId, noteId) {
+        return await this.saveNote(submissionId, { action: 'delete-note', noteId }, 'Note deleted');
+    }
+
+    /**
+     * Send a note action and reload the open submission
+     */
+    async saveNote(submissionId, payload, successMessage) {
+        try {
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify(payload)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            Toast.success(successMessage);
+
+            if (window.dashboard) {
+                await window.dashboard.showSubmissionDetail(submissionId);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error saving note:', error);
+            Toast.error(`Failed to save note: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Search submissions
      */
@@ -331,6 +833,9 @@ class DataManager {
                 if (currentFilters.formType) {
                     queryParams.append('formType', currentFilters.formType);
                 }
+                if (currentFilters.assignedTo) {
+                    queryParams.append('assignedTo', currentFilters.assignedTo);
+                }
                 if (currentFilters.dateFrom) {
                     queryParams.append('dateFrom', currentFilters.dateFrom);
                 }
@@ -433,9 +938,50 @@ class DataManager {
     }
 
     /**
-     * Bulk send responses to submissions
+     * Bulk assign submissions to an admin, or unassign them with null
+     */
+    async bulkAssign(submissionIds, adminId) {
+        try {
+            if (!submissionIds || submissionIds.length === 0) {
+                Toast.warning('No submissions selected');
+                return false;
+            }
+
+            const loadingToast = Toast.loading(`Assigning ${submissionIds.length} submissions...`);
+
+            const response = await this.authManager.apiRequest('/.netlify/functions/admin-dashboard', {
+                method: 'POST',
+                body: JSON.stringify({
+                    action: 'bulk-update',
+                    ids: submissionIds,
+                    assignedTo: adminId
+                })
+            });
+
+            Toast.dismiss(loadingToast);
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                Toast.success(`${data.assigned} submissions ${adminId ? 'assigned' : 'unassigned'}`);
+                this.clearCache();
+                await this.refreshDashboard();
+                return true;
+            } else {
+                throw new Error(data.message || 'Bulk assignment failed');
+            }
+        } catch (error) {
+            console.error('Error in bulk assignment:', error);
+            Toast.error(`Bulk assignment failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Bulk send responses to submissions; the server fills in each
+     * customer's merge fields
      */
-    async bulkSendResponses(submissionIds, message, sendEmail = false) {
+    async bulkSendResponses(submissionIds, message, sendEmail = false, templateId = null) {
         try {
             if (!submissionIds || submissionIds.length === 0) {
                 Toast.warning('No submissions selected');
@@ -464,7 +1010,8 @@ class DataManager {
                     action: 'bulk-respond',
                     ids: submissionIds,
                     message: message.trim(),
-                    sendEmail: sendEmail
+                    sendEmail: sendEmail,
+                    templateId: templateId || undefined
                 })
             });
 
@@ -478,6 +1025,9 @@ class DataManager {
 
             if (data.success) {
                 Toast.success(`Responses sent to ${submissionIds.length} customers successfully!`);
+                if (sendEmail && data.emailed < data.sent) {
+                    Toast.warning(`${data.sent - data.emailed} of the emails could not be sent`);
+                }
                 this.clearCache();
                 await this.refreshDashboard();
                 return true;
@@ -8,6 +8,8 @@ class NotificationManager {
         this.eventSource = null;
         this.pollingInterval = null;
         this.lastNotificationCheck = new Date().toISOString();
+        this.lastEventId = null;
+        this.hasConnected = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.notificationPermission = null;
@@ -46,21 +48,41 @@ class NotificationManager {
         return typeof EventSource !== 'undefined';
     }
 
+    /**
+     * Build the notifications URL, resuming after the last event received
+     */
+    getNotificationsUrl(params = {}) {
+        const query = new URLSearchParams(params);
+        if (this.lastEventId) {
+            query.set('lastEventId', this.lastEventId);
+        }
+
+        const queryString = query.toString();
+        return `/.netlify/functions/admin-notifications${queryString ? `?${queryString}` : ''}`;
+    }
+
     /**
      * Start Server-Sent Events connection
      */
     startServerSentEvents() {
         try {
-            const url = `/.netlify/functions/admin-notifications?lastCheck=${encodeURIComponent(this.lastNotificationCheck)}`;
-            this.eventSource = new EventSource(url, { withCredentials: true });
+            this.eventSource = new EventSource(this.getNotificationsUrl(), { withCredentials: true });
             
             this.eventSource.onopen = () => {
-                console.log('Real-time notifications connected');
                 this.reconnectAttempts = 0;
-                Toast.info('Real-time notifications enabled', { duration: 2000 });
+
+                if (!this.hasConnected) {
+                    console.log('Real-time notifications connected');
+                    Toast.info('Real-time notifications enabled', { duration: 2000 });
+                    this.hasConnected = true;
+                }
             };
 
             this.eventSource.onmessage = (event) => {
+                if (event.lastEventId) {
+                    this.lastEventId = event.lastEventId;
+                }
+
                 try {
                     const data = JSON.parse(event.data);
                     this.handleNotification(data);
@@ -70,6 +92,12 @@ class NotificationManager {
             };
 
             this.eventSource.onerror = (error) => {
+                // The server ends each stream after a while; the browser
+                // reconnects by itself and sends Last-Event-ID
+                if (this.eventSource && this.eventSource.readyState === EventSource.CONNECTING) {
+                    return;
+                }
+
                 console.error('EventSource error:', error);
                 this.handleConnectionError();
             };
@@ -121,17 +149,25 @@ class NotificationManager {
     async checkForNewSubmissions() {
         try {
             const response = await this.authManager.apiRequest(
-                `/.netlify/functions/admin-notifications?lastCheck=${encodeURIComponent(this.lastNotificationCheck)}`,
+                this.getNotificationsUrl({ poll: 1 }),
                 { method: 'GET' }
             );
 
             if (response.ok) {
                 const text = await response.text();
-                const lines = text.split('\n').filter(line => line.startsWith('data: '));
                 
-                lines.forEach(line => {
+                text.split('\n\n').forEach(frame => {
+                    const lines = frame.split('\n');
+                    const idLine = lines.find(line => line.startsWith('id: '));
+                    const dataLine = lines.find(line => line.startsWith('data: '));
+                    if (!dataLine) return;
+
+                    if (idLine) {
+                        this.lastEventId = idLine.substring(4);
+                    }
+
                     try {
-                        const data = JSON.parse(line.substring(6));
+                        const data = JSON.parse(dataLine.substring(6));
                         this.handleNotification(data);
                     } catch (error) {
                         console.error('Error parsing notification:', error);
@@ -163,6 +199,21 @@ class NotificationManager {
             case 'admin_response':
                 this.handleAdminResponse(data.data);
                 break;
+            case 'assignment':
+                this.handleAssignment(data.data);
+                break;
+            case 'note':
+                this.handleNote(data.data);
+                break;
+            case 'customer_reply':
+                this.handleCustomerReply(data.data);
+                break;
+            case 'email_status':
+                this.handleEmailStatus(data.data);
+                break;
+            case 'sms':
+                this.handleSms(data.data);
+                break;
             default:
                 console.log('Unknown notification type:', data.type);
         }
@@ -180,6 +231,13 @@ class NotificationManager {
         
         // Update dashboard counters
         this.updateDashboardCounters(submissions);
+
+        // Round-robin may have given some of them to this admin
+        const admin = this.authManager.getCurrentAdmin();
+        const mine = admin ? submissions.filter(submission => submission.assigned_to === admin.id).length : 0;
+        if (mine > 0) {
+            Toast.info(mine === 1 ? 'A new submission was assigned to you' : `${mine} new submissions were assigned to you`);
+        }
         
         // Play notification sound
         this.playNotificationSound();
@@ -193,21 +251,180 @@ class NotificationManager {
     }
 
     /**
-     * Handle status updates
+     * Handle status changes made in any dashboard session
      */
     handleStatusUpdate(data) {
-        Toast.info(`Submission status updated: ${data.submission_id} is now ${data.status}`);
-        
+        const changes = data.changes || [];
+        const uiManager = window.dashboard?.uiManager;
+
         if (this.dataManager) {
             this.dataManager.clearCache(); // Clear cache to get fresh data
         }
+
+        if (uiManager) {
+            changes.forEach(change => uiManager.patchSubmissionStatus(change.submission_id, change.status));
+        }
+
+        this.refreshCounters();
+        this.refreshOpenSubmission(changes.map(change => change.submission_id));
+
+        if (this.isFromAnotherAdmin(data) && changes.length > 0) {
+            const status = uiManager ? uiManager.formatStatus(changes[0].status) : changes[0].status;
+            Toast.info(changes.length === 1
+                ? `${data.admin_email} marked a submission ${status}`
+                : `${data.admin_email} updated ${changes.length} submissions`);
+        }
     }
 
     /**
-     * Handle admin responses
+     * Handle responses sent from any dashboard session
      */
     handleAdminResponse(data) {
-        Toast.success(`Response sent to ${data.customer_email}`);
+        const submissionIds = data.submission_ids || [];
+
+        if (this.dataManager) {
+            this.dataManager.clearCache();
+        }
+
+        this.refreshOpenSubmission(submissionIds);
+
+        if (this.isFromAnotherAdmin(data) && submissionIds.length > 0) {
+            Toast.info(submissionIds.length === 1
+                ? `${data.admin_email} responded to a submission`
+                : `${data.admin_email} responded to ${submissionIds.length} submissions`);
+        }
+    }
+
+    /**
+     * Handle submissions assigned or unassigned in any dashboard session
+     */
+    handleAssignment(data) {
+        const changes = data.changes || [];
+        const uiManager = window.dashboard?.uiManager;
+        const admin = this.authManager.getCurrentAdmin();
+
+        if (this.dataManager) {
+            this.dataManager.clearCache();
+        }
+
+        if (uiManager) {
+            changes.forEach(change => uiManager.patchSubmissionAssignee(change.submission_id, change.assigned_to, data.assignee_name));
+        }
+
+        this.refreshOpenSubmission(changes.map(change => change.submission_id));
+
+        if (!this.isFromAnotherAdmin(data) || changes.length === 0) return;
+
+        const toMe = admin && changes.filter(change => change.assigned_to === admin.id).length;
+        const fromMe = admin && changes.filter(change => change.previous_assigned_to === admin.id && change.assigned_to !== admin.id).length;
+
+        if (toMe) {
+            Toast.info(toMe === 1
+                ? `${data.admin_email} assigned a submission to you`
+                : `${data.admin_email} assigned ${toMe} submissions to you`);
+            this.playNotificationSound();
+        } else if (fromMe) {
+            Toast.info(fromMe === 1
+                ? `${data.admin_email} reassigned one of your submissions`
+                : `${data.admin_email} reassigned ${fromMe} of your submissions`);
+        }
+    }
+
+    /**
+     * Handle internal notes added, edited or deleted in any dashboard session
+     */
+    handleNote(data) {
+        const admin = this.authManager.getCurrentAdmin();
+
+        this.refreshOpenSubmission([data.submission_id]);
+
+        if (this.isFromAnotherAdmin(data) && admin && (data.mentioned_admin_ids || []).includes(admin.id)) {
+            Toast.info(`${data.admin_email} mentioned you in a note`);
+            this.playNotificationSound();
+        }
+    }
+
+    /**
+     * Handle a customer's emailed reply to one of their submissions
+     */
+    handleCustomerReply(data) {
+        const admin = this.authManager.getCurrentAdmin();
+
+        this.refreshOpenSubmission([data.submission_id]);
+
+        const name = data.customer_name || data.from_email;
+        Toast.info(admin && data.assigned_to === admin.id
+            ? `${name} replied to your submission by email`
+            : `${name} replied by email`);
+        this.playNotificationSound();
+    }
+
+    /**
+     * Handle Postmark reporting a customer email delivered, bounced, opened or marked as spam
+     */
+    handleEmailStatus(data) {
+        this.refreshOpenSubmission([data.submission_id]);
+
+        // Soft bounces are retried, so only an address that is now flagged is worth a warning
+        if (data.customer_flagged) {
+            Toast.warning(data.event === 'bounced'
+                ? `Email to ${data.recipient} bounced`
+                : `${data.recipient} marked our email as spam`);
+        }
+    }
+
+    /**
+     * Handle a text sent to a customer from any dashboard session, or a customer's reply
+     */
+    handleSms(data) {
+        const admin = this.authManager.getCurrentAdmin();
+
+        this.refreshOpenSubmission([data.submission_id]);
+
+        if (data.direction !== 'inbound') return;
+
+        const name = data.customer_name || data.from_number;
+        if (data.opt_in_change === 'opt_out') {
+            Toast.warning(`${name} opted out of text messages`);
+        } else {
+            Toast.info(admin && data.assigned_to === admin.id
+                ? `${name} replied to your submission by text`
+                : `${name} replied by text`);
+        }
+        this.playNotificationSound();
+    }
+
+    /**
+     * Check whether an event was caused by someone other than the current admin
+     */
+    isFromAnotherAdmin(data) {
+        const admin = this.authManager.getCurrentAdmin();
+        return Boolean(data.admin_id && (!admin || admin.id !== data.admin_id));
+    }
+
+    /**
+     * Reload the status counters without re-rendering the submission list
+     */
+    refreshCounters() {
+        const uiManager = window.dashboard?.uiManager;
+        if (!this.dataManager || !uiManager) return;
+
+        this.dataManager.getDashboardStats()
+            .then(stats => uiManager.updateDashboardStats(stats))
+            .catch(error => console.error('Error refreshing dashboard counters:', error));
+    }
+
+    /**
+     * Reload the open detail modal if it shows one of the given submissions
+     */
+    refreshOpenSubmission(submissionIds) {
+        const uiManager = window.dashboard?.uiManager;
+        if (!uiManager) return;
+
+        const openId = submissionIds.find(id => uiManager.isSubmissionOpen(id));
+        if (openId !== undefined) {
+            window.dashboard.showSubmissionDetail(openId);
+        }
     }
 
     /**
@@ -419,7 +636,12 @@ class NotificationManager {
             
             console.log(`Attempting to reconnect in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
             
-            setTimeout(() => {
+            // The stream is refused once the access token expires
+            setTimeout(async () => {
+                if (!this.authManager.isAuthenticated()) return;
+
+                await this.authManager.refreshToken();
+
                 if (this.authManager.isAuthenticated()) {
                     this.startServerSentEvents();
                 }
@@ -438,7 +660,9 @@ class NotificationManager {
         const types = {
             'estimate': 'Estimate',
             'schedule': 'Schedule', 
-            'inquiry': 'Inquiry'
+            'inquiry': 'Inquiry',
+            'consultation': 'Consultation',
+            'chat': 'AI Chat'
         };
         return types[type] || type;
     }
@@ -464,7 +688,8 @@ class NotificationManager {
             polling: this.pollingInterval !== null,
             permission: this.notificationPermission,
             reconnectAttempts: this.reconnectAttempts,
-            lastCheck: this.lastNotificationCheck
+            lastCheck: this.lastNotificationCheck,
+            lastEventId: this.lastEventId
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * Template Manager - Response template picker and the template library
+ */
+class TemplateManager {
+    constructor(dataManager, uiManager) {
+        this.dataManager = dataManager;
+        this.uiManager = uiManager;
+        this.templates = [];
+        this.mergeFields = [];
+        this.editingTemplateId = null;
+        this.appliedTemplateId = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind picker and template modal events
+     */
+    bindEvents() {
+        // Runs after UIManager has shown the response modal
+        this.uiManager.bindElement('respondBtn', 'click', () => this.preparePicker());
+        this.uiManager.bindElement('responseTemplate', 'change', (e) => this.handlePick(e.target.value));
+        this.uiManager.bindElement('previewResponseBtn', 'click', () => this.preview());
+
+        this.uiManager.bindElement('manageTemplatesBtn', 'click', () => this.open());
+        this.uiManager.bindElement('closeTemplatesModal', 'click', () => this.close());
+        this.uiManager.bindElement('newTemplateBtn', 'click', () => this.editTemplate(null));
+        this.uiManager.bindElement('deleteTemplateBtn', 'click', () => this.confirmDelete());
+        this.uiManager.bindElement('templateForm', 'submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+    }
+
+    /**
+     * Load the library, fill the picker and apply the form type's default
+     * when nothing has been written yet
+     */
+    async preparePicker() {
+        this.appliedTemplateId = null;
+        this.uiManager.hide('responsePreview');
+
+        await this.load();
+        this.renderPicker();
+
+        const messageEl = document.getElementById('responseMessage');
+        const fallback = this.templatesFor(this.uiManager.currentFormType)
+            .find(template => template.is_default);
+        if (fallback && messageEl && !messageEl.value.trim()) {
+            this.applyTemplate(fallback);
+        }
+    }
+
+    /**
+     * Fetch templates and merge field names
+     */
+    async load() {
+        try {
+            const { templates, mergeFields } = await this.dataManager.getResponseTemplates();
+            this.templates = templates;
+            this.mergeFields = mergeFields;
+        } catch (error) {
+            console.error('Error loading response templates:', error);
+            this.templates = [];
+        }
+    }
+
+    /**
+     * Templates offered for a form type: its own first, then the general ones
+     */
+    templatesFor(formType) {
+        return [
+            ...this.templates.filter(template => formType && template.form_type === formType),
+            ...this.templates.filter(template => !template.form_type)
+        ];
+    }
+
+    /**
+     * Fill the response modal's template picker
+     */
+    renderPicker() {
+        const select = document.getElementById('responseTemplate');
+        if (!select) return;
+
+        const ui = this.uiManager;
+        const formType = ui.currentFormType;
+        const option = (template) => `<option value="${ui.escapeHtml(template.id)}">${ui.escapeHtml(template.name)}${template.is_default ? ' (default)' : ''}</option>`;
+        const own = this.templates.filter(template => formType && template.form_type === formType);
+        const general = this.templates.filter(template => !template.form_type);
+
+        select.innerHTML = '<option value="">No template</option>' +
+            (own.length > 0 ? `<optgroup label="${ui.escapeHtml(ui.formatFormType(formType))}">${own.map(option).join('')}</optgroup>` : '') +
+            (general.length > 0 ? `<optgroup label="All form types">${general.map(option).join('')}</optgroup>` : '');
+        select.value = this.appliedTemplateId || '';
+    }
+
+    /**
+     * Apply the picked template, asking before replacing a written message
+     */
+    async handlePick(templateId) {
+        const template = this.templates.find(item => item.id === templateId);
+        if (!template) {
+            this.appliedTemplateId = null;
+            return;
+        }
+
+        const messageEl = document.getElementById('responseMessage');
+        const applied = this.templates.find(item => item.id === this.appliedTemplateId);
+        const written = messageEl ? messageEl.value.trim() : '';
+
+        if (written && (!applied || written !== applied.body.trim())) {
+            const confirmed = await this.uiManager.showConfirmationDialog(
+                'Replace message',
+                'Replace the message you have written with this template?',
+                'Replace'
+            );
+            if (!confirmed) {
+                document.getElementById('responseTemplate').value = this.appliedTemplateId || '';
+                return;
+            }
+        }
+
+        this.applyTemplate(template);
+    }
+
+    /**
+     * Put a template's text in the response box; merge fields stay as
+     * placeholders and are filled in by the server
+     */
+    applyTemplate(template) {
+        const messageEl = document.getElementById('responseMessage');
+        if (!messageEl) return;
+
+        messageEl.value = template.body;
+        messageEl.dispatchEvent(new Event('input', { bubbles: true })); // Let auto-save keep it
+        this.appliedTemplateId = template.id;
+        this.uiManager.hide('responsePreview');
+
+        const select = document.getElementById('responseTemplate');
+        if (select) {
+            select.value = template.id;
+        }
+    }
+
+    /**
+     * Id of the template the current message started from
+     */
+    getAppliedTemplateId() {
+        return this.appliedTemplateId;
+    }
+
+    /**
+     * Show the message as the customer will receive it
+     */
+    async preview() {
+        const message = this.uiManager.getValue('responseMessage').trim();
+        const submissionId = this.uiManager.getCurrentSubmissionId();
+        if (!message || !submissionId) {
+            Toast.warning('Please enter a response message');
+            return;
+        }
+
+        const rendered = await this.dataManager.previewResponse(submissionId, message);
+        if (rendered !== null) {
+            this.uiManager.setText('responsePreview', rendered);
+            this.uiManager.show('responsePreview');
+        }
+    }
+
+    /**
+     * Open the template library
+     */
+    async open() {
+        this.uiManager.show('templatesModal');
+        await this.load();
+        this.renderList();
+        this.editTemplate(null);
+        this.uiManager.setText('templateMergeFields',
+            `Merge fields: ${this.mergeFields.map(field => `{{${field}}}`).join(' ')}`);
+    }
+
+    /**
+     * Close the library and refresh the picker behind it
+     */
+    close() {
+        this.uiManager.hide('templatesModal');
+        this.renderPicker();
+    }
+
+    /**
+     * Render the library list
+     */
+    renderList() {
+        const list = document.getElementById('templatesList');
+        if (!list) return;
+
+        const ui = this.uiManager;
+        list.innerHTML = this.templates.length > 0
+            ? this.templates.map(template => `
+                <button type="button" onclick="window.dashboardTemplates.editTemplate('${template.id}')"
+                        class="block w-full text-left px-2 py-2 text-sm hover:bg-gray-50 ${template.id === this.editingTemplateId ? 'bg-blue-50' : ''}">
+                    <span class="font-medium text-gray-900">${ui.escapeHtml(template.name)}</span>
+                    <span class="block text-xs text-gray-500">
+                        ${template.form_type ? ui.escapeHtml(ui.formatFormType(template.form_type)) : 'All form types'}${template.is_default ? ' • Default' : ''}
+                    </span>
+                </button>
+            `).join('')
+            : '<p class="text-sm text-gray-500 py-4 text-center">No templates yet</p>';
+    }
+
+    /**
+     * Load a template into the form, or clear it for a new one
+     */
+    editTemplate(templateId) {
+        const template = this.templates.find(item => item.id === templateId) || null;
+        this.editingTemplateId = template ? template.id : null;
+
+        document.getElementById('templateName').value = template ? template.name : '';
+        document.getElementById('templateFormType').value = template ? template.form_type || '' : '';
+        document.getElementById('templateIsDefault').checked = Boolean(template && template.is_default);
+        document.getElementById('templateContent').value = template ? template.body : '';
+        document.getElementById('deleteTemplateBtn').classList.toggle('hidden', !template);
+
+        this.renderList();
+    }
+
+    /**
+     * Create or update the template in the form
+     */
+    async save() {
+        const saved = await this.dataManager.saveResponseTemplate({
+            templateId: this.editingTemplateId,
+            name: this.uiManager.getValue('templateName').trim(),
+            formType: this.uiManager.getValue('templateFormType') || null,
+            isDefault: document.getElementById('templateIsDefault').checked,
+            content: this.uiManager.getValue('templateContent').trim()
+        });
+
+        if (saved) {
+            await this.load();
+            this.editTemplate(saved.id);
+        }
+    }
+
+    /**
+     * Ask before deleting the template in the form
+     */
+    async confirmDelete() {
+        const template = this.templates.find(item => item.id === this.editingTemplateId);
+        if (!template) return;
+
+        const confirmed = await this.uiManager.showConfirmationDialog(
+            'Delete template',
+            `Delete "${template.name}"? Responses already sent are not affected.`,
+            'Delete',
+            'bg-red-600 hover:bg-red-700'
+        );
+
+        if (confirmed && await this.dataManager.deleteResponseTemplate(template.id)) {
+            if (this.appliedTemplateId === template.id) {
+                this.appliedTemplateId = null;
+            }
+            await this.load();
+            this.editTemplate(null);
+        }
+    }
+}
@@ -4,9 +4,14 @@
 class UIManager {
     constructor() {
         this.currentSubmissionId = null;
+        this.currentAdminId = null;
+        this.currentFormType = null;
+        this.currentNotes = [];
+        this.editingNoteId = null;
         this.currentPage = 1;
         this.currentFilters = {};
         this.searchTimeout = null;
+        this.permissions = new Set();
         
         this.bindEvents();
     }
@@ -28,6 +33,16 @@ class UIManager {
             this.handleResponseSubmit();
         });
 
+        // Text modal
+        this.bindElement('textCustomerBtn', 'click', () => this.showTextModal());
+        this.bindElement('closeTextModal', 'click', () => this.closeTextModal());
+        this.bindElement('cancelText', 'click', () => this.closeTextModal());
+        this.bindElement('textMessage', 'input', () => this.updateTextCount());
+        this.bindElement('textForm', 'submit', (e) => {
+            e.preventDefault();
+            this.handleTextSubmit();
+        });
+
         // Status modal
         this.bindElement('updateStatusBtn', 'click', () => this.showStatusModal());
         this.bindElement('closeStatusModal', 'click', () => this.closeStatusModal());
@@ -37,10 +52,14 @@ class UIManager {
             this.handleStatusSubmit();
         });
 
+        // Assignment
+        this.bindElement('assigneeSelect', 'change', (e) => this.handleAssigneeChange(e.target.value));
+
         // Filter controls
         this.bindElement('applyFilters', 'click', () => this.handleFiltersApply());
         this.bindElement('clearFilters', 'click', () => this.handleFiltersClear());
         this.bindElement('advancedFiltersToggle', 'click', () => this.toggleAdvancedFilters());
+        this.bindElement('assignedToMeFilter', 'click', () => this.toggleAssignedToMe());
         this.bindElement('refreshData', 'click', () => this.handleRefreshData());
         
         // Search controls
@@ -88,6 +107,27 @@ class UIManager {
         if (adminNameEl) {
             adminNameEl.textContent = `${admin.first_name} ${admin.last_name}` || admin.email;
         }
+
+        this.currentAdminId = admin.id;
+        this.permissions = new Set(admin.permissions || []);
+        this.applyPermissions();
+    }
+
+    /**
+     * Check whether the signed-in admin's role allows an action
+     */
+    can(permission) {
+        return this.permissions.has(permission);
+    }
+
+    /**
+     * Hide controls marked with data-permission that the role cannot use.
+     * The server enforces the same permissions; this only keeps the UI honest.
+     */
+    applyPermissions(root = document) {
+        root.querySelectorAll('[data-permission]').forEach(element => {
+            element.classList.toggle('hidden', !this.can(element.dataset.permission));
+        });
     }
 
     /**
@@ -203,7 +243,7 @@ class UIManager {
      */
     renderSubmissionRow(submission) {
         return `
-            <div class="border-b border-gray-200 px-6 py-4 hover:bg-gray-50 cursor-pointer" onclick="window.dashboard.showSubmissionDetail(${submission.id})">
+            <div class="border-b border-gray-200 px-6 py-4 hover:bg-gray-50 cursor-pointer" data-submission-row="${submission.id}" onclick="window.dashboard.showSubmissionDetail('${submission.id}')">
                 <div class="flex items-center justify-between">
                     <div class="flex-1">
                         <div class="flex items-center space-x-4">
@@ -213,7 +253,7 @@ class UIManager {
                                 </span>
                             </div>
                             <div>
-                                <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium status-${submission.status}">
+                                <span class="submission-status inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium status-${submission.status}">
                                     ${this.formatStatus(submission.status)}
                                 </span>
                             </div>
@@ -221,7 +261,10 @@ class UIManager {
                         <div class="mt-2">
                             <h4 class="text-sm font-medium text-gray-900">${this.escapeHtml(submission.subject || 'No Subject')}</h4>
                             <p class="text-sm text-gray-600">${this.escapeHtml(submission.customer_name)} - ${this.escapeHtml(submission.customer_email)}</p>
-                            <p class="text-xs text-gray-500 mt-1">${this.formatDate(submission.created_at)}</p>
+                            <p class="text-xs text-gray-500 mt-1">
+                                ${this.formatDate(submission.created_at)} •
+                                <span class="submission-assignee">${this.escapeHtml(this.formatAssignee(submission.assignee_name))}</span>
+                            </p>
                         </div>
                     </div>
                     <div class="flex items-center text-gray-400">
@@ -232,6 +275,56 @@ class UIManager {
         `;
     }
 
+    /**
+     * Show a status change made in another session on its row, dropping the
+     * row when the current filter no longer matches
+     */
+    patchSubmissionStatus(submissionId, status) {
+        const row = document.querySelector(`[data-submission-row="${CSS.escape(String(submissionId))}"]`);
+        if (!row) return;
+
+        const filterStatus = this.currentFilters && this.currentFilters.status;
+        const stillListed = filterStatus ? status === filterStatus : status !== 'spam';
+        if (!stillListed) {
+            row.remove();
+            return;
+        }
+
+        const badge = row.querySelector('.submission-status');
+        if (badge) {
+            badge.className = `submission-status inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium status-${status}`;
+            badge.textContent = this.formatStatus(status);
+        }
+    }
+
+    /**
+     * Show an assignment made in another session on its row, dropping the row
+     * from the "Assigned to me" view when it is no longer mine
+     */
+    patchSubmissionAssignee(submissionId, assignedTo, assigneeName) {
+        const row = document.querySelector(`[data-submission-row="${CSS.escape(String(submissionId))}"]`);
+        if (!row) return;
+
+        if (this.currentFilters.assignedTo === 'me' && assignedTo !== this.currentAdminId) {
+            row.remove();
+            return;
+        }
+
+        const label = row.querySelector('.submission-assignee');
+        if (label) {
+            label.textContent = this.formatAssignee(assigneeName);
+        }
+    }
+
+    /**
+     * Check whether a submission's detail modal is open
+     */
+    isSubmissionOpen(submissionId) {
+        const modal = document.getElementById('submissionModal');
+        return Boolean(modal && !modal.classList.contains('hidden') &&
+            String(this.currentSubmissionId) === String(submissionId));
+    }
+
     /**
      * Show submission detail modal
      */
@@ -247,24 +340,110 @@ class UIManager {
         }
 
         let historyHTML = '';
-        if (history && history.length > 1) {
-            historyHTML = this.renderCustomerHistory(history.slice(1));
+        if (history && history.length > 0) {
+            historyHTML = this.renderCustomerHistory(history);
+        }
+
+        // A colleague's change re-renders the open submission; keep any note being written
+        const noteInput = document.getElementById('noteInput');
+        const sameSubmission = String(this.currentSubmissionId) === String(submission.id);
+        const noteDraft = sameSubmission && noteInput ? noteInput.value : '';
+        this.currentNotes = submission.notes || [];
+        if (!sameSubmission || !this.currentNotes.some(note => note.id === this.editingNoteId)) {
+            this.editingNoteId = null;
+        }
+
+        let transcriptHTML = '';
+        if (submission.form_type === 'chat') {
+            transcriptHTML = this.renderChatTranscript(submission.transcript || []);
         }
 
         modalContent.innerHTML = `
             <div class="space-y-6">
+                ${this.renderSpamNotice(submission)}
+                ${this.renderAssignment(submission)}
                 ${this.renderCustomerInfo(submission)}
                 ${this.renderSubmissionInfo(submission)}
                 ${this.renderMessage(submission)}
+                ${transcriptHTML}
+                ${this.renderTimeline(submission.timeline || [])}
                 ${attachmentsHTML}
+                ${this.renderInternalNotes(this.currentNotes)}
                 ${historyHTML}
             </div>
         `;
 
         this.currentSubmissionId = submission.id;
+        this.currentFormType = submission.form_type;
+        this.applyPermissions(modalContent);
+        this.restoreNoteDraft(noteDraft);
+        this.populateMentionHint();
+        this.populateAssigneeSelect(submission);
+        this.updateTextButton(submission);
         this.show('submissionModal');
     }
 
+    /**
+     * Render who the submission is assigned to
+     */
+    renderAssignment(submission) {
+        const since = submission.assigned_to && submission.assigned_at
+            ? ` since ${this.formatDate(submission.assigned_at)}`
+            : '';
+
+        return `
+            <p class="text-sm text-gray-600">
+                <i class="fas fa-user-check mr-1"></i>${this.escapeHtml(this.formatAssignee(submission.assignee_name))}${since}
+            </p>
+        `;
+    }
+
+    /**
+     * Fill the assignee picker, keeping a current assignee who is no longer assignable
+     */
+    async populateAssigneeSelect(submission) {
+        const select = document.getElementById('assigneeSelect');
+        if (!select || !this.can('submissions:assign') || !window.dashboard) return;
+
+        const admins = await window.dashboard.dataManager.getAssignableAdmins().catch(() => []);
+        const options = admins.map(admin => ({ id: admin.id, name: `${admin.first_name} ${admin.last_name}` }));
+        if (submission.assigned_to && !options.some(option => option.id === submission.assigned_to)) {
+            options.push({ id: submission.assigned_to, name: submission.assignee_name || 'Former admin' });
+        }
+
+        select.innerHTML = '<option value="">Unassigned</option>' + options
+            .map(option => `<option value="${this.escapeHtml(option.id)}">${this.escapeHtml(option.name)}</option>`)
+            .join('');
+        select.value = submission.assigned_to || '';
+    }
+
+    /**
+     * Assign the open submission from the detail modal
+     */
+    async handleAssigneeChange(adminId) {
+        if (window.dashboard && window.dashboard.dataManager && this.currentSubmissionId) {
+            await window.dashboard.dataManager.assignSubmission(this.currentSubmissionId, adminId || null);
+        }
+    }
+
+    /**
+     * Render why a submission was quarantined as spam
+     */
+    renderSpamNotice(submission) {
+        const reasons = submission.metadata?.spam?.reasons || [];
+        if (submission.status !== 'spam' || reasons.length === 0) return '';
+
+        return `
+            <div class="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                <p class="font-medium"><i class="fas fa-shield-alt mr-1"></i> Flagged as spam</p>
+                <ul class="mt-2 list-disc list-inside">
+                    ${reasons.map(reason => `<li>${this.escapeHtml(reason)}</li>`).join('')}
+                </ul>
+                <p class="mt-2 text-xs">Attachments and email notifications were skipped. Change the status to keep this lead.</p>
+            </div>
+        `;
+    }
+
     /**
      * Render customer information section
      */
@@ -276,7 +455,17 @@ class UIManager {
                     <div class="mt-2 text-sm text-gray-600">
                         <p><strong>Name:</strong> ${this.escapeHtml(submission.customer_name)}</p>
                         <p><strong>Email:</strong> ${this.escapeHtml(submission.customer_email)}</p>
-                        ${submission.customer_phone ? `<p><strong>Phone:</strong> ${this.escapeHtml(submission.customer_phone)}</p>` : ''}
+                        ${submission.email_bounced_at ? `
+                            <p class="text-red-600" title="Flagged ${this.formatDate(submission.email_bounced_at)}">
+                                <i class="fas fa-exclamation-triangle mr-1"></i>Email undeliverable: ${this.escapeHtml(submission.email_bounce_reason || 'bounced')}
+                            </p>
+                        ` : ''}
+                        ${submission.phone ? `<p><strong>Phone:</strong> ${this.escapeHtml(submission.phone)}</p>` : ''}
+                        ${submission.sms_opted_out_at ? `
+                            <p class="text-red-600" title="Opted out ${this.formatDate(submission.sms_opted_out_at)}">
+                                <i class="fas fa-comment-slash mr-1"></i>Opted out of text messages (texted STOP)
+                            </p>
+                        ` : ''}
                         ${submission.service_location ? `<p><strong>Location:</strong> ${this.escapeHtml(submission.service_location)}</p>` : ''}
                     </div>
                 </div>
@@ -314,6 +503,38 @@ class UIManager {
         return this.renderSubmissionInfo(submission);
     }
 
+    /**
+     * Render the chat conversation for chat submissions
+     */
+    renderChatTranscript(transcript) {
+        if (transcript.length === 0) {
+            return `
+                <div>
+                    <h4 class="text-sm font-medium text-gray-900">Chat Transcript</h4>
+                    <p class="mt-2 text-sm text-gray-500">No messages recorded.</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div>
+                <h4 class="text-sm font-medium text-gray-900">Chat Transcript</h4>
+                <div class="mt-2 space-y-2 max-h-96 overflow-y-auto p-4 bg-gray-50 rounded-lg">
+                    ${transcript.map(entry => `
+                        <div class="flex ${entry.role === 'user' ? 'justify-end' : 'justify-start'}">
+                            <div class="max-w-md px-3 py-2 rounded-lg text-sm ${entry.role === 'user' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border border-gray-200'}">
+                                <p class="whitespace-pre-wrap">${this.escapeHtml(entry.content)}</p>
+                                <p class="text-xs mt-1 ${entry.role === 'user' ? 'text-blue-100' : 'text-gray-400'}">
+                                    ${entry.role === 'user' ? 'Customer' : 'Assistant'} - ${this.formatDate(entry.created_at)}
+                                </p>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Render attachments section
      */
@@ -332,6 +553,281 @@ class UIManager {
         `;
     }
 
+    /**
+     * Render the status changes, responses, emails, texts and on-call alerts on a submission
+     */
+    renderTimeline(timeline) {
+        if (timeline.length === 0) return '';
+
+        const describe = (entry) => {
+            switch (entry.type) {
+                case 'created':
+                    return { icon: 'fa-inbox text-gray-400', title: 'Submitted' };
+                case 'status':
+                    return {
+                        icon: 'fa-exchange-alt text-blue-500',
+                        title: entry.from_status === entry.to_status
+                            ? `Note added (${this.formatStatus(entry.to_status)})`
+                            : `${this.formatStatus(entry.from_status)} → ${this.formatStatus(entry.to_status)}`,
+                        body: entry.notes
+                    };
+                case 'email':
+                    return {
+                        icon: 'fa-envelope text-green-500',
+                        title: 'Response emailed to customer',
+                        body: entry.message,
+                        delivery: this.describeDelivery(entry.delivery)
+                    };
+                case 'response':
+                    return { icon: 'fa-reply text-green-500', title: 'Response recorded', body: entry.message };
+                case 'reply':
+                    return {
+                        icon: 'fa-envelope-open-text text-purple-500',
+                        title: `Customer replied by email (${entry.from_name ? `${entry.from_name} <${entry.from_email}>` : entry.from_email})`,
+                        body: entry.message
+                    };
+                case 'sms':
+                    return {
+                        icon: 'fa-sms text-green-500',
+                        title: entry.kind === 'appointment_confirmation'
+                            ? `Appointment confirmation texted to ${entry.phone}`
+                            : `Text sent to customer (${entry.phone})`,
+                        body: entry.message
+                    };
+                case 'sms_reply':
+                    return {
+                        icon: 'fa-sms text-purple-500',
+                        title: `Customer replied by text (${entry.phone})`,
+                        body: entry.message
+                    };
+                case 'alert': {
+                    const who = [entry.recipient, entry.rota].filter(Boolean).join(', ') || 'on-call rota';
+                    const channels = (entry.channels || []).length > 0
+                        ? ` by ${entry.channels.join(', ')}`
+                        : ' (not delivered)';
+                    return {
+                        icon: entry.level === 'escalation' ? 'fa-bell text-red-500' : 'fa-bell text-orange-500',
+                        title: `${entry.level === 'escalation' ? 'Escalated' : 'On-call alert sent'} to ${who}${channels}`
+                    };
+                }
+                default:
+                    return { icon: 'fa-circle text-gray-400', title: entry.type };
+            }
+        };
+
+        return `
+            <div>
+                <h4 class="text-sm font-medium text-gray-900 mb-2">Timeline</h4>
+                <ol class="space-y-3 border-l-2 border-gray-200 ml-2">
+                    ${timeline.map(entry => {
+                        const { icon, title, body, delivery } = describe(entry);
+                        const admin = entry.admin
+                            ? ` by ${this.escapeHtml(`${entry.admin.first_name} ${entry.admin.last_name}`.trim() || entry.admin.email)}`
+                            : '';
+                        return `
+                            <li class="relative pl-5 text-sm">
+                                <i class="fas ${icon} absolute -left-2 top-1 bg-white text-xs"></i>
+                                <p class="text-gray-900">${this.escapeHtml(title)}${delivery ? `
+                                    <span class="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs ${delivery.className}" title="${this.escapeHtml(delivery.detail)}">${delivery.label}</span>
+                                ` : ''}</p>
+                                <p class="text-xs text-gray-500">${this.formatDate(entry.at)}${admin}</p>
+                                ${body ? `<p class="mt-1 text-gray-700 whitespace-pre-wrap">${this.escapeHtml(body)}</p>` : ''}
+                            </li>
+                        `;
+                    }).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    /**
+     * Summarise what Postmark reported for an emailed response; a bounce or
+     * spam complaint outranks a delivery or open that came before it
+     */
+    describeDelivery(delivery) {
+        if (!delivery) return null;
+
+        if (delivery.bounced_at) {
+            return {
+                label: 'Bounced',
+                className: 'bg-red-100 text-red-800',
+                detail: delivery.bounce_description || delivery.bounce_type || ''
+            };
+        }
+        if (delivery.complained_at) {
+            return { label: 'Marked as spam', className: 'bg-red-100 text-red-800', detail: this.formatDate(delivery.complained_at) };
+        }
+        if (delivery.opened_at) {
+            return { label: 'Opened', className: 'bg-green-100 text-green-800', detail: this.formatDate(delivery.opened_at) };
+        }
+        if (delivery.delivered_at) {
+            return { label: 'Delivered', className: 'bg-blue-100 text-blue-800', detail: this.formatDate(delivery.delivered_at) };
+        }
+        return { label: 'Sent', className: 'bg-gray-100 text-gray-700', detail: 'Waiting for delivery' };
+    }
+
+    /**
+     * Render the staff-only notes thread, set apart from anything the customer sees
+     */
+    renderInternalNotes(notes) {
+        const thread = notes.length === 0
+            ? '<p class="text-sm text-gray-500">No internal notes yet.</p>'
+            : notes.map(note => this.renderNote(note)).join('');
+
+        return `
+            <div class="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <h4 class="text-sm font-medium text-gray-900"><i class="fas fa-lock mr-1 text-yellow-600"></i> Internal Notes</h4>
+                <p class="text-xs text-yellow-800">Only staff can see these. They are never sent to the customer.</p>
+                <div class="mt-3 space-y-3">${thread}</div>
+                <div class="mt-3" data-permission="submissions:notes">
+                    <textarea id="noteInput" rows="3" maxlength="5000" class="w-full px-3 py-2 text-sm border border-yellow-300 rounded-md focus:outline-none focus:ring-2 focus:ring-yellow-500" placeholder="Add an internal note. Use @ to mention a colleague."></textarea>
+                    <p id="mentionHint" class="text-xs text-gray-500"></p>
+                    <div class="mt-2 flex justify-end space-x-2">
+                        <button type="button" id="cancelNoteEdit" onclick="window.dashboard.uiManager.cancelNoteEdit()" class="hidden px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50">Cancel</button>
+                        <button type="button" id="saveNote" onclick="window.dashboard.uiManager.handleNoteSubmit()" class="px-3 py-1 text-sm text-white bg-yellow-600 rounded-md hover:bg-yellow-700">Add Note</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one internal note; admins can only change their own
+     */
+    renderNote(note) {
+        const author = note.admin_users
+            ? (`${note.admin_users.first_name} ${note.admin_users.last_name}`.trim() || note.admin_users.email)
+            : 'Former admin';
+        const edited = note.updated_at && new Date(note.updated_at) - new Date(note.created_at) > 1000;
+        const actions = note.admin_id === this.currentAdminId ? `
+            <span data-permission="submissions:notes" class="ml-2">
+                <button type="button" onclick="window.dashboard.uiManager.startNoteEdit('${note.id}')" class="text-blue-600 hover:text-blue-800">Edit</button>
+                <button type="button" onclick="window.dashboard.uiManager.confirmNoteDelete('${note.id}')" class="ml-1 text-red-600 hover:text-red-800">Delete</button>
+            </span>
+        ` : '';
+
+        return `
+            <div class="text-sm border-l-2 border-yellow-400 pl-3">
+                <p class="text-xs text-gray-500">
+                    <strong class="text-gray-700">${this.escapeHtml(author)}</strong> - ${this.formatDate(note.created_at)}${edited ? ' (edited)' : ''}
+                    ${actions}
+                </p>
+                <p class="mt-1 text-gray-800 whitespace-pre-wrap">${this.formatNoteBody(note.body)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Show who can be mentioned under the note box
+     */
+    async populateMentionHint() {
+        const hint = document.getElementById('mentionHint');
+        if (!hint || !this.can('submissions:notes') || !window.dashboard) return;
+
+        const admins = await window.dashboard.dataManager.getMentionableAdmins().catch(() => []);
+        const handles = admins
+            .filter(admin => admin.id !== this.currentAdminId)
+            .map(admin => `@${admin.handle}`);
+        hint.textContent = handles.length > 0 ? `Mention: ${handles.join(', ')}` : '';
+    }
+
+    /**
+     * Put back a note that was being written when the submission re-rendered
+     */
+    restoreNoteDraft(draft) {
+        const noteInput = document.getElementById('noteInput');
+        if (!noteInput) return;
+
+        noteInput.value = draft;
+        this.setNoteEditing(Boolean(this.editingNoteId));
+    }
+
+    /**
+     * Add a note, or save the one being edited
+     */
+    async handleNoteSubmit() {
+        const noteInput = document.getElementById('noteInput');
+        const note = noteInput ? noteInput.value.trim() : '';
+        if (!note) {
+            Toast.warning('Please enter a note');
+            return;
+        }
+
+        if (!window.dashboard || !this.currentSubmissionId) return;
+
+        const dataManager = window.dashboard.dataManager;
+        const saved = this.editingNoteId
+            ? await dataManager.editNote(this.currentSubmissionId, this.editingNoteId, note)
+            : await dataManager.addNote(this.currentSubmissionId, note);
+
+        if (saved) {
+            this.cancelNoteEdit();
+        }
+    }
+
+    /**
+     * Load one of the admin's notes into the note box for editing
+     */
+    startNoteEdit(noteId) {
+        const note = this.currentNotes.find(item => item.id === noteId);
+        const noteInput = document.getElementById('noteInput');
+        if (!note || !noteInput) return;
+
+        this.editingNoteId = noteId;
+        noteInput.value = note.body;
+        this.setNoteEditing(true);
+        noteInput.focus();
+    }
+
+    /**
+     * Leave edit mode and empty the note box
+     */
+    cancelNoteEdit() {
+        const noteInput = document.getElementById('noteInput');
+        if (noteInput) {
+            noteInput.value = '';
+        }
+
+        this.editingNoteId = null;
+        this.setNoteEditing(false);
+    }
+
+    setNoteEditing(editing) {
+        const saveButton = document.getElementById('saveNote');
+        if (saveButton) {
+            saveButton.textContent = editing ? 'Save Note' : 'Add Note';
+        }
+        document.getElementById('cancelNoteEdit')?.classList.toggle('hidden', !editing);
+    }
+
+    /**
+     * Ask before deleting one of the admin's notes
+     */
+    confirmNoteDelete(noteId) {
+        const submissionId = this.currentSubmissionId;
+
+        this.showConfirmationDialog(
+            'Delete note',
+            'This note will be removed for everyone. This cannot be undone.',
+            'Delete',
+            'bg-red-600 hover:bg-red-700',
+            async () => {
+                if (this.editingNoteId === noteId) {
+                    this.cancelNoteEdit();
+                }
+                await window.dashboard.dataManager.deleteNote(submissionId, noteId);
+            }
+        );
+    }
+
+    /**
+     * Escape a note and highlight its @mentions
+     */
+    formatNoteBody(body) {
+        return this.escapeHtml(body).replace(/(^|[^\w.@])@([\w.-]*\w)/g,
+            (match, before, handle) => `${before}<span class="font-medium text-blue-700">@${handle}</span>`);
+    }
+
     /**
      * Render customer history section
      */
@@ -407,6 +903,51 @@ class UIManager {
         this.clearForm('responseForm');
     }
 
+    /**
+     * Enable "Text Customer" only when the open submission's customer can be texted
+     */
+    updateTextButton(submission) {
+        const button = document.getElementById('textCustomerBtn');
+        if (!button) return;
+
+        const reason = !submission.phone
+            ? 'No phone number on file'
+            : submission.sms_opted_out_at ? 'Customer opted out of text messages' : '';
+
+        this.currentTextRecipient = reason ? null : submission.phone;
+        button.disabled = Boolean(reason);
+        button.title = reason;
+        button.classList.toggle('opacity-50', Boolean(reason));
+        button.classList.toggle('cursor-not-allowed', Boolean(reason));
+    }
+
+    /**
+     * Show text modal
+     */
+    showTextModal() {
+        if (!this.currentTextRecipient) return;
+
+        this.setText('textRecipient', this.currentTextRecipient);
+        this.updateTextCount();
+        this.show('textModal');
+    }
+
+    /**
+     * Close text modal
+     */
+    closeTextModal() {
+        this.hide('textModal');
+        this.clearForm('textForm');
+    }
+
+    /**
+     * Show how much of the text limit the message uses
+     */
+    updateTextCount() {
+        const length = (this.getValue('textMessage') || '').length;
+        this.setText('textMessageCount', `${length} / 640`);
+    }
+
     /**
      * Show status modal
      */
@@ -439,6 +980,15 @@ class UIManager {
         }
     }
 
+    /**
+     * Handle text form submission
+     */
+    async handleTextSubmit() {
+        if (window.dashboard && window.dashboard.dataManager) {
+            await window.dashboard.dataManager.sendText(this.currentSubmissionId);
+        }
+    }
+
     /**
      * Handle status form submission
      */
@@ -460,6 +1010,7 @@ class UIManager {
         this.currentFilters = { 
             status: status || null, 
             formType: formType || null,
+            assignedTo: this.currentFilters.assignedTo || null,
             dateFrom: dateFrom || null,
             dateTo: dateTo || null
         };
@@ -487,12 +1038,43 @@ class UIManager {
         // Reset filters and reload data
         this.currentFilters = {};
         this.currentPage = 1;
+        this.updateAssignedToMeButton();
         
         if (window.dashboard && window.dashboard.dataManager) {
             window.dashboard.dataManager.loadFilteredData(this.currentFilters, this.currentPage);
         }
     }
 
+    /**
+     * Toggle the "Assigned to me" quick filter
+     */
+    toggleAssignedToMe() {
+        this.currentFilters = {
+            ...this.currentFilters,
+            assignedTo: this.currentFilters.assignedTo === 'me' ? null : 'me'
+        };
+        this.currentPage = 1;
+        this.updateAssignedToMeButton();
+
+        if (window.dashboard && window.dashboard.dataManager) {
+            window.dashboard.dataManager.loadFilteredData(this.currentFilters, this.currentPage);
+        }
+    }
+
+    /**
+     * Show whether the "Assigned to me" quick filter is on
+     */
+    updateAssignedToMeButton() {
+        const button = document.getElementById('assignedToMeFilter');
+        if (!button) return;
+
+        const active = this.currentFilters.assignedTo === 'me';
+        button.setAttribute('aria-pressed', String(active));
+        button.classList.toggle('bg-blue-100', active);
+        button.classList.toggle('text-blue-800', active);
+        button.classList.toggle('bg-white', !active);
+    }
+
     /**
      * Toggle advanced filters visibility
      */
@@ -712,6 +1294,8 @@ class UIManager {
      * Toggle select all functionality
      */
     toggleSelectAll() {
+        if (!this.can('submissions:bulk-update')) return;
+
         const selectAllCheckbox = document.getElementById('selectAll');
         if (selectAllCheckbox) {
             selectAllCheckbox.click();
@@ -722,6 +1306,8 @@ class UIManager {
      * Handle export shortcut
      */
     handleExport() {
+        if (!this.can('submissions:export')) return;
+
         const exportButton = document.getElementById('exportBtn');
         if (exportButton) {
             exportButton.click();
@@ -733,7 +1319,7 @@ class UIManager {
      */
     handleEscapeKey() {
         // Close any open modals
-        const modals = ['submissionModal', 'responseModal', 'statusModal'];
+        const modals = ['templatesModal', 'calendarModal', 'textModal', 'submissionModal', 'responseModal', 'statusModal', 'auditModal'];
         let modalClosed = false;
 
         for (const modalId of modals) {
@@ -1044,7 +1630,9 @@ class UIManager {
         const types = {
             'estimate': 'Estimate',
             'schedule': 'Schedule',
-            'inquiry': 'Inquiry'
+            'inquiry': 'Inquiry',
+            'consultation': 'Consultation',
+            'chat': 'AI Chat'
         };
         return types[type] || type;
     }
@@ -1054,11 +1642,16 @@ class UIManager {
             'new': 'New',
             'in_progress': 'In Progress',
             'completed': 'Completed',
-            'closed': 'Closed'
+            'closed': 'Closed',
+            'spam': 'Spam'
         };
         return statuses[status] || status;
     }
 
+    formatAssignee(assigneeName) {
+        return assigneeName ? `Assigned to ${assigneeName}` : 'Unassigned';
+    }
+
     formatDate(dateString) {
         return new Date(dateString).toLocaleDateString('en-US', {
             year: 'numeric',
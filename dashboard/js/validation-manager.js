@@ -67,7 +67,7 @@ class ValidationManager {
 
         // Status validation
         this.addRule('status', (value) => {
-            const validStatuses = ['new', 'in_progress', 'completed', 'closed'];
+            const validStatuses = ['new', 'in_progress', 'completed', 'closed', 'spam'];
             return validStatuses.includes(value);
         });
 
@@ -0,0 +1,26 @@
+-- Migration: Local scheduled jobs table
+-- Backs the "supabase" scheduling provider used by get-open-slots and hcp-book
+-- when Housecall Pro is not configured (local development and testing).
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    customer_name VARCHAR(200),
+    customer_email VARCHAR(255),
+    customer_phone VARCHAR(20),
+    service_location TEXT,
+    service_name VARCHAR(255),
+    description TEXT,
+    scheduled_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    scheduled_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    arrival_window_minutes INTEGER,
+    provider VARCHAR(50) DEFAULT 'supabase',
+    status VARCHAR(20) DEFAULT 'scheduled',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_start ON scheduled_jobs(scheduled_start);
+
+DROP TRIGGER IF EXISTS update_scheduled_jobs_updated_at ON scheduled_jobs;
+CREATE TRIGGER update_scheduled_jobs_updated_at BEFORE UPDATE ON scheduled_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
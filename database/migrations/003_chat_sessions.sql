@@ -0,0 +1,18 @@
+-- Migration: Chat sessions table
+-- Server-held conversation state for the scheduling chat (/api/chat),
+-- keyed by the sessionId the widget keeps in localStorage.
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    id VARCHAR(80) PRIMARY KEY,
+    current_step VARCHAR(30) NOT NULL DEFAULT 'greeting',
+    state JSONB NOT NULL DEFAULT '{}',
+    history JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated_at ON chat_sessions(updated_at DESC);
+
+DROP TRIGGER IF EXISTS update_chat_sessions_updated_at ON chat_sessions;
+CREATE TRIGGER update_chat_sessions_updated_at BEFORE UPDATE ON chat_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,20 @@
+-- Migration: Chat transcripts as form submissions
+-- Stores every chat message and links each chat session to the customer and
+-- the 'chat' form submission created once contact details are captured.
+
+ALTER TYPE form_type ADD VALUE IF NOT EXISTS 'chat';
+
+ALTER TABLE chat_sessions
+    ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS submission_id UUID REFERENCES form_submissions(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id VARCHAR(80) NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_submission_id ON chat_sessions(submission_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session_id, created_at);
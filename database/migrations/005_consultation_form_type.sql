@@ -0,0 +1,10 @@
+-- Migration: Chat and consultation form types
+-- Chat leads and consultation requests are tracked as their own form types so
+-- the dashboard can filter and count them separately. 'chat' is repeated here
+-- for databases that skipped 004.
+
+ALTER TYPE form_type ADD VALUE IF NOT EXISTS 'chat';
+ALTER TYPE form_type ADD VALUE IF NOT EXISTS 'consultation';
+
+-- Verify the enum values
+SELECT unnest(enum_range(NULL::form_type));
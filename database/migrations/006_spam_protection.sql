@@ -0,0 +1,14 @@
+-- Migration: Spam protection for public forms
+-- Submissions flagged by the intake spam checks are kept with a 'spam' status
+-- so they can be reviewed in the dashboard. rate_limit_hits backs the
+-- persistent rate limiter shared by every function instance.
+
+ALTER TYPE submission_status ADD VALUE IF NOT EXISTS 'spam';
+
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_key ON rate_limit_hits(key, created_at);
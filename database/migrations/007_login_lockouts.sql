@@ -0,0 +1,19 @@
+-- Migration: Persistent admin login rate limiting
+-- Failed logins are counted in rate_limit_hits (006_spam_protection.sql) per
+-- email and per IP. Each lockout is recorded here; the latest one for an
+-- identifier decides whether login is refused and how long the next lasts.
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('email', 'ip')),
+    identifier VARCHAR(255) NOT NULL,
+    level INTEGER NOT NULL DEFAULT 1,
+    failed_attempts INTEGER NOT NULL,
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    email VARCHAR(255),
+    ip_address VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_lockouts_identifier ON login_lockouts(scope, identifier, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_lockouts_created_at ON login_lockouts(created_at DESC);
@@ -0,0 +1,16 @@
+-- Migration: Dashboard roles
+-- Roles are owner, office_manager, technician and read_only; the permissions
+-- for each are defined in netlify/functions/lib/permissions.js. Accounts
+-- created with the old 'admin'/'super_admin' roles become owners, anything
+-- else read-only. New accounts are read-only until given a role.
+
+UPDATE admin_users SET role = 'owner' WHERE role IN ('admin', 'super_admin');
+UPDATE admin_users SET role = 'read_only'
+    WHERE role IS NULL OR role NOT IN ('owner', 'office_manager', 'technician', 'read_only');
+
+ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT 'read_only';
+ALTER TABLE admin_users ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users ADD CONSTRAINT admin_users_role_check
+    CHECK (role IN ('owner', 'office_manager', 'technician', 'read_only'));
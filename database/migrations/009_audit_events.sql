@@ -0,0 +1,23 @@
+-- Migration: Audit trail of admin actions
+-- admin-dashboard.js records every change and export here: who did it, what
+-- it touched, the values before and after, and where the request came from.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    admin_email VARCHAR(255),
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50) NOT NULL,
+    target_ids TEXT[] NOT NULL DEFAULT '{}',
+    before JSONB,
+    after JSONB,
+    details JSONB,
+    ip_address VARCHAR(255),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_admin_id ON audit_events(admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_target_ids ON audit_events USING GIN (target_ids);
@@ -0,0 +1,16 @@
+-- Migration: Submission status history
+-- Every status change made from the dashboard, single or bulk, is recorded
+-- with the previous status, the admin who made it and their notes. The
+-- submission detail view shows it as a timeline alongside responses.
+
+CREATE TABLE IF NOT EXISTS submission_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    from_status submission_status,
+    to_status submission_status NOT NULL,
+    notes TEXT,
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_status_history_submission_id ON submission_status_history(submission_id, created_at);
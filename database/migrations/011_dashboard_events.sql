@@ -0,0 +1,13 @@
+-- Migration: Dashboard event log
+-- admin-notifications.js streams these rows to open dashboards. The id is the
+-- SSE event id, so a dashboard that reconnects with Last-Event-ID receives
+-- exactly the events it has not seen yet.
+
+CREATE TABLE IF NOT EXISTS dashboard_events (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dashboard_events_created_at ON dashboard_events(created_at);
@@ -0,0 +1,47 @@
+-- Migration: Submission assignment
+-- Each submission can be assigned to one admin. assignment_rotations holds the
+-- optional round-robin used on intake: a row per form type lists the admins
+-- who take turns, and next_index is whose turn it is. Form types without a
+-- row are left unassigned.
+
+ALTER TABLE form_submissions
+    ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES admin_users(id) ON DELETE SET NULL;
+ALTER TABLE form_submissions
+    ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_form_submissions_assigned_to ON form_submissions(assigned_to, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS assignment_rotations (
+    form_type form_type PRIMARY KEY,
+    admin_ids UUID[] NOT NULL DEFAULT '{}',
+    next_index INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The view lists fs.* as it was when created, so it is rebuilt to pick up
+-- the new columns and the assignee's name
+DROP VIEW IF EXISTS submission_details;
+
+CREATE VIEW submission_details AS
+SELECT 
+    fs.*,
+    c.first_name,
+    c.last_name,
+    c.email,
+    (c.first_name || ' ' || c.last_name) AS customer_name,
+    c.email AS customer_email,
+    c.phone,
+    c.address,
+    c.city,
+    c.state,
+    c.zip_code,
+    (au.first_name || ' ' || au.last_name) AS assignee_name,
+    au.email AS assignee_email,
+    COUNT(fa.id) as attachment_count,
+    COUNT(ar.id) as response_count
+FROM form_submissions fs
+JOIN customers c ON fs.customer_id = c.id
+LEFT JOIN admin_users au ON fs.assigned_to = au.id
+LEFT JOIN file_attachments fa ON fs.id = fa.submission_id
+LEFT JOIN admin_responses ar ON fs.id = ar.submission_id
+GROUP BY fs.id, c.id, au.id;
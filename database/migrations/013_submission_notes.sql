@@ -0,0 +1,20 @@
+-- Migration: Internal submission notes
+-- Staff-only notes on a submission, never sent to the customer. An admin can
+-- edit or delete their own notes. mentioned_admin_ids lists the colleagues
+-- @mentioned in the note, who are notified on their dashboards.
+
+CREATE TABLE IF NOT EXISTS submission_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    mentioned_admin_ids UUID[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_notes_submission_id ON submission_notes(submission_id, created_at);
+
+DROP TRIGGER IF EXISTS update_submission_notes_updated_at ON submission_notes;
+CREATE TRIGGER update_submission_notes_updated_at BEFORE UPDATE ON submission_notes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
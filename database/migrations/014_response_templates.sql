@@ -0,0 +1,25 @@
+-- Migration: Response templates
+-- Canned replies for the dashboard's response modal. A template with a
+-- form_type is offered for that form type only, and is_default preselects it
+-- there; templates without one are offered everywhere. Bodies can use
+-- {{merge_fields}} (lib/response-templates.js), filled in per submission when
+-- the response is sent.
+
+CREATE TABLE IF NOT EXISTS response_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    form_type form_type,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (NOT is_default OR form_type IS NOT NULL)
+);
+
+-- One default per form type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_response_templates_default ON response_templates(form_type) WHERE is_default;
+
+DROP TRIGGER IF EXISTS update_response_templates_updated_at ON response_templates;
+CREATE TRIGGER update_response_templates_updated_at BEFORE UPDATE ON response_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
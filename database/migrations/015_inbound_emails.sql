@@ -0,0 +1,19 @@
+-- Migration: Inbound customer emails
+-- Replies customers send to a submission's reply address (see
+-- netlify/functions/lib/inbound-email.js), received through Postmark's inbound
+-- webhook. message_id is Postmark's id, so a retried delivery is stored once.
+
+CREATE TABLE IF NOT EXISTS inbound_emails (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    message_id VARCHAR(255) UNIQUE,
+    from_email VARCHAR(255) NOT NULL,
+    from_name VARCHAR(255),
+    subject TEXT,
+    reply TEXT NOT NULL,
+    body TEXT,
+    received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_emails_submission_id ON inbound_emails(submission_id, received_at);
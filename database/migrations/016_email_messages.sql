@@ -0,0 +1,66 @@
+-- Migration: Outbound email delivery tracking
+-- Every email sent through Postmark is logged with its MessageID, and
+-- Postmark's delivery, bounce, spam complaint and open webhooks (see
+-- netlify/functions/email-delivery.js) fill in what happened to it. A customer
+-- whose address bounces or who reports us as spam is flagged on their
+-- customers row.
+
+CREATE TABLE IF NOT EXISTS email_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider_message_id VARCHAR(255) UNIQUE NOT NULL,
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('customer_notification', 'admin_notification', 'admin_response')),
+    submission_id UUID REFERENCES form_submissions(id) ON DELETE CASCADE,
+    response_id UUID REFERENCES admin_responses(id) ON DELETE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    subject TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    bounced_at TIMESTAMP WITH TIME ZONE,
+    bounce_type VARCHAR(50),
+    bounce_description TEXT,
+    complained_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_messages_submission_id ON email_messages(submission_id, sent_at);
+CREATE INDEX IF NOT EXISTS idx_email_messages_response_id ON email_messages(response_id);
+
+DROP TRIGGER IF EXISTS update_email_messages_updated_at ON email_messages;
+CREATE TRIGGER update_email_messages_updated_at BEFORE UPDATE ON email_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS email_bounced_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS email_bounce_reason TEXT;
+
+-- Rebuilt so the detail view can warn about an address that bounced
+DROP VIEW IF EXISTS submission_details;
+
+CREATE VIEW submission_details AS
+SELECT 
+    fs.*,
+    c.first_name,
+    c.last_name,
+    c.email,
+    (c.first_name || ' ' || c.last_name) AS customer_name,
+    c.email AS customer_email,
+    c.phone,
+    c.address,
+    c.city,
+    c.state,
+    c.zip_code,
+    c.email_bounced_at,
+    c.email_bounce_reason,
+    (au.first_name || ' ' || au.last_name) AS assignee_name,
+    au.email AS assignee_email,
+    COUNT(fa.id) as attachment_count,
+    COUNT(ar.id) as response_count
+FROM form_submissions fs
+JOIN customers c ON fs.customer_id = c.id
+LEFT JOIN admin_users au ON fs.assigned_to = au.id
+LEFT JOIN file_attachments fa ON fs.id = fa.submission_id
+LEFT JOIN admin_responses ar ON fs.id = ar.submission_id
+GROUP BY fs.id, c.id, au.id;
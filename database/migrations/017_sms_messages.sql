@@ -0,0 +1,64 @@
+-- Migration: Text messages to and from customers
+-- Appointment confirmations and admin texts are sent through the SMS provider
+-- (netlify/functions/lib/sms/) and logged here; customer replies arrive on
+-- netlify/functions/sms-inbound.js and are threaded onto the submission the
+-- last text to that number was about. A customer who texts STOP is opted out
+-- on their customers row and is not texted again until they text START.
+
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    submission_id UUID REFERENCES form_submissions(id) ON DELETE CASCADE,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('outbound', 'inbound')),
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('appointment_confirmation', 'admin_message', 'customer_reply')),
+    body TEXT NOT NULL,
+    from_number VARCHAR(20) NOT NULL,
+    to_number VARCHAR(20) NOT NULL,
+    provider_message_id VARCHAR(255) UNIQUE,
+    status VARCHAR(20),
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_messages_submission_id ON sms_messages(submission_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_to_number ON sms_messages(to_number, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_sms_messages_updated_at ON sms_messages;
+CREATE TRIGGER update_sms_messages_updated_at BEFORE UPDATE ON sms_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS sms_opted_in_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS sms_opted_out_at TIMESTAMP WITH TIME ZONE;
+
+-- Rebuilt so the detail view knows whether the customer can be texted
+DROP VIEW IF EXISTS submission_details;
+
+CREATE VIEW submission_details AS
+SELECT
+    fs.*,
+    c.first_name,
+    c.last_name,
+    c.email,
+    (c.first_name || ' ' || c.last_name) AS customer_name,
+    c.email AS customer_email,
+    c.phone,
+    c.address,
+    c.city,
+    c.state,
+    c.zip_code,
+    c.email_bounced_at,
+    c.email_bounce_reason,
+    c.sms_opted_out_at,
+    (au.first_name || ' ' || au.last_name) AS assignee_name,
+    au.email AS assignee_email,
+    COUNT(fa.id) as attachment_count,
+    COUNT(ar.id) as response_count
+FROM form_submissions fs
+JOIN customers c ON fs.customer_id = c.id
+LEFT JOIN admin_users au ON fs.assigned_to = au.id
+LEFT JOIN file_attachments fa ON fs.id = fa.submission_id
+LEFT JOIN admin_responses ar ON fs.id = ar.submission_id
+GROUP BY fs.id, c.id, au.id;
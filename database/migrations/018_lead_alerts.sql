@@ -0,0 +1,71 @@
+-- Migration: On-call alerts for new leads
+-- lead_alert_rules decide which new submissions page someone: the first
+-- active rule (lowest priority) whose form types, urgencies and business-hours
+-- setting match alerts its rota. A rota lists the channels it is reached on
+-- (sms, email, chat) and on_call_shifts says who is on call when. A rule with
+-- escalate_after_minutes alerts its escalation rota, or the same rota again,
+-- when the submission is still 'new' after that long (see
+-- netlify/functions/lead-alert-escalation.js). Every alert sent is logged in
+-- lead_alerts and shown in the submission's timeline.
+
+CREATE TABLE IF NOT EXISTS on_call_rotas (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) UNIQUE NOT NULL,
+    channels TEXT[] NOT NULL DEFAULT '{sms}' CHECK (channels <@ ARRAY['sms', 'email', 'chat']),
+    chat_webhook_url TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS on_call_shifts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rota_id UUID NOT NULL REFERENCES on_call_rotas(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20),
+    email VARCHAR(255),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL CHECK (ends_at > starts_at),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS lead_alert_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    form_types form_type[],
+    urgencies TEXT[],
+    business_hours VARCHAR(10) NOT NULL DEFAULT 'any' CHECK (business_hours IN ('any', 'during', 'outside')),
+    rota_id UUID NOT NULL REFERENCES on_call_rotas(id) ON DELETE CASCADE,
+    escalate_after_minutes INTEGER CHECK (escalate_after_minutes > 0),
+    escalation_rota_id UUID REFERENCES on_call_rotas(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS lead_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES lead_alert_rules(id) ON DELETE SET NULL,
+    rota_id UUID REFERENCES on_call_rotas(id) ON DELETE SET NULL,
+    level VARCHAR(10) NOT NULL CHECK (level IN ('initial', 'escalation')),
+    recipient_name VARCHAR(100),
+    channels TEXT[] NOT NULL DEFAULT '{}',
+    escalate_at TIMESTAMP WITH TIME ZONE,
+    escalated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (submission_id, level)
+);
+
+CREATE INDEX IF NOT EXISTS idx_on_call_shifts_rota_id ON on_call_shifts(rota_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_lead_alert_rules_priority ON lead_alert_rules(priority) WHERE active;
+CREATE INDEX IF NOT EXISTS idx_lead_alerts_submission_id ON lead_alerts(submission_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_lead_alerts_escalate_at ON lead_alerts(escalate_at) WHERE escalated_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_on_call_rotas_updated_at ON on_call_rotas;
+CREATE TRIGGER update_on_call_rotas_updated_at BEFORE UPDATE ON on_call_rotas
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_lead_alert_rules_updated_at ON lead_alert_rules;
+CREATE TRIGGER update_lead_alert_rules_updated_at BEFORE UPDATE ON lead_alert_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
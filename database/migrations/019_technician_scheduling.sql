@@ -0,0 +1,73 @@
+-- Migration: Technicians, working hours and service durations
+-- Backs the appointment calendar on schedule-appointment.html
+-- (get-available-slots and schedule-job). Each job type takes a fixed time;
+-- a window is open when a technician who does that job type is working for
+-- all of it and has nothing else booked. A technician with no
+-- technician_hours rows works business hours. Booked appointments are
+-- scheduled_jobs rows with a technician, and the exclusion constraint below
+-- refuses a second job overlapping one of a technician's jobs, so two
+-- customers booking the same window at once cannot both get it.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS job_types (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS technicians (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    job_type_ids VARCHAR(50)[],
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS technician_hours (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    technician_id UUID NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL CHECK (end_time > start_time),
+    UNIQUE (technician_id, day_of_week)
+);
+
+ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS technician_id UUID REFERENCES technicians(id) ON DELETE SET NULL;
+ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS job_type_id VARCHAR(50) REFERENCES job_types(id) ON DELETE SET NULL;
+
+ALTER TABLE scheduled_jobs DROP CONSTRAINT IF EXISTS scheduled_jobs_technician_overlap;
+ALTER TABLE scheduled_jobs ADD CONSTRAINT scheduled_jobs_technician_overlap EXCLUDE USING gist (
+    technician_id WITH =,
+    tstzrange(scheduled_start, scheduled_end) WITH &&
+) WHERE (technician_id IS NOT NULL AND status <> 'canceled');
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_technician_id ON scheduled_jobs(technician_id, scheduled_start);
+
+DROP TRIGGER IF EXISTS update_job_types_updated_at ON job_types;
+CREATE TRIGGER update_job_types_updated_at BEFORE UPDATE ON job_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_technicians_updated_at ON technicians;
+CREATE TRIGGER update_technicians_updated_at BEFORE UPDATE ON technicians
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The services offered on schedule-appointment.html
+INSERT INTO job_types (id, name, duration_minutes, sort_order) VALUES
+    ('general', 'General Electrical Service', 120, 1),
+    ('panel', 'Panel Replacement/Upgrade', 480, 2),
+    ('lighting', 'Lighting Installation', 180, 3),
+    ('outlet', 'Outlet Installation', 60, 4),
+    ('switch', 'Switch Installation', 60, 5),
+    ('fan', 'Ceiling Fan Installation', 120, 6),
+    ('ev', 'EV Charger Installation', 240, 7),
+    ('repair', 'Electrical Repair', 120, 8),
+    ('other', 'Other Service', 120, 9)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,49 @@
+-- Migration: Shared business calendar
+-- One calendar_settings row holds the weekly hours ({"1": {"open": "08:00",
+-- "close": "17:00"}, ...}, keyed by day of week with 0 = Sunday; a missing
+-- day is closed), the emergency after-hours window ({"start": "17:00",
+-- "end": "22:00"}, wrapping past midnight when end is earlier; null for none)
+-- and the arrival window promised to customers. calendar_closures are
+-- holidays and blackout dates, closed all day from starts_on to ends_on.
+-- Edited from the dashboard and read by the appointment calendar, the chat's
+-- slot offering and new-lead alert rules (see netlify/functions/lib/scheduling/calendar.js).
+
+CREATE TABLE IF NOT EXISTS calendar_settings (
+    id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    weekly_hours JSONB NOT NULL,
+    emergency_window JSONB,
+    arrival_window_minutes INTEGER NOT NULL DEFAULT 60 CHECK (arrival_window_minutes > 0),
+    updated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS calendar_closures (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('holiday', 'blackout')),
+    name VARCHAR(100) NOT NULL,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL CHECK (ends_on >= starts_on),
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_closures_ends_on ON calendar_closures(ends_on);
+
+DROP TRIGGER IF EXISTS update_calendar_settings_updated_at ON calendar_settings;
+CREATE TRIGGER update_calendar_settings_updated_at BEFORE UPDATE ON calendar_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Monday-Friday, 8am-5pm, as the site has always said
+INSERT INTO calendar_settings (id, weekly_hours) VALUES (1, '{
+    "1": {"open": "08:00", "close": "17:00"},
+    "2": {"open": "08:00", "close": "17:00"},
+    "3": {"open": "08:00", "close": "17:00"},
+    "4": {"open": "08:00", "close": "17:00"},
+    "5": {"open": "08:00", "close": "17:00"}
+}')
+ON CONFLICT (id) DO NOTHING;
+
+-- Lead alert rules can page only during the emergency after-hours window
+ALTER TABLE lead_alert_rules DROP CONSTRAINT IF EXISTS lead_alert_rules_business_hours_check;
+ALTER TABLE lead_alert_rules ADD CONSTRAINT lead_alert_rules_business_hours_check
+    CHECK (business_hours IN ('any', 'during', 'outside', 'emergency'));
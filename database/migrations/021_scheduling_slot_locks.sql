@@ -0,0 +1,11 @@
+-- Migration: Scheduling slot locks
+-- hcp-book holds a lock on an appointment window while it checks the
+-- window's capacity with the scheduling provider and books it, so two
+-- customers cannot both be given the last place in the same window. A lock
+-- left behind by a function that died is taken over once it expires.
+
+CREATE TABLE IF NOT EXISTS scheduling_slot_locks (
+    slot_start TIMESTAMP WITH TIME ZONE PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
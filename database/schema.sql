@@ -1,9 +1,12 @@
 -- AJ Long Electric Form Management System Database Schema
 -- Compatible with PostgreSQL (Supabase)
 
+-- Extensions (btree_gist lets scheduled_jobs refuse overlapping jobs per technician)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 -- Create enum types for form types and status
-CREATE TYPE form_type AS ENUM ('estimate', 'schedule', 'inquiry');
-CREATE TYPE submission_status AS ENUM ('new', 'in_progress', 'completed', 'closed');
+CREATE TYPE form_type AS ENUM ('estimate', 'schedule', 'inquiry', 'chat', 'consultation');
+CREATE TYPE submission_status AS ENUM ('new', 'in_progress', 'completed', 'closed', 'spam');
 
 -- Migration note: If you have an existing database with the old enum values, run:
 -- ALTER TYPE submission_status ADD VALUE 'completed';
@@ -22,6 +25,10 @@ CREATE TABLE customers (
     city VARCHAR(100),
     state VARCHAR(10),
     zip_code VARCHAR(10),
+    email_bounced_at TIMESTAMP WITH TIME ZONE, -- Set when the address bounces or reports us as spam
+    email_bounce_reason TEXT,
+    sms_opted_in_at TIMESTAMP WITH TIME ZONE, -- Set when the customer texts START
+    sms_opted_out_at TIMESTAMP WITH TIME ZONE, -- Set when the customer texts STOP; no texts are sent while set
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -42,6 +49,8 @@ CREATE TABLE form_submissions (
     service_location TEXT,
     urgency VARCHAR(20) DEFAULT 'normal',
     metadata JSONB, -- For storing additional form-specific data
+    assigned_to UUID, -- References admin_users, added below
+    assigned_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -74,13 +83,310 @@ CREATE TABLE admin_users (
     password_hash VARCHAR(255) NOT NULL,
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
-    role VARCHAR(50) DEFAULT 'admin',
+    role VARCHAR(50) NOT NULL DEFAULT 'read_only' CHECK (role IN ('owner', 'office_manager', 'technician', 'read_only')),
     is_active BOOLEAN DEFAULT true,
     last_login_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+ALTER TABLE form_submissions ADD CONSTRAINT form_submissions_assigned_to_fkey
+    FOREIGN KEY (assigned_to) REFERENCES admin_users(id) ON DELETE SET NULL;
+
+-- Create assignment rotations table (round-robin assignment on intake)
+CREATE TABLE assignment_rotations (
+    form_type form_type PRIMARY KEY,
+    admin_ids UUID[] NOT NULL DEFAULT '{}',
+    next_index INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create submission status history table (status changes and admin notes)
+CREATE TABLE submission_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    from_status submission_status,
+    to_status submission_status NOT NULL,
+    notes TEXT,
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create submission notes table (internal staff notes, never sent to customers)
+CREATE TABLE submission_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    mentioned_admin_ids UUID[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create response templates table (canned replies with merge fields)
+CREATE TABLE response_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    form_type form_type,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (NOT is_default OR form_type IS NOT NULL)
+);
+
+-- Create inbound emails table (customer replies threaded to their submission)
+CREATE TABLE inbound_emails (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    message_id VARCHAR(255) UNIQUE,
+    from_email VARCHAR(255) NOT NULL,
+    from_name VARCHAR(255),
+    subject TEXT,
+    reply TEXT NOT NULL,
+    body TEXT,
+    received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create email messages table (outbound emails and what Postmark reports about them)
+CREATE TABLE email_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider_message_id VARCHAR(255) UNIQUE NOT NULL,
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('customer_notification', 'admin_notification', 'admin_response')),
+    submission_id UUID REFERENCES form_submissions(id) ON DELETE CASCADE,
+    response_id UUID REFERENCES admin_responses(id) ON DELETE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    subject TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    bounced_at TIMESTAMP WITH TIME ZONE,
+    bounce_type VARCHAR(50),
+    bounce_description TEXT,
+    complained_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create SMS messages table (texts to and from customers)
+CREATE TABLE sms_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    customer_id UUID REFERENCES customers(id) ON DELETE CASCADE,
+    submission_id UUID REFERENCES form_submissions(id) ON DELETE CASCADE,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('outbound', 'inbound')),
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('appointment_confirmation', 'admin_message', 'customer_reply')),
+    body TEXT NOT NULL,
+    from_number VARCHAR(20) NOT NULL,
+    to_number VARCHAR(20) NOT NULL,
+    provider_message_id VARCHAR(255) UNIQUE,
+    status VARCHAR(20),
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create on-call rota tables (who new-lead alerts go to, and how)
+CREATE TABLE on_call_rotas (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) UNIQUE NOT NULL,
+    channels TEXT[] NOT NULL DEFAULT '{sms}' CHECK (channels <@ ARRAY['sms', 'email', 'chat']),
+    chat_webhook_url TEXT, -- Slack or Google Chat incoming webhook, for the chat channel
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE on_call_shifts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rota_id UUID NOT NULL REFERENCES on_call_rotas(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20),
+    email VARCHAR(255),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL CHECK (ends_at > starts_at),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create lead alert rules table (the first active match, lowest priority first, alerts)
+CREATE TABLE lead_alert_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    form_types form_type[], -- NULL matches every form type
+    urgencies TEXT[], -- NULL matches every urgency
+    business_hours VARCHAR(10) NOT NULL DEFAULT 'any' CHECK (business_hours IN ('any', 'during', 'outside', 'emergency')),
+    rota_id UUID NOT NULL REFERENCES on_call_rotas(id) ON DELETE CASCADE,
+    escalate_after_minutes INTEGER CHECK (escalate_after_minutes > 0), -- NULL never escalates
+    escalation_rota_id UUID REFERENCES on_call_rotas(id) ON DELETE SET NULL, -- NULL escalates to rota_id again
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create lead alerts table (alerts sent, and escalations still pending)
+CREATE TABLE lead_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    submission_id UUID NOT NULL REFERENCES form_submissions(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES lead_alert_rules(id) ON DELETE SET NULL,
+    rota_id UUID REFERENCES on_call_rotas(id) ON DELETE SET NULL,
+    level VARCHAR(10) NOT NULL CHECK (level IN ('initial', 'escalation')),
+    recipient_name VARCHAR(100),
+    channels TEXT[] NOT NULL DEFAULT '{}', -- Channels the alert was delivered on
+    escalate_at TIMESTAMP WITH TIME ZONE,
+    escalated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (submission_id, level)
+);
+
+-- Create calendar tables (business hours, emergency window, holidays and blackout dates)
+CREATE TABLE calendar_settings (
+    id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    weekly_hours JSONB NOT NULL,
+    emergency_window JSONB,
+    arrival_window_minutes INTEGER NOT NULL DEFAULT 60 CHECK (arrival_window_minutes > 0),
+    updated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE calendar_closures (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('holiday', 'blackout')),
+    name VARCHAR(100) NOT NULL,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL CHECK (ends_on >= starts_on),
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create job types table (services customers can book, and how long each takes)
+CREATE TABLE job_types (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create technician tables (who appointments are booked with, and when they work)
+CREATE TABLE technicians (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    job_type_ids VARCHAR(50)[],
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE technician_hours (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    technician_id UUID NOT NULL REFERENCES technicians(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL CHECK (end_time > start_time),
+    UNIQUE (technician_id, day_of_week)
+);
+
+-- Create scheduled jobs table (local scheduling provider and technician appointments)
+CREATE TABLE scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    customer_name VARCHAR(200),
+    customer_email VARCHAR(255),
+    customer_phone VARCHAR(20),
+    service_location TEXT,
+    service_name VARCHAR(255),
+    description TEXT,
+    scheduled_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    scheduled_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    arrival_window_minutes INTEGER,
+    provider VARCHAR(50) DEFAULT 'supabase',
+    status VARCHAR(20) DEFAULT 'scheduled',
+    technician_id UUID REFERENCES technicians(id) ON DELETE SET NULL,
+    job_type_id VARCHAR(50) REFERENCES job_types(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT scheduled_jobs_technician_overlap EXCLUDE USING gist (
+        technician_id WITH =,
+        tstzrange(scheduled_start, scheduled_end) WITH &&
+    ) WHERE (technician_id IS NOT NULL AND status <> 'canceled')
+);
+
+-- Create scheduling slot locks table (one per business day, held while a chat or calendar booking checks and books a window)
+CREATE TABLE scheduling_slot_locks (
+    slot_start TIMESTAMP WITH TIME ZONE PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create chat sessions table (server-held state for the scheduling chat)
+CREATE TABLE chat_sessions (
+    id VARCHAR(80) PRIMARY KEY,
+    current_step VARCHAR(30) NOT NULL DEFAULT 'greeting',
+    state JSONB NOT NULL DEFAULT '{}',
+    history JSONB NOT NULL DEFAULT '[]',
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    submission_id UUID REFERENCES form_submissions(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create chat messages table (full transcript of each chat session)
+CREATE TABLE chat_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id VARCHAR(80) NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create rate limit hits table (persistent rate limiter for public endpoints)
+CREATE TABLE rate_limit_hits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create login lockouts table (admin login brute-force protection)
+CREATE TABLE login_lockouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('email', 'ip')),
+    identifier VARCHAR(255) NOT NULL,
+    level INTEGER NOT NULL DEFAULT 1,
+    failed_attempts INTEGER NOT NULL,
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    email VARCHAR(255),
+    ip_address VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create audit events table (admin action audit trail)
+CREATE TABLE audit_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    admin_email VARCHAR(255),
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50) NOT NULL,
+    target_ids TEXT[] NOT NULL DEFAULT '{}',
+    before JSONB,
+    after JSONB,
+    details JSONB,
+    ip_address VARCHAR(255),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create dashboard events table (real-time dashboard notifications)
+CREATE TABLE dashboard_events (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_customers_email ON customers(email);
 CREATE INDEX idx_form_submissions_customer_id ON form_submissions(customer_id);
@@ -90,6 +396,33 @@ CREATE INDEX idx_form_submissions_created_at ON form_submissions(created_at DESC
 CREATE INDEX idx_file_attachments_submission_id ON file_attachments(submission_id);
 CREATE INDEX idx_admin_responses_submission_id ON admin_responses(submission_id);
 CREATE INDEX idx_admin_users_email ON admin_users(email);
+CREATE INDEX idx_scheduled_jobs_start ON scheduled_jobs(scheduled_start);
+CREATE INDEX idx_scheduled_jobs_technician_id ON scheduled_jobs(technician_id, scheduled_start);
+CREATE INDEX idx_calendar_closures_ends_on ON calendar_closures(ends_on);
+CREATE INDEX idx_chat_sessions_updated_at ON chat_sessions(updated_at DESC);
+CREATE INDEX idx_chat_sessions_submission_id ON chat_sessions(submission_id);
+CREATE INDEX idx_chat_messages_session_id ON chat_messages(session_id, created_at);
+CREATE INDEX idx_rate_limit_hits_key ON rate_limit_hits(key, created_at);
+CREATE INDEX idx_login_lockouts_identifier ON login_lockouts(scope, identifier, created_at DESC);
+CREATE INDEX idx_login_lockouts_created_at ON login_lockouts(created_at DESC);
+CREATE INDEX idx_submission_status_history_submission_id ON submission_status_history(submission_id, created_at);
+CREATE INDEX idx_audit_events_created_at ON audit_events(created_at DESC);
+CREATE INDEX idx_audit_events_admin_id ON audit_events(admin_id, created_at DESC);
+CREATE INDEX idx_audit_events_action ON audit_events(action, created_at DESC);
+CREATE INDEX idx_audit_events_target_ids ON audit_events USING GIN (target_ids);
+CREATE INDEX idx_dashboard_events_created_at ON dashboard_events(created_at);
+CREATE INDEX idx_form_submissions_assigned_to ON form_submissions(assigned_to, created_at DESC);
+CREATE INDEX idx_submission_notes_submission_id ON submission_notes(submission_id, created_at);
+CREATE UNIQUE INDEX idx_response_templates_default ON response_templates(form_type) WHERE is_default;
+CREATE INDEX idx_inbound_emails_submission_id ON inbound_emails(submission_id, received_at);
+CREATE INDEX idx_email_messages_submission_id ON email_messages(submission_id, sent_at);
+CREATE INDEX idx_email_messages_response_id ON email_messages(response_id);
+CREATE INDEX idx_sms_messages_submission_id ON sms_messages(submission_id, created_at);
+CREATE INDEX idx_sms_messages_to_number ON sms_messages(to_number, created_at DESC);
+CREATE INDEX idx_on_call_shifts_rota_id ON on_call_shifts(rota_id, starts_at);
+CREATE INDEX idx_lead_alert_rules_priority ON lead_alert_rules(priority) WHERE active;
+CREATE INDEX idx_lead_alerts_submission_id ON lead_alerts(submission_id, created_at);
+CREATE INDEX idx_lead_alerts_escalate_at ON lead_alerts(escalate_at) WHERE escalated_at IS NULL;
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -110,6 +443,60 @@ CREATE TRIGGER update_form_submissions_updated_at BEFORE UPDATE ON form_submissi
 CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_scheduled_jobs_updated_at BEFORE UPDATE ON scheduled_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_chat_sessions_updated_at BEFORE UPDATE ON chat_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_submission_notes_updated_at BEFORE UPDATE ON submission_notes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_response_templates_updated_at BEFORE UPDATE ON response_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_email_messages_updated_at BEFORE UPDATE ON email_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_sms_messages_updated_at BEFORE UPDATE ON sms_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_on_call_rotas_updated_at BEFORE UPDATE ON on_call_rotas
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_lead_alert_rules_updated_at BEFORE UPDATE ON lead_alert_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_job_types_updated_at BEFORE UPDATE ON job_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_technicians_updated_at BEFORE UPDATE ON technicians
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_calendar_settings_updated_at BEFORE UPDATE ON calendar_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The services offered on schedule-appointment.html
+INSERT INTO job_types (id, name, duration_minutes, sort_order) VALUES
+    ('general', 'General Electrical Service', 120, 1),
+    ('panel', 'Panel Replacement/Upgrade', 480, 2),
+    ('lighting', 'Lighting Installation', 180, 3),
+    ('outlet', 'Outlet Installation', 60, 4),
+    ('switch', 'Switch Installation', 60, 5),
+    ('fan', 'Ceiling Fan Installation', 120, 6),
+    ('ev', 'EV Charger Installation', 240, 7),
+    ('repair', 'Electrical Repair', 120, 8),
+    ('other', 'Other Service', 120, 9);
+
+-- Monday-Friday, 8am-5pm
+INSERT INTO calendar_settings (id, weekly_hours) VALUES (1, '{
+    "1": {"open": "08:00", "close": "17:00"},
+    "2": {"open": "08:00", "close": "17:00"},
+    "3": {"open": "08:00", "close": "17:00"},
+    "4": {"open": "08:00", "close": "17:00"},
+    "5": {"open": "08:00", "close": "17:00"}
+}');
+
 -- Create your admin user with this command after setup:
 -- 
 -- First, generate a secure password hash using bcrypt:
@@ -155,10 +542,16 @@ SELECT
     c.city,
     c.state,
     c.zip_code,
+    c.email_bounced_at,
+    c.email_bounce_reason,
+    c.sms_opted_out_at,
+    (au.first_name || ' ' || au.last_name) AS assignee_name,
+    au.email AS assignee_email,
     COUNT(fa.id) as attachment_count,
     COUNT(ar.id) as response_count
 FROM form_submissions fs
 JOIN customers c ON fs.customer_id = c.id
+LEFT JOIN admin_users au ON fs.assigned_to = au.id
 LEFT JOIN file_attachments fa ON fs.id = fa.submission_id
 LEFT JOIN admin_responses ar ON fs.id = ar.submission_id
-GROUP BY fs.id, c.id;
+GROUP BY fs.id, c.id, au.id;
@@ -66,6 +66,17 @@ document.addEventListener('DOMContentLoaded', () => {
         selectedTimeSlot: null
     };
     
+    // Controller for the reply currently streaming in, so a new message can cancel it
+    let activeStream = null;
+    
+    // Business hours and arrival window, as set in the dashboard; these
+    // defaults stand until the calendar has loaded
+    let businessCalendar = {
+        hours_summary: 'Monday-Friday, 8am-5pm',
+        arrival_window_minutes: 60
+    };
+    loadBusinessCalendar();
+    
     // Auto-resize textarea as user types
     userInput.addEventListener('input', () => {
         userInput.style.height = 'auto';
@@ -90,6 +101,12 @@ document.addEventListener('DOMContentLoaded', () => {
         const message = userInput.value.trim();
         if (!message) return;
         
+        // Cancel a reply that is still streaming in
+        if (activeStream) {
+            activeStream.abort();
+            activeStream = null;
+        }
+        
         // Add user message to chat
         addMessage(message, 'user');
         
@@ -110,8 +127,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Remove typing indicator
                 removeTypingIndicator();
                 
-                // Add AI response to chat
-                addMessage(response.message, 'bot');
+                // Add AI response to chat (streamed replies are already shown)
+                if (!response.streamed) {
+                    addMessage(response.message, 'bot');
+                }
                 
                 // Update state
                 updateState(response);
@@ -127,6 +146,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 userInput.focus();
             })
             .catch(error => {
+                // Superseded by a newer message; that request owns the UI now
+                if (error.name === 'AbortError') return;
+                
                 console.error('Error processing message:', error);
                 removeTypingIndicator();
                 
@@ -241,6 +263,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 try {
                     return await processMessageWithStreaming(message);
                 } catch (streamError) {
+                    // Once the server has answered, it has already acted on the
+                    // message; sending it again would repeat that (a booking, say)
+                    if (streamError.name === 'AbortError' || streamError.streamStarted) throw streamError;
                     console.warn('Streaming response failed, falling back to standard API:', streamError);
                     // Fall back to standard endpoint if streaming fails
                 }
@@ -294,6 +319,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 return await simulateAIResponse(message, state);
             }
         } catch (error) {
+            if (error.name === 'AbortError' || error.streamStarted) throw error;
             console.error('Error in processMessage:', error);
             // Fall back to client-side simulation if API fails
             console.log('Falling back to client-side AI simulation after API error');
@@ -310,6 +336,13 @@ document.addEventListener('DOMContentLoaded', () => {
         if (response.sessionId) {
             state.sessionId = response.sessionId;
             console.log('Session ID updated:', state.sessionId);
+            
+            // Persist so the server-held session survives a page reload
+            try {
+                localStorage.setItem('aiChatSessionId', response.sessionId);
+            } catch (e) {
+                console.warn('Could not save session ID to localStorage:', e);
+            }
         }
         
         // Update service details if provided
@@ -369,6 +402,8 @@ document.addEventListener('DOMContentLoaded', () => {
             renderScheduleOptions(content.scheduleOptions);
         } else if (content.confirmationDetails) {
             renderConfirmationDetails(content.confirmationDetails);
+        } else if (content.gatheringDetails) {
+            infoContent.innerHTML = gatheringDetailsInfoContent(content.gatheringDetails);
         }
     }
     
@@ -388,7 +423,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 ${dates.map((date, index) => `
                     <div class="date-option ${index === 0 ? 'selected' : ''}" data-date="${date}">
                         <div class="day-name">${date.split(',')[0]}</div>
-                        <div class="date">${date.split(',')[1].trim().split(' ')[0]}/${getMonthNumber(date.split(',')[1].trim().split(' ')[1])}</div>
+                        <div class="date">${formatShortDate(dateGroups[date][0].start)}</div>
                     </div>
                 `).join('')}
             </div>
@@ -461,7 +496,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const unavailableClass = slot.unavailable ? 'unavailable' : '';
             
             return `
-                <div class="time-slot ${unavailableClass}" data-day="${date.split(',')[0]}" data-time="${slot.time}">
+                <div class="time-slot ${unavailableClass}" data-day="${date.split(',')[0]}" data-time="${slot.time}" data-start="${slot.start}">
                     ${slot.time}
                 </div>
             `;
@@ -480,6 +515,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 const selectedDay = slot.dataset.day;
                 const selectedTime = slot.dataset.time;
+                const selectedOption = (state.scheduleOptions || []).find(option => option.start === slot.dataset.start);
+                
+                if (!selectedOption) {
+                    console.warn('Selected time slot is not in the current schedule options');
+                    return;
+                }
                 
                 // Simulate user selecting this time slot
                 const timeMessage = `I'd like to schedule for ${selectedDay} at ${selectedTime}`;
@@ -489,38 +530,31 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 // Process as if user had typed this message
                 showTypingIndicator();
-                selectTimeSlot(selectedDay, selectedTime);
+                selectTimeSlot(selectedOption);
             });
         });
     }
     
     /**
      * Selects a time slot and updates the state
-     * @param {string} day - The selected day
-     * @param {string} time - The selected time
+     * @param {Object} slot - The selected slot from get-open-slots
      */
-    function selectTimeSlot(day, time) {
-        // Create a full date string
-        const selectedDate = `${day}, May ${getDayOfMonth(day)}, 2025`;
-        
-        // Get end time (2 hours after start time)
-        const endTime = getEndTime(time);
-        
+    function selectTimeSlot(slot) {
         // Selected time slot
         const selectedSlot = {
-            day,
-            time,
-            endTime,
-            date: selectedDate,
-            start: new Date(`May ${getDayOfMonth(day)}, 2025 ${time}`).toISOString(),
-            end: new Date(`May ${getDayOfMonth(day)}, 2025 ${endTime}`).toISOString()
+            day: slot.date.split(',')[0],
+            time: slot.time,
+            endTime: slot.endTime,
+            date: slot.date,
+            start: slot.start,
+            end: slot.end
         };
         
         // Update state
         state.selectedTimeSlot = selectedSlot;
         
         // Book with Housecall Pro
-        bookWithHCP(state.serviceDetails.customer, {id: null}, selectedSlot.start)
+        bookWithHCP(state.serviceDetails.customer, state.serviceDetails.location, selectedSlot)
             .then(data => {
                 removeTypingIndicator();
                 
@@ -544,7 +578,7 @@ document.addEventListener('DOMContentLoaded', () => {
             .catch(error => {
                 console.error('Error booking with HCP:', error);
                 removeTypingIndicator();
-                addMessage("I'm sorry, there was an error booking your appointment. Please try again later.", 'bot');
+                addMessage((error && error.message) || "I'm sorry, there was an error booking your appointment. Please try again later.", 'bot');
                 userInput.disabled = false;
                 sendBtn.disabled = false;
             });
@@ -687,84 +721,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // Helper functions
     
     /**
-     * Calculates the day of month based on day name (for our simulation)
-     * @param {string} day - Day name (e.g., "Monday")
-     * @returns {number} - Day of month
-     */
-    function getDayOfMonth(day) {
-        const days = {
-            'Monday': 20,
-            'Tuesday': 21,
-            'Wednesday': 22,
-            'Thursday': 23,
-            'Friday': 24
-        };
-        return days[day] || 20;
-    }
-    
-    /**
-     * Gets month number from month name
-     * @param {string} month - Month name
-     * @returns {number} - Month number
-     */
-    function getMonthNumber(month) {
-        const months = {
-            'January': 1,
-            'February': 2,
-            'March': 3,
-            'April': 4,
-            'May': 5,
-            'June': 6,
-            'July': 7,
-            'August': 8,
-            'September': 9,
-            'October': 10,
-            'November': 11,
-            'December': 12
-        };
-        return months[month] || 5;
-    }
-    
-    /**
-     * Calculates end time based on start time
-     * @param {string} startTime - Start time (e.g., "8:00 AM")
-     * @returns {string} - End time (e.g., "10:00 AM")
+     * Formats an ISO timestamp as month/day for the date selector
+     * @param {string} isoString - Slot start time
+     * @returns {string} - Short date (e.g., "5/20")
      */
-    function getEndTime(startTime) {
-        const timeParts = startTime.match(/(\d+):(\d+)\s*(AM|PM)/i);
-        if (!timeParts) return startTime;
-        
-        let hours = parseInt(timeParts[1]);
-        const minutes = parseInt(timeParts[2]);
-        const period = timeParts[3].toUpperCase();
-        
-        // Convert to 24-hour format
-        if (period === 'PM' && hours < 12) {
-            hours += 12;
-        } else if (period === 'AM' && hours === 12) {
-            hours = 0;
-        }
-        
-        // Add 2 hours for service duration
-        hours += 2;
-        
-        // Convert back to 12-hour format
-        let endPeriod = 'AM';
-        if (hours >= 12) {
-            endPeriod = 'PM';
-            if (hours > 12) {
-                hours -= 12;
-            }
-        }
-        if (hours === 0) {
-            hours = 12;
-        }
-        
-        return `${hours}:${minutes.toString().padStart(2, '0')} ${endPeriod}`;
+    function formatShortDate(isoString) {
+        const date = new Date(isoString);
+        return `${date.getMonth() + 1}/${date.getDate()}`;
     }
     
     /**
-     * Calculates arrival window end time (1 hour after start)
+     * Calculates arrival window end time (the business calendar's arrival
+     * window after start)
      * @param {string} startTime - Start time (e.g., "8:00 AM")
      * @returns {string} - End of arrival window (e.g., "9:00 AM")
      */
@@ -773,7 +741,6 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!timeParts) return startTime;
         
         let hours = parseInt(timeParts[1]);
-        const minutes = parseInt(timeParts[2]);
         const period = timeParts[3].toUpperCase();
         
         // Convert to 24-hour format
@@ -783,8 +750,10 @@ document.addEventListener('DOMContentLoaded', () => {
             hours = 0;
         }
         
-        // Add 1 hour for arrival window
-        hours += 1;
+        // Add the arrival window
+        const end = hours * 60 + parseInt(timeParts[2]) + businessCalendar.arrival_window_minutes;
+        hours = Math.floor(end / 60) % 24;
+        const minutes = end % 60;
         
         // Convert back to 12-hour format
         let endPeriod = 'AM';
@@ -1056,6 +1025,12 @@ document.addEventListener('DOMContentLoaded', () => {
                         <i class="fas fa-user text-aj-orange mr-3"></i>
                         <span>Your name</span>
                     </li>` : ''}
+                    
+                    ${!state.serviceDetails.customer?.email ? `
+                    <li class="flex items-center">
+                        <i class="fas fa-envelope text-aj-orange mr-3"></i>
+                        <span>Email address</span>
+                    </li>` : ''}
                 </ul>
                 
                 ${state.serviceDetails.location ? `
@@ -1064,11 +1039,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     <p class="text-gray-700">${state.serviceDetails.location}</p>
                 </div>` : ''}
                 
-                ${(state.serviceDetails.customer?.name || state.serviceDetails.customer?.phone) ? `
+                ${(state.serviceDetails.customer?.name || state.serviceDetails.customer?.phone || state.serviceDetails.customer?.email) ? `
                 <div class="mt-4 py-3 bg-gray-100 rounded-lg px-4">
                     <p class="font-medium">Contact Information:</p>
                     ${state.serviceDetails.customer?.name ? `<p class="text-gray-700">Name: ${state.serviceDetails.customer.name}</p>` : ''}
                     ${state.serviceDetails.customer?.phone ? `<p class="text-gray-700">Phone: ${state.serviceDetails.customer.phone}</p>` : ''}
+                    ${state.serviceDetails.customer?.email ? `<p class="text-gray-700">Email: ${state.serviceDetails.customer.email}</p>` : ''}
                 </div>` : ''}
             </div>
         `;
@@ -1084,85 +1060,74 @@ document.addEventListener('DOMContentLoaded', () => {
             <div class="info-placeholder">
                 <i class="fas fa-calendar-check"></i>
                 <p>Tell us your preferred time for your ${serviceType} service, and we'll show you available slots.</p>
-                <p class="mt-4 text-sm">We schedule services Monday-Friday, 8am-5pm Eastern Time.</p>
+                <p class="mt-4 text-sm">We schedule services ${businessCalendar.hours_summary}, Eastern Time.</p>
             </div>
         `;
     }
     
-    // Mock time slot data generators
-    
-    function getMorningTimeSlots() {
-        return [
-            { date: "Monday, May 20, 2025", time: "8:00 AM", unavailable: false },
-            { date: "Tuesday, May 21, 2025", time: "9:30 AM", unavailable: false },
-            { date: "Wednesday, May 22, 2025", time: "10:00 AM", unavailable: false },
-            { date: "Thursday, May 23, 2025", time: "8:00 AM", unavailable: true },
-            { date: "Friday, May 24, 2025", time: "9:00 AM", unavailable: true }
-        ];
-    }
-    
-    function getAfternoonTimeSlots() {
-        return [
-            { date: "Monday, May 20, 2025", time: "1:00 PM", unavailable: false },
-            { date: "Tuesday, May 21, 2025", time: "2:30 PM", unavailable: false },
-            { date: "Wednesday, May 22, 2025", time: "1:00 PM", unavailable: true },
-            { date: "Thursday, May 23, 2025", time: "3:00 PM", unavailable: false },
-            { date: "Friday, May 24, 2025", time: "2:00 PM", unavailable: true }
-        ];
-    }
-    
-    function getMondayTimeSlots() {
-        return [
-            { date: "Monday, May 20, 2025", time: "8:00 AM", unavailable: false },
-            { date: "Monday, May 20, 2025", time: "1:00 PM", unavailable: false }
-        ];
-    }
-    
-    function getTuesdayTimeSlots() {
-        return [
-            { date: "Tuesday, May 21, 2025", time: "9:30 AM", unavailable: false },
-            { date: "Tuesday, May 21, 2025", time: "2:30 PM", unavailable: false }
-        ];
-    }
-    
-    function getWednesdayTimeSlots() {
-        return [
-            { date: "Wednesday, May 22, 2025", time: "10:00 AM", unavailable: false },
-            { date: "Wednesday, May 22, 2025", time: "1:00 PM", unavailable: true }
-        ];
+    /**
+     * Loads business hours and the arrival window from the business calendar;
+     * the defaults are kept if it cannot be reached
+     */
+    async function loadBusinessCalendar() {
+        try {
+            const res = await fetch('/.netlify/functions/calendar-config');
+            const data = await res.json();
+            if (res.ok && data.success) {
+                businessCalendar = data.calendar;
+            }
+        } catch (error) {
+            console.warn('Could not load business hours:', error);
+        }
     }
     
+    /**
+     * Fetches open appointment windows from the scheduling provider
+     * @param {number} days - How many days ahead to search
+     * @returns {Promise<Array>} - Open slots (empty if none or on error)
+     */
     async function getOpenSlots(days = 7) {
         const res = await fetch(`/.netlify/functions/get-open-slots?days=${days}`);
-        return res.json();
-    }
-
-    function getThursdayTimeSlots() {
-        return [
-            { date: "Thursday, May 23, 2025", time: "8:00 AM", unavailable: true },
-            { date: "Thursday, May 23, 2025", time: "3:00 PM", unavailable: false }
-        ];
+        if (!res.ok) {
+            console.error('Open slots request failed:', res.status);
+            return [];
+        }
+        const slots = await res.json();
+        return Array.isArray(slots) ? slots : [];
     }
 
-    async function bookWithHCP(customerObj, addressObj, slotISO) {
-        // 1️⃣ create / update customer
+    /**
+     * Books the selected slot as a job with the scheduling provider
+     * @param {Object} customerObj - Customer details gathered in chat
+     * @param {string} location - Service address
+     * @param {Object} slot - Selected slot with ISO start/end
+     * @returns {Promise<Object>} - Confirmation details
+     */
+    async function bookWithHCP(customerObj, location, slot) {
         const payload = {
-            type   : 'job',
+            type    : 'job',
+            customer: {
+                name : customerObj.name,
+                email: customerObj.email,
+                phone: customerObj.phone
+            },
+            address    : location,
+            serviceType: state.serviceDetails.type,
+            sessionId  : state.sessionId,
             payload: {
-            customer_id : customerObj.id,              // or null if new
-            address_id  : addressObj.id,               // idem
-            name        : 'AI-Booked Service',
-            description : customerObj.request,
-            schedule    : {
-                scheduled_start: slotISO,
-                scheduled_end  : new Date(new Date(slotISO).getTime()+60*60*1000).toISOString(),
-                arrival_window : '60'
-            }
+                name        : state.serviceDetails.type || 'AI-Booked Service',
+                description : customerObj.request,
+                schedule    : {
+                    scheduled_start: slot.start,
+                    scheduled_end  : slot.end,
+                    arrival_window : String(businessCalendar.arrival_window_minutes)
+                }
             }
         };
 
         const res  = await fetch('/.netlify/functions/hcp-book', {
             method : 'POST',
+            headers: { 'Content-Type': 'application/json' },
             body   : JSON.stringify(payload)
         });
         const json = await res.json();
@@ -1170,11 +1135,16 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     /**
-     * Process message using the streaming API endpoint
+     * Process message using the streaming API endpoint. Text deltas are
+     * rendered into #streaming-response as they arrive; detail, schedule and
+     * step frames update the state and info panel before the reply finishes.
      * @param {string} message - The user message
-     * @returns {Promise} - Promise resolving to AI response
+     * @returns {Promise} - Promise resolving to the final AI response
      */
     async function processMessageWithStreaming(message) {
+        const controller = new AbortController();
+        activeStream = controller;
+        
         // Create a message element for streaming text
         const messageDiv = document.createElement('div');
         messageDiv.classList.add('message', 'bot', 'streaming');
@@ -1193,55 +1163,130 @@ document.addEventListener('DOMContentLoaded', () => {
         removeTypingIndicator();
         chatMessages.appendChild(messageDiv);
         
+        // Keeps whatever text has arrived and frees the element id for the next reply
+        const finishStreamingMessage = () => {
+            messageDiv.classList.remove('streaming');
+            messageText.removeAttribute('id');
+            if (!messageText.textContent) {
+                messageDiv.remove();
+            }
+        };
+        
+        // Set once a frame arrives: the server has taken the message by then
+        let streamStarted = false;
+        
         try {
-            // Fetch from streaming endpoint
             const response = await fetch('/api/chat/stream', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Accept': 'application/json'
+                    'Accept': 'text/event-stream'
                 },
                 body: JSON.stringify({
                     message,
                     state
-                })
+                }),
+                signal: controller.signal
             });
             
             if (!response.ok) {
                 throw new Error(`Stream response not OK: ${response.status}`);
             }
             
-            // Parse the JSON response
-            const data = await response.json();
-            
             // If we got a standard (non-streaming) response, use it
-            if (!data.stream) {
-                messageDiv.remove(); // Remove streaming element
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!contentType.includes('text/event-stream')) {
+                const data = await response.json();
+                messageDiv.remove();
                 return data;
             }
             
-            // Update session ID if provided
-            if (data.sessionId) {
-                state.sessionId = data.sessionId;
+            // Let the customer type (and interrupt) while the reply streams in
+            userInput.disabled = false;
+            sendBtn.disabled = false;
+            userInput.focus();
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let finalResponse = null;
+            
+            while (!finalResponse) {
+                const { done, value } = await reader.read();
+                if (done) break;
                 
-                // Save to localStorage
-                try {
-                    localStorage.setItem('aiChatSessionId', data.sessionId);
-                } catch (e) {
-                    console.warn('Could not save session ID to localStorage:', e);
+                buffer += decoder.decode(value, { stream: true });
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+                
+                for (const frame of frames) {
+                    const { event, data } = parseStreamFrame(frame);
+                    if (!event) continue;
+                    streamStarted = true;
+                    
+                    switch (event) {
+                        case 'delta':
+                            messageText.textContent += data.text;
+                            chatMessages.scrollTop = chatMessages.scrollHeight;
+                            break;
+                        case 'serviceDetails':
+                            updateState({ serviceDetails: data });
+                            break;
+                        case 'scheduleOptions':
+                            updateState({ scheduleOptions: data });
+                            updateInfoPanel({ scheduleOptions: data });
+                            break;
+                        case 'currentStep':
+                            updateState({ currentStep: data.currentStep });
+                            break;
+                        case 'final':
+                            finalResponse = data;
+                            break;
+                        case 'error':
+                            throw new Error(data.message || 'Stream error');
+                    }
                 }
             }
             
-            // Create a simulated response with the accumulated text
-            return {
-                message: messageText.textContent,
-                sessionId: data.sessionId,
-                currentStep: data.currentStep || state.currentStep
-            };
+            if (!finalResponse) {
+                throw new Error('Stream ended before the reply was complete');
+            }
+            
+            finishStreamingMessage();
+            return { ...finalResponse, streamed: true };
         } catch (error) {
-            // Remove the streaming message div on error
-            messageDiv.remove();
+            if (error.name === 'AbortError') {
+                finishStreamingMessage();
+            } else {
+                // Remove the streaming message div on error
+                messageDiv.remove();
+            }
+            error.streamStarted = streamStarted;
             throw error;
+        } finally {
+            if (activeStream === controller) {
+                activeStream = null;
+            }
         }
     }
+    
+    /**
+     * Parses one Server-Sent Events frame
+     * @param {string} frame - Raw frame text without the trailing blank line
+     * @returns {Object} - The event name and parsed JSON data
+     */
+    function parseStreamFrame(frame) {
+        let event = null;
+        let data = '';
+        
+        frame.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data += line.slice(5).trim();
+            }
+        });
+        
+        return { event, data: data ? JSON.parse(data) : {} };
+    }
 });
\ No newline at end of file
@@ -0,0 +1,60 @@
+// AJ Long Electric Consultation Forms
+// Submits every form marked with data-consultation-type to the
+// form-consultation function so consultation requests reach the dashboard.
+
+const CONSULTATION_ENDPOINT = '/.netlify/functions/form-consultation';
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('form[data-consultation-type]').forEach(form => {
+        form.addEventListener('submit', handleConsultationSubmit);
+    });
+});
+
+async function handleConsultationSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const submitButton = form.querySelector('button[type="submit"]');
+    const originalText = submitButton.innerHTML;
+
+    submitButton.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Submitting...';
+    submitButton.disabled = true;
+
+    const formData = new FormData(form);
+    formData.append('consultationType', form.dataset.consultationType);
+
+    try {
+        const response = await fetch(CONSULTATION_ENDPOINT, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            form.reset();
+            showConsultationMessage(form, 'success', data.message);
+        } else {
+            showConsultationMessage(form, 'error', data.message || 'Something went wrong. Please try again.');
+        }
+    } catch (error) {
+        console.error('Error submitting consultation request:', error);
+        showConsultationMessage(form, 'error', 'There was an error sending your request. Please try again or call us directly at (703) 997-0026.');
+    } finally {
+        submitButton.innerHTML = originalText;
+        submitButton.disabled = false;
+    }
+}
+
+function showConsultationMessage(form, type, message) {
+    let messageEl = form.querySelector('.consultation-form-message');
+    if (!messageEl) {
+        messageEl = document.createElement('div');
+        messageEl.setAttribute('role', 'status');
+        form.appendChild(messageEl);
+    }
+
+    messageEl.className = `consultation-form-message md:col-span-2 p-4 rounded-lg ${
+        type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+    }`;
+    messageEl.textContent = message;
+}
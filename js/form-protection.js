@@ -0,0 +1,78 @@
+// AJ Long Electric Form Protection
+// Adds the spam-protection fields the form functions check to every form on
+// the page: a hidden honeypot people never fill in, and a signed token that
+// records when the page was loaded. Forms added later (included components)
+// are picked up as they appear.
+
+(function () {
+    // Pages can pull this in more than once through included components
+    if (window.FormProtection) return;
+
+    const FormProtection = {
+        TOKEN_ENDPOINT: '/.netlify/functions/form-token',
+        HONEYPOT_FIELD: 'bot-field',
+        TOKEN_FIELD: 'formToken',
+
+        token: null,
+
+        async init() {
+            try {
+                const response = await fetch(this.TOKEN_ENDPOINT, { cache: 'no-store' });
+                const data = await response.json();
+                this.token = data.token || null;
+            } catch (error) {
+                console.error('Error loading form token:', error);
+            }
+
+            document.querySelectorAll('form').forEach(form => this.protect(form));
+
+            new MutationObserver(mutations => {
+                mutations.forEach(mutation => {
+                    mutation.addedNodes.forEach(node => {
+                        if (node.nodeType !== Node.ELEMENT_NODE) return;
+                        if (node.matches('form')) this.protect(node);
+                        node.querySelectorAll('form').forEach(form => this.protect(form));
+                    });
+                });
+            }).observe(document.body, { childList: true, subtree: true });
+        },
+
+        protect(form) {
+            if (!form.querySelector(`[name="${this.HONEYPOT_FIELD}"]`)) {
+                const honeypot = document.createElement('div');
+                honeypot.setAttribute('aria-hidden', 'true');
+                honeypot.style.cssText = 'position:absolute;left:-10000px;width:1px;height:1px;overflow:hidden;';
+                honeypot.innerHTML = `<label>Leave this field empty <input type="text" name="${this.HONEYPOT_FIELD}" tabindex="-1" autocomplete="off"></label>`;
+                form.appendChild(honeypot);
+            }
+
+            if (this.token) {
+                let tokenInput = form.querySelector(`input[name="${this.TOKEN_FIELD}"]`);
+                if (!tokenInput) {
+                    tokenInput = document.createElement('input');
+                    tokenInput.type = 'hidden';
+                    tokenInput.name = this.TOKEN_FIELD;
+                    form.appendChild(tokenInput);
+                }
+                tokenInput.value = this.token;
+            }
+        },
+
+        // For scripts that build their own FormData instead of reading the form
+        appendTo(formData, form) {
+            const honeypot = form && form.querySelector(`[name="${this.HONEYPOT_FIELD}"]`);
+            formData.append(this.HONEYPOT_FIELD, honeypot ? honeypot.value : '');
+            if (this.token) {
+                formData.append(this.TOKEN_FIELD, this.token);
+            }
+        }
+    };
+
+    window.FormProtection = FormProtection;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => FormProtection.init());
+    } else {
+        FormProtection.init();
+    }
+})();
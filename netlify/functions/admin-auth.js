@@ -1,9 +1,11 @@
 const bcrypt = require('bcryptjs');
 const database = require('./lib/database');
 const AuthUtils = require('./lib/auth-utils');
+const { createLoginLimiter } = require('./lib/login-limiter');
+const { normalizeRole, permissionsFor } = require('./lib/permissions');
 
-// Rate limiter for login attempts
-const rateLimiter = AuthUtils.createRateLimiter();
+// Failed logins are counted per email and per IP in a shared store
+const loginLimiter = createLoginLimiter();
 
 exports.handler = async (event, context) => {
     // Set CORS headers
@@ -98,38 +100,29 @@ async function handleLogin(email, password, headers, event) {
         };
     }
 
-    // Rate limiting
-    const clientIP = event.headers['x-forwarded-for'] || event.headers['x-real-ip'] || 'unknown';
-    if (!rateLimiter.isAllowed(clientIP)) {
-        return {
-            statusCode: 429,
-            headers,
-            body: JSON.stringify({
-                success: false,
-                message: 'Too many login attempts. Please try again in 15 minutes.'
-            })
-        };
-    }
+    const attempt = { email, ip: AuthUtils.getClientIp(event) };
 
     try {
+        // Locked out accounts and addresses are refused before the password is checked
+        const { allowed, retryAfterMs } = await loginLimiter.check(attempt);
+        if (!allowed) {
+            return tooManyAttempts(headers, retryAfterMs);
+        }
+
         // Find admin user
         const admin = await database.findAdminByEmail(email);
-        
-        if (!admin || !admin.is_active) {
-            return {
-                statusCode: 401,
-                headers,
-                body: JSON.stringify({
-                    success: false,
-                    message: 'Invalid credentials'
-                })
-            };
-        }
 
         // Verify password
-        const passwordMatch = await bcrypt.compare(password, admin.password_hash);
-        
+        const passwordMatch = admin && admin.is_active
+            && await bcrypt.compare(password, admin.password_hash);
+
         if (!passwordMatch) {
+            const lockout = await loginLimiter.recordFailure(attempt);
+            if (lockout) {
+                console.warn(`Admin login locked out (${lockout.scope} ${lockout.identifier}, level ${lockout.level})`);
+                return tooManyAttempts(headers, new Date(lockout.locked_until).getTime() - Date.now());
+            }
+
             return {
                 statusCode: 401,
                 headers,
@@ -140,8 +133,8 @@ async function handleLogin(email, password, headers, event) {
             };
         }
 
-        // Reset rate limit on successful login
-        rateLimiter.reset(clientIP);
+        // Clear failed attempts on successful login
+        await loginLimiter.recordSuccess(attempt);
 
         // Update last login
         await database.updateAdminLastLogin(admin.id);
@@ -158,13 +151,7 @@ async function handleLogin(email, password, headers, event) {
             },
             body: JSON.stringify({
                 success: true,
-                admin: {
-                    id: admin.id,
-                    email: admin.email,
-                    first_name: admin.first_name,
-                    last_name: admin.last_name,
-                    role: admin.role
-                }
+                admin: adminProfile(admin)
             })
         };
 
@@ -181,6 +168,35 @@ async function handleLogin(email, password, headers, event) {
     }
 }
 
+// What the dashboard gets to know about the signed-in admin, including the
+// permissions it uses to hide controls the role cannot use
+function adminProfile(admin) {
+    return {
+        id: admin.id,
+        email: admin.email,
+        first_name: admin.first_name,
+        last_name: admin.last_name,
+        role: normalizeRole(admin.role),
+        permissions: permissionsFor(admin.role)
+    };
+}
+
+function tooManyAttempts(headers, retryAfterMs) {
+    const minutes = Math.max(1, Math.ceil(retryAfterMs / 60000));
+
+    return {
+        statusCode: 429,
+        headers: {
+            ...headers,
+            'Retry-After': String(Math.ceil(retryAfterMs / 1000))
+        },
+        body: JSON.stringify({
+            success: false,
+            message: `Too many login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+        })
+    };
+}
+
 async function handleTokenVerification(event, headers) {
     try {
         const token = AuthUtils.extractTokenFromRequest(event);
@@ -218,13 +234,7 @@ async function handleTokenVerification(event, headers) {
             headers,
             body: JSON.stringify({
                 success: true,
-                admin: {
-                    id: admin.id,
-                    email: admin.email,
-                    first_name: admin.first_name,
-                    last_name: admin.last_name,
-                    role: admin.role
-                }
+                admin: adminProfile(admin)
             })
         };
 
@@ -286,13 +296,7 @@ async function handleTokenRefresh(event, headers) {
             },
             body: JSON.stringify({
                 success: true,
-                admin: {
-                    id: admin.id,
-                    email: admin.email,
-                    first_name: admin.first_name,
-                    last_name: admin.last_name,
-                    role: admin.role
-                }
+                admin: adminProfile(admin)
             })
         };
 
@@ -341,4 +345,6 @@ function verifyAdminToken(event) {
     }
 }
 
-module.exports = { verifyAdminToken, AuthUtils };
\ No newline at end of file
+// Added to exports rather than replacing them, which would drop the handler
+exports.verifyAdminToken = verifyAdminToken;
+exports.AuthUtils = AuthUtils;
\ No newline at end of file
@@ -1,5 +1,62 @@
 const database = require('./lib/database');
+const emailService = require('./lib/email');
+const smsService = require('./lib/sms');
+const { SmsError, MAX_SMS_LENGTH } = require('./lib/sms');
 const { verifyAdminToken } = require('./admin-auth');
+const { can } = require('./lib/permissions');
+const { AUDIT_ACTIONS, recordAuditEvent, submissionStates, submissionAssignments } = require('./lib/audit');
+const { DASHBOARD_EVENTS, publishDashboardEvent } = require('./lib/dashboard-events');
+const { mentionHandle, findMentions } = require('./lib/mentions');
+const { FORM_TYPE_LABELS, MERGE_FIELDS, findUnknownFields, renderTemplate } = require('./lib/response-templates');
+const { DAY_NAMES, loadCalendar, clearCalendarCache, publicCalendar } = require('./lib/scheduling/calendar');
+
+const MAX_NOTE_LENGTH = 5000;
+
+// Matches the response modal's limit
+const MAX_RESPONSE_LENGTH = 2000;
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CLOSURE_KINDS = ['holiday', 'blackout'];
+
+// Permission each action needs (see lib/permissions.js). GET requests without
+// a listed action return the submission list; POST actions without one are
+// refused, so a new action is closed until it is given a permission.
+const GET_PERMISSIONS = {
+    stats: 'submissions:view',
+    submissions: 'submissions:view',
+    submission: 'submissions:view',
+    search: 'submissions:view',
+    'customer-history': 'submissions:view',
+    'chat-transcript': 'submissions:view',
+    admins: 'submissions:assign',
+    'mentionable-admins': 'submissions:view',
+    'response-templates': 'submissions:respond',
+    calendar: 'calendar:manage',
+    'login-lockouts': 'security:view',
+    export: 'submissions:export',
+    audit: 'audit:view',
+    'audit-export': 'audit:export'
+};
+
+const POST_PERMISSIONS = {
+    respond: 'submissions:respond',
+    'preview-response': 'submissions:respond',
+    'send-sms': 'submissions:respond',
+    'update-status': 'submissions:update-status',
+    assign: 'submissions:assign',
+    'add-note': 'submissions:notes',
+    'edit-note': 'submissions:notes',
+    'delete-note': 'submissions:notes',
+    'create-template': 'templates:manage',
+    'update-template': 'templates:manage',
+    'delete-template': 'templates:manage',
+    'update-calendar': 'calendar:manage',
+    'add-closure': 'calendar:manage',
+    'delete-closure': 'calendar:manage',
+    'bulk-update': 'submissions:bulk-update',
+    'bulk-respond': 'submissions:bulk-respond'
+};
 
 exports.handler = async (event, context) => {
     // Set CORS headers
@@ -21,36 +78,106 @@ exports.handler = async (event, context) => {
     try {
         // Verify admin token using the new secure method
         const adminData = verifyAdminToken(event);
+        const audit = (entry) => recordAuditEvent(event, adminData, entry);
+        const broadcast = (type, payload) => publishDashboardEvent(type, {
+            ...payload,
+            admin_id: adminData.adminId,
+            admin_email: adminData.email
+        });
+        const email = (submission, response) => sendResponseEmail(submission, response, adminData.email);
 
         // Route based on HTTP method and query parameters
-        const { action, page = 1, limit = 20, status, formType, customerId, q, dateFrom, dateTo } = event.queryStringParameters || {};
+        const { action, page = 1, limit = 20, status, formType, customerId, submissionId, q, dateFrom, dateTo } = event.queryStringParameters || {};
+
+        // "me" is the signed-in admin; "unassigned" is passed through
+        const { assignedTo: assignedToParam } = event.queryStringParameters || {};
+        const assignedTo = assignedToParam === 'me' ? adminData.adminId : assignedToParam;
 
         switch (event.httpMethod) {
             case 'GET':
+                if (!can(adminData.role, GET_PERMISSIONS[action] || 'submissions:view')) {
+                    return forbidden(headers);
+                }
+
                 if (action === 'stats') {
                     return await getDashboardStats(headers);
                 } else if (action === 'submissions') {
-                    return await getFormSubmissions(headers, { page, limit, status, formType, q, dateFrom, dateTo });
+                    return await getFormSubmissions(headers, { page, limit, status, formType, assignedTo, q, dateFrom, dateTo });
                 } else if (action === 'search') {
-                    return await searchSubmissions(headers, { q, page, limit, status, formType, dateFrom, dateTo });
+                    return await searchSubmissions(headers, { q, page, limit, status, formType, assignedTo, dateFrom, dateTo });
+                } else if (action === 'submission' && submissionId) {
+                    return await getSubmissionDetail(headers, submissionId);
                 } else if (action === 'customer-history' && customerId) {
                     return await getCustomerHistory(headers, customerId);
+                } else if (action === 'chat-transcript' && submissionId) {
+                    return await getChatTranscript(headers, submissionId);
+                } else if (action === 'admins') {
+                    return await getAssignableAdmins(headers);
+                } else if (action === 'mentionable-admins') {
+                    return await getMentionableAdmins(headers);
+                } else if (action === 'response-templates') {
+                    return await getResponseTemplates(headers);
+                } else if (action === 'calendar') {
+                    return await getCalendar(headers);
+                } else if (action === 'login-lockouts') {
+                    return await getLoginLockouts(headers, { limit });
                 } else if (action === 'export') {
-                    return await exportSubmissions(headers, event.queryStringParameters);
+                    return await exportSubmissions(headers, event.queryStringParameters, audit);
+                } else if (action === 'audit') {
+                    return await getAuditEvents(headers, event.queryStringParameters);
+                } else if (action === 'audit-export') {
+                    return await exportAuditEvents(headers, event.queryStringParameters, audit);
                 } else {
-                    return await getDashboardData(headers, { page, limit, status, formType });
+                    return await getDashboardData(headers, { page, limit, status, formType, assignedTo });
                 }
 
             case 'POST':
                 const body = JSON.parse(event.body);
+                const permission = Object.prototype.hasOwnProperty.call(POST_PERMISSIONS, body.action)
+                    ? POST_PERMISSIONS[body.action]
+                    : null;
+                if (!permission || !can(adminData.role, permission)) {
+                    return forbidden(headers);
+                }
+
+                // Bulk updates can also assign, which needs its own permission
+                if (body.action === 'bulk-update' && body.assignedTo !== undefined &&
+                    !can(adminData.role, 'submissions:assign')) {
+                    return forbidden(headers);
+                }
+
                 if (body.action === 'respond') {
-                    return await createAdminResponse(headers, body, adminData.adminId);
+                    return await createAdminResponse(headers, body, adminData.adminId, audit, broadcast, email);
+                } else if (body.action === 'preview-response') {
+                    return await previewResponse(headers, body);
+                } else if (body.action === 'send-sms') {
+                    return await sendCustomerText(headers, body, adminData.adminId, audit, broadcast);
                 } else if (body.action === 'update-status') {
-                    return await updateSubmissionStatus(headers, body, adminData.adminId);
+                    return await updateSubmissionStatus(headers, body, adminData.adminId, audit, broadcast);
+                } else if (body.action === 'assign') {
+                    return await assignSubmission(headers, body, audit, broadcast);
+                } else if (body.action === 'add-note') {
+                    return await addSubmissionNote(headers, body, adminData.adminId, audit, broadcast);
+                } else if (body.action === 'edit-note') {
+                    return await editSubmissionNote(headers, body, adminData.adminId, audit, broadcast);
+                } else if (body.action === 'delete-note') {
+                    return await deleteSubmissionNote(headers, body, adminData.adminId, audit, broadcast);
+                } else if (body.action === 'create-template') {
+                    return await createResponseTemplate(headers, body, adminData.adminId, audit);
+                } else if (body.action === 'update-template') {
+                    return await updateResponseTemplate(headers, body, audit);
+                } else if (body.action === 'delete-template') {
+                    return await deleteResponseTemplate(headers, body, audit);
+                } else if (body.action === 'update-calendar') {
+                    return await updateCalendar(headers, body, adminData.adminId, audit);
+                } else if (body.action === 'add-closure') {
+                    return await addCalendarClosure(headers, body, adminData.adminId, audit);
+                } else if (body.action === 'delete-closure') {
+                    return await deleteCalendarClosure(headers, body, audit);
                 } else if (body.action === 'bulk-update') {
-                    return await bulkUpdateSubmissions(headers, body, adminData.adminId);
+                    return await bulkUpdateSubmissions(headers, body, adminData.adminId, audit, broadcast);
                 } else if (body.action === 'bulk-respond') {
-                    return await bulkRespondSubmissions(headers, body, adminData.adminId);
+                    return await bulkRespondSubmissions(headers, body, adminData.adminId, audit, broadcast, email);
                 }
                 break;
 
@@ -89,6 +216,17 @@ exports.handler = async (event, context) => {
     }
 };
 
+function forbidden(headers) {
+    return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message: 'Your role does not allow this action'
+        })
+    };
+}
+
 async function getDashboardStats(headers) {
     try {
         const stats = await database.getDashboardStats();
@@ -131,6 +269,34 @@ async function getFormSubmissions(headers, options) {
     }
 }
 
+// A submission with its attachments, the customer's other submissions, the
+// timeline of status changes and responses, and the internal notes
+async function getSubmissionDetail(headers, submissionId) {
+    try {
+        const submission = await database.getSubmissionById(submissionId);
+
+        const [attachments, history, timeline, notes] = await Promise.all([
+            database.getAttachmentsBySubmission(submissionId),
+            database.getCustomerHistory(submission.customer_id),
+            database.getSubmissionTimeline(submission),
+            database.getSubmissionNotes(submissionId)
+        ]);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                submission: { ...submission, attachments, timeline, notes },
+                history: history.filter(item => item.id !== submission.id)
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching submission detail:', error);
+        throw error;
+    }
+}
+
 async function getCustomerHistory(headers, customerId) {
     try {
         const history = await database.getCustomerHistory(customerId);
@@ -149,6 +315,44 @@ async function getCustomerHistory(headers, customerId) {
     }
 }
 
+async function getChatTranscript(headers, submissionId) {
+    try {
+        const transcript = await database.getChatTranscript(submissionId);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                transcript
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching chat transcript:', error);
+        throw error;
+    }
+}
+
+async function getLoginLockouts(headers, options) {
+    try {
+        const lockouts = await database.getLoginLockouts({
+            limit: Math.min(parseInt(options.limit, 10) || 20, 100)
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                lockouts
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching login lockouts:', error);
+        throw error;
+    }
+}
+
 async function getDashboardData(headers, options) {
     try {
         const [stats, { submissions, total }] = await Promise.all([
@@ -177,9 +381,11 @@ async function getDashboardData(headers, options) {
     }
 }
 
-async function createAdminResponse(headers, body, adminId) {
+// The message's merge fields are filled in from the submission; `templateId`
+// only records which template it started from
+async function createAdminResponse(headers, body, adminId, audit, broadcast, email) {
     try {
-        const { submissionId, message, sendEmail = false } = body;
+        const { submissionId, message, sendEmail = false, templateId } = body;
         
         if (!submissionId || !message) {
             return {
@@ -192,10 +398,35 @@ async function createAdminResponse(headers, body, adminId) {
             };
         }
 
+        const unknown = findUnknownFields(message);
+        if (unknown.length > 0) {
+            return unknownMergeFields(headers, unknown);
+        }
+
+        const details = await database.getSubmissionDetailsByIds([submissionId]);
+        if (!details[submissionId]) {
+            return submissionNotFound(headers);
+        }
+
+        const rendered = renderTemplate(message, details[submissionId]);
         const response = await database.createAdminResponse({
             submission_id: submissionId,
             admin_id: adminId,
-            message,
+            message: rendered,
+            send_email: sendEmail
+        });
+
+        await audit({
+            action: AUDIT_ACTIONS.RESPOND,
+            targetIds: [submissionId],
+            after: { response_id: response.id, message: rendered, send_email: sendEmail },
+            details: templateId ? { template_id: templateId } : null
+        });
+
+        const emailed = sendEmail ? await email(details[submissionId], response) : false;
+
+        await broadcast(DASHBOARD_EVENTS.ADMIN_RESPONSE, {
+            submission_ids: [submissionId],
             send_email: sendEmail
         });
 
@@ -204,7 +435,8 @@ async function createAdminResponse(headers, body, adminId) {
             headers,
             body: JSON.stringify({
                 success: true,
-                response
+                response,
+                emailed
             })
         };
     } catch (error) {
@@ -213,7 +445,81 @@ async function createAdminResponse(headers, body, adminId) {
     }
 }
 
-async function updateSubmissionStatus(headers, body, adminId) {
+// Texts the submission's customer; merge fields are filled in as for responses
+async function sendCustomerText(headers, body, adminId, audit, broadcast) {
+    try {
+        const { submissionId, message } = body;
+        const badRequest = (text, statusCode = 400) => ({
+            statusCode,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: text
+            })
+        });
+
+        if (!submissionId || !message || !message.trim()) {
+            return badRequest('Submission ID and message are required');
+        }
+
+        const unknown = findUnknownFields(message);
+        if (unknown.length > 0) {
+            return unknownMergeFields(headers, unknown);
+        }
+
+        const details = await database.getSubmissionDetailsByIds([submissionId]);
+        const submission = details[submissionId];
+        if (!submission) {
+            return submissionNotFound(headers);
+        }
+
+        const rendered = renderTemplate(message.trim(), submission);
+        if (rendered.length > MAX_SMS_LENGTH) {
+            return badRequest(`Text messages are limited to ${MAX_SMS_LENGTH} characters`);
+        }
+
+        let sent;
+        try {
+            sent = await smsService.sendToCustomer(submission.customer_id, rendered, {
+                submissionId,
+                kind: 'admin_message',
+                adminId
+            });
+        } catch (error) {
+            if (error instanceof SmsError) {
+                return badRequest(error.message, error.statusCode);
+            }
+            throw error;
+        }
+
+        await audit({
+            action: AUDIT_ACTIONS.SMS_SEND,
+            targetIds: [submissionId],
+            after: { message: rendered, to: sent.to }
+        });
+
+        await broadcast(DASHBOARD_EVENTS.SMS, {
+            submission_id: submissionId,
+            direction: 'outbound',
+            customer_name: submission.customer_name,
+            assigned_to: submission.assigned_to || null
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: rendered
+            })
+        };
+    } catch (error) {
+        console.error('Error texting customer:', error);
+        throw error;
+    }
+}
+
+async function updateSubmissionStatus(headers, body, adminId, audit, broadcast) {
     try {
         const { submissionId, status, notes } = body;
         
@@ -228,8 +534,21 @@ async function updateSubmissionStatus(headers, body, adminId) {
             };
         }
 
+        const before = await database.getSubmissionStates([submissionId]);
         const updated = await database.updateSubmissionStatus(submissionId, status, notes, adminId);
 
+        await audit({
+            action: AUDIT_ACTIONS.STATUS_UPDATE,
+            targetIds: [submissionId],
+            before,
+            after: submissionStates([updated]),
+            details: notes ? { notes } : null
+        });
+
+        await broadcast(DASHBOARD_EVENTS.STATUS_UPDATE, {
+            changes: statusChanges(before, [updated])
+        });
+
         return {
             statusCode: 200,
             headers,
@@ -244,9 +563,18 @@ async function updateSubmissionStatus(headers, body, adminId) {
     }
 }
 
+// Payload of a status_update dashboard event
+function statusChanges(before, updated) {
+    return updated.map(submission => ({
+        submission_id: submission.id,
+        previous_status: (before[submission.id] || {}).status || null,
+        status: submission.status
+    }));
+}
+
 async function searchSubmissions(headers, options) {
     try {
-        const { q, page = 1, limit = 20, status, formType, dateFrom, dateTo } = options;
+        const { q, page = 1, limit = 20, status, formType, assignedTo, dateFrom, dateTo } = options;
         
         if (!q || q.trim().length < 2) {
             return {
@@ -264,6 +592,7 @@ async function searchSubmissions(headers, options) {
             limit: parseInt(limit),
             status,
             formType,
+            assignedTo,
             dateFrom,
             dateTo
         });
@@ -289,9 +618,12 @@ async function searchSubmissions(headers, options) {
     }
 }
 
-async function bulkUpdateSubmissions(headers, body, adminId) {
+// Sets the status and/or assignee of several submissions; `assignedTo: null`
+// unassigns them
+async function bulkUpdateSubmissions(headers, body, adminId, audit, broadcast) {
     try {
-        const { ids, status, notes } = body;
+        const { ids, status, notes, assignedTo } = body;
+        const assigning = assignedTo !== undefined;
         
         if (!ids || !Array.isArray(ids) || ids.length === 0) {
             return {
@@ -304,18 +636,46 @@ async function bulkUpdateSubmissions(headers, body, adminId) {
             };
         }
 
-        if (!status) {
+        if (!status && !assigning) {
             return {
                 statusCode: 400,
                 headers,
                 body: JSON.stringify({
                     success: false,
-                    message: 'Status is required'
+                    message: 'Status or assignee is required'
                 })
             };
         }
 
-        const results = await database.bulkUpdateSubmissionStatus(ids, status, notes, adminId);
+        const assignee = assigning ? await findAssignee(assignedTo) : null;
+        if (assignedTo && !assignee) {
+            return invalidAssignee(headers);
+        }
+
+        let results = [];
+        if (status) {
+            const before = await database.getSubmissionStates(ids);
+            results = await database.bulkUpdateSubmissionStatus(ids, status, notes, adminId);
+
+            // Only the submissions that were actually updated are recorded
+            await audit({
+                action: AUDIT_ACTIONS.BULK_STATUS_UPDATE,
+                targetIds: results.map(submission => submission.id),
+                before: Object.fromEntries(results.map(submission => [submission.id, before[submission.id]])),
+                after: submissionStates(results),
+                details: { requested: ids.length, notes: notes || undefined }
+            });
+
+            if (results.length > 0) {
+                await broadcast(DASHBOARD_EVENTS.STATUS_UPDATE, {
+                    changes: statusChanges(before, results)
+                });
+            }
+        }
+
+        const assigned = assigning
+            ? await assignSubmissions(ids, assignee, { audit, broadcast, bulk: true })
+            : [];
 
         return {
             statusCode: 200,
@@ -323,6 +683,7 @@ async function bulkUpdateSubmissions(headers, body, adminId) {
             body: JSON.stringify({
                 success: true,
                 updated: results.length,
+                assigned: assigned.length,
                 results
             })
         };
@@ -332,81 +693,1009 @@ async function bulkUpdateSubmissions(headers, body, adminId) {
     }
 }
 
-async function bulkRespondSubmissions(headers, body, adminId) {
+async function assignSubmission(headers, body, audit, broadcast) {
     try {
-        const { ids, message, sendEmail = false } = body;
-        
-        if (!ids || !Array.isArray(ids) || ids.length === 0) {
+        const { submissionId, assignedTo = null } = body;
+
+        if (!submissionId) {
             return {
                 statusCode: 400,
                 headers,
                 body: JSON.stringify({
                     success: false,
-                    message: 'Submission IDs are required'
+                    message: 'Submission ID is required'
                 })
             };
         }
 
-        if (!message || !message.trim()) {
+        const assignee = await findAssignee(assignedTo);
+        if (assignedTo && !assignee) {
+            return invalidAssignee(headers);
+        }
+
+        const [submission] = await assignSubmissions([submissionId], assignee, { audit, broadcast });
+
+        if (!submission) {
             return {
-                statusCode: 400,
+                statusCode: 404,
                 headers,
                 body: JSON.stringify({
                     success: false,
-                    message: 'Response message is required'
+                    message: 'Submission not found'
                 })
             };
         }
 
-        const results = await database.bulkCreateAdminResponses(ids, message.trim(), adminId, sendEmail);
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                submission
+            })
+        };
+    } catch (error) {
+        console.error('Error assigning submission:', error);
+        throw error;
+    }
+}
+
+// The active, non-read-only admin with this id, or null
+async function findAssignee(adminId) {
+    if (!adminId) return null;
+
+    const admins = await database.getAssignableAdmins();
+    return admins.find(admin => admin.id === adminId) || null;
+}
+
+function invalidAssignee(headers) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message: 'Submissions can only be assigned to active admins who can act on them'
+        })
+    };
+}
+
+// Assigns to `assignee` (null unassigns), then records and broadcasts the
+// change; returns the submissions that were updated
+async function assignSubmissions(ids, assignee, { audit, broadcast, bulk = false }) {
+    const before = await database.getSubmissionStates(ids, ['assigned_to']);
+    const results = await database.assignSubmissions(ids, assignee ? assignee.id : null);
+
+    if (results.length === 0) {
+        return results;
+    }
+
+    await audit({
+        action: bulk ? AUDIT_ACTIONS.BULK_ASSIGN : AUDIT_ACTIONS.ASSIGN,
+        targetIds: results.map(submission => submission.id),
+        before: Object.fromEntries(results.map(submission => [submission.id, before[submission.id]])),
+        after: submissionAssignments(results),
+        details: {
+            assignee: assignee ? assignee.email : null,
+            requested: bulk ? ids.length : undefined
+        }
+    });
+
+    await broadcast(DASHBOARD_EVENTS.ASSIGNMENT, {
+        changes: results.map(submission => ({
+            submission_id: submission.id,
+            previous_assigned_to: (before[submission.id] || {}).assigned_to || null,
+            assigned_to: submission.assigned_to
+        })),
+        assignee_name: assignee ? `${assignee.first_name} ${assignee.last_name}` : null
+    });
+
+    return results;
+}
+
+async function getAssignableAdmins(headers) {
+    try {
+        const admins = await database.getAssignableAdmins();
 
         return {
             statusCode: 200,
             headers,
             body: JSON.stringify({
                 success: true,
-                sent: results.length,
-                results
+                admins
             })
         };
     } catch (error) {
-        console.error('Error in bulk respond:', error);
+        console.error('Error fetching assignable admins:', error);
         throw error;
     }
 }
 
-async function exportSubmissions(headers, queryParams) {
+// Internal notes are never sent to the customer. Only the author may edit
+// or delete a note.
+async function addSubmissionNote(headers, body, adminId, audit, broadcast) {
     try {
-        const { format = 'csv', status, formType, dateFrom, dateTo } = queryParams;
-        
-        const filters = {
-            status,
-            formType,
-            dateFrom,
-            dateTo
+        const { submissionId } = body;
+        const note = (body.note || '').trim();
+
+        if (!submissionId) {
+            return invalidNote(headers, 'Submission ID is required');
+        }
+
+        const problem = checkNote(note);
+        if (problem) {
+            return invalidNote(headers, problem);
+        }
+
+        const mentioned = await mentionsIn(note, adminId);
+        const created = await database.createSubmissionNote({
+            submission_id: submissionId,
+            admin_id: adminId,
+            body: note,
+            mentioned_admin_ids: mentioned
+        });
+
+        await audit({
+            action: AUDIT_ACTIONS.NOTE_ADD,
+            targetIds: [submissionId],
+            after: { note_id: created.id, body: note, mentioned_admin_ids: mentioned }
+        });
+
+        await broadcast(DASHBOARD_EVENTS.NOTE, {
+            submission_id: submissionId,
+            note_id: created.id,
+            change: 'added',
+            mentioned_admin_ids: mentioned
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                note: created
+            })
         };
+    } catch (error) {
+        console.error('Error adding submission note:', error);
+        throw error;
+    }
+}
 
-        const data = await database.exportFormSubmissions(format, filters);
-        
-        const contentTypes = {
-            'csv': 'text/csv',
-            'json': 'application/json',
-            'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+async function editSubmissionNote(headers, body, adminId, audit, broadcast) {
+    try {
+        const { noteId } = body;
+        const note = (body.note || '').trim();
+
+        const problem = checkNote(note);
+        if (problem) {
+            return invalidNote(headers, problem);
+        }
+
+        const existing = noteId ? await database.getSubmissionNote(noteId) : null;
+        if (!existing) {
+            return noteNotFound(headers);
+        }
+        if (existing.admin_id !== adminId) {
+            return notNoteAuthor(headers);
+        }
+
+        const mentioned = await mentionsIn(note, adminId);
+        const updated = await database.updateSubmissionNote(noteId, {
+            body: note,
+            mentioned_admin_ids: mentioned
+        });
+
+        await audit({
+            action: AUDIT_ACTIONS.NOTE_EDIT,
+            targetIds: [existing.submission_id],
+            before: { note_id: noteId, body: existing.body },
+            after: { note_id: noteId, body: note },
+            details: { mentioned_admin_ids: mentioned }
+        });
+
+        // Colleagues mentioned before have already been told
+        await broadcast(DASHBOARD_EVENTS.NOTE, {
+            submission_id: existing.submission_id,
+            note_id: noteId,
+            change: 'edited',
+            mentioned_admin_ids: mentioned.filter(id => !existing.mentioned_admin_ids.includes(id))
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                note: updated
+            })
         };
+    } catch (error) {
+        console.error('Error editing submission note:', error);
+        throw error;
+    }
+}
+
+async function deleteSubmissionNote(headers, body, adminId, audit, broadcast) {
+    try {
+        const { noteId } = body;
+
+        const existing = noteId ? await database.getSubmissionNote(noteId) : null;
+        if (!existing) {
+            return noteNotFound(headers);
+        }
+        if (existing.admin_id !== adminId) {
+            return notNoteAuthor(headers);
+        }
+
+        await database.deleteSubmissionNote(noteId);
+
+        await audit({
+            action: AUDIT_ACTIONS.NOTE_DELETE,
+            targetIds: [existing.submission_id],
+            before: { note_id: noteId, body: existing.body }
+        });
+
+        await broadcast(DASHBOARD_EVENTS.NOTE, {
+            submission_id: existing.submission_id,
+            note_id: noteId,
+            change: 'deleted',
+            mentioned_admin_ids: []
+        });
 
-        const filename = `form_submissions_${new Date().toISOString().split('T')[0]}.${format}`;
-        
         return {
             statusCode: 200,
-            headers: {
-                ...headers,
-                'Content-Type': contentTypes[format] || 'text/plain',
-                'Content-Disposition': `attachment; filename="${filename}"`
-            },
-            body: format === 'json' ? JSON.stringify(data) : data
+            headers,
+            body: JSON.stringify({
+                success: true
+            })
         };
     } catch (error) {
-        console.error('Error exporting submissions:', error);
+        console.error('Error deleting submission note:', error);
         throw error;
     }
-}
\ No newline at end of file
+}
+
+function checkNote(note) {
+    if (!note) return 'Note is required';
+    if (note.length > MAX_NOTE_LENGTH) return `Notes are limited to ${MAX_NOTE_LENGTH} characters`;
+    return null;
+}
+
+// Admins mentioned in a note, leaving out its author
+async function mentionsIn(note, authorId) {
+    const admins = await database.getActiveAdmins();
+    return findMentions(note, admins).filter(id => id !== authorId);
+}
+
+function invalidNote(headers, message) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message
+        })
+    };
+}
+
+function noteNotFound(headers) {
+    return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message: 'Note not found'
+        })
+    };
+}
+
+function notNoteAuthor(headers) {
+    return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message: 'Only the author can change a note'
+        })
+    };
+}
+
+// Admins with the handle they are @mentioned by
+async function getMentionableAdmins(headers) {
+    try {
+        const admins = await database.getActiveAdmins();
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                admins: admins.map(admin => ({
+                    id: admin.id,
+                    first_name: admin.first_name,
+                    last_name: admin.last_name,
+                    handle: mentionHandle(admin)
+                }))
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching mentionable admins:', error);
+        throw error;
+    }
+}
+
+// Each customer gets the message with their own merge fields filled in
+async function bulkRespondSubmissions(headers, body, adminId, audit, broadcast, email) {
+    try {
+        const { ids, message, sendEmail = false, templateId } = body;
+        
+        if (!ids || !Array.isArray(ids) || ids.length === 0) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Submission IDs are required'
+                })
+            };
+        }
+
+        if (!message || !message.trim()) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Response message is required'
+                })
+            };
+        }
+
+        const unknown = findUnknownFields(message);
+        if (unknown.length > 0) {
+            return unknownMergeFields(headers, unknown);
+        }
+
+        // Submissions that no longer exist are skipped and left out of the results
+        const details = await database.getSubmissionDetailsByIds(ids);
+        const messages = Object.fromEntries(ids
+            .filter(id => details[id])
+            .map(id => [id, renderTemplate(message.trim(), details[id])]));
+
+        const results = await database.bulkCreateAdminResponses(messages, adminId, sendEmail);
+
+        await audit({
+            action: AUDIT_ACTIONS.BULK_RESPOND,
+            targetIds: results.map(response => response.submission_id),
+            after: {
+                response_ids: results.map(response => response.id),
+                message: message.trim(),
+                send_email: sendEmail
+            },
+            details: { requested: ids.length, template_id: templateId || undefined }
+        });
+
+        let emailed = 0;
+        if (sendEmail) {
+            for (const response of results) {
+                if (await email(details[response.submission_id], response)) {
+                    emailed++;
+                }
+            }
+        }
+
+        if (results.length > 0) {
+            await broadcast(DASHBOARD_EVENTS.ADMIN_RESPONSE, {
+                submission_ids: results.map(response => response.submission_id),
+                send_email: sendEmail
+            });
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                sent: results.length,
+                emailed,
+                results
+            })
+        };
+    } catch (error) {
+        console.error('Error in bulk respond:', error);
+        throw error;
+    }
+}
+
+// Emails a recorded response to the customer. A failed send is logged and
+// reported rather than undoing the response.
+async function sendResponseEmail(submission, response, adminEmail) {
+    try {
+        await emailService.sendAdminResponse(submission.form_type, {
+            first_name: submission.first_name,
+            last_name: submission.last_name,
+            email: submission.customer_email
+        }, response.message, adminEmail, submission.id, response.id);
+        return true;
+    } catch (error) {
+        console.error(`Error emailing response for submission ${submission.id}:`, error);
+        return false;
+    }
+}
+
+// A response as the customer would receive it
+async function previewResponse(headers, body) {
+    try {
+        const { submissionId, message } = body;
+
+        if (!submissionId || !message) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Submission ID and message are required'
+                })
+            };
+        }
+
+        const unknown = findUnknownFields(message);
+        if (unknown.length > 0) {
+            return unknownMergeFields(headers, unknown);
+        }
+
+        const details = await database.getSubmissionDetailsByIds([submissionId]);
+        if (!details[submissionId]) {
+            return submissionNotFound(headers);
+        }
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                message: renderTemplate(message, details[submissionId])
+            })
+        };
+    } catch (error) {
+        console.error('Error previewing response:', error);
+        throw error;
+    }
+}
+
+function describeUnknownFields(fields) {
+    return `Unknown merge field${fields.length === 1 ? '' : 's'}: ${fields.map(field => `{{${field}}}`).join(', ')}`;
+}
+
+function unknownMergeFields(headers, fields) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message: describeUnknownFields(fields)
+        })
+    };
+}
+
+function submissionNotFound(headers) {
+    return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message: 'Submission not found'
+        })
+    };
+}
+
+async function getResponseTemplates(headers) {
+    try {
+        const templates = await database.getResponseTemplates();
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                templates,
+                mergeFields: Object.keys(MERGE_FIELDS)
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching response templates:', error);
+        throw error;
+    }
+}
+
+// Validates a template from the request, returning { template } or { error }
+function readTemplate(body) {
+    const name = (body.name || '').trim();
+    const content = (body.content || '').trim();
+    const formType = body.formType || null;
+    const isDefault = Boolean(body.isDefault);
+
+    if (!name || !content) {
+        return { error: 'Template name and content are required' };
+    }
+    if (name.length > 100) {
+        return { error: 'Template names are limited to 100 characters' };
+    }
+    if (content.length > MAX_RESPONSE_LENGTH) {
+        return { error: `Templates are limited to ${MAX_RESPONSE_LENGTH} characters` };
+    }
+    if (formType && !FORM_TYPE_LABELS[formType]) {
+        return { error: 'Invalid form type' };
+    }
+    if (isDefault && !formType) {
+        return { error: 'Only a template for one form type can be its default' };
+    }
+
+    const unknown = findUnknownFields(content);
+    if (unknown.length > 0) {
+        return { error: describeUnknownFields(unknown) };
+    }
+
+    return {
+        template: { name, body: content, form_type: formType, is_default: isDefault }
+    };
+}
+
+function invalidTemplate(headers, message) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message
+        })
+    };
+}
+
+function templateNotFound(headers) {
+    return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message: 'Template not found'
+        })
+    };
+}
+
+// The audited fields of a template
+function templateState(template) {
+    return {
+        name: template.name,
+        body: template.body,
+        form_type: template.form_type,
+        is_default: template.is_default
+    };
+}
+
+async function createResponseTemplate(headers, body, adminId, audit) {
+    try {
+        const { template, error } = readTemplate(body);
+        if (error) {
+            return invalidTemplate(headers, error);
+        }
+
+        // A new default replaces the form type's old one
+        if (template.is_default) {
+            await database.clearDefaultResponseTemplate(template.form_type);
+        }
+
+        const created = await database.createResponseTemplate({ ...template, created_by: adminId });
+
+        await audit({
+            action: AUDIT_ACTIONS.TEMPLATE_CREATE,
+            targetType: 'response_template',
+            targetIds: [created.id],
+            after: templateState(created),
+            details: { name: created.name }
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                template: created
+            })
+        };
+    } catch (error) {
+        console.error('Error creating response template:', error);
+        throw error;
+    }
+}
+
+async function updateResponseTemplate(headers, body, audit) {
+    try {
+        const existing = body.templateId ? await database.getResponseTemplate(body.templateId) : null;
+        if (!existing) {
+            return templateNotFound(headers);
+        }
+
+        const { template, error } = readTemplate(body);
+        if (error) {
+            return invalidTemplate(headers, error);
+        }
+
+        if (template.is_default && !(existing.is_default && existing.form_type === template.form_type)) {
+            await database.clearDefaultResponseTemplate(template.form_type);
+        }
+
+        const updated = await database.updateResponseTemplate(existing.id, template);
+
+        await audit({
+            action: AUDIT_ACTIONS.TEMPLATE_UPDATE,
+            targetType: 'response_template',
+            targetIds: [existing.id],
+            before: templateState(existing),
+            after: templateState(updated),
+            details: { name: updated.name }
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                template: updated
+            })
+        };
+    } catch (error) {
+        console.error('Error updating response template:', error);
+        throw error;
+    }
+}
+
+async function deleteResponseTemplate(headers, body, audit) {
+    try {
+        const existing = body.templateId ? await database.getResponseTemplate(body.templateId) : null;
+        if (!existing) {
+            return templateNotFound(headers);
+        }
+
+        await database.deleteResponseTemplate(existing.id);
+
+        await audit({
+            action: AUDIT_ACTIONS.TEMPLATE_DELETE,
+            targetType: 'response_template',
+            targetIds: [existing.id],
+            before: templateState(existing),
+            details: { name: existing.name }
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true
+            })
+        };
+    } catch (error) {
+        console.error('Error deleting response template:', error);
+        throw error;
+    }
+}
+
+// The calendar with closure ids, which the public calendar leaves out
+async function calendarForDashboard() {
+    const calendar = await loadCalendar({ fresh: true });
+    return { ...publicCalendar(calendar), closures: calendar.closures };
+}
+
+function calendarResponse(headers, calendar) {
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            calendar
+        })
+    };
+}
+
+async function getCalendar(headers) {
+    try {
+        return calendarResponse(headers, await calendarForDashboard());
+    } catch (error) {
+        console.error('Error fetching business calendar:', error);
+        throw error;
+    }
+}
+
+// Validates calendar settings from the request, returning { settings } or { error }
+function readCalendarSettings(body) {
+    const weeklyHours = {};
+    for (const [day, hours] of Object.entries(body.weeklyHours || {})) {
+        if (!hours) continue;
+
+        if (!DAY_NAMES[day]) {
+            return { error: 'Invalid day of the week' };
+        }
+        if (!CLOCK_PATTERN.test(hours.open || '') || !CLOCK_PATTERN.test(hours.close || '')) {
+            return { error: `${DAY_NAMES[day]} hours must be times like 08:00` };
+        }
+        if (hours.close <= hours.open) {
+            return { error: `${DAY_NAMES[day]} must close after it opens` };
+        }
+
+        weeklyHours[day] = { open: hours.open, close: hours.close };
+    }
+
+    let emergencyWindow = null;
+    if (body.emergencyWindow) {
+        const { start, end } = body.emergencyWindow;
+        if (!CLOCK_PATTERN.test(start || '') || !CLOCK_PATTERN.test(end || '')) {
+            return { error: 'The emergency window must be times like 17:00' };
+        }
+        if (start === end) {
+            return { error: 'The emergency window cannot start and end at the same time' };
+        }
+        emergencyWindow = { start, end };
+    }
+
+    const arrivalWindow = parseInt(body.arrivalWindowMinutes, 10);
+    if (!(arrivalWindow >= 15 && arrivalWindow <= 480)) {
+        return { error: 'The arrival window must be between 15 and 480 minutes' };
+    }
+
+    return {
+        settings: {
+            weekly_hours: weeklyHours,
+            emergency_window: emergencyWindow,
+            arrival_window_minutes: arrivalWindow
+        }
+    };
+}
+
+// Validates a holiday or blackout date range, returning { closure } or { error }
+function readClosure(body) {
+    const name = (body.name || '').trim();
+    const startsOn = body.startsOn || '';
+    const endsOn = body.endsOn || startsOn;
+
+    if (!CLOSURE_KINDS.includes(body.kind)) {
+        return { error: 'Choose a holiday or a blackout date' };
+    }
+    if (!name || name.length > 100) {
+        return { error: 'A name of up to 100 characters is required' };
+    }
+    if (!DATE_PATTERN.test(startsOn) || !DATE_PATTERN.test(endsOn)) {
+        return { error: 'Dates must be in YYYY-MM-DD format' };
+    }
+    if (endsOn < startsOn) {
+        return { error: 'The last day cannot be before the first' };
+    }
+
+    return {
+        closure: { kind: body.kind, name, starts_on: startsOn, ends_on: endsOn }
+    };
+}
+
+function invalidCalendar(headers, message) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            success: false,
+            message
+        })
+    };
+}
+
+// The audited fields of the calendar settings
+function calendarState(settings) {
+    return settings
+        ? {
+            weekly_hours: settings.weekly_hours,
+            emergency_window: settings.emergency_window,
+            arrival_window_minutes: settings.arrival_window_minutes
+        }
+        : null;
+}
+
+async function updateCalendar(headers, body, adminId, audit) {
+    try {
+        const { settings, error } = readCalendarSettings(body);
+        if (error) {
+            return invalidCalendar(headers, error);
+        }
+
+        const before = await database.getCalendarSettings();
+        const saved = await database.saveCalendarSettings({ ...settings, updated_by: adminId });
+        clearCalendarCache();
+
+        await audit({
+            action: AUDIT_ACTIONS.CALENDAR_UPDATE,
+            targetType: 'calendar',
+            before: calendarState(before),
+            after: calendarState(saved)
+        });
+
+        return calendarResponse(headers, await calendarForDashboard());
+    } catch (error) {
+        console.error('Error updating business calendar:', error);
+        throw error;
+    }
+}
+
+async function addCalendarClosure(headers, body, adminId, audit) {
+    try {
+        const { closure, error } = readClosure(body);
+        if (error) {
+            return invalidCalendar(headers, error);
+        }
+
+        const created = await database.createCalendarClosure({ ...closure, created_by: adminId });
+        clearCalendarCache();
+
+        await audit({
+            action: AUDIT_ACTIONS.CLOSURE_ADD,
+            targetType: 'calendar_closure',
+            targetIds: [created.id],
+            after: closure,
+            details: { name: created.name }
+        });
+
+        return calendarResponse(headers, await calendarForDashboard());
+    } catch (error) {
+        console.error('Error adding calendar closure:', error);
+        throw error;
+    }
+}
+
+async function deleteCalendarClosure(headers, body, audit) {
+    try {
+        const existing = body.closureId ? await database.getCalendarClosure(body.closureId) : null;
+        if (!existing) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Holiday or blackout date not found'
+                })
+            };
+        }
+
+        await database.deleteCalendarClosure(existing.id);
+        clearCalendarCache();
+
+        await audit({
+            action: AUDIT_ACTIONS.CLOSURE_DELETE,
+            targetType: 'calendar_closure',
+            targetIds: [existing.id],
+            before: {
+                kind: existing.kind,
+                name: existing.name,
+                starts_on: existing.starts_on,
+                ends_on: existing.ends_on
+            },
+            details: { name: existing.name }
+        });
+
+        return calendarResponse(headers, await calendarForDashboard());
+    } catch (error) {
+        console.error('Error deleting calendar closure:', error);
+        throw error;
+    }
+}
+
+async function exportSubmissions(headers, queryParams, audit) {
+    try {
+        const { format = 'csv', status, formType, dateFrom, dateTo } = queryParams;
+        
+        const filters = {
+            status,
+            formType,
+            dateFrom,
+            dateTo
+        };
+
+        const { data, ids } = await database.exportFormSubmissions(format, filters);
+
+        // Customer data does not leave without a record of who took it
+        const recorded = await audit({
+            action: AUDIT_ACTIONS.EXPORT,
+            targetIds: ids,
+            details: { format, filters, count: ids.length }
+        });
+        if (!recorded) {
+            throw new Error('Export could not be recorded in the audit log');
+        }
+        
+        const contentTypes = {
+            'csv': 'text/csv',
+            'json': 'application/json',
+            'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        };
+
+        const filename = `form_submissions_${new Date().toISOString().split('T')[0]}.${format}`;
+        
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Content-Type': contentTypes[format] || 'text/plain',
+                'Content-Disposition': `attachment; filename="${filename}"`
+            },
+            body: format === 'json' ? JSON.stringify(data) : data
+        };
+    } catch (error) {
+        console.error('Error exporting submissions:', error);
+        throw error;
+    }
+}
+
+// The audit view filters by `auditAction` because `action` picks the endpoint
+function auditFilters(queryParams) {
+    const { auditAction, adminEmail, targetId, dateFrom, dateTo } = queryParams;
+    return { action: auditAction, adminEmail, targetId, dateFrom, dateTo };
+}
+
+async function getAuditEvents(headers, queryParams) {
+    try {
+        const page = parseInt(queryParams.page) || 1;
+        const limit = Math.min(parseInt(queryParams.limit) || 50, 200);
+
+        const { events, total } = await database.getAuditEvents({
+            page,
+            limit,
+            ...auditFilters(queryParams)
+        });
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                events,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching audit events:', error);
+        throw error;
+    }
+}
+
+async function exportAuditEvents(headers, queryParams, audit) {
+    try {
+        const { format = 'csv' } = queryParams;
+        const filters = auditFilters(queryParams);
+
+        const data = await database.exportAuditEvents(format, filters);
+
+        const recorded = await audit({
+            action: AUDIT_ACTIONS.AUDIT_EXPORT,
+            targetType: 'audit_event',
+            details: { format, filters }
+        });
+        if (!recorded) {
+            throw new Error('Export could not be recorded in the audit log');
+        }
+
+        const filename = `audit_log_${new Date().toISOString().split('T')[0]}.${format}`;
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Content-Type': format === 'json' ? 'application/json' : 'text/csv',
+                'Content-Disposition': `attachment; filename="${filename}"`
+            },
+            body: format === 'json' ? JSON.stringify(data) : data
+        };
+    } catch (error) {
+        console.error('Error exporting audit events:', error);
+        throw error;
+    }
+}
@@ -1,18 +1,49 @@
-const database = require('./lib/database');
+const { stream } = require('@netlify/functions');
 const { verifyAdminToken } = require('./admin-auth');
+const { can } = require('./lib/permissions');
+const { DASHBOARD_EVENTS, createEventCursor } = require('./lib/dashboard-events');
 
-// In-memory store for active connections (in production, use Redis or similar)
-const activeConnections = new Map();
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 15000;
 
-exports.handler = async (event, context) => {
-    // Set CORS and SSE headers
+// Kept below the function timeout; the browser reconnects with Last-Event-ID
+// when the stream ends, so no events are lost between connections
+const STREAM_DURATION_MS = (parseInt(process.env.NOTIFICATION_STREAM_SECONDS, 10) || 25) * 1000;
+const RECONNECT_DELAY_MS = 1000;
+
+// Streams dashboard_events (lib/dashboard-events.js) as Server-Sent Events.
+// Each frame is `id: <event id>` plus `data: { type, data, timestamp }`:
+//   new_submissions   consecutive new submissions in one frame
+//   status_update     { changes: [{ submission_id, previous_status, status }] }
+//   admin_response    { submission_ids, send_email }
+//   assignment        { changes: [{ submission_id, previous_assigned_to, assigned_to }],
+//                       assignee_name }
+//   note              { submission_id, note_id, change: added | edited | deleted,
+//                       mentioned_admin_ids } (only admins newly mentioned)
+//   customer_reply    { submission_id, customer_name, from_email, subject,
+//                       assigned_to } from email-inbound.js
+//   email_status      { submission_id, response_id, kind, event: delivered |
+//                       bounced | complained | opened, recipient,
+//                       customer_flagged } from email-delivery.js
+//   sms               { submission_id, direction: outbound | inbound,
+//                       customer_name, assigned_to } for a text sent from the
+//                       dashboard, or from sms-inbound.js with from_number and
+//                       opt_in_change (opt_out | opt_in | null) for a reply
+//   heartbeat         sent on connect and every 15 seconds, carrying the
+//                     current id so a fresh dashboard has a resume point
+// status_update, admin_response, assignment, note and outbound sms also
+// carry the acting admin_id and admin_email, so dashboards can tell their own
+// changes from a colleague's.
+// Resumes after the Last-Event-ID header, or the `lastEventId` parameter for
+// clients that open a new connection. With `poll=1` the pending events are
+// sent and the response ends, for browsers without EventSource.
+exports.handler = stream(async (event, context) => {
+    // Set CORS headers
     const headers = {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cache-Control',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cache-Control, Last-Event-ID',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive'
+        'Content-Type': 'application/json'
     };
 
     // Handle preflight requests
@@ -29,101 +60,147 @@ exports.handler = async (event, context) => {
         return {
             statusCode: 405,
             headers,
-            body: JSON.stringify({ 
-                success: false, 
-                message: 'Method not allowed' 
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
             })
         };
     }
 
+    let adminData;
     try {
-        // Verify admin token
-        const authHeader = event.headers.authorization || event.headers.Authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return {
-                statusCode: 401,
-                headers,
-                body: 'data: {"error": "Authorization required"}\n\n'
-            };
-        }
-
-        const token = authHeader.substring(7);
-        const adminData = verifyAdminToken(token);
-
-        // Get query parameters
-        const { lastCheck } = event.queryStringParameters || {};
-        
-        // Get recent submissions since last check
-        const recentSubmissions = await getRecentSubmissions(lastCheck);
-        
-        // Format as SSE data
-        let sseData = '';
-        
-        if (recentSubmissions.length > 0) {
-            sseData += `data: ${JSON.stringify({
-                type: 'new_submissions',
-                data: recentSubmissions,
-                timestamp: new Date().toISOString()
-            })}\n\n`;
-        }
-
-        // Send heartbeat to keep connection alive
-        sseData += `data: ${JSON.stringify({
-            type: 'heartbeat',
-            timestamp: new Date().toISOString()
-        })}\n\n`;
+        adminData = verifyAdminToken(event);
+    } catch (error) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Unauthorized'
+            })
+        };
+    }
 
+    if (!can(adminData.role, 'submissions:view')) {
         return {
-            statusCode: 200,
+            statusCode: 403,
             headers,
-            body: sseData
+            body: JSON.stringify({
+                success: false,
+                message: 'Your role does not allow this action'
+            })
         };
+    }
 
+    const { lastEventId, poll } = event.queryStringParameters || {};
+
+    let cursor;
+    try {
+        cursor = await createEventCursor(event.headers['last-event-id'] || lastEventId);
     } catch (error) {
         console.error('Notification error:', error);
-        
-        if (error.message === 'Invalid token' || error.message === 'No token provided') {
-            return {
-                statusCode: 401,
-                headers,
-                body: 'data: {"error": "Unauthorized"}\n\n'
-            };
-        }
 
         return {
             statusCode: 500,
             headers,
-            body: 'data: {"error": "Server error"}\n\n'
+            body: JSON.stringify({
+                success: false,
+                message: 'Server error'
+            })
         };
     }
-};
 
-async function getRecentSubmissions(lastCheck) {
-    try {
-        const filters = {
-            limit: 10
+    const encoder = new TextEncoder();
+    let closed = false;
+    let wake = null;
+
+    // Resolves early when the dashboard disconnects
+    const sleep = (ms) => new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        wake = () => {
+            clearTimeout(timer);
+            resolve();
         };
+    });
+
+    const events = new ReadableStream({
+        async start(controller) {
+            const send = (id, type, data) => {
+                if (closed) return;
+                const payload = { type, data, timestamp: new Date().toISOString() };
+                controller.enqueue(encoder.encode(`id: ${id}\ndata: ${JSON.stringify(payload)}\n\n`));
+            };
+
+            controller.enqueue(encoder.encode(`retry: ${RECONNECT_DELAY_MS}\n\n`));
+            send(cursor.lastEventId, 'heartbeat');
+
+            const endAt = Date.now() + STREAM_DURATION_MS;
+            let lastHeartbeat = Date.now();
+
+            try {
+                do {
+                    const rows = await cursor.next();
+                    sendFrames(rows, send);
+
+                    if (Date.now() - lastHeartbeat >= HEARTBEAT_INTERVAL_MS) {
+                        send(cursor.lastEventId, 'heartbeat');
+                        lastHeartbeat = Date.now();
+                    }
+
+                    if (poll) break;
+                    await sleep(POLL_INTERVAL_MS);
+                } while (!closed && Date.now() < endAt);
+            } catch (error) {
+                // The dashboard reconnects and resumes from the last id it received
+                console.error('Notification stream error:', error);
+            }
+
+            if (!closed) {
+                closed = true;
+                controller.close();
+            }
+        },
 
-        // If lastCheck is provided, only get submissions newer than that
-        if (lastCheck) {
-            const lastCheckDate = new Date(lastCheck);
-            // This would need to be implemented in the database service
-            // For now, we'll get the most recent submissions
+        cancel() {
+            closed = true;
+            if (wake) wake();
         }
+    });
 
-        const submissions = await database.getSubmissions(filters);
-        
-        // Filter to only new submissions from the last 5 minutes if no lastCheck
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-        
-        return submissions.filter(submission => {
-            const submissionDate = new Date(submission.created_at);
-            const checkDate = lastCheck ? new Date(lastCheck) : fiveMinutesAgo;
-            return submissionDate > checkDate;
-        });
-        
-    } catch (error) {
-        console.error('Error fetching recent submissions:', error);
-        return [];
+    return {
+        statusCode: 200,
+        headers: {
+            ...headers,
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive'
+        },
+        body: events
+    };
+});
+
+// Consecutive new submissions share a frame, so a burst raises one
+// notification; the frame's id is the last event in it
+function sendFrames(rows, send) {
+    let batch = [];
+    let batchId = null;
+
+    const flush = () => {
+        if (batch.length > 0) {
+            send(batchId, DASHBOARD_EVENTS.NEW_SUBMISSIONS, batch);
+            batch = [];
+        }
+    };
+
+    for (const row of rows) {
+        if (row.type === DASHBOARD_EVENTS.NEW_SUBMISSIONS) {
+            batch.push(row.payload);
+            batchId = row.id;
+        } else {
+            flush();
+            send(row.id, row.type, row.payload);
+        }
     }
-}
\ No newline at end of file
+
+    flush();
+}
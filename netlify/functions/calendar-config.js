@@ -0,0 +1,63 @@
+const { loadCalendar, publicCalendar } = require('./lib/scheduling/calendar');
+
+// The business calendar for pages: weekly hours and a summary of them,
+// upcoming holidays and blackout dates, the emergency after-hours window and
+// the arrival window (lib/scheduling/calendar.js). Edited in the dashboard.
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    try {
+        const calendar = await loadCalendar();
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Cache-Control': 'public, max-age=300'
+            },
+            body: JSON.stringify({
+                success: true,
+                calendar: publicCalendar(calendar)
+            })
+        };
+    } catch (error) {
+        console.error('Error loading business calendar:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Unable to load business hours',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            })
+        };
+    }
+};
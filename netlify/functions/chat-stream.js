@@ -0,0 +1,111 @@
+const { stream } = require('@netlify/functions');
+const chat = require('./lib/chat');
+const AuthUtils = require('./lib/auth-utils');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Serves /api/chat/stream as Server-Sent Events. Frames, in order:
+//   serviceDetails, scheduleOptions, currentStep  (only when they change)
+//   delta                                          (reply text, repeated)
+//   final                                          (same body as /api/chat)
+// or a single `error` frame. Closing the connection stops the reply.
+exports.handler = stream(async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+        body = null;
+    }
+
+    if (!body || typeof body.message !== 'string' || !body.message.trim()) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: body ? 'Message is required' : 'Invalid request body'
+            })
+        };
+    }
+
+    const state = body.state || {};
+    const message = AuthUtils.sanitizeInput(body.message).substring(0, MAX_MESSAGE_LENGTH);
+    const encoder = new TextEncoder();
+    const abortController = new AbortController();
+
+    const events = new ReadableStream({
+        async start(controller) {
+            const send = (name, data) => {
+                if (abortController.signal.aborted) return;
+                controller.enqueue(encoder.encode(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`));
+            };
+
+            try {
+                const response = await chat.handleMessage({
+                    sessionId: state.sessionId,
+                    message,
+                    onEvent: send,
+                    signal: abortController.signal
+                });
+
+                send('final', response);
+            } catch (error) {
+                console.error('Chat stream error:', error);
+
+                send('error', {
+                    message: 'There was a problem processing your message. Please call us at (703) 997-0026.',
+                    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                });
+            }
+
+            if (!abortController.signal.aborted) {
+                controller.close();
+            }
+        },
+
+        // The widget aborts the request when the customer sends another message
+        cancel() {
+            abortController.abort();
+        }
+    });
+
+    return {
+        statusCode: 200,
+        headers: {
+            ...headers,
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive'
+        },
+        body: events
+    };
+});
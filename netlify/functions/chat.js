@@ -0,0 +1,92 @@
+const chat = require('./lib/chat');
+const AuthUtils = require('./lib/auth-utils');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Serves /api/chat with a single JSON reply. The streamed equivalent is
+// chat-stream.js; the widget falls back to this endpoint when streaming fails.
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    try {
+        let body;
+        try {
+            body = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Invalid request body'
+                })
+            };
+        }
+
+        const { message, state = {} } = body;
+
+        if (typeof message !== 'string' || !message.trim()) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Message is required'
+                })
+            };
+        }
+
+        const response = await chat.handleMessage({
+            sessionId: state.sessionId,
+            message: AuthUtils.sanitizeInput(message).substring(0, MAX_MESSAGE_LENGTH)
+        });
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Cache-Control': 'no-store'
+            },
+            body: JSON.stringify(response)
+        };
+    } catch (error) {
+        console.error('Chat error:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'There was a problem processing your message. Please call us at (703) 997-0026.',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            })
+        };
+    }
+};
@@ -0,0 +1,110 @@
+const database = require('./lib/database');
+const AuthUtils = require('./lib/auth-utils');
+const { DELIVERY_EVENTS, parseDeliveryEvent } = require('./lib/delivery-events');
+const { DASHBOARD_EVENTS, publishDashboardEvent } = require('./lib/dashboard-events');
+
+// Postmark's delivery, bounce, spam complaint and open webhooks. Each event
+// is recorded on the email_messages row for the email it is about, and a
+// customer whose address bounces for good or who reports us as spam is
+// flagged on their customers row. Events for emails we did not log are
+// acknowledged and dropped, since Postmark retries anything but a 200.
+exports.handler = async (event, context) => {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    if (!AuthUtils.verifyWebhookAuth(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Unauthorized'
+            })
+        };
+    }
+
+    let delivery;
+    try {
+        delivery = parseDeliveryEvent(JSON.parse(event.body));
+    } catch (error) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Invalid webhook payload'
+            })
+        };
+    }
+
+    const accepted = (result) => ({
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, ...result })
+    });
+
+    if (!delivery) {
+        return accepted({ matched: false, reason: 'untracked_event' });
+    }
+
+    try {
+        const message = delivery.messageId
+            ? await database.getEmailMessageByProviderId(delivery.messageId)
+            : null;
+
+        if (!message) {
+            return accepted({ matched: false, reason: 'unknown_message' });
+        }
+
+        // Only the first open is kept
+        if (delivery.event === DELIVERY_EVENTS.OPENED && message.opened_at) {
+            return accepted({ matched: true, duplicate: true });
+        }
+
+        await database.updateEmailMessage(message.id, delivery.updates);
+
+        // Admin notifications go to our own inboxes
+        const toCustomer = message.kind !== 'admin_notification' && Boolean(message.submission_id);
+        const customerFlagged = toCustomer && Boolean(delivery.customerReason);
+
+        if (customerFlagged) {
+            await database.flagCustomerEmailBounced(message.submission_id, delivery.customerReason);
+        }
+
+        if (toCustomer) {
+            await publishDashboardEvent(DASHBOARD_EVENTS.EMAIL_STATUS, {
+                submission_id: message.submission_id,
+                response_id: message.response_id,
+                kind: message.kind,
+                event: delivery.event,
+                recipient: message.recipient,
+                customer_flagged: customerFlagged
+            });
+        }
+
+        return accepted({ matched: true, event: delivery.event });
+    } catch (error) {
+        console.error('Email delivery webhook error:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Server error'
+            })
+        };
+    }
+};
@@ -0,0 +1,110 @@
+const database = require('./lib/database');
+const AuthUtils = require('./lib/auth-utils');
+const { parseInboundEmail } = require('./lib/inbound-email');
+const { DASHBOARD_EVENTS, publishDashboardEvent } = require('./lib/dashboard-events');
+
+// Postmark's inbound webhook. Replies sent to a submission's reply address
+// (lib/inbound-email.js) are stored in inbound_emails, appear in the
+// submission's timeline and raise a customer_reply dashboard notification.
+// Mail that cannot be matched is acknowledged and dropped: Postmark retries
+// anything but a 200, and retrying would not match it either.
+exports.handler = async (event, context) => {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    if (!AuthUtils.verifyWebhookAuth(event)) {
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Unauthorized'
+            })
+        };
+    }
+
+    let email;
+    try {
+        email = parseInboundEmail(JSON.parse(event.body));
+    } catch (error) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Invalid inbound email payload'
+            })
+        };
+    }
+
+    const accepted = (result) => ({
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, ...result })
+    });
+
+    if (email.isAutoReply) {
+        return accepted({ matched: false, reason: 'auto_reply' });
+    }
+
+    try {
+        const submissions = email.submissionId
+            ? await database.getSubmissionDetailsByIds([email.submissionId])
+            : {};
+        const submission = submissions[email.submissionId];
+
+        if (!submission) {
+            console.warn(`Inbound email ${email.messageId} from ${email.fromEmail} matched no submission`);
+            return accepted({ matched: false, reason: 'no_submission' });
+        }
+
+        const stored = await database.createInboundEmail({
+            submission_id: submission.id,
+            message_id: email.messageId,
+            from_email: email.fromEmail,
+            from_name: email.fromName,
+            subject: email.subject,
+            reply: email.reply || '(no text)',
+            body: email.body,
+            received_at: email.receivedAt.toISOString()
+        });
+
+        if (!stored) {
+            return accepted({ matched: true, duplicate: true });
+        }
+
+        await publishDashboardEvent(DASHBOARD_EVENTS.CUSTOMER_REPLY, {
+            submission_id: submission.id,
+            customer_name: submission.customer_name,
+            from_email: email.fromEmail,
+            subject: email.subject,
+            assigned_to: submission.assigned_to || null
+        });
+
+        return accepted({ matched: true, id: stored.id });
+    } catch (error) {
+        // Postmark retries, and the message id keeps a retry from storing twice
+        console.error('Inbound email error:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Server error'
+            })
+        };
+    }
+};
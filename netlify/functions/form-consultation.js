@@ -0,0 +1,5 @@
+const { createIntakeHandler } = require('./lib/intake');
+
+// Consultation request forms on consultations/*.html; fields and rules are
+// in lib/intake/schemas.js
+exports.handler = createIntakeHandler('consultation');
@@ -0,0 +1,15 @@
+const { createRoutedIntakeHandler } = require('./lib/intake');
+
+// Unified contact form (components/unified-form.html) and the simple
+// contact/estimate forms. The posted formType picks the schema in
+// lib/intake/schemas.js; the unified estimate and comprehensive forms post to
+// their own functions.
+exports.handler = createRoutedIntakeHandler({
+    fields: ['formType', 'form_type'],
+    routes: {
+        contact: 'contact',
+        estimate: 'unified-estimate',
+        comprehensive: 'comprehensive'
+    },
+    defaultRoute: 'contact'
+});
@@ -0,0 +1,85 @@
+const technicianScheduler = require('./lib/scheduling/technician-scheduler');
+const { checkLookup } = require('./lib/intake/spam');
+
+// Open appointment windows on one day for the calendar on
+// schedule-appointment.html: GET ?date=YYYY-MM-DD&job_type_id=<job type>
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    if (!(await checkLookup(event, 'available-slots'))) {
+        return {
+            statusCode: 429,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Too many requests. Please try again later or call us at (703) 997-0026.'
+            })
+        };
+    }
+
+    try {
+        const { date, job_type_id: jobTypeId } = event.queryStringParameters || {};
+        const { jobType, slots } = await technicianScheduler.getAvailableSlots({ date, jobTypeId });
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Cache-Control': 'no-store'
+            },
+            body: JSON.stringify({
+                success: true,
+                date,
+                jobType: {
+                    id: jobType.id,
+                    name: jobType.name,
+                    duration_minutes: jobType.duration_minutes
+                },
+                slots
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching available slots:', error);
+
+        const statusCode = error.statusCode || 500;
+
+        return {
+            statusCode,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: statusCode < 500
+                    ? error.message
+                    : 'Unable to load appointment times. Please call us at (703) 997-0026.',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            })
+        };
+    }
+};
@@ -0,0 +1,63 @@
+const scheduling = require('./lib/scheduling');
+
+const MAX_DAYS = scheduling.MAX_DAYS_AHEAD;
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow GET requests
+    if (event.httpMethod !== 'GET') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    try {
+        const { days = '7' } = event.queryStringParameters || {};
+        const dayCount = Math.min(Math.max(parseInt(days, 10) || 7, 1), MAX_DAYS);
+
+        const slots = await scheduling.getOpenSlots({ days: dayCount });
+
+        // The chat widget consumes the bare array of slots
+        return {
+            statusCode: 200,
+            headers: {
+                ...headers,
+                'Cache-Control': 'no-store'
+            },
+            body: JSON.stringify(slots)
+        };
+    } catch (error) {
+        console.error('Error fetching open slots:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Unable to load appointment times. Please call us at (703) 997-0026.',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            })
+        };
+    }
+};
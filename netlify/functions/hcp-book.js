@@ -0,0 +1,131 @@
+const scheduling = require('./lib/scheduling');
+const chat = require('./lib/chat');
+const AuthUtils = require('./lib/auth-utils');
+
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    try {
+        const { type, payload = {}, customer = {}, address, serviceType, sessionId } = JSON.parse(event.body || '{}');
+
+        if (type !== 'job') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Unsupported booking type'
+                })
+            };
+        }
+
+        const schedule = payload.schedule || {};
+        if (!schedule.scheduled_start) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'Appointment start time is required'
+                })
+            };
+        }
+
+        if (!customer.phone && !customer.email) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'A phone number or email is required to book'
+                })
+            };
+        }
+
+        const booking = await scheduling.bookSlot({
+            start: schedule.scheduled_start,
+            end: schedule.scheduled_end,
+            arrivalWindow: schedule.arrival_window,
+            name: AuthUtils.sanitizeInput(payload.name || serviceType || 'Website Booking'),
+            description: AuthUtils.sanitizeInput(payload.description || ''),
+            address: AuthUtils.sanitizeInput(address || ''),
+            customer: {
+                name: AuthUtils.sanitizeInput(customer.name || ''),
+                email: AuthUtils.sanitizeInput(customer.email || ''),
+                phone: AuthUtils.sanitizeInput(customer.phone || '')
+            }
+        });
+
+        console.log(`Booked ${booking.provider} job ${booking.id} for ${booking.slot.start}`);
+
+        // Move the chat on to its confirmation step; the booking stands even
+        // if this fails
+        try {
+            await chat.recordBooking(sessionId, booking);
+        } catch (error) {
+            console.error('Error recording booking on chat session:', error);
+        }
+
+        // Shape matches the chat's confirmation panel
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                id: booking.id,
+                confirmationId: booking.id,
+                serviceType: serviceType || payload.name,
+                date: booking.slot.date,
+                timeSlot: `${booking.slot.time} - ${booking.slot.endTime}`,
+                location: address || '',
+                duration: `${Math.round(booking.slot.duration_minutes / 60 * 10) / 10} hours`,
+                start: booking.slot.start,
+                end: booking.slot.end,
+                status: booking.status || 'scheduled'
+            })
+        };
+    } catch (error) {
+        console.error('Error booking job:', error);
+
+        const statusCode = error.statusCode || 500;
+
+        return {
+            statusCode,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: statusCode < 500
+                    ? error.message
+                    : 'There was an error booking your appointment. Please call us at (703) 997-0026.',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            })
+        };
+    }
+};
@@ -0,0 +1,4 @@
+const { createIntakeHandler } = require('./lib/intake');
+
+// Unified comprehensive service form; recorded as a 'schedule' submission
+exports.handler = createIntakeHandler('comprehensive');
@@ -0,0 +1,4 @@
+const { createIntakeHandler } = require('./lib/intake');
+
+// Unified estimate form; recorded as an 'estimate' submission
+exports.handler = createIntakeHandler('unified-estimate');
@@ -0,0 +1,21 @@
+const { schedule } = require('@netlify/functions');
+const { escalateOverdueAlerts } = require('./lib/lead-alerts');
+
+// Runs every minute: pages the escalation rota for each on-call alert whose
+// submission is still 'new' after its rule's escalate_after_minutes, and
+// drops pending escalations for submissions someone has picked up
+// (lib/lead-alerts.js).
+exports.handler = schedule('* * * * *', async (event, context) => {
+    try {
+        const results = await escalateOverdueAlerts();
+
+        if (results.escalated || results.cancelled) {
+            console.log(`Lead alerts: ${results.escalated} escalated, ${results.cancelled} no longer needed`);
+        }
+
+        return { statusCode: 200 };
+    } catch (error) {
+        console.error('Lead alert escalation error:', error);
+        return { statusCode: 500 };
+    }
+});
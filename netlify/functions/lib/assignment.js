@@ -0,0 +1,43 @@
+// Round-robin assignment of new submissions. A row in assignment_rotations
+// for a form type lists the admins who take turns with its leads; form types
+// without one, or whose admins are all inactive, are left unassigned.
+
+const database = require('./database');
+
+// Another intake can take the same turn between reading and advancing the
+// rotation; the loser reads it again
+const MAX_ATTEMPTS = 3;
+
+// Returns the admin id whose turn it is, or null
+async function pickRoundRobinAssignee(formType) {
+    try {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const rotation = await database.getAssignmentRotation(formType);
+            if (!rotation || rotation.admin_ids.length === 0) return null;
+
+            const assignable = new Set((await database.getAssignableAdmins()).map(admin => admin.id));
+            const count = rotation.admin_ids.length;
+
+            // Skip admins who have been deactivated or made read-only
+            const offset = [...Array(count).keys()].find(step =>
+                assignable.has(rotation.admin_ids[(rotation.next_index + step) % count]));
+            if (offset === undefined) return null;
+
+            const index = (rotation.next_index + offset) % count;
+            if (await database.advanceAssignmentRotation(formType, rotation.next_index, (index + 1) % count)) {
+                return rotation.admin_ids[index];
+            }
+        }
+
+        console.warn(`Assignment rotation for ${formType} is busy; leaving the submission unassigned`);
+        return null;
+    } catch (error) {
+        // A lead is never lost because it could not be assigned
+        console.error(`Error picking an assignee for ${formType}:`, error);
+        return null;
+    }
+}
+
+module.exports = {
+    pickRoundRobinAssignee
+};
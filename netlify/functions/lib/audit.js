@@ -0,0 +1,80 @@
+// Audit trail for the admin dashboard. Every change an admin makes and every
+// export is recorded in audit_events with who did it, what it touched, the
+// values before and after, and the request's IP address and user agent.
+
+const database = require('./database');
+const AuthUtils = require('./auth-utils');
+
+const AUDIT_ACTIONS = {
+    STATUS_UPDATE: 'submission.status_update',
+    BULK_STATUS_UPDATE: 'submission.bulk_status_update',
+    RESPOND: 'submission.respond',
+    BULK_RESPOND: 'submission.bulk_respond',
+    SMS_SEND: 'submission.sms_send',
+    EXPORT: 'submission.export',
+    ASSIGN: 'submission.assign',
+    BULK_ASSIGN: 'submission.bulk_assign',
+    NOTE_ADD: 'submission.note_add',
+    NOTE_EDIT: 'submission.note_edit',
+    NOTE_DELETE: 'submission.note_delete',
+    TEMPLATE_CREATE: 'template.create',
+    TEMPLATE_UPDATE: 'template.update',
+    TEMPLATE_DELETE: 'template.delete',
+    CALENDAR_UPDATE: 'calendar.update',
+    CLOSURE_ADD: 'calendar.closure_add',
+    CLOSURE_DELETE: 'calendar.closure_delete',
+    AUDIT_EXPORT: 'audit.export'
+};
+
+// `adminData` is the decoded access token. Returns the stored event, or null
+// when it could not be written: the change it describes has already been
+// made, so callers decide whether a missing record should stop the request.
+async function recordAuditEvent(event, adminData, {
+    action,
+    targetType = 'submission',
+    targetIds = [],
+    before = null,
+    after = null,
+    details = null
+}) {
+    try {
+        return await database.createAuditEvent({
+            admin_id: adminData.adminId,
+            admin_email: adminData.email,
+            action,
+            target_type: targetType,
+            target_ids: targetIds.map(String),
+            before,
+            after,
+            details,
+            ip_address: AuthUtils.getClientIp(event),
+            user_agent: (event.headers || {})['user-agent'] || null
+        });
+    } catch (error) {
+        console.error(`Error recording audit event ${action}:`, error);
+        return null;
+    }
+}
+
+// Status of updated submissions keyed by id, matching the shape of
+// database.getSubmissionStates() for before/after comparison
+function submissionStates(submissions) {
+    return Object.fromEntries(submissions.map(submission => [submission.id, {
+        status: submission.status
+    }]));
+}
+
+// Assignee of updated submissions keyed by id, matching
+// database.getSubmissionStates(ids, ['assigned_to'])
+function submissionAssignments(submissions) {
+    return Object.fromEntries(submissions.map(submission => [submission.id, {
+        assigned_to: submission.assigned_to
+    }]));
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    recordAuditEvent,
+    submissionStates,
+    submissionAssignments
+};
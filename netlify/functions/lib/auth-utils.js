@@ -1,8 +1,11 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { MemoryRateLimitStore } = require('./rate-limit-store');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-for-development';
 const ACCESS_TOKEN_EXPIRES = '15m'; // Short-lived access token
 const REFRESH_TOKEN_EXPIRES = '7d'; // Longer-lived refresh token
+const FORM_TOKEN_EXPIRES = '24h'; // Public form time-to-submit token
 
 class AuthUtils {
     static generateTokens(adminData) {
@@ -126,6 +129,30 @@ class AuthUtils {
         return null;
     }
 
+    // Netlify's own client address header cannot be set by the caller; the
+    // proxy headers are only used when it is missing (netlify dev)
+    static getClientIp(event) {
+        const headers = event.headers || {};
+        const forwarded = headers['x-nf-client-connection-ip']
+            || headers['x-forwarded-for']
+            || headers['x-real-ip'];
+        return forwarded ? forwarded.split(',')[0].trim() : null;
+    }
+
+    // Basic auth for webhooks that cannot send a token; Postmark takes the
+    // credentials in the webhook URL. Always fails when none are configured.
+    static verifyWebhookAuth(event) {
+        const username = process.env.POSTMARK_WEBHOOK_USERNAME;
+        const password = process.env.POSTMARK_WEBHOOK_PASSWORD;
+        const match = ((event.headers || {}).authorization || '').match(/^Basic\s+(\S+)$/i);
+        if (!username || !password || !match) return false;
+
+        // Hashed so the comparison takes the same time whatever the lengths
+        const given = crypto.createHash('sha256').update(Buffer.from(match[1], 'base64').toString()).digest();
+        const expected = crypto.createHash('sha256').update(`${username}:${password}`).digest();
+        return crypto.timingSafeEqual(given, expected);
+    }
+
     static sanitizeInput(input) {
         if (typeof input !== 'string') return input;
         
@@ -153,32 +180,49 @@ class AuthUtils {
         return minLength && hasUpper && hasLower && (hasNumber || hasSpecial);
     }
 
-    static createRateLimiter() {
-        const attempts = new Map();
-        const MAX_ATTEMPTS = 5;
-        const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+    // Signed token issued when a public form loads; the intake spam checks
+    // use it to reject posts made without loading the page or filled in
+    // faster than a person could
+    static generateFormToken() {
+        return jwt.sign({ type: 'form' }, JWT_SECRET, {
+            expiresIn: FORM_TOKEN_EXPIRES,
+            issuer: 'ajlong-electric-forms'
+        });
+    }
+
+    static verifyFormToken(token) {
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET, {
+                issuer: 'ajlong-electric-forms'
+            });
+
+            if (decoded.type !== 'form') {
+                throw new Error('Invalid form token type');
+            }
+
+            return decoded;
+        } catch (error) {
+            throw new Error('Invalid form token');
+        }
+    }
+
+    // Sliding-window limiter. Hits are kept in `store` (see
+    // lib/rate-limit-store.js), in memory unless a persistent store is passed.
+    static createRateLimiter(options = {}) {
+        const {
+            maxAttempts = 5,
+            windowMs = 15 * 60 * 1000, // 15 minutes
+            store = new MemoryRateLimitStore()
+        } = options;
 
         return {
-            isAllowed: (identifier) => {
-                const now = Date.now();
-                const userAttempts = attempts.get(identifier) || [];
-                
-                // Clean old attempts
-                const recentAttempts = userAttempts.filter(time => now - time < WINDOW_MS);
-                
-                if (recentAttempts.length >= MAX_ATTEMPTS) {
-                    return false;
-                }
-                
-                // Add current attempt
-                recentAttempts.push(now);
-                attempts.set(identifier, recentAttempts);
-                
-                return true;
+            isAllowed: async (identifier) => {
+                const attempts = await store.hit(identifier, windowMs);
+                return attempts <= maxAttempts;
             },
-            
-            reset: (identifier) => {
-                attempts.delete(identifier);
+
+            reset: async (identifier) => {
+                await store.reset(identifier);
             }
         };
     }
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const scheduling = require('../scheduling');
+const { createSessionStore } = require('./session-store');
+const { syncChatLead } = require('./leads');
+const {
+    createInitialState,
+    advance,
+    filterByTimePreference
+} = require('./state-machine');
+
+const SESSION_ID_PATTERN = /^session_[A-Za-z0-9_]{8,64}$/;
+const MAX_HISTORY = 30;
+const MAX_OFFERED_SLOTS = 30;
+
+// Select the language-model provider from the environment.
+// CHAT_LLM_PROVIDER=rule-based|openai; defaults to the OpenAI-compatible
+// provider when an API key is configured, otherwise the rule-based one.
+function createChatProvider(name = process.env.CHAT_LLM_PROVIDER) {
+    const hasApiKey = Boolean(process.env.CHAT_LLM_API_KEY || process.env.OPENAI_API_KEY);
+    const providerName = name || (hasApiKey ? 'openai' : 'rule-based');
+
+    switch (providerName) {
+        case 'rule-based': {
+            const RuleBasedProvider = require('./rule-based-provider');
+            return new RuleBasedProvider();
+        }
+        case 'openai': {
+            const OpenAIProvider = require('./openai-provider');
+            return new OpenAIProvider();
+        }
+        default:
+            throw new Error(`Unknown chat provider: ${providerName}`);
+    }
+}
+
+class ChatService {
+    constructor(options = {}) {
+        this.provider = options.provider || null;
+        this.store = options.store || null;
+        this.scheduling = options.scheduling || scheduling;
+    }
+
+    getProvider() {
+        if (!this.provider) {
+            this.provider = createChatProvider();
+        }
+        return this.provider;
+    }
+
+    getStore() {
+        if (!this.store) {
+            this.store = createSessionStore();
+        }
+        return this.store;
+    }
+
+    // Load the session for a client-supplied id, or start a fresh one when
+    // the id is missing, malformed or has expired
+    async loadSession(sessionId) {
+        if (sessionId && SESSION_ID_PATTERN.test(sessionId)) {
+            const existing = await this.getStore().get(sessionId);
+            if (existing) return existing;
+        }
+
+        return {
+            id: `session_${crypto.randomBytes(12).toString('hex')}`,
+            state: createInitialState(),
+            history: [],
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // Handle one customer message and return the reply in the shape the
+    // chat widget expects. When `onEvent` is given, progress is reported as
+    // it happens (serviceDetails, scheduleOptions, currentStep, delta) so the
+    // stream endpoint can forward it; `signal` stops the reply mid-stream.
+    async handleMessage({ sessionId, message, onEvent = null, signal = null }) {
+        const session = await this.loadSession(sessionId);
+        const provider = this.getProvider();
+        const emit = onEvent || (() => {});
+
+        const previousStep = session.state.currentStep;
+        const previousDetails = JSON.stringify(session.state.serviceDetails);
+
+        const extracted = await provider.extract({
+            message,
+            state: session.state,
+            history: session.history
+        });
+
+        const result = advance(session.state, extracted, message);
+        const { state } = result;
+        let intent = result.intent;
+        let slots = [];
+        let booking = null;
+        let bookingError = null;
+
+        if (JSON.stringify(state.serviceDetails) !== previousDetails) {
+            emit('serviceDetails', state.serviceDetails);
+        }
+
+        if (['offer_slots', 'more_slots', 'reschedule'].includes(intent)) {
+            slots = await this.loadSlots(result.timePreference);
+            if (slots.length === 0) intent = 'no_slots';
+        }
+
+        if (intent === 'book_slot') {
+            try {
+                booking = await this.book(state, result.slot);
+                state.currentStep = 'confirmation';
+                state.selectedTimeSlot = result.slot;
+                state.confirmationDetails = booking;
+                intent = 'booked';
+            } catch (error) {
+                console.error('Error booking chat appointment:', error);
+
+                if (error.statusCode === 409) {
+                    bookingError = error.message.charAt(0).toLowerCase() + error.message.slice(1);
+                    slots = await this.loadSlots();
+                    intent = slots.length > 0 ? 'slot_taken' : 'no_slots';
+                } else {
+                    intent = 'booking_failed';
+                }
+            }
+        }
+
+        if (slots.length > 0) {
+            state.scheduleOptions = slots;
+            emit('scheduleOptions', slots);
+        }
+
+        if (state.currentStep !== previousStep) {
+            emit('currentStep', { currentStep: state.currentStep });
+        }
+
+        // Save the new state before the reply is written so a message sent
+        // while this one is still streaming continues from it
+        session.state = state;
+        this.addToHistory(session, 'user', message);
+        const leadEvent = intent === 'booked' || intent === 'notes_added' ? intent : null;
+        await this.syncLead(session, leadEvent);
+        await this.getStore().save(session);
+
+        const reply = await this.composeReply(provider, {
+            intent,
+            state,
+            slots,
+            booking,
+            error: bookingError,
+            timePreference: result.timePreference || null
+        }, onEvent, signal);
+
+        if (signal && signal.aborted) {
+            return this.buildResponse(session, reply, intent);
+        }
+
+        this.addToHistory(session, 'assistant', reply);
+        await this.getStore().save(session);
+
+        return this.buildResponse(session, reply, intent);
+    }
+
+    // `history` is the recent context sent to the provider; `pendingMessages`
+    // are transcript entries the store has not written yet
+    addToHistory(session, role, content) {
+        const entry = { role, content, at: new Date().toISOString() };
+        session.history = [...(session.history || []), entry].slice(-MAX_HISTORY);
+        session.pendingMessages = [...(session.pendingMessages || []), entry];
+    }
+
+    // A failure to record the lead must not interrupt the conversation
+    async syncLead(session, event) {
+        if (!this.getStore().persistent) return;
+
+        try {
+            await syncChatLead(session, { event });
+        } catch (error) {
+            console.error('Error recording chat lead:', error);
+        }
+    }
+
+    // Write the reply, forwarding text deltas when streaming
+    async composeReply(provider, context, onEvent, signal) {
+        if (!onEvent) {
+            return provider.compose(context);
+        }
+
+        if (!provider.composeStream) {
+            const text = await provider.compose(context);
+            onEvent('delta', { text });
+            return text;
+        }
+
+        let reply = '';
+        for await (const chunk of provider.composeStream(context)) {
+            if (signal && signal.aborted) break;
+            reply += chunk;
+            onEvent('delta', { text: chunk });
+        }
+        return reply;
+    }
+
+    // The widget books time-slot clicks directly through hcp-book, which
+    // passes the booking it made here so the next message continues from the
+    // confirmation step. Returns true when the session took the booking.
+    async recordBooking(sessionId, booking) {
+        if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) return false;
+
+        const session = await this.getStore().get(sessionId);
+        if (!session || session.state.currentStep !== 'scheduling') return false;
+
+        const { state } = session;
+        const slot = booking.slot;
+
+        state.currentStep = 'confirmation';
+        state.confirmationDetails = {
+            confirmationId: String(booking.id),
+            serviceType: state.serviceDetails.type,
+            date: slot.date,
+            timeSlot: `${slot.time} - ${slot.endTime}`,
+            location: state.serviceDetails.location,
+            duration: state.serviceDetails.estimatedDuration,
+            start: slot.start,
+            end: slot.end,
+            status: booking.status || 'scheduled'
+        };
+        state.selectedTimeSlot = {
+            day: slot.date.split(',')[0],
+            time: slot.time,
+            endTime: slot.endTime,
+            date: slot.date,
+            start: slot.start,
+            end: slot.end
+        };
+
+        await this.syncLead(session, 'booked');
+        await this.getStore().save(session);
+        return true;
+    }
+
+    async loadSlots(timePreference = null) {
+        const slots = await this.scheduling.getOpenSlots({ days: 7 });
+        return filterByTimePreference(slots, timePreference).slice(0, MAX_OFFERED_SLOTS);
+    }
+
+    async book(state, slot) {
+        const details = state.serviceDetails;
+        const previous = state.confirmationDetails;
+
+        // Providers have no cancel call yet, so a reschedule is flagged for
+        // the office to release the original appointment
+        let description = `${details.type} booked through the website chat`;
+        if (previous && previous.confirmationId) {
+            description += `. Reschedule of confirmation #${previous.confirmationId}`;
+        }
+
+        const result = await this.scheduling.bookSlot({
+            start: slot.start,
+            end: slot.end,
+            name: details.type,
+            description,
+            address: details.location,
+            customer: details.customer
+        });
+
+        return {
+            confirmationId: result.id,
+            serviceType: details.type,
+            date: result.slot.date,
+            timeSlot: `${result.slot.time} - ${result.slot.endTime}`,
+            location: details.location,
+            duration: details.estimatedDuration,
+            start: result.slot.start,
+            end: result.slot.end,
+            status: result.status || 'scheduled'
+        };
+    }
+
+    buildResponse(session, reply, intent) {
+        const { state } = session;
+        const response = {
+            message: reply,
+            sessionId: session.id,
+            currentStep: state.currentStep,
+            serviceDetails: state.serviceDetails,
+            updateInfoPanel: false
+        };
+
+        if (['offer_slots', 'more_slots', 'reschedule', 'slot_taken'].includes(intent)) {
+            response.scheduleOptions = state.scheduleOptions;
+            response.updateInfoPanel = true;
+            response.infoContent = { scheduleOptions: state.scheduleOptions };
+        } else if (intent === 'booked' || intent === 'notes_added') {
+            response.selectedTimeSlot = state.selectedTimeSlot;
+            response.updateInfoPanel = true;
+            response.infoContent = { confirmationDetails: state.confirmationDetails };
+        } else if (state.currentStep === 'gathering_details') {
+            response.updateInfoPanel = true;
+            response.infoContent = { gatheringDetails: state.serviceDetails.type };
+        }
+
+        return response;
+    }
+}
+
+module.exports = new ChatService();
+module.exports.ChatService = ChatService;
+module.exports.createChatProvider = createChatProvider;
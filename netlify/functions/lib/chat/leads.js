@@ -0,0 +1,93 @@
+// The dashboard's record of a chat: a 'chat' submission created once the
+// customer's name, email and phone are known, kept in step with the booking.
+
+const { getZonedParts } = require('../scheduling/availability');
+
+// `event` is 'booked' or 'notes_added' when the appointment changed
+async function syncChatLead(session, { event = null } = {}) {
+    // Required here, not at the top, so the chat loads without a database
+    const database = require('../database');
+    const emailService = require('../email');
+    const smsService = require('../sms');
+    const { recordNewLead } = require('../leads');
+    const details = session.state.serviceDetails;
+    const customer = details.customer;
+    const [firstName, ...lastNames] = (customer.name || '').trim().split(/\s+/);
+    const customerData = {
+        first_name: firstName,
+        last_name: lastNames.join(' '),
+        email: (customer.email || '').toLowerCase(),
+        phone: customer.phone,
+        address: details.location
+    };
+
+    if (!session.submissionId) {
+        if (!customer.name || !customer.email || !customer.phone) {
+            return session;
+        }
+
+        const { customer: customerRecord, submission } = await recordNewLead({
+            customerData,
+            submission: {
+                form_type: 'chat',
+                subject: `${details.type || 'Service'} request via AI chat`,
+                message: [
+                    `Service: ${details.type || 'Not specified'}`,
+                    `Location: ${details.location || 'Not provided'}`,
+                    `Estimated duration: ${details.estimatedDuration || 'Unknown'}`
+                ].join('\n'),
+                service_location: details.location,
+                metadata: {
+                    chat_session_id: session.id,
+                    service_type: details.type,
+                    estimated_duration: details.estimatedDuration
+                }
+            },
+            notifications: { admin: 'chat' }
+        });
+
+        session.customerId = customerRecord.id;
+        session.submissionId = submission.id;
+    }
+
+    const confirmation = session.state.confirmationDetails;
+    if (event && confirmation) {
+        const updates = {
+            preferred_time: confirmation.timeSlot,
+            metadata: {
+                chat_session_id: session.id,
+                service_type: details.type,
+                estimated_duration: details.estimatedDuration,
+                confirmation,
+                notes: session.state.notes
+            }
+        };
+
+        if (confirmation.start) {
+            const { year, month, day } = getZonedParts(new Date(confirmation.start));
+            updates.preferred_date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        }
+
+        const submission = await database.updateFormSubmission(session.submissionId, updates);
+
+        if (event === 'booked') {
+            try {
+                await emailService.sendCustomerNotification('chat', customerData, submission);
+            } catch (emailError) {
+                console.error('Error sending chat booking confirmation:', emailError);
+            }
+
+            try {
+                await smsService.sendAppointmentConfirmation(session.customerId, submission.id, confirmation);
+            } catch (smsError) {
+                console.error('Error texting chat booking confirmation:', smsError);
+            }
+        }
+    }
+
+    return session;
+}
+
+module.exports = {
+    syncChatLead
+};
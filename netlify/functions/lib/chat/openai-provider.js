@@ -0,0 +1,197 @@
+const RuleBasedProvider = require('./rule-based-provider');
+const { SERVICE_CATALOG } = require('./state-machine');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const REQUEST_TIMEOUT_MS = 8000;
+
+// Language-model provider for any OpenAI-compatible chat completions API.
+// The model extracts details and rephrases replies; the rule-based provider
+// drafts every reply first so times and confirmation numbers stay exact, and
+// takes over whenever the API is unavailable.
+class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.apiKey = process.env.CHAT_LLM_API_KEY || process.env.OPENAI_API_KEY;
+        this.baseUrl = (process.env.CHAT_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+        this.model = process.env.CHAT_LLM_MODEL || DEFAULT_MODEL;
+        this.fallback = new RuleBasedProvider();
+
+        if (!this.apiKey) {
+            throw new Error('CHAT_LLM_API_KEY is not configured');
+        }
+    }
+
+    async complete(messages, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    messages,
+                    temperature: options.temperature ?? 0.3,
+                    ...(options.json ? { response_format: { type: 'json_object' } } : {})
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Language model request failed with status ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data.choices[0].message.content;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    async extract({ message, state, history = [] }) {
+        const ruleBased = await this.fallback.extract({ message, state });
+
+        try {
+            const content = await this.complete([
+                {
+                    role: 'system',
+                    content: [
+                        'You extract booking details for A.J. Long Electric from a customer chat message.',
+                        `Valid service types: ${SERVICE_CATALOG.map(service => service.type).join('; ')}.`,
+                        'Reply with a JSON object with keys serviceType, location, name, phone, email,',
+                        'timePreference ("morning", "afternoon" or null) and wantsChange (boolean).',
+                        'Use null for anything the customer did not say.',
+                        `Details collected so far: ${JSON.stringify(state.serviceDetails)}`
+                    ].join(' ')
+                },
+                ...history.slice(-6).map(entry => ({ role: entry.role, content: entry.content })),
+                { role: 'user', content: message }
+            ], { json: true, temperature: 0 });
+
+            const parsed = JSON.parse(content);
+            const extracted = { ...ruleBased };
+
+            if (SERVICE_CATALOG.some(service => service.type === parsed.serviceType)) {
+                extracted.serviceType = parsed.serviceType;
+            }
+            ['location', 'name', 'phone', 'email'].forEach(key => {
+                if (typeof parsed[key] === 'string' && parsed[key].trim()) {
+                    extracted[key] = parsed[key].trim().substring(0, 255);
+                }
+            });
+            if (parsed.timePreference === 'morning' || parsed.timePreference === 'afternoon') {
+                extracted.timePreference = parsed.timePreference;
+            }
+            extracted.wantsChange = parsed.wantsChange === true || ruleBased.wantsChange;
+
+            return extracted;
+        } catch (error) {
+            console.error('Error in OpenAIProvider.extract:', error);
+            return ruleBased;
+        }
+    }
+
+    async compose(context) {
+        const draft = await this.fallback.compose(context);
+
+        try {
+            const reply = await this.complete(rewriteMessages(draft));
+            return reply && reply.trim() ? reply.trim() : draft;
+        } catch (error) {
+            console.error('Error in OpenAIProvider.compose:', error);
+            return draft;
+        }
+    }
+
+    // Stream the rewritten reply; falls back to the draft if the API fails
+    // before the first token arrives
+    async *composeStream(context) {
+        const draft = await this.fallback.compose(context);
+        let streamed = false;
+
+        try {
+            for await (const token of this.streamCompletion(rewriteMessages(draft))) {
+                streamed = true;
+                yield token;
+            }
+        } catch (error) {
+            console.error('Error in OpenAIProvider.composeStream:', error);
+        }
+
+        if (!streamed) {
+            yield draft;
+        }
+    }
+
+    async *streamCompletion(messages) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS * 2);
+
+        try {
+            const response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    messages,
+                    temperature: 0.3,
+                    stream: true
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Language model request failed with status ${response.status}`);
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const data = line.replace(/^data:\s*/, '').trim();
+                    if (!line.startsWith('data:') || !data) continue;
+                    if (data === '[DONE]') return;
+
+                    const token = JSON.parse(data).choices[0]?.delta?.content;
+                    if (token) yield token;
+                }
+            }
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+}
+
+function rewriteMessages(draft) {
+    return [
+        {
+            role: 'system',
+            content: [
+                'You are the friendly scheduling assistant for A.J. Long Electric, serving Northern Virginia, DC & Maryland since 1996.',
+                'Rewrite the draft reply in a warm, concise tone.',
+                'Keep every date, time, address, price, phone number and confirmation number exactly as written.',
+                'Do not promise anything the draft does not.'
+            ].join(' ')
+        },
+        { role: 'user', content: draft }
+    ];
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,166 @@
+const { SERVICE_CATALOG, findService } = require('./state-machine');
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/;
+const STREET_ADDRESS_PATTERN = /\d+\s+(?:[A-Za-z0-9.'-]+\s+){0,4}(?:st|street|rd|road|ave|avenue|blvd|boulevard|dr|drive|ln|lane|ct|court|way|pl|place|ter|terrace|cir|circle|pkwy|parkway|hwy|highway|pike|trail|sq|square)\b[^\n]*/i;
+const ADDRESS_PATTERN = /\d+\s+[A-Za-z0-9][A-Za-z0-9\s,.#'-]{3,}/;
+const NAME_PATTERN = /(?:my name is|name is|name's|call me)\s+([A-Za-z][A-Za-z'.-]*(?:\s+[A-Za-z][A-Za-z'.-]*){0,2})/i;
+const BARE_NAME_PATTERN = /^[A-Za-z][A-Za-z'.-]*(?:\s+[A-Za-z][A-Za-z'.-]*){0,2}$/;
+
+// Deterministic provider: keyword and pattern matching for extraction,
+// fixed templates for replies. Needs no network access, so the chat can be
+// exercised offline and behaves the same on every run.
+class RuleBasedProvider {
+    constructor() {
+        this.name = 'rule-based';
+    }
+
+    // Pull service type, address and contact details out of a message
+    async extract({ message, state }) {
+        const text = (message || '').trim();
+        const lower = text.toLowerCase();
+        const details = state.serviceDetails;
+        const extracted = {};
+
+        const service = SERVICE_CATALOG.find(entry =>
+            entry.keywords.some(keyword => new RegExp(`\\b${keyword}(s|ing)?\\b`, 'i').test(lower))
+        );
+        if (service) extracted.serviceType = service.type;
+
+        const email = text.match(EMAIL_PATTERN);
+        if (email) extracted.email = email[0];
+
+        const phone = text.match(PHONE_PATTERN);
+        if (phone) extracted.phone = phone[0].trim();
+
+        // Strip contact details before looking for a street address so a
+        // phone number is never mistaken for a house number
+        const remainder = text
+            .replace(EMAIL_PATTERN, ' ')
+            .replace(PHONE_PATTERN, ' ')
+            .replace(NAME_PATTERN, ' ')
+            .trim();
+
+        // Outside of gathering_details only trust addresses with a street
+        // suffix, so "200 amp service" is not read as a location
+        if (!details.location) {
+            const pattern = state.currentStep === 'gathering_details' ? ADDRESS_PATTERN : STREET_ADDRESS_PATTERN;
+            const address = remainder.match(pattern);
+            if (address) extracted.location = address[0].trim().replace(/[,.\s]+$/, '');
+        }
+
+        const name = text.match(NAME_PATTERN);
+        if (name) {
+            extracted.name = toTitleCase(name[1]);
+        } else if (details.location && !details.customer.name) {
+            // When we have just asked for a name, a short bare reply is the name
+            const candidate = remainder.replace(/^(and|it's|its)\s+/i, '').replace(/[,.]+$/, '').trim();
+            if (BARE_NAME_PATTERN.test(candidate) && !/^(yes|no|ok|okay|sure|thanks|thank you)$/i.test(candidate)) {
+                extracted.name = toTitleCase(candidate);
+            }
+        }
+
+        if (/\bmorning\b|\bearly\b/.test(lower)) {
+            extracted.timePreference = 'morning';
+        } else if (/\bafternoon\b|\blater in the day\b/.test(lower)) {
+            extracted.timePreference = 'afternoon';
+        }
+
+        extracted.wantsChange = /\b(reschedul|change|different time|another time|cancel)/.test(lower);
+
+        return extracted;
+    }
+
+    // Phrase the reply for the intent chosen by the state machine
+    async compose({ intent, state, slots = [], booking = null, error = null, timePreference = null }) {
+        const details = state.serviceDetails;
+        const customer = details.customer;
+        const service = findService(details.type);
+        const firstName = customer.name ? customer.name.split(' ')[0] : null;
+
+        switch (intent) {
+            case 'ask_service':
+                return "I'd be happy to help you schedule an electrical service. What type of service do you need? For example: panel upgrade, EV charger installation, lighting installation, outlet/switch repair, ceiling fan installation, or electrical troubleshooting.";
+
+            case 'service_identified':
+                return `${service ? service.intro : `I can help with ${details.type}.`} ${service ? service.locationPrompt : 'Could you please provide the address where you need this service?'}`;
+
+            case 'ask_location':
+                return `To schedule your ${details.type} service, I'll need the service address. Could you please provide the street address, city, and ZIP code?`;
+
+            case 'ask_contact': {
+                const missing = [
+                    !customer.name && 'name',
+                    !customer.phone && 'phone number',
+                    !customer.email && 'email address'
+                ].filter(Boolean);
+
+                if (missing.length === 3) {
+                    return `Thanks for providing your address. Could you please share your name, phone number and email address so we can confirm your ${details.type} service?`;
+                }
+
+                const list = missing.length > 1
+                    ? `${missing.slice(0, -1).join(', ')} and ${missing[missing.length - 1]}`
+                    : missing[0];
+                return `${firstName ? `Thank you, ${firstName}!` : 'Thank you!'} Could you also provide your ${list}? We'll send your appointment confirmation there.`;
+            }
+
+            case 'offer_slots':
+            case 'more_slots':
+            case 'reschedule': {
+                const leads = {
+                    offer_slots: `Thank you, ${firstName}! Based on the details you've provided, I estimate your ${details.type} service will take about ${details.estimatedDuration}.`,
+                    more_slots: timePreference
+                        ? `Sure, let's look at the ${timePreference}.`
+                        : "I didn't match that to one of the open times.",
+                    reschedule: "No problem, let's find a different time."
+                };
+                const lead = leads[intent];
+                return `${lead} I have the following times available: ${summarizeSlots(slots)}. Please choose a time on the right, or tell me which day and time works best for you.`;
+            }
+
+            case 'no_slots':
+                return "I'm sorry, I couldn't find any open appointment times in the next week. Please call our office at (703) 997-0026 and we'll get you scheduled.";
+
+            case 'slot_taken':
+                return `I'm sorry, ${error || 'that time is no longer available'}. Here are the times that are still open: ${summarizeSlots(slots)}.`;
+
+            case 'booked':
+                return `You're all set! Your ${details.type} service is scheduled for ${booking.date}, ${booking.timeSlot}. Confirmation #${booking.confirmationId}. We'll send a reminder before your appointment. Is there anything else you'd like our technician to know?`;
+
+            case 'notes_added':
+                return "Thank you! I've added that to your appointment notes. Our technician will review them before arriving. If you need to make any changes, just let me know or call our office at (703) 997-0026.";
+
+            case 'booking_failed':
+                return "I'm sorry, I wasn't able to book that appointment. Please call our office at (703) 997-0026 and we'll get you scheduled right away.";
+
+            default:
+                return "I'm sorry, I didn't quite catch that. Could you tell me a bit more about the electrical service you need?";
+        }
+    }
+
+    // Streams the template reply word by word
+    async *composeStream(context) {
+        const text = await this.compose(context);
+        for (const chunk of text.match(/\S+\s*/g) || []) {
+            yield chunk;
+        }
+    }
+}
+
+function toTitleCase(value) {
+    return value
+        .trim()
+        .split(/\s+/)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+        .join(' ');
+}
+
+function summarizeSlots(slots) {
+    return slots
+        .slice(0, 3)
+        .map(slot => `${slot.date.split(',')[0]} at ${slot.time}`)
+        .join(', ');
+}
+
+module.exports = RuleBasedProvider;
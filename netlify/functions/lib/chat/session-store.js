@@ -0,0 +1,108 @@
+// Chat session storage. Sessions are keyed by the sessionId the chat widget
+// keeps in localStorage. The Supabase store survives cold starts and is used
+// in production; the memory store keeps local development dependency-free.
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+class MemorySessionStore {
+    constructor() {
+        this.name = 'memory';
+        // Leads are only recorded when the dashboard database is available
+        this.persistent = false;
+        this.sessions = new Map();
+    }
+
+    async get(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+
+        if (Date.now() - new Date(session.updatedAt).getTime() > SESSION_TTL_MS) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+
+        return JSON.parse(JSON.stringify(session));
+    }
+
+    // Transcript messages live only in `history` here
+    async save(session) {
+        session.pendingMessages = [];
+        const stored = { ...session, updatedAt: new Date().toISOString() };
+        this.sessions.set(session.id, JSON.parse(JSON.stringify(stored)));
+        return stored;
+    }
+
+}
+
+class SupabaseSessionStore {
+    constructor() {
+        this.name = 'supabase';
+        this.persistent = true;
+    }
+
+    async get(sessionId) {
+        const database = require('../database');
+        const row = await database.getChatSession(sessionId);
+        if (!row) return null;
+
+        if (Date.now() - new Date(row.updated_at).getTime() > SESSION_TTL_MS) {
+            return null;
+        }
+
+        return {
+            id: row.id,
+            state: row.state,
+            history: row.history || [],
+            customerId: row.customer_id,
+            submissionId: row.submission_id,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Save the session row, then append any new transcript messages
+    async save(session) {
+        const database = require('../database');
+        const row = await database.saveChatSession({
+            id: session.id,
+            current_step: session.state.currentStep,
+            state: session.state,
+            history: session.history,
+            customer_id: session.customerId || null,
+            submission_id: session.submissionId || null
+        });
+
+        const pending = session.pendingMessages || [];
+        if (pending.length > 0) {
+            await database.createChatMessages(pending.map(entry => ({
+                session_id: session.id,
+                role: entry.role,
+                content: entry.content,
+                created_at: entry.at
+            })));
+            session.pendingMessages = [];
+        }
+
+        return { ...session, updatedAt: row.updated_at };
+    }
+}
+
+// CHAT_SESSION_STORE=supabase|memory; defaults to Supabase when configured
+function createSessionStore(name = process.env.CHAT_SESSION_STORE) {
+    const storeName = name || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
+    switch (storeName) {
+        case 'supabase':
+            return new SupabaseSessionStore();
+        case 'memory':
+            return new MemorySessionStore();
+        default:
+            throw new Error(`Unknown chat session store: ${storeName}`);
+    }
+}
+
+module.exports = {
+    MemorySessionStore,
+    SupabaseSessionStore,
+    createSessionStore
+};
@@ -0,0 +1,207 @@
+// Conversation state machine for the scheduling chat.
+// Mirrors the client's `currentStep` values:
+//   greeting -> gathering_details -> scheduling -> confirmation
+// Transitions are deterministic; the language-model provider only extracts
+// details from the customer's message and phrases the reply.
+
+const SERVICE_CATALOG = [
+    {
+        type: 'Panel Upgrade',
+        keywords: ['panel', 'upgrade', 'breaker box', 'amp service'],
+        intro: "Panel upgrades are one of our specialties! I'd be happy to help schedule that service.",
+        locationPrompt: 'Could you please provide the address where you need the panel upgrade?',
+        estimatedDuration: '4-8 hours'
+    },
+    {
+        type: 'EV Charger Installation',
+        keywords: ['ev', 'charger', 'charging', 'tesla', 'electric car', 'car'],
+        intro: 'EV charger installation is a great choice for electric vehicle owners!',
+        locationPrompt: "Could you please provide the address where you'd like the charger installed?",
+        estimatedDuration: '3-4 hours'
+    },
+    {
+        type: 'Lighting Installation',
+        keywords: ['light', 'recessed', 'fixture', 'chandelier', 'lamp'],
+        intro: 'Lighting installation is a great way to enhance your home!',
+        locationPrompt: 'Could you please provide the address where you need the lighting installed?',
+        estimatedDuration: '2-4 hours'
+    },
+    {
+        type: 'Outlet/Switch Repair',
+        keywords: ['outlet', 'switch', 'plug', 'receptacle', 'gfci'],
+        intro: 'Outlet and switch repairs are common electrical needs.',
+        locationPrompt: 'Could you please provide the address where you need this service?',
+        estimatedDuration: '1-2 hours'
+    },
+    {
+        type: 'Ceiling Fan Installation',
+        keywords: ['fan', 'ceiling'],
+        intro: 'Ceiling fan installation is a popular service!',
+        locationPrompt: "Could you please provide the address where you'd like the fan installed?",
+        estimatedDuration: '2-3 hours'
+    },
+    {
+        type: 'Electrical Troubleshooting',
+        keywords: ['troubleshoot', 'problem', 'not working', 'issue', 'tripping', 'flicker', 'sparking', 'dead'],
+        intro: "I understand you're having an electrical issue that needs troubleshooting.",
+        locationPrompt: "Could you please provide the address where you're experiencing this problem?",
+        estimatedDuration: '1-3 hours'
+    }
+];
+
+const STEPS = ['greeting', 'gathering_details', 'scheduling', 'confirmation'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function createInitialState() {
+    return {
+        currentStep: 'greeting',
+        serviceDetails: {
+            type: null,
+            location: null,
+            estimatedDuration: null,
+            customer: {
+                name: null,
+                email: null,
+                phone: null
+            }
+        },
+        scheduleOptions: null,
+        selectedTimeSlot: null,
+        confirmationDetails: null,
+        notes: null
+    };
+}
+
+function findService(type) {
+    return SERVICE_CATALOG.find(service => service.type === type) || null;
+}
+
+// Merge extracted details into the state and decide what to do next.
+// Returns { state, intent, slot? } where intent tells the chat service which
+// side effect to run (fetch slots, book) and what the reply should cover.
+function advance(previousState, extracted = {}, message = '') {
+    const state = JSON.parse(JSON.stringify(previousState));
+    const details = state.serviceDetails;
+
+    switch (state.currentStep) {
+        case 'greeting':
+            if (!extracted.serviceType) {
+                return { state, intent: 'ask_service' };
+            }
+            details.type = extracted.serviceType;
+            details.estimatedDuration = (findService(extracted.serviceType) || {}).estimatedDuration || '2-3 hours';
+            state.currentStep = 'gathering_details';
+            return gatherDetails(state, extracted, true);
+
+        case 'gathering_details':
+            return gatherDetails(state, extracted, false);
+
+        case 'scheduling': {
+            const slot = matchSlot(message, state.scheduleOptions || []);
+            if (slot) {
+                return { state, intent: 'book_slot', slot };
+            }
+            return { state, intent: 'more_slots', timePreference: extracted.timePreference || null };
+        }
+
+        case 'confirmation':
+            if (extracted.wantsChange) {
+                state.currentStep = 'scheduling';
+                state.selectedTimeSlot = null;
+                return { state, intent: 'reschedule', timePreference: extracted.timePreference || null };
+            }
+            state.notes = message;
+            if (state.confirmationDetails) {
+                state.confirmationDetails.notes = message;
+            }
+            return { state, intent: 'notes_added' };
+
+        default:
+            return { state: createInitialState(), intent: 'ask_service' };
+    }
+}
+
+function gatherDetails(state, extracted, justIdentifiedService) {
+    const details = state.serviceDetails;
+    const customer = details.customer;
+
+    if (!details.location && extracted.location) {
+        details.location = extracted.location;
+    }
+    if (extracted.name) customer.name = extracted.name;
+    if (extracted.phone) customer.phone = extracted.phone;
+    if (extracted.email) customer.email = extracted.email;
+
+    if (!details.location) {
+        return { state, intent: justIdentifiedService ? 'service_identified' : 'ask_location' };
+    }
+
+    // Email is required too: it identifies the customer record for the lead
+    if (!customer.name || !customer.phone || !customer.email) {
+        return { state, intent: 'ask_contact' };
+    }
+
+    state.currentStep = 'scheduling';
+    return { state, intent: 'offer_slots', timePreference: extracted.timePreference || null };
+}
+
+function parseSlotHour(time) {
+    const match = (time || '').match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+    if (!match) return null;
+
+    let hour = parseInt(match[1], 10) % 12;
+    if (match[3].toUpperCase() === 'PM') hour += 12;
+    return { hour, minute: parseInt(match[2], 10) };
+}
+
+// Match a free-text choice like "Tuesday at 10" against the offered slots
+function matchSlot(message, slots) {
+    if (!message || slots.length === 0) return null;
+
+    const lower = message.toLowerCase();
+    const day = WEEKDAYS.find(name => lower.includes(name) || lower.includes(name.slice(0, 3) + ' '));
+    const timeMatch = lower.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?\b/);
+
+    if (!timeMatch) return null;
+
+    let hour = parseInt(timeMatch[1], 10);
+    const minute = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+    const period = timeMatch[3] ? timeMatch[3][0] : null;
+
+    if (hour > 23 || minute > 59) return null;
+    if (period === 'p' && hour < 12) hour += 12;
+    if (period === 'a' && hour === 12) hour = 0;
+    // Without am/pm, 1-6 means afternoon during business hours
+    if (!period && hour >= 1 && hour <= 6) hour += 12;
+
+    const candidates = slots.filter(slot => {
+        const slotTime = parseSlotHour(slot.time);
+        if (!slotTime || slotTime.hour !== hour || slotTime.minute !== minute) return false;
+        return !day || slot.date.toLowerCase().startsWith(day);
+    });
+
+    return candidates.length > 0 ? candidates[0] : null;
+}
+
+function filterByTimePreference(slots, preference) {
+    if (!preference) return slots;
+
+    const filtered = slots.filter(slot => {
+        const slotTime = parseSlotHour(slot.time);
+        if (!slotTime) return true;
+        return preference === 'morning' ? slotTime.hour < 12 : slotTime.hour >= 12;
+    });
+
+    return filtered.length > 0 ? filtered : slots;
+}
+
+module.exports = {
+    SERVICE_CATALOG,
+    STEPS,
+    createInitialState,
+    findService,
+    advance,
+    matchSlot,
+    filterByTimePreference
+};
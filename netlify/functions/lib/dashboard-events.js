@@ -0,0 +1,87 @@
+// Real-time dashboard events. Changes are written to the dashboard_events
+// table and admin-notifications.js streams them to every open dashboard. Row
+// ids are the Server-Sent Events ids, so a dashboard that reconnects with
+// Last-Event-ID resumes exactly where it left off.
+
+const database = require('./database');
+
+const DASHBOARD_EVENTS = {
+    NEW_SUBMISSIONS: 'new_submissions',
+    STATUS_UPDATE: 'status_update',
+    ADMIN_RESPONSE: 'admin_response',
+    ASSIGNMENT: 'assignment',
+    NOTE: 'note',
+    CUSTOMER_REPLY: 'customer_reply',
+    EMAIL_STATUS: 'email_status',
+    SMS: 'sms'
+};
+
+// Sequence values are taken before an insert commits, so a row with a higher
+// id can become visible before a lower one. Events after a gap are held back
+// until it fills, or until it has stayed open this long (a failed insert
+// leaves a permanent gap).
+const GAP_WAIT_MS = 5000;
+
+const BATCH_SIZE = 100;
+
+// How long a dashboard can be away and still replay what it missed on
+// reconnecting; older events are deleted (pruneDashboardEvents)
+const REPLAY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Returns the stored event, or null when it could not be written: a missed
+// notification must not fail the change it describes
+async function publishDashboardEvent(type, payload) {
+    try {
+        return await database.createDashboardEvent({ type, payload });
+    } catch (error) {
+        console.error(`Error publishing dashboard event ${type}:`, error);
+        return null;
+    }
+}
+
+// Deletes events older than the replay window; run every minute by
+// lead-alert-escalation.js. Returns how many were deleted.
+async function pruneDashboardEvents(now = new Date()) {
+    return database.deleteDashboardEventsBefore(new Date(now.getTime() - REPLAY_WINDOW_MS).toISOString());
+}
+
+// Reads events in id order after `lastEventId`, or after the newest event
+// when it is missing. `cursor.lastEventId` is the id of the last event returned.
+async function createEventCursor(lastEventId) {
+    const parsed = parseInt(lastEventId, 10);
+    let cursor = Number.isInteger(parsed) && parsed >= 0
+        ? parsed
+        : await database.getLatestDashboardEventId();
+    let gapSince = null;
+
+    return {
+        get lastEventId() {
+            return cursor;
+        },
+
+        async next() {
+            const rows = await database.getDashboardEventsAfter(cursor, BATCH_SIZE);
+            const ready = [];
+
+            for (const row of rows) {
+                if (row.id !== cursor + 1) {
+                    gapSince = gapSince || Date.now();
+                    if (Date.now() - gapSince < GAP_WAIT_MS) break;
+                }
+
+                gapSince = null;
+                cursor = row.id;
+                ready.push(row);
+            }
+
+            return ready;
+        }
+    };
+}
+
+module.exports = {
+    DASHBOARD_EVENTS,
+    publishDashboardEvent,
+    pruneDashboardEvents,
+    createEventCursor
+};
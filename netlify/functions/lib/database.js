@@ -13,7 +13,9 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 // Database helper functions
 class DatabaseService {
     // Customer operations
-    async findOrCreateCustomer(customerData) {
+    // Quarantined spam passes updateExisting: false so a bot using a real
+    // customer's email cannot overwrite their details
+    async findOrCreateCustomer(customerData, { updateExisting = true } = {}) {
         try {
             const { first_name, last_name, email, phone, address, city, state, zip_code } = customerData;
             
@@ -25,6 +27,10 @@ class DatabaseService {
                 .single();
 
             if (existingCustomer && !findError) {
+                if (!updateExisting) {
+                    return existingCustomer;
+                }
+
                 // Update customer info if provided
                 const { data: updatedCustomer, error: updateError } = await supabase
                     .from('customers')
@@ -42,295 +48,1863 @@ class DatabaseService {
                     .select()
                     .single();
 
-                return updatedCustomer;
+                return updatedCustomer;
+            }
+
+            // Create new customer
+            const { data: newCustomer, error: createError } = await supabase
+                .from('customers')
+                .insert([{
+                    first_name,
+                    last_name,
+                    email,
+                    phone,
+                    address,
+                    city,
+                    state,
+                    zip_code
+                }])
+                .select()
+                .single();
+
+            if (createError) {
+                throw new Error(`Error creating customer: ${createError.message}`);
+            }
+
+            return newCustomer;
+        } catch (error) {
+            console.error('Error in findOrCreateCustomer:', error);
+            throw error;
+        }
+    }
+
+    // Form submission operations
+    async createFormSubmission(submissionData) {
+        try {
+            const { data, error } = await supabase
+                .from('form_submissions')
+                .insert([submissionData])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error creating form submission: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createFormSubmission:', error);
+            throw error;
+        }
+    }
+
+    async updateFormSubmission(id, updates) {
+        try {
+            const { data, error } = await supabase
+                .from('form_submissions')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error updating form submission: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in updateFormSubmission:', error);
+            throw error;
+        }
+    }
+
+    async getSubmissions(filters = {}) {
+        try {
+            let query = supabase
+                .from('submission_details')
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            // Apply filters
+            if (filters.form_type) {
+                query = query.eq('form_type', filters.form_type);
+            }
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            } else {
+                query = query.neq('status', 'spam');
+            }
+            if (filters.customer_id) {
+                query = query.eq('customer_id', filters.customer_id);
+            }
+            if (filters.limit) {
+                query = query.limit(filters.limit);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw new Error(`Error fetching submissions: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getSubmissions:', error);
+            throw error;
+        }
+    }
+
+    async getSubmissionById(id) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_details')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error) {
+                throw new Error(`Error fetching submission: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getSubmissionById:', error);
+            throw error;
+        }
+    }
+
+    // Status changes are kept in submission_status_history along with the
+    // admin's notes, which form_submissions has no column for
+    async updateSubmissionStatus(submissionId, status, notes = null, adminId = null) {
+        try {
+            const { data: current, error: fetchError } = await supabase
+                .from('form_submissions')
+                .select('status')
+                .eq('id', submissionId)
+                .single();
+
+            if (fetchError) {
+                throw new Error(`Error fetching submission status: ${fetchError.message}`);
+            }
+
+            const { data, error } = await supabase
+                .from('form_submissions')
+                .update({
+                    status,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', submissionId)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error updating submission status: ${error.message}`);
+            }
+
+            await this.createStatusHistoryEntry({
+                submission_id: submissionId,
+                from_status: current.status,
+                to_status: status,
+                notes: notes || null,
+                admin_id: adminId
+            });
+
+            return data;
+        } catch (error) {
+            console.error('Error in updateSubmissionStatus:', error);
+            throw error;
+        }
+    }
+
+    async createStatusHistoryEntry(entry) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_status_history')
+                .insert([entry])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error recording status history: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createStatusHistoryEntry:', error);
+            throw error;
+        }
+    }
+
+    async getStatusHistory(submissionId) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_status_history')
+                .select('*, admin_users(first_name, last_name, email)')
+                .eq('submission_id', submissionId)
+                .order('created_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching status history: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getStatusHistory:', error);
+            throw error;
+        }
+    }
+
+    // Everything that has happened to a submission, oldest first
+    async getSubmissionTimeline(submission) {
+        try {
+            const [history, responses, replies, texts, alerts] = await Promise.all([
+                this.getStatusHistory(submission.id),
+                this.getResponsesBySubmission(submission.id),
+                this.getInboundEmails(submission.id),
+                this.getSmsMessages(submission.id),
+                this.getLeadAlerts(submission.id)
+            ]);
+
+            return [
+                { type: 'created', at: submission.created_at, status: 'new' },
+                ...history.map(entry => ({
+                    type: 'status',
+                    at: entry.created_at,
+                    from_status: entry.from_status,
+                    to_status: entry.to_status,
+                    notes: entry.notes,
+                    admin: entry.admin_users
+                })),
+                ...responses.map(response => ({
+                    type: response.send_email ? 'email' : 'response',
+                    at: response.sent_at,
+                    message: response.message,
+                    admin: response.admin_users,
+                    // null when the email was never handed to Postmark
+                    delivery: (response.email_messages || [])[0] || null
+                })),
+                ...replies.map(reply => ({
+                    type: 'reply',
+                    at: reply.received_at,
+                    message: reply.reply,
+                    from_email: reply.from_email,
+                    from_name: reply.from_name
+                })),
+                ...texts.map(text => ({
+                    type: text.direction === 'inbound' ? 'sms_reply' : 'sms',
+                    at: text.created_at,
+                    message: text.body,
+                    kind: text.kind,
+                    phone: text.direction === 'inbound' ? text.from_number : text.to_number,
+                    admin: text.admin_users
+                })),
+                ...alerts.map(alert => ({
+                    type: 'alert',
+                    at: alert.created_at,
+                    level: alert.level,
+                    rota: alert.on_call_rotas ? alert.on_call_rotas.name : null,
+                    recipient: alert.recipient_name,
+                    channels: alert.channels
+                }))
+            ].sort((a, b) => new Date(a.at) - new Date(b.at));
+        } catch (error) {
+            console.error('Error in getSubmissionTimeline:', error);
+            throw error;
+        }
+    }
+
+    async getFormSubmissions(options = {}) {
+        try {
+            const { page = 1, limit = 20, status, formType, assignedTo } = options;
+            const offset = (page - 1) * limit;
+
+            let query = supabase
+                .from('submission_details')
+                .select('*', { count: 'exact' })
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            // Apply filters; spam is only listed when asked for
+            if (status) {
+                query = query.eq('status', status);
+            } else {
+                query = query.neq('status', 'spam');
+            }
+            if (formType) {
+                query = query.eq('form_type', formType);
+            }
+            query = this.applyAssigneeFilter(query, assignedTo);
+
+            const { data, error, count } = await query;
+
+            if (error) {
+                throw new Error(`Error fetching form submissions: ${error.message}`);
+            }
+
+            return {
+                submissions: data,
+                total: count
+            };
+        } catch (error) {
+            console.error('Error in getFormSubmissions:', error);
+            throw error;
+        }
+    }
+
+    // `assignedTo` is an admin id or 'unassigned'
+    applyAssigneeFilter(query, assignedTo) {
+        if (assignedTo === 'unassigned') {
+            return query.is('assigned_to', null);
+        }
+        if (assignedTo) {
+            return query.eq('assigned_to', assignedTo);
+        }
+        return query;
+    }
+
+    // Assignment operations; adminId null unassigns
+    async assignSubmissions(ids, adminId) {
+        try {
+            const { data, error } = await supabase
+                .from('form_submissions')
+                .update({
+                    assigned_to: adminId,
+                    assigned_at: adminId ? new Date().toISOString() : null,
+                    updated_at: new Date().toISOString()
+                })
+                .in('id', ids)
+                .select('id, status, assigned_to');
+
+            if (error) {
+                throw new Error(`Error assigning submissions: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in assignSubmissions:', error);
+            throw error;
+        }
+    }
+
+    // Admins who can be given submissions; read-only accounts cannot act on them
+    async getAssignableAdmins() {
+        try {
+            const { data, error } = await supabase
+                .from('admin_users')
+                .select('id, email, first_name, last_name, role')
+                .eq('is_active', true)
+                .neq('role', 'read_only')
+                .order('first_name', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching assignable admins: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getAssignableAdmins:', error);
+            throw error;
+        }
+    }
+
+    // Everyone who can be @mentioned in an internal note
+    async getActiveAdmins() {
+        try {
+            const { data, error } = await supabase
+                .from('admin_users')
+                .select('id, email, first_name, last_name')
+                .eq('is_active', true)
+                .order('first_name', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching active admins: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getActiveAdmins:', error);
+            throw error;
+        }
+    }
+
+    async getAssignmentRotation(formType) {
+        try {
+            const { data, error } = await supabase
+                .from('assignment_rotations')
+                .select('*')
+                .eq('form_type', formType)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching assignment rotation: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getAssignmentRotation:', error);
+            throw error;
+        }
+    }
+
+    // Moves the rotation on only if nobody else has since `fromIndex`;
+    // returns whether it did
+    async advanceAssignmentRotation(formType, fromIndex, nextIndex) {
+        try {
+            const { data, error } = await supabase
+                .from('assignment_rotations')
+                .update({
+                    next_index: nextIndex,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('form_type', formType)
+                .eq('next_index', fromIndex)
+                .select('form_type');
+
+            if (error) {
+                throw new Error(`Error advancing assignment rotation: ${error.message}`);
+            }
+
+            return data.length > 0;
+        } catch (error) {
+            console.error('Error in advanceAssignmentRotation:', error);
+            throw error;
+        }
+    }
+
+    // Internal note operations
+    async getSubmissionNotes(submissionId) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_notes')
+                .select('*, admin_users(first_name, last_name, email)')
+                .eq('submission_id', submissionId)
+                .order('created_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching submission notes: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getSubmissionNotes:', error);
+            throw error;
+        }
+    }
+
+    async getSubmissionNote(noteId) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_notes')
+                .select('*')
+                .eq('id', noteId)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching submission note: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getSubmissionNote:', error);
+            throw error;
+        }
+    }
+
+    async createSubmissionNote(note) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_notes')
+                .insert([note])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error creating submission note: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createSubmissionNote:', error);
+            throw error;
+        }
+    }
+
+    async updateSubmissionNote(noteId, updates) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_notes')
+                .update(updates)
+                .eq('id', noteId)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error updating submission note: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in updateSubmissionNote:', error);
+            throw error;
+        }
+    }
+
+    async deleteSubmissionNote(noteId) {
+        try {
+            const { error } = await supabase
+                .from('submission_notes')
+                .delete()
+                .eq('id', noteId);
+
+            if (error) {
+                throw new Error(`Error deleting submission note: ${error.message}`);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error in deleteSubmissionNote:', error);
+            throw error;
+        }
+    }
+
+    // Inbound email operations. Returns null for a message already stored,
+    // which is how Postmark's retries are recognised.
+    async createInboundEmail(email) {
+        try {
+            const { data, error } = await supabase
+                .from('inbound_emails')
+                .insert([email])
+                .select()
+                .single();
+
+            if (error && error.code === '23505') { // unique_violation on message_id
+                return null;
+            }
+            if (error) {
+                throw new Error(`Error storing inbound email: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createInboundEmail:', error);
+            throw error;
+        }
+    }
+
+    async getInboundEmails(submissionId) {
+        try {
+            const { data, error } = await supabase
+                .from('inbound_emails')
+                .select('*')
+                .eq('submission_id', submissionId)
+                .order('received_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching inbound emails: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getInboundEmails:', error);
+            throw error;
+        }
+    }
+
+    // Outbound email operations. provider_message_id is Postmark's MessageID,
+    // which its delivery webhooks refer back to.
+    async createEmailMessage(message) {
+        try {
+            const { data, error } = await supabase
+                .from('email_messages')
+                .insert([message])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error logging email: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createEmailMessage:', error);
+            throw error;
+        }
+    }
+
+    async getEmailMessageByProviderId(providerMessageId) {
+        try {
+            const { data, error } = await supabase
+                .from('email_messages')
+                .select('*')
+                .eq('provider_message_id', providerMessageId)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching email: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getEmailMessageByProviderId:', error);
+            throw error;
+        }
+    }
+
+    async updateEmailMessage(id, updates) {
+        try {
+            const { data, error } = await supabase
+                .from('email_messages')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error updating email: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in updateEmailMessage:', error);
+            throw error;
+        }
+    }
+
+    // Marks the submission's customer as having an address we cannot email
+    async flagCustomerEmailBounced(submissionId, reason) {
+        try {
+            const { data: submission, error: findError } = await supabase
+                .from('form_submissions')
+                .select('customer_id')
+                .eq('id', submissionId)
+                .single();
+
+            if (findError) {
+                throw new Error(`Error fetching submission: ${findError.message}`);
+            }
+
+            const { data, error } = await supabase
+                .from('customers')
+                .update({
+                    email_bounced_at: new Date().toISOString(),
+                    email_bounce_reason: reason
+                })
+                .eq('id', submission.customer_id)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error flagging customer email: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in flagCustomerEmailBounced:', error);
+            throw error;
+        }
+    }
+
+    // SMS operations. Returns null for a message already stored, which is
+    // how the provider's retries of an inbound text are recognised.
+    async createSmsMessage(message) {
+        try {
+            const { data, error } = await supabase
+                .from('sms_messages')
+                .insert([message])
+                .select()
+                .single();
+
+            if (error && error.code === '23505') { // unique_violation on provider_message_id
+                return null;
+            }
+            if (error) {
+                throw new Error(`Error storing text message: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createSmsMessage:', error);
+            throw error;
+        }
+    }
+
+    async getSmsMessages(submissionId) {
+        try {
+            const { data, error } = await supabase
+                .from('sms_messages')
+                .select('*, admin_users(first_name, last_name, email)')
+                .eq('submission_id', submissionId)
+                .order('created_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching text messages: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getSmsMessages:', error);
+            throw error;
+        }
+    }
+
+    // The last text we sent to a number, which an inbound text from that
+    // number is threaded onto
+    async getLatestOutboundSms(toNumber) {
+        try {
+            const { data, error } = await supabase
+                .from('sms_messages')
+                .select('*')
+                .eq('direction', 'outbound')
+                .eq('to_number', toNumber)
+                .order('created_at', { ascending: false })
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching text message: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getLatestOutboundSms:', error);
+            throw error;
+        }
+    }
+
+    // Records a STOP (optedIn false) or START (optedIn true) from the customer
+    async setCustomerSmsOptIn(customerId, optedIn) {
+        try {
+            const now = new Date().toISOString();
+            const { data, error } = await supabase
+                .from('customers')
+                .update(optedIn
+                    ? { sms_opted_in_at: now, sms_opted_out_at: null }
+                    : { sms_opted_out_at: now })
+                .eq('id', customerId)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error updating customer text preference: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in setCustomerSmsOptIn:', error);
+            throw error;
+        }
+    }
+
+    // Lead alert operations (lib/lead-alerts.js)
+    async getLeadAlertRules() {
+        try {
+            const { data, error } = await supabase
+                .from('lead_alert_rules')
+                .select('*')
+                .eq('active', true)
+                .order('priority', { ascending: true })
+                .order('created_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching lead alert rules: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getLeadAlertRules:', error);
+            throw error;
+        }
+    }
+
+    async getOnCallRota(rotaId) {
+        try {
+            const { data, error } = await supabase
+                .from('on_call_rotas')
+                .select('*')
+                .eq('id', rotaId)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching on-call rota: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getOnCallRota:', error);
+            throw error;
+        }
+    }
+
+    // The shift covering `atIso`; the latest to start wins where shifts overlap
+    async getCurrentOnCallShift(rotaId, atIso) {
+        try {
+            const { data, error } = await supabase
+                .from('on_call_shifts')
+                .select('*')
+                .eq('rota_id', rotaId)
+                .lte('starts_at', atIso)
+                .gt('ends_at', atIso)
+                .order('starts_at', { ascending: false })
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching on-call shift: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getCurrentOnCallShift:', error);
+            throw error;
+        }
+    }
+
+    // Returns null when the submission already has an alert at this level
+    async createLeadAlert(alert) {
+        try {
+            const { data, error } = await supabase
+                .from('lead_alerts')
+                .insert([alert])
+                .select()
+                .single();
+
+            if (error && error.code === '23505') { // unique_violation on (submission_id, level)
+                return null;
+            }
+            if (error) {
+                throw new Error(`Error logging lead alert: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createLeadAlert:', error);
+            throw error;
+        }
+    }
+
+    async updateLeadAlert(alertId, updates) {
+        try {
+            const { data, error } = await supabase
+                .from('lead_alerts')
+                .update(updates)
+                .eq('id', alertId)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error updating lead alert: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in updateLeadAlert:', error);
+            throw error;
+        }
+    }
+
+    async getLeadAlerts(submissionId) {
+        try {
+            const { data, error } = await supabase
+                .from('lead_alerts')
+                .select('*, on_call_rotas(name)')
+                .eq('submission_id', submissionId)
+                .order('created_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching lead alerts: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getLeadAlerts:', error);
+            throw error;
+        }
+    }
+
+    // Alerts whose escalation time has passed, with the submission's status
+    // and the rule's escalation rota
+    async getDueLeadAlerts(nowIso, limit = 50) {
+        try {
+            const { data, error } = await supabase
+                .from('lead_alerts')
+                .select('*, form_submissions(status), lead_alert_rules(escalation_rota_id)')
+                .lte('escalate_at', nowIso)
+                .is('escalated_at', null)
+                .order('escalate_at', { ascending: true })
+                .limit(limit);
+
+            if (error) {
+                throw new Error(`Error fetching due lead alerts: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getDueLeadAlerts:', error);
+            throw error;
+        }
+    }
+
+    // Marks a due alert as handled, or as cancelled when `escalated` is false.
+    // Returns false when another run got to it first.
+    async claimLeadAlertEscalation(alertId, escalated = true) {
+        try {
+            const { data, error } = await supabase
+                .from('lead_alerts')
+                .update(escalated
+                    ? { escalated_at: new Date().toISOString() }
+                    : { escalate_at: null })
+                .eq('id', alertId)
+                .is('escalated_at', null)
+                .not('escalate_at', 'is', null)
+                .select('id');
+
+            if (error) {
+                throw new Error(`Error claiming lead alert escalation: ${error.message}`);
+            }
+
+            return data.length > 0;
+        } catch (error) {
+            console.error('Error in claimLeadAlertEscalation:', error);
+            throw error;
+        }
+    }
+
+    // Response template operations
+    async getResponseTemplates() {
+        try {
+            const { data, error } = await supabase
+                .from('response_templates')
+                .select('*')
+                .order('name', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching response templates: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getResponseTemplates:', error);
+            throw error;
+        }
+    }
+
+    async getResponseTemplate(templateId) {
+        try {
+            const { data, error } = await supabase
+                .from('response_templates')
+                .select('*')
+                .eq('id', templateId)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching response template: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getResponseTemplate:', error);
+            throw error;
+        }
+    }
+
+    async createResponseTemplate(template) {
+        try {
+            const { data, error } = await supabase
+                .from('response_templates')
+                .insert([template])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error creating response template: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createResponseTemplate:', error);
+            throw error;
+        }
+    }
+
+    async updateResponseTemplate(templateId, updates) {
+        try {
+            const { data, error } = await supabase
+                .from('response_templates')
+                .update(updates)
+                .eq('id', templateId)
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error updating response template: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in updateResponseTemplate:', error);
+            throw error;
+        }
+    }
+
+    async deleteResponseTemplate(templateId) {
+        try {
+            const { error } = await supabase
+                .from('response_templates')
+                .delete()
+                .eq('id', templateId);
+
+            if (error) {
+                throw new Error(`Error deleting response template: ${error.message}`);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error in deleteResponseTemplate:', error);
+            throw error;
+        }
+    }
+
+    // Each form type has at most one default template
+    async clearDefaultResponseTemplate(formType) {
+        try {
+            const { error } = await supabase
+                .from('response_templates')
+                .update({ is_default: false })
+                .eq('form_type', formType)
+                .eq('is_default', true);
+
+            if (error) {
+                throw new Error(`Error clearing default response template: ${error.message}`);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error in clearDefaultResponseTemplate:', error);
+            throw error;
+        }
+    }
+
+    // submission_details rows keyed by id, for filling in merge fields
+    async getSubmissionDetailsByIds(ids) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_details')
+                .select('*')
+                .in('id', ids);
+
+            if (error) {
+                throw new Error(`Error fetching submission details: ${error.message}`);
+            }
+
+            return Object.fromEntries(data.map(row => [row.id, row]));
+        } catch (error) {
+            console.error('Error in getSubmissionDetailsByIds:', error);
+            throw error;
+        }
+    }
+
+    // File attachment operations
+    async createFileAttachment(attachmentData) {
+        try {
+            const { data, error } = await supabase
+                .from('file_attachments')
+                .insert([attachmentData])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error creating file attachment: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createFileAttachment:', error);
+            throw error;
+        }
+    }
+
+    async getAttachmentsBySubmission(submissionId) {
+        try {
+            const { data, error } = await supabase
+                .from('file_attachments')
+                .select('*')
+                .eq('submission_id', submissionId)
+                .order('uploaded_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching attachments: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getAttachmentsBySubmission:', error);
+            throw error;
+        }
+    }
+
+    // Admin response operations
+    async createAdminResponse(responseData) {
+        try {
+            const { data, error } = await supabase
+                .from('admin_responses')
+                .insert([responseData])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error creating admin response: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createAdminResponse:', error);
+            throw error;
+        }
+    }
+
+    async getResponsesBySubmission(submissionId) {
+        try {
+            const { data, error } = await supabase
+                .from('admin_responses')
+                .select('*, admin_users(first_name, last_name, email), email_messages(delivered_at, opened_at, bounced_at, bounce_type, bounce_description, complained_at)')
+                .eq('submission_id', submissionId)
+                .order('sent_at', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching responses: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getResponsesBySubmission:', error);
+            throw error;
+        }
+    }
+
+    // Customer operations
+    async getCustomers(filters = {}) {
+        try {
+            let query = supabase
+                .from('customer_summary')
+                .select('*')
+                .order('last_submission_date', { ascending: false });
+
+            if (filters.limit) {
+                query = query.limit(filters.limit);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw new Error(`Error fetching customers: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getCustomers:', error);
+            throw error;
+        }
+    }
+
+    async getCustomerById(customerId) {
+        try {
+            const { data, error } = await supabase
+                .from('customers')
+                .select('*')
+                .eq('id', customerId)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching customer: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getCustomerById:', error);
+            throw error;
+        }
+    }
+
+    async getCustomerHistory(customerId) {
+        try {
+            const { data, error } = await supabase
+                .from('submission_details')
+                .select('*')
+                .eq('customer_id', customerId)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                throw new Error(`Error fetching customer history: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getCustomerHistory:', error);
+            throw error;
+        }
+    }
+
+    // Scheduled job operations (local scheduling provider)
+    async getScheduledJobs(startIso, endIso) {
+        try {
+            const { data, error } = await supabase
+                .from('scheduled_jobs')
+                .select('*')
+                .neq('status', 'canceled')
+                .lt('scheduled_start', endIso)
+                .gt('scheduled_end', startIso)
+                .order('scheduled_start', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching scheduled jobs: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getScheduledJobs:', error);
+            throw error;
+        }
+    }
+
+    async createScheduledJob(jobData) {
+        try {
+            const { data, error } = await supabase
+                .from('scheduled_jobs')
+                .insert([jobData])
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error creating scheduled job: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in createScheduledJob:', error);
+            throw error;
+        }
+    }
+
+    // Takes the lock on an appointment window, replacing an expired one;
+    // false while another booking holds it
+    async acquireSchedulingSlotLock(slotStartIso, expiresAtIso) {
+        try {
+            const { error: expiredError } = await supabase
+                .from('scheduling_slot_locks')
+                .delete()
+                .eq('slot_start', slotStartIso)
+                .lt('expires_at', new Date().toISOString());
+
+            if (expiredError) {
+                throw new Error(`Error clearing expired slot lock: ${expiredError.message}`);
+            }
+
+            const { error } = await supabase
+                .from('scheduling_slot_locks')
+                .insert([{ slot_start: slotStartIso, expires_at: expiresAtIso }]);
+
+            if (error && error.code === '23505') { // unique_violation on slot_start
+                return false;
+            }
+            if (error) {
+                throw new Error(`Error acquiring slot lock: ${error.message}`);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error in acquireSchedulingSlotLock:', error);
+            throw error;
+        }
+    }
+
+    async releaseSchedulingSlotLock(slotStartIso) {
+        try {
+            const { error } = await supabase
+                .from('scheduling_slot_locks')
+                .delete()
+                .eq('slot_start', slotStartIso);
+
+            if (error) {
+                throw new Error(`Error releasing slot lock: ${error.message}`);
+            }
+        } catch (error) {
+            console.error('Error in releaseSchedulingSlotLock:', error);
+            throw error;
+        }
+    }
+
+    // Books a job with a technician; null when it overlaps one of their
+    // jobs (another customer took the window first)
+    async reserveScheduledJob(jobData) {
+        try {
+            const { data, error } = await supabase
+                .from('scheduled_jobs')
+                .insert([jobData])
+                .select()
+                .single();
+
+            if (error && error.code === '23P01') { // exclusion_violation on scheduled_jobs_technician_overlap
+                return null;
+            }
+            if (error) {
+                throw new Error(`Error reserving scheduled job: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in reserveScheduledJob:', error);
+            throw error;
+        }
+    }
+
+    async getJobType(jobTypeId) {
+        try {
+            const { data, error } = await supabase
+                .from('job_types')
+                .select('*')
+                .eq('id', jobTypeId)
+                .eq('active', true)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching job type: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getJobType:', error);
+            throw error;
+        }
+    }
+
+    // Active technicians with their weekly hours
+    async getActiveTechnicians() {
+        try {
+            const { data, error } = await supabase
+                .from('technicians')
+                .select('*, technician_hours(day_of_week, start_time, end_time)')
+                .eq('active', true)
+                .order('name', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching technicians: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getActiveTechnicians:', error);
+            throw error;
+        }
+    }
+
+    // Calendar operations (lib/scheduling/calendar.js)
+    async getCalendarSettings() {
+        try {
+            const { data, error } = await supabase
+                .from('calendar_settings')
+                .select('*')
+                .eq('id', 1)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching calendar settings: ${error.message}`);
+            }
+
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getCalendarSettings:', error);
+            throw error;
+        }
+    }
+
+    async saveCalendarSettings(settings) {
+        try {
+            const { data, error } = await supabase
+                .from('calendar_settings')
+                .upsert([{ ...settings, id: 1 }], { onConflict: 'id' })
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Error saving calendar settings: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in saveCalendarSettings:', error);
+            throw error;
+        }
+    }
+
+    // Holidays and blackout dates that have not yet ended by `fromDate` (YYYY-MM-DD)
+    async getCalendarClosures(fromDate) {
+        try {
+            const { data, error } = await supabase
+                .from('calendar_closures')
+                .select('*')
+                .gte('ends_on', fromDate)
+                .order('starts_on', { ascending: true });
+
+            if (error) {
+                throw new Error(`Error fetching calendar closures: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getCalendarClosures:', error);
+            throw error;
+        }
+    }
+
+    async getCalendarClosure(closureId) {
+        try {
+            const { data, error } = await supabase
+                .from('calendar_closures')
+                .select('*')
+                .eq('id', closureId)
+                .limit(1);
+
+            if (error) {
+                throw new Error(`Error fetching calendar closure: ${error.message}`);
             }
 
-            // Create new customer
-            const { data: newCustomer, error: createError } = await supabase
-                .from('customers')
-                .insert([{
-                    first_name,
-                    last_name,
-                    email,
-                    phone,
-                    address,
-                    city,
-                    state,
-                    zip_code
-                }])
+            return data[0] || null;
+        } catch (error) {
+            console.error('Error in getCalendarClosure:', error);
+            throw error;
+        }
+    }
+
+    async createCalendarClosure(closure) {
+        try {
+            const { data, error } = await supabase
+                .from('calendar_closures')
+                .insert([closure])
                 .select()
                 .single();
 
-            if (createError) {
-                throw new Error(`Error creating customer: ${createError.message}`);
+            if (error) {
+                throw new Error(`Error creating calendar closure: ${error.message}`);
             }
 
-            return newCustomer;
+            return data;
         } catch (error) {
-            console.error('Error in findOrCreateCustomer:', error);
+            console.error('Error in createCalendarClosure:', error);
             throw error;
         }
     }
 
-    // Form submission operations
-    async createFormSubmission(submissionData) {
+    async deleteCalendarClosure(closureId) {
+        try {
+            const { error } = await supabase
+                .from('calendar_closures')
+                .delete()
+                .eq('id', closureId);
+
+            if (error) {
+                throw new Error(`Error deleting calendar closure: ${error.message}`);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error in deleteCalendarClosure:', error);
+            throw error;
+        }
+    }
+
+    // Chat session operations
+    async getChatSession(id) {
         try {
             const { data, error } = await supabase
-                .from('form_submissions')
-                .insert([submissionData])
+                .from('chat_sessions')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error && error.code !== 'PGRST116') { // PGRST116 is "not found"
+                throw new Error(`Error fetching chat session: ${error.message}`);
+            }
+
+            return data;
+        } catch (error) {
+            console.error('Error in getChatSession:', error);
+            throw error;
+        }
+    }
+
+    async saveChatSession(sessionData) {
+        try {
+            const { data, error } = await supabase
+                .from('chat_sessions')
+                .upsert([sessionData], { onConflict: 'id' })
                 .select()
                 .single();
 
             if (error) {
-                throw new Error(`Error creating form submission: ${error.message}`);
+                throw new Error(`Error saving chat session: ${error.message}`);
             }
 
             return data;
         } catch (error) {
-            console.error('Error in createFormSubmission:', error);
+            console.error('Error in saveChatSession:', error);
             throw error;
         }
     }
 
-    async getSubmissions(filters = {}) {
+    async createChatMessages(messages) {
         try {
-            let query = supabase
-                .from('submission_details')
-                .select('*')
-                .order('created_at', { ascending: false });
+            const { data, error } = await supabase
+                .from('chat_messages')
+                .insert(messages)
+                .select();
 
-            // Apply filters
-            if (filters.form_type) {
-                query = query.eq('form_type', filters.form_type);
-            }
-            if (filters.status) {
-                query = query.eq('status', filters.status);
+            if (error) {
+                throw new Error(`Error creating chat messages: ${error.message}`);
             }
-            if (filters.customer_id) {
-                query = query.eq('customer_id', filters.customer_id);
+
+            return data;
+        } catch (error) {
+            console.error('Error in createChatMessages:', error);
+            throw error;
+        }
+    }
+
+    async getChatTranscript(submissionId) {
+        try {
+            const { data: session, error: sessionError } = await supabase
+                .from('chat_sessions')
+                .select('id')
+                .eq('submission_id', submissionId)
+                .single();
+
+            if (sessionError && sessionError.code !== 'PGRST116') { // PGRST116 is "not found"
+                throw new Error(`Error fetching chat session: ${sessionError.message}`);
             }
-            if (filters.limit) {
-                query = query.limit(filters.limit);
+
+            if (!session) {
+                return [];
             }
 
-            const { data, error } = await query;
+            const { data, error } = await supabase
+                .from('chat_messages')
+                .select('role, content, created_at')
+                .eq('session_id', session.id)
+                .order('created_at', { ascending: true });
 
             if (error) {
-                throw new Error(`Error fetching submissions: ${error.message}`);
+                throw new Error(`Error fetching chat transcript: ${error.message}`);
             }
 
             return data;
         } catch (error) {
-            console.error('Error in getSubmissions:', error);
+            console.error('Error in getChatTranscript:', error);
             throw error;
         }
     }
 
-    async getSubmissionById(id) {
+    // Rate limit operations
+    // Record a hit and return how many hits `key` has had since windowStart
+    async recordRateLimitHit(key, windowStart) {
         try {
-            const { data, error } = await supabase
-                .from('submission_details')
-                .select('*')
-                .eq('id', id)
-                .single();
+            const { error: insertError } = await supabase
+                .from('rate_limit_hits')
+                .insert([{ key }]);
+
+            if (insertError) {
+                throw new Error(`Error recording rate limit hit: ${insertError.message}`);
+            }
+
+            const { count, error } = await supabase
+                .from('rate_limit_hits')
+                .select('id', { count: 'exact', head: true })
+                .eq('key', key)
+                .gte('created_at', windowStart);
 
             if (error) {
-                throw new Error(`Error fetching submission: ${error.message}`);
+                throw new Error(`Error counting rate limit hits: ${error.message}`);
             }
 
-            return data;
+            // Hits older than the window are no longer needed
+            await supabase
+                .from('rate_limit_hits')
+                .delete()
+                .eq('key', key)
+                .lt('created_at', windowStart);
+
+            return count;
         } catch (error) {
-            console.error('Error in getSubmissionById:', error);
+            console.error('Error in recordRateLimitHit:', error);
             throw error;
         }
     }
 
-    async updateSubmissionStatus(submissionId, status, notes = null, adminId = null) {
+    async clearRateLimitHits(key) {
         try {
-            const updateData = { 
-                status,
-                updated_at: new Date().toISOString()
-            };
+            const { error } = await supabase
+                .from('rate_limit_hits')
+                .delete()
+                .eq('key', key);
 
-            if (notes) {
-                updateData.admin_notes = notes;
+            if (error) {
+                throw new Error(`Error clearing rate limit hits: ${error.message}`);
             }
+        } catch (error) {
+            console.error('Error in clearRateLimitHits:', error);
+            throw error;
+        }
+    }
+
+    // Current values of the given submissions keyed by id, recorded as the
+    // "before" values in the audit trail
+    async getSubmissionStates(ids, fields = ['status']) {
+        try {
+            const { data, error } = await supabase
+                .from('form_submissions')
+                .select(['id', ...fields].join(', '))
+                .in('id', ids);
 
-            if (adminId) {
-                updateData.admin_id = adminId;
+            if (error) {
+                throw new Error(`Error fetching submission states: ${error.message}`);
             }
 
+            return Object.fromEntries(data.map(({ id, ...state }) => [id, state]));
+        } catch (error) {
+            console.error('Error in getSubmissionStates:', error);
+            throw error;
+        }
+    }
+
+    // Audit trail operations
+    async createAuditEvent(auditEvent) {
+        try {
             const { data, error } = await supabase
-                .from('form_submissions')
-                .update(updateData)
-                .eq('id', submissionId)
+                .from('audit_events')
+                .insert([auditEvent])
                 .select()
                 .single();
 
             if (error) {
-                throw new Error(`Error updating submission status: ${error.message}`);
+                throw new Error(`Error recording audit event: ${error.message}`);
             }
 
             return data;
         } catch (error) {
-            console.error('Error in updateSubmissionStatus:', error);
+            console.error('Error in createAuditEvent:', error);
             throw error;
         }
     }
 
-    async getFormSubmissions(options = {}) {
+    applyAuditFilters(query, filters = {}) {
+        if (filters.action) {
+            query = query.eq('action', filters.action);
+        }
+        if (filters.adminId) {
+            query = query.eq('admin_id', filters.adminId);
+        }
+        if (filters.adminEmail) {
+            query = query.ilike('admin_email', `%${filters.adminEmail}%`);
+        }
+        if (filters.targetId) {
+            query = query.contains('target_ids', [filters.targetId]);
+        }
+        if (filters.dateFrom) {
+            query = query.gte('created_at', filters.dateFrom);
+        }
+        if (filters.dateTo) {
+            query = query.lte('created_at', filters.dateTo);
+        }
+        return query;
+    }
+
+    async getAuditEvents(options = {}) {
         try {
-            const { page = 1, limit = 20, status, formType } = options;
+            const { page = 1, limit = 50, ...filters } = options;
             const offset = (page - 1) * limit;
 
-            let query = supabase
-                .from('submission_details')
-                .select('*', { count: 'exact' })
-                .order('created_at', { ascending: false })
-                .range(offset, offset + limit - 1);
-
-            // Apply filters
-            if (status) {
-                query = query.eq('status', status);
-            }
-            if (formType) {
-                query = query.eq('form_type', formType);
-            }
+            const query = this.applyAuditFilters(
+                supabase
+                    .from('audit_events')
+                    .select('*', { count: 'exact' })
+                    .order('created_at', { ascending: false })
+                    .range(offset, offset + limit - 1),
+                filters
+            );
 
             const { data, error, count } = await query;
 
             if (error) {
-                throw new Error(`Error fetching form submissions: ${error.message}`);
+                throw new Error(`Error fetching audit events: ${error.message}`);
             }
 
             return {
-                submissions: data,
+                events: data,
                 total: count
             };
         } catch (error) {
-            console.error('Error in getFormSubmissions:', error);
+            console.error('Error in getAuditEvents:', error);
             throw error;
         }
     }
 
-    // File attachment operations
-    async createFileAttachment(attachmentData) {
+    async exportAuditEvents(format, filters = {}) {
+        try {
+            const query = this.applyAuditFilters(
+                supabase
+                    .from('audit_events')
+                    .select('*')
+                    .order('created_at', { ascending: false }),
+                filters
+            );
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw new Error(`Error fetching audit export data: ${error.message}`);
+            }
+
+            return this.formatExport(data, format);
+        } catch (error) {
+            console.error('Error in exportAuditEvents:', error);
+            throw error;
+        }
+    }
+
+    // Admin login lockouts
+    async createLoginLockout(lockout) {
         try {
             const { data, error } = await supabase
-                .from('file_attachments')
-                .insert([attachmentData])
+                .from('login_lockouts')
+                .insert([lockout])
                 .select()
                 .single();
 
             if (error) {
-                throw new Error(`Error creating file attachment: ${error.message}`);
+                throw new Error(`Error recording login lockout: ${error.message}`);
             }
 
             return data;
         } catch (error) {
-            console.error('Error in createFileAttachment:', error);
+            console.error('Error in createLoginLockout:', error);
             throw error;
         }
     }
 
-    async getAttachmentsBySubmission(submissionId) {
+    async getLatestLoginLockout(scope, identifier, since) {
         try {
             const { data, error } = await supabase
-                .from('file_attachments')
+                .from('login_lockouts')
                 .select('*')
-                .eq('submission_id', submissionId)
-                .order('uploaded_at', { ascending: true });
+                .eq('scope', scope)
+                .eq('identifier', identifier)
+                .gte('created_at', since)
+                .order('created_at', { ascending: false })
+                .limit(1);
 
             if (error) {
-                throw new Error(`Error fetching attachments: ${error.message}`);
+                throw new Error(`Error fetching login lockout: ${error.message}`);
             }
 
-            return data;
+            return data[0] || null;
         } catch (error) {
-            console.error('Error in getAttachmentsBySubmission:', error);
+            console.error('Error in getLatestLoginLockout:', error);
             throw error;
         }
     }
 
-    // Admin response operations
-    async createAdminResponse(responseData) {
+    async getLoginLockouts(options = {}) {
         try {
+            const { limit = 50 } = options;
+
             const { data, error } = await supabase
-                .from('admin_responses')
-                .insert([responseData])
-                .select()
-                .single();
+                .from('login_lockouts')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(limit);
 
             if (error) {
-                throw new Error(`Error creating admin response: ${error.message}`);
+                throw new Error(`Error fetching login lockouts: ${error.message}`);
             }
 
             return data;
         } catch (error) {
-            console.error('Error in createAdminResponse:', error);
+            console.error('Error in getLoginLockouts:', error);
             throw error;
         }
     }
 
-    async getResponsesBySubmission(submissionId) {
+    // Dashboard event log (see lib/dashboard-events.js)
+    async createDashboardEvent(dashboardEvent) {
         try {
             const { data, error } = await supabase
-                .from('admin_responses')
-                .select('*')
-                .eq('submission_id', submissionId)
-                .order('sent_at', { ascending: true });
+                .from('dashboard_events')
+                .insert([dashboardEvent])
+                .select()
+                .single();
 
             if (error) {
-                throw new Error(`Error fetching responses: ${error.message}`);
+                throw new Error(`Error recording dashboard event: ${error.message}`);
             }
 
             return data;
         } catch (error) {
-            console.error('Error in getResponsesBySubmission:', error);
+            console.error('Error in createDashboardEvent:', error);
             throw error;
         }
     }
 
-    // Customer operations
-    async getCustomers(filters = {}) {
+    async getDashboardEventsAfter(afterId, limit = 100) {
         try {
-            let query = supabase
-                .from('customer_summary')
+            const { data, error } = await supabase
+                .from('dashboard_events')
                 .select('*')
-                .order('last_submission_date', { ascending: false });
+                .gt('id', afterId)
+                .order('id', { ascending: true })
+                .limit(limit);
 
-            if (filters.limit) {
-                query = query.limit(filters.limit);
+            if (error) {
+                throw new Error(`Error fetching dashboard events: ${error.message}`);
             }
 
-            const { data, error } = await query;
+            return data;
+        } catch (error) {
+            console.error('Error in getDashboardEventsAfter:', error);
+            throw error;
+        }
+    }
+
+    // Returns how many events were deleted
+    async deleteDashboardEventsBefore(beforeIso) {
+        try {
+            const { count, error } = await supabase
+                .from('dashboard_events')
+                .delete({ count: 'exact' })
+                .lt('created_at', beforeIso);
 
             if (error) {
-                throw new Error(`Error fetching customers: ${error.message}`);
+                throw new Error(`Error deleting dashboard events: ${error.message}`);
             }
 
-            return data;
+            return count || 0;
         } catch (error) {
-            console.error('Error in getCustomers:', error);
+            console.error('Error in deleteDashboardEventsBefore:', error);
             throw error;
         }
     }
 
-    async getCustomerHistory(customerId) {
+    // Returns 0 when no events have been recorded
+    async getLatestDashboardEventId() {
         try {
             const { data, error } = await supabase
-                .from('submission_details')
-                .select('*')
-                .eq('customer_id', customerId)
-                .order('created_at', { ascending: false });
+                .from('dashboard_events')
+                .select('id')
+                .order('id', { ascending: false })
+                .limit(1);
 
             if (error) {
-                throw new Error(`Error fetching customer history: ${error.message}`);
+                throw new Error(`Error fetching latest dashboard event: ${error.message}`);
             }
 
-            return data;
+            return data.length > 0 ? data[0].id : 0;
         } catch (error) {
-            console.error('Error in getCustomerHistory:', error);
+            console.error('Error in getLatestDashboardEventId:', error);
             throw error;
         }
     }
@@ -434,6 +2008,7 @@ class DatabaseService {
             const { data: recentSubmissions, error: recentError } = await supabase
                 .from('submission_details')
                 .select('*')
+                .neq('status', 'spam')
                 .order('created_at', { ascending: false })
                 .limit(10);
 
@@ -455,7 +2030,7 @@ class DatabaseService {
     // Enhanced search functionality
     async searchFormSubmissions(query, options = {}) {
         try {
-            const { page = 1, limit = 20, status, formType, dateFrom, dateTo } = options;
+            const { page = 1, limit = 20, status, formType, assignedTo, dateFrom, dateTo } = options;
             const offset = (page - 1) * limit;
 
             // Use the existing submission_details view for search
@@ -469,10 +2044,13 @@ class DatabaseService {
             // Apply additional filters
             if (status) {
                 supabaseQuery = supabaseQuery.eq('status', status);
+            } else {
+                supabaseQuery = supabaseQuery.neq('status', 'spam');
             }
             if (formType) {
                 supabaseQuery = supabaseQuery.eq('form_type', formType);
             }
+            supabaseQuery = this.applyAssigneeFilter(supabaseQuery, assignedTo);
             if (dateFrom) {
                 supabaseQuery = supabaseQuery.gte('created_at', dateFrom);
             }
@@ -502,32 +2080,11 @@ class DatabaseService {
             const updates = [];
             
             for (const id of ids) {
-                const updateData = {
-                    status,
-                    updated_at: new Date().toISOString()
-                };
-
-                if (notes) {
-                    updateData.admin_notes = notes;
-                }
-
-                if (adminId) {
-                    updateData.admin_id = adminId;
-                }
-
-                const { data, error } = await supabase
-                    .from('form_submissions')
-                    .update(updateData)
-                    .eq('id', id)
-                    .select()
-                    .single();
-
-                if (error) {
+                try {
+                    updates.push(await this.updateSubmissionStatus(id, status, notes, adminId));
+                } catch (error) {
                     console.error(`Error updating submission ${id}:`, error);
-                    continue;
                 }
-
-                updates.push(data);
             }
 
             return updates;
@@ -537,11 +2094,12 @@ class DatabaseService {
         }
     }
 
-    async bulkCreateAdminResponses(submissionIds, message, adminId, sendEmail = false) {
+    // `messages` maps each submission id to the message it is sent
+    async bulkCreateAdminResponses(messages, adminId, sendEmail = false) {
         try {
             const responses = [];
             
-            for (const submissionId of submissionIds) {
+            for (const [submissionId, message] of Object.entries(messages)) {
                 const responseData = {
                     submission_id: submissionId,
                     admin_id: adminId,
@@ -581,6 +2139,8 @@ class DatabaseService {
             // Apply filters
             if (filters.status) {
                 query = query.eq('status', filters.status);
+            } else {
+                query = query.neq('status', 'spam');
             }
             if (filters.formType) {
                 query = query.eq('form_type', filters.formType);
@@ -598,20 +2158,28 @@ class DatabaseService {
                 throw new Error(`Error fetching export data: ${error.message}`);
             }
 
-            switch (format) {
-                case 'csv':
-                    return this.formatAsCSV(data);
-                case 'json':
-                    return data;
-                default:
-                    throw new Error(`Unsupported export format: ${format}`);
-            }
+            // The ids are kept for the audit trail
+            return {
+                data: this.formatExport(data, format),
+                ids: data.map(row => row.id)
+            };
         } catch (error) {
             console.error('Error in exportFormSubmissions:', error);
             throw error;
         }
     }
 
+    formatExport(data, format) {
+        switch (format) {
+            case 'csv':
+                return this.formatAsCSV(data);
+            case 'json':
+                return data;
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
     formatAsCSV(data) {
         if (!data || data.length === 0) {
             return 'No data to export';
@@ -625,7 +2193,11 @@ class DatabaseService {
                 let value = row[header];
                 if (value === null || value === undefined) {
                     value = '';
-                } else if (typeof value === 'string') {
+                } else if (typeof value === 'object') {
+                    value = JSON.stringify(value);
+                }
+
+                if (typeof value === 'string') {
                     // Escape quotes and wrap in quotes if contains comma
                     value = value.replace(/"/g, '""');
                     if (value.includes(',') || value.includes('"') || value.includes('\n')) {
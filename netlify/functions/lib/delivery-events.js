@@ -0,0 +1,68 @@
+// Postmark's delivery webhooks (email-delivery.js) report what happened to an
+// email logged in email_messages by lib/email.js. Each record type fills in
+// one timestamp on the message; other record types are not tracked.
+
+const DELIVERY_EVENTS = {
+    DELIVERED: 'delivered',
+    BOUNCED: 'bounced',
+    COMPLAINED: 'complained',
+    OPENED: 'opened'
+};
+
+// Postmark retries soft bounces itself; these mean the address is no good
+const HARD_BOUNCE_TYPES = ['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated'];
+
+function timestamp(value) {
+    const date = new Date(value);
+    return (isNaN(date) ? new Date() : date).toISOString();
+}
+
+// A webhook payload reduced to the message it is about, the columns to set
+// and, when the customer's address should be flagged, why. null for record
+// types that are not tracked.
+function parseDeliveryEvent(payload) {
+    const base = { messageId: payload.MessageID || null, customerReason: null };
+
+    switch (payload.RecordType) {
+        case 'Delivery':
+            return {
+                ...base,
+                event: DELIVERY_EVENTS.DELIVERED,
+                updates: { delivered_at: timestamp(payload.DeliveredAt) }
+            };
+        case 'Bounce':
+            return {
+                ...base,
+                event: DELIVERY_EVENTS.BOUNCED,
+                updates: {
+                    bounced_at: timestamp(payload.BouncedAt),
+                    bounce_type: payload.Type || null,
+                    bounce_description: payload.Description || null
+                },
+                // Inactive: Postmark will not send to the address again
+                customerReason: payload.Inactive || HARD_BOUNCE_TYPES.includes(payload.Type)
+                    ? (payload.Description || payload.Name || 'Email bounced')
+                    : null
+            };
+        case 'SpamComplaint':
+            return {
+                ...base,
+                event: DELIVERY_EVENTS.COMPLAINED,
+                updates: { complained_at: timestamp(payload.BouncedAt) },
+                customerReason: 'Reported our email as spam'
+            };
+        case 'Open':
+            return {
+                ...base,
+                event: DELIVERY_EVENTS.OPENED,
+                updates: { opened_at: timestamp(payload.ReceivedAt) }
+            };
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    DELIVERY_EVENTS,
+    parseDeliveryEvent
+};
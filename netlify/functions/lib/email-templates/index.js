@@ -0,0 +1,55 @@
+// Email templates kept in the repository. Each template is a <name>.html and
+// <name>.txt pair in this directory, rendered inside layout.html/layout.txt
+// with the shared pieces in partials/. They use Mustache, the syntax Postmark
+// templates use: values are escaped in the HTML version and left as typed in
+// the text one. scripts/email-templates/preview.js renders every template
+// with sample data.
+
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+
+const TEMPLATE_NAMES = ['customer-confirmation', 'admin-notification', 'admin-response', 'lead-alert'];
+
+const PARTIALS_DIR = path.join(__dirname, 'partials');
+const TEXT_OPTIONS = { escape: value => String(value) };
+
+const files = new Map();
+
+function readFile(file) {
+    if (!files.has(file)) {
+        files.set(file, fs.readFileSync(file, 'utf8'));
+    }
+    return files.get(file);
+}
+
+function readPartials(extension) {
+    return Object.fromEntries(fs.readdirSync(PARTIALS_DIR)
+        .filter(name => name.endsWith(extension))
+        .map(name => [path.basename(name, extension), readFile(path.join(PARTIALS_DIR, name))]));
+}
+
+function render(name, extension, model) {
+    const partials = readPartials(extension);
+    const options = extension === '.txt' ? TEXT_OPTIONS : undefined;
+    const content = Mustache.render(readFile(path.join(__dirname, `${name}${extension}`)), model, partials, options);
+
+    return Mustache.render(readFile(path.join(__dirname, `layout${extension}`)), { ...model, content }, partials, options);
+}
+
+// The HTML and text bodies of a template for one model
+function renderEmail(name, model) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    return {
+        html: render(name, '.html', model),
+        text: render(name, '.txt', model).replace(/\n{3,}/g, '\n\n').trim()
+    };
+}
+
+module.exports = {
+    TEMPLATE_NAMES,
+    renderEmail
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Sends nothing. Messages are kept in `messages` and, when a directory is
+// given, written there as JSON for scripts/email-capture/viewer.js, so every
+// email path can be exercised offline.
+class CaptureTransport {
+    constructor(options = {}) {
+        this.name = options.directory ? 'capture' : 'memory';
+        this.directory = options.directory || null;
+        this.messages = [];
+    }
+
+    async send(message) {
+        const record = {
+            messageId: `capture-${crypto.randomUUID()}`,
+            submittedAt: new Date().toISOString(),
+            ...message
+        };
+
+        this.messages.push(record);
+
+        if (this.directory) {
+            fs.mkdirSync(this.directory, { recursive: true });
+            const filename = `${record.submittedAt.replace(/[:.]/g, '-')}-${record.messageId}.json`;
+            fs.writeFileSync(path.join(this.directory, filename), JSON.stringify(record, null, 2));
+        }
+
+        return { messageId: record.messageId, submittedAt: record.submittedAt };
+    }
+}
+
+module.exports = CaptureTransport;
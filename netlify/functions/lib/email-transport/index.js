@@ -0,0 +1,55 @@
+const path = require('path');
+
+const DEFAULT_CAPTURE_DIR = path.join(process.cwd(), '.netlify', 'captured-emails');
+
+// Select how EmailService (lib/email.js) sends from the environment.
+// EMAIL_TRANSPORT=postmark|smtp|capture|memory; defaults to Postmark when a
+// server token is configured, then SMTP when a host is, then capture under
+// `netlify dev`. Anywhere else a missing configuration is an error, not a
+// silent capture: a deployed function cannot write the capture directory.
+// capture writes each message to EMAIL_CAPTURE_DIR; memory only keeps them
+// on the transport.
+//
+// A transport has send(message), resolving to { messageId, submittedAt }. A
+// message has from, to, subject, html, text, replyTo, trackOpens and
+// attachments ({ filename, content (base64), contentType }).
+function createEmailTransport(name = process.env.EMAIL_TRANSPORT) {
+    const transportName = name || defaultTransportName();
+
+    switch (transportName) {
+        case 'postmark': {
+            const PostmarkTransport = require('./postmark-transport');
+            return new PostmarkTransport();
+        }
+        case 'smtp': {
+            const SmtpTransport = require('./smtp-transport');
+            return new SmtpTransport();
+        }
+        case 'capture': {
+            const CaptureTransport = require('./capture-transport');
+            return new CaptureTransport({ directory: process.env.EMAIL_CAPTURE_DIR || DEFAULT_CAPTURE_DIR });
+        }
+        case 'memory': {
+            const CaptureTransport = require('./capture-transport');
+            return new CaptureTransport();
+        }
+        default:
+            throw new Error(`Unknown email transport: ${transportName}`);
+    }
+}
+
+// Picked from the credentials present when EMAIL_TRANSPORT is not set
+function defaultTransportName() {
+    if (process.env.POSTMARK_SERVER_TOKEN) return 'postmark';
+    if (process.env.SMTP_HOST) return 'smtp';
+    if (process.env.NETLIFY_DEV === 'true') return 'capture';
+
+    throw new Error(
+        'No email transport is configured: set POSTMARK_SERVER_TOKEN or SMTP_HOST, or EMAIL_TRANSPORT=capture'
+    );
+}
+
+module.exports = {
+    DEFAULT_CAPTURE_DIR,
+    createEmailTransport
+};
@@ -0,0 +1,36 @@
+const postmark = require('postmark');
+
+// Sends through Postmark, the production transport. The only one whose
+// messages get delivery, bounce and open webhooks (email-delivery.js).
+class PostmarkTransport {
+    constructor() {
+        this.name = 'postmark';
+
+        if (!process.env.POSTMARK_SERVER_TOKEN) {
+            throw new Error('POSTMARK_SERVER_TOKEN is not configured');
+        }
+
+        this.client = new postmark.ServerClient(process.env.POSTMARK_SERVER_TOKEN);
+    }
+
+    async send(message) {
+        const result = await this.client.sendEmail({
+            From: message.from,
+            To: message.to,
+            Subject: message.subject,
+            HtmlBody: message.html,
+            TextBody: message.text,
+            ReplyTo: message.replyTo,
+            TrackOpens: message.trackOpens,
+            Attachments: (message.attachments || []).map(attachment => ({
+                Name: attachment.filename,
+                Content: attachment.content, // Base64 encoded content
+                ContentType: attachment.contentType
+            }))
+        });
+
+        return { messageId: result.MessageID, submittedAt: result.SubmittedAt };
+    }
+}
+
+module.exports = PostmarkTransport;
@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+
+// Sends through any SMTP server, for sites without a Postmark account.
+// SMTP accounts usually only send as their own address, so EMAIL_FROM
+// replaces the form type's address and replies still go to the original.
+class SmtpTransport {
+    constructor() {
+        this.name = 'smtp';
+
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is not configured');
+        }
+
+        const port = parseInt(process.env.SMTP_PORT || '587', 10);
+        this.client = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.client.sendMail({
+            from: process.env.EMAIL_FROM || message.from,
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            replyTo: message.replyTo || (process.env.EMAIL_FROM ? message.from : undefined),
+            attachments: (message.attachments || []).map(attachment => ({
+                filename: attachment.filename,
+                content: Buffer.from(attachment.content, 'base64'),
+                contentType: attachment.contentType
+            }))
+        });
+
+        return { messageId: info.messageId, submittedAt: new Date().toISOString() };
+    }
+}
+
+module.exports = SmtpTransport;
@@ -1,33 +1,68 @@
-const postmark = require('postmark');
+const { createEmailTransport } = require('./email-transport');
+const { renderEmail } = require('./email-templates');
+const { replyAddress } = require('./inbound-email');
+
+// Opening line of the customer's confirmation for each form type
+const CONFIRMATION_INTROS = {
+    estimate: 'Thank you for requesting an estimate. We have received your project details and will be in touch soon.',
+    schedule: 'Thank you for your service request. We will contact you shortly to confirm your appointment.',
+    inquiry: 'Thank you for contacting us. We have received your message and will get back to you soon.',
+    chat: 'Thank you for chatting with us. Here is a summary of your service request.',
+    consultation: 'Thank you for requesting a consultation. We will contact you to arrange a visit.'
+};
 
 class EmailService {
-    constructor() {
-        this.client = new postmark.ServerClient(process.env.POSTMARK_SERVER_TOKEN);
+    constructor(transport = null) {
+        this.transport = transport;
         
         // Email addresses for different form types
+        // Chat leads book appointments, so they go to scheduling;
+        // consultations are pre-estimate site visits
         this.fromAddresses = {
             estimate: 'Estimate@AJLongElectric.com',
             schedule: 'Schedule@AJLongElectric.com',
-            inquiry: 'Contact@AJLongElectric.com'
+            inquiry: 'Contact@AJLongElectric.com',
+            chat: 'Schedule@AJLongElectric.com',
+            consultation: 'Estimate@AJLongElectric.com'
         };
         
         this.replyToAddresses = {
             estimate: 'Estimate@AJLongElectric.com',
             schedule: 'Schedule@AJLongElectric.com', 
-            inquiry: 'Contact@AJLongElectric.com'
+            inquiry: 'Contact@AJLongElectric.com',
+            chat: 'Schedule@AJLongElectric.com',
+            consultation: 'Estimate@AJLongElectric.com'
         };
     }
 
+    // Created on first use, so loading this module needs no email credentials
+    getTransport() {
+        if (!this.transport) {
+            this.transport = createEmailTransport();
+        }
+        return this.transport;
+    }
+
     // Send notification to customer
     async sendCustomerNotification(formType, customerData, submissionData) {
         try {
-            const templateData = this.getCustomerTemplateData(formType, customerData, submissionData);
-            
-            await this.client.sendEmailWithTemplate({
-                From: this.fromAddresses[formType],
-                To: customerData.email,
-                TemplateAlias: this.getCustomerTemplateAlias(formType),
-                TemplateModel: templateData
+            const { subject, html, text } = this.composeCustomerNotification(formType, customerData, submissionData);
+
+            const result = await this.getTransport().send({
+                from: this.fromAddresses[formType],
+                to: customerData.email,
+                subject,
+                html,
+                text,
+                replyTo: this.replyToAddresses[formType],
+                trackOpens: true
+            });
+
+            await this.logMessage(result, {
+                kind: 'customer_notification',
+                submission_id: submissionData.id,
+                recipient: customerData.email,
+                subject
             });
 
             console.log(`Customer notification sent to ${customerData.email} for ${formType}`);
@@ -40,25 +75,30 @@ class EmailService {
     // Send notification to admin team
     async sendAdminNotification(formType, customerData, submissionData, attachments = []) {
         try {
-            const subject = this.getAdminSubject(formType, customerData);
-            const htmlBody = this.getAdminHtmlBody(formType, customerData, submissionData);
-            const textBody = this.getAdminTextBody(formType, customerData, submissionData);
+            const { subject, html, text } = this.composeAdminNotification(formType, customerData, submissionData);
 
             const emailData = {
-                From: this.fromAddresses[formType],
-                To: this.fromAddresses[formType], // Send to the same address for admin review
-                Subject: subject,
-                HtmlBody: htmlBody,
-                TextBody: textBody,
-                ReplyTo: customerData.email,
-                Attachments: attachments.map(att => ({
-                    Name: att.filename,
-                    Content: att.content, // Base64 encoded content
-                    ContentType: att.contentType
+                from: this.fromAddresses[formType],
+                to: this.fromAddresses[formType], // Send to the same address for admin review
+                subject,
+                html,
+                text,
+                replyTo: customerData.email,
+                attachments: attachments.map(att => ({
+                    filename: att.filename,
+                    content: att.content, // Base64 encoded content
+                    contentType: att.contentType
                 }))
             };
 
-            await this.client.sendEmail(emailData);
+            const result = await this.getTransport().send(emailData);
+            await this.logMessage(result, {
+                kind: 'admin_notification',
+                submission_id: submissionData.id,
+                recipient: emailData.to,
+                subject
+            });
+
             console.log(`Admin notification sent for ${formType} submission`);
         } catch (error) {
             console.error('Error sending admin notification:', error);
@@ -67,19 +107,28 @@ class EmailService {
     }
 
     // Send response from admin to customer
-    async sendAdminResponse(formType, customerData, responseText, adminEmail) {
+    // Replies go to the submission's own reply address when inbound email is
+    // set up, so they are threaded back onto it (see lib/inbound-email.js)
+    async sendAdminResponse(formType, customerData, responseText, adminEmail, submissionId = null, responseId = null) {
         try {
-            const subject = this.getResponseSubject(formType);
-            const htmlBody = this.getResponseHtmlBody(formType, customerData, responseText, adminEmail);
-            const textBody = this.getResponseTextBody(formType, customerData, responseText);
-
-            await this.client.sendEmail({
-                From: this.fromAddresses[formType],
-                To: customerData.email,
-                Subject: subject,
-                HtmlBody: htmlBody,
-                TextBody: textBody,
-                ReplyTo: this.replyToAddresses[formType]
+            const { subject, html, text } = this.composeAdminResponse(formType, customerData, responseText);
+
+            const result = await this.getTransport().send({
+                from: this.fromAddresses[formType],
+                to: customerData.email,
+                subject,
+                html,
+                text,
+                replyTo: (submissionId && replyAddress(submissionId)) || this.replyToAddresses[formType],
+                trackOpens: true
+            });
+
+            await this.logMessage(result, {
+                kind: 'admin_response',
+                submission_id: submissionId,
+                response_id: responseId,
+                recipient: customerData.email,
+                subject
             });
 
             console.log(`Admin response sent to ${customerData.email}`);
@@ -89,55 +138,175 @@ class EmailService {
         }
     }
 
-    // Helper methods for template data
-    getCustomerTemplateData(formType, customerData, submissionData) {
-        const baseData = {
-            customer_name: `${customerData.first_name} ${customerData.last_name}`,
-            customer_email: customerData.email,
-            submission_id: submissionData.id,
-            form_type: formType,
-            message: submissionData.message,
-            created_at: new Date(submissionData.created_at).toLocaleString()
+    // Page the on-call electrician about a new lead (lib/lead-alerts.js).
+    // Not logged in email_messages: it goes to staff, not the customer.
+    async sendLeadAlert(to, lead) {
+        try {
+            const { subject, html, text } = this.composeLeadAlert(lead);
+
+            await this.getTransport().send({
+                from: this.fromAddresses[lead.form_type] || this.fromAddresses.inquiry,
+                to,
+                subject,
+                html,
+                text,
+                replyTo: lead.email || undefined
+            });
+
+            console.log(`Lead alert for submission ${lead.submission_id} emailed to ${to}`);
+        } catch (error) {
+            console.error('Error sending lead alert:', error);
+            throw error;
+        }
+    }
+
+    // Logs a sent email under the transport's message id so Postmark's
+    // delivery webhooks (email-delivery.js) can be matched to it. The email
+    // has already gone, so a failed log is reported rather than thrown.
+    async logMessage(result, message) {
+        try {
+            const database = require('./database');
+            await database.createEmailMessage({
+                provider_message_id: result.messageId,
+                sent_at: result.submittedAt || new Date().toISOString(),
+                ...message
+            });
+        } catch (error) {
+            console.error(`Error logging email ${result.messageId}:`, error);
+        }
+    }
+
+    // Each email as { subject, html, text }, rendered from the templates in
+    // lib/email-templates/ without sending anything
+    composeCustomerNotification(formType, customerData, submissionData) {
+        const details = this.getRequestDetails(formType, submissionData)
+            .filter(detail => detail.value);
+
+        return {
+            subject: this.getConfirmationSubject(formType),
+            ...renderEmail('customer-confirmation', {
+                title: 'AJ Long Electric',
+                subtitle: `We received your ${this.getFormTypeLabel(formType)}`,
+                first_name: customerData.first_name,
+                intro: CONFIRMATION_INTROS[formType] || CONFIRMATION_INTROS.inquiry,
+                details,
+                has_details: details.length > 0,
+                message_heading: 'Your Message:',
+                message: submissionData.message,
+                submitted_at: new Date(submissionData.created_at).toLocaleString(),
+                contact_email: this.fromAddresses[formType]
+            })
+        };
+    }
+
+    composeAdminNotification(formType, customerData, submissionData) {
+        return {
+            subject: this.getAdminSubject(formType, customerData),
+            ...renderEmail('admin-notification', {
+                title: this.getFormTypeTitle(formType),
+                subtitle: 'New submission received',
+                customer_name: `${customerData.first_name} ${customerData.last_name}`,
+                email: customerData.email,
+                phone: customerData.phone,
+                address: customerData.address ? this.formatAddress(customerData) : null,
+                details: this.getRequestDetails(formType, submissionData)
+                    .map(detail => ({ label: detail.label, value: detail.value || detail.fallback })),
+                message_heading: 'Message:',
+                message: submissionData.message,
+                submitted_at: new Date(submissionData.created_at).toLocaleString()
+            })
         };
+    }
+
+    composeAdminResponse(formType, customerData, responseText) {
+        return {
+            subject: this.getResponseSubject(formType),
+            ...renderEmail('admin-response', {
+                title: 'AJ Long Electric',
+                subtitle: `Response to your ${formType} request`,
+                first_name: customerData.first_name,
+                response_text: responseText,
+                contact_email: this.fromAddresses[formType]
+            })
+        };
+    }
+
+    composeLeadAlert(lead) {
+        return {
+            subject: `🚨 ${lead.headline}`,
+            ...renderEmail('lead-alert', {
+                title: 'On-call alert',
+                subtitle: lead.headline,
+                ...lead,
+                details: lead.details.filter(detail => detail.value),
+                message_heading: 'Message:'
+            })
+        };
+    }
+
+    // The form-specific fields of a submission, shared by the customer's
+    // confirmation, the team's notification and on-call alerts. `fallback` is
+    // shown to the team when the customer left a field empty.
+    getRequestDetails(formType, submissionData) {
+        const detail = (label, value, fallback = 'Not specified') => ({ label, value: value || null, fallback });
 
         switch (formType) {
             case 'estimate':
-                return {
-                    ...baseData,
-                    project_type: submissionData.project_type,
-                    budget_range: submissionData.budget_range,
-                    timeline: submissionData.timeline,
-                    preferred_date: submissionData.preferred_date,
-                    service_location: submissionData.service_location
-                };
+                return [
+                    detail('Project Type', submissionData.project_type),
+                    detail('Budget Range', submissionData.budget_range),
+                    detail('Timeline', submissionData.timeline),
+                    detail('Preferred Date', submissionData.preferred_date),
+                    detail('Service Location', submissionData.service_location)
+                ];
             case 'schedule':
-                return {
-                    ...baseData,
-                    preferred_date: submissionData.preferred_date,
-                    preferred_time: submissionData.preferred_time,
-                    service_location: submissionData.service_location,
-                    urgency: submissionData.urgency
-                };
+                return [
+                    detail('Preferred Date', submissionData.preferred_date),
+                    detail('Preferred Time', submissionData.preferred_time),
+                    detail('Service Location', submissionData.service_location),
+                    detail('Urgency', submissionData.urgency, 'Normal')
+                ];
             case 'inquiry':
-                return {
-                    ...baseData,
-                    subject: submissionData.subject
-                };
+                return [
+                    detail('Subject', submissionData.subject, 'General Inquiry')
+                ];
+            case 'chat':
+                return [
+                    detail('Service', submissionData.metadata?.service_type),
+                    detail('Appointment', submissionData.preferred_date
+                        ? `${submissionData.preferred_date} ${submissionData.preferred_time || ''}`.trim()
+                        : null, 'Not booked yet'),
+                    detail('Service Location', submissionData.service_location)
+                ];
+            case 'consultation':
+                return [
+                    detail('Consultation Type', submissionData.metadata?.consultation_type || submissionData.project_type),
+                    detail('Budget Range', submissionData.budget_range),
+                    detail('Service Location', submissionData.service_location)
+                ];
             default:
-                return baseData;
+                return [];
         }
     }
 
-    getCustomerTemplateAlias(formType) {
+    getConfirmationSubject(formType) {
+        return `We received your ${this.getFormTypeLabel(formType)} - AJ Long Electric`;
+    }
+
+    getFormTypeLabel(formType) {
         switch (formType) {
             case 'estimate':
-                return 'estimate-confirmation';
+                return 'estimate request';
             case 'schedule':
-                return 'schedule-confirmation';
+                return 'service request';
             case 'inquiry':
-                return 'inquiry-confirmation';
+                return 'message';
+            case 'chat':
+                return 'service request';
+            case 'consultation':
+                return 'consultation request';
             default:
-                return 'general-confirmation';
+                return 'request';
         }
     }
 
@@ -150,101 +319,19 @@ class EmailService {
                 return `📅 New Service Scheduling Request from ${name}`;
             case 'inquiry':
                 return `💬 New General Inquiry from ${name}`;
+            case 'chat':
+                return `🤖 New AI Chat Lead from ${name}`;
+            case 'consultation':
+                return `💡 New Consultation Request from ${name}`;
             default:
                 return `📋 New Form Submission from ${name}`;
         }
     }
 
-    getAdminHtmlBody(formType, customerData, submissionData) {
-        const name = `${customerData.first_name} ${customerData.last_name}`;
-        
-        let html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: #FF7200; padding: 20px; color: white;">
-                <h2 style="margin: 0;">${this.getFormTypeTitle(formType)}</h2>
-                <p style="margin: 10px 0 0 0; opacity: 0.9;">New submission received</p>
-            </div>
-            
-            <div style="padding: 20px; background: #f9f9f9;">
-                <h3 style="color: #FF7200; margin-top: 0;">Customer Information</h3>
-                <table style="width: 100%; border-collapse: collapse;">
-                    <tr><td style="padding: 5px 10px 5px 0; font-weight: bold;">Name:</td><td style="padding: 5px 0;">${name}</td></tr>
-                    <tr><td style="padding: 5px 10px 5px 0; font-weight: bold;">Email:</td><td style="padding: 5px 0;"><a href="mailto:${customerData.email}">${customerData.email}</a></td></tr>
-                    <tr><td style="padding: 5px 10px 5px 0; font-weight: bold;">Phone:</td><td style="padding: 5px 0;"><a href="tel:${customerData.phone}">${customerData.phone}</a></td></tr>
-                    ${customerData.address ? `<tr><td style="padding: 5px 10px 5px 0; font-weight: bold;">Address:</td><td style="padding: 5px 0;">${customerData.address}, ${customerData.city}, ${customerData.state} ${customerData.zip_code}</td></tr>` : ''}
-                </table>
-            </div>
-            
-            <div style="padding: 20px;">
-                <h3 style="color: #FF7200; margin-top: 0;">Request Details</h3>
-        `;
-
-        // Add form-specific details
-        if (formType === 'estimate') {
-            html += `
-                <p><strong>Project Type:</strong> ${submissionData.project_type || 'Not specified'}</p>
-                <p><strong>Budget Range:</strong> ${submissionData.budget_range || 'Not specified'}</p>
-                <p><strong>Timeline:</strong> ${submissionData.timeline || 'Not specified'}</p>
-                <p><strong>Preferred Date:</strong> ${submissionData.preferred_date || 'Not specified'}</p>
-                <p><strong>Service Location:</strong> ${submissionData.service_location || 'Not specified'}</p>
-            `;
-        } else if (formType === 'schedule') {
-            html += `
-                <p><strong>Preferred Date:</strong> ${submissionData.preferred_date || 'Not specified'}</p>
-                <p><strong>Preferred Time:</strong> ${submissionData.preferred_time || 'Not specified'}</p>
-                <p><strong>Service Location:</strong> ${submissionData.service_location || 'Not specified'}</p>
-                <p><strong>Urgency:</strong> ${submissionData.urgency || 'Normal'}</p>
-            `;
-        } else if (formType === 'inquiry') {
-            html += `<p><strong>Subject:</strong> ${submissionData.subject || 'General Inquiry'}</p>`;
-        }
-
-        html += `
-                <div style="background: #f5f5f5; padding: 15px; border-left: 4px solid #FF7200; margin: 15px 0;">
-                    <h4 style="margin-top: 0;">Message:</h4>
-                    <p style="white-space: pre-wrap; margin-bottom: 0;">${submissionData.message}</p>
-                </div>
-                
-                <p style="color: #666; font-size: 14px;">Submitted: ${new Date(submissionData.created_at).toLocaleString()}</p>
-            </div>
-        </div>`;
-
-        return html;
-    }
-
-    getAdminTextBody(formType, customerData, submissionData) {
-        const name = `${customerData.first_name} ${customerData.last_name}`;
-        let text = `${this.getFormTypeTitle(formType)}\n\n`;
-        
-        text += `Customer Information:\n`;
-        text += `Name: ${name}\n`;
-        text += `Email: ${customerData.email}\n`;
-        text += `Phone: ${customerData.phone}\n`;
-        if (customerData.address) {
-            text += `Address: ${customerData.address}, ${customerData.city}, ${customerData.state} ${customerData.zip_code}\n`;
-        }
-        text += `\n`;
-
-        text += `Request Details:\n`;
-        if (formType === 'estimate') {
-            text += `Project Type: ${submissionData.project_type || 'Not specified'}\n`;
-            text += `Budget Range: ${submissionData.budget_range || 'Not specified'}\n`;
-            text += `Timeline: ${submissionData.timeline || 'Not specified'}\n`;
-            text += `Preferred Date: ${submissionData.preferred_date || 'Not specified'}\n`;
-            text += `Service Location: ${submissionData.service_location || 'Not specified'}\n`;
-        } else if (formType === 'schedule') {
-            text += `Preferred Date: ${submissionData.preferred_date || 'Not specified'}\n`;
-            text += `Preferred Time: ${submissionData.preferred_time || 'Not specified'}\n`;
-            text += `Service Location: ${submissionData.service_location || 'Not specified'}\n`;
-            text += `Urgency: ${submissionData.urgency || 'Normal'}\n`;
-        } else if (formType === 'inquiry') {
-            text += `Subject: ${submissionData.subject || 'General Inquiry'}\n`;
-        }
-
-        text += `\nMessage:\n${submissionData.message}\n\n`;
-        text += `Submitted: ${new Date(submissionData.created_at).toLocaleString()}`;
-
-        return text;
+    // Consultation and chat leads may only have a free-text address line
+    formatAddress(customerData) {
+        const stateZip = [customerData.state, customerData.zip_code].filter(Boolean).join(' ');
+        return [customerData.address, customerData.city, stateZip].filter(Boolean).join(', ');
     }
 
     getResponseSubject(formType) {
@@ -255,62 +342,15 @@ class EmailService {
                 return 'Re: Your Service Appointment - AJ Long Electric';
             case 'inquiry':
                 return 'Re: Your Inquiry - AJ Long Electric';
+            case 'chat':
+                return 'Re: Your Service Request - AJ Long Electric';
+            case 'consultation':
+                return 'Re: Your Consultation Request - AJ Long Electric';
             default:
                 return 'Re: Your Request - AJ Long Electric';
         }
     }
 
-    getResponseHtmlBody(formType, customerData, responseText, adminEmail) {
-        return `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: #FF7200; padding: 20px; color: white;">
-                <h2 style="margin: 0;">AJ Long Electric</h2>
-                <p style="margin: 10px 0 0 0; opacity: 0.9;">Response to your ${formType} request</p>
-            </div>
-            
-            <div style="padding: 20px;">
-                <p>Dear ${customerData.first_name},</p>
-                
-                <div style="background: #f9f9f9; padding: 15px; border-left: 4px solid #FF7200; margin: 20px 0;">
-                    <p style="white-space: pre-wrap; margin: 0;">${responseText}</p>
-                </div>
-                
-                <p>If you have any questions or need to schedule service, please don't hesitate to contact us:</p>
-                
-                <div style="background: #f5f5f5; padding: 15px; margin: 20px 0;">
-                    <p><strong>📞 Phone:</strong> <a href="tel:7039970026">(703) 997-0026</a></p>
-                    <p><strong>✉️ Email:</strong> <a href="mailto:${this.fromAddresses[formType]}">${this.fromAddresses[formType]}</a></p>
-                    <p><strong>🌐 Website:</strong> <a href="https://ajlongelectric.com">ajlongelectric.com</a></p>
-                </div>
-                
-                <p>Thank you for choosing AJ Long Electric!</p>
-                
-                <div style="border-top: 1px solid #eee; padding-top: 15px; margin-top: 30px; color: #666; font-size: 12px;">
-                    <p>AJ Long Electric | Licensed, Bonded & Insured</p>
-                    <p>Serving Northern Virginia, DC & Maryland since 1996</p>
-                </div>
-            </div>
-        </div>`;
-    }
-
-    getResponseTextBody(formType, customerData, responseText) {
-        return `Dear ${customerData.first_name},
-
-${responseText}
-
-If you have any questions or need to schedule service, please don't hesitate to contact us:
-
-Phone: (703) 997-0026
-Email: ${this.fromAddresses[formType]}
-Website: ajlongelectric.com
-
-Thank you for choosing AJ Long Electric!
-
----
-AJ Long Electric | Licensed, Bonded & Insured
-Serving Northern Virginia, DC & Maryland since 1996`;
-    }
-
     getFormTypeTitle(formType) {
         switch (formType) {
             case 'estimate':
@@ -319,6 +359,10 @@ Serving Northern Virginia, DC & Maryland since 1996`;
                 return 'New Service Scheduling Request';
             case 'inquiry':
                 return 'New General Inquiry';
+            case 'chat':
+                return 'New AI Chat Lead';
+            case 'consultation':
+                return 'New Consultation Request';
             default:
                 return 'New Form Submission';
         }
@@ -0,0 +1,93 @@
+// Customer replies are threaded back to their submission through a reply
+// address per submission: INBOUND_EMAIL_ADDRESS with a signed token added
+// after a plus, e.g. replies+<token>@inbound.example.com. Postmark's inbound
+// webhook (email-inbound.js) hands the token back as MailboxHash, and the
+// signature stops anyone from posting into a submission by guessing its id.
+
+const crypto = require('crypto');
+
+const SIGNATURE_LENGTH = 12;
+
+function isConfigured() {
+    return Boolean(process.env.INBOUND_EMAIL_ADDRESS && process.env.INBOUND_EMAIL_SECRET);
+}
+
+function sign(submissionId) {
+    return crypto
+        .createHmac('sha256', process.env.INBOUND_EMAIL_SECRET)
+        .update(submissionId)
+        .digest('hex')
+        .slice(0, SIGNATURE_LENGTH);
+}
+
+// The submission id without dashes, then its signature
+function replyToken(submissionId) {
+    return `${submissionId.replace(/-/g, '')}${sign(submissionId)}`;
+}
+
+// null when threading is not configured, so the shared inbox is used instead
+function replyAddress(submissionId) {
+    if (!isConfigured()) return null;
+
+    const [local, domain] = process.env.INBOUND_EMAIL_ADDRESS.split('@');
+    return `${local}+${replyToken(submissionId)}@${domain}`;
+}
+
+// The submission id in a reply token, or null if it is not one of ours
+function readReplyToken(token) {
+    if (!isConfigured() || !/^[0-9a-f]{44}$/i.test(token || '')) return null;
+
+    const hex = token.slice(0, 32).toLowerCase();
+    const submissionId = [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+    const signature = token.slice(32).toLowerCase();
+
+    return crypto.timingSafeEqual(Buffer.from(sign(submissionId)), Buffer.from(signature))
+        ? submissionId
+        : null;
+}
+
+// Out-of-office and other automatic replies (RFC 3834 and common variants)
+function isAutoReply(header) {
+    const autoSubmitted = (header('Auto-Submitted') || 'no').toLowerCase();
+    const precedence = (header('Precedence') || '').toLowerCase();
+
+    return autoSubmitted !== 'no' ||
+        Boolean(header('X-Autoreply') || header('X-Autorespond')) ||
+        ['auto_reply', 'bulk', 'junk'].includes(precedence);
+}
+
+// Postmark's inbound JSON, reduced to what the dashboard keeps.
+// `reply` is the new text without the quoted conversation below it.
+function parseInboundEmail(payload) {
+    const headers = payload.Headers || [];
+    const header = (name) => {
+        const match = headers.find(item => item.Name.toLowerCase() === name.toLowerCase());
+        return match ? match.Value : null;
+    };
+
+    // MailboxHash is set for the To address; a reply can also copy us in
+    const recipients = [...(payload.ToFull || []), ...(payload.CcFull || [])];
+    const token = payload.MailboxHash || (recipients.find(recipient => recipient.MailboxHash) || {}).MailboxHash;
+
+    const from = payload.FromFull || {};
+    const receivedAt = new Date(payload.Date);
+
+    return {
+        messageId: payload.MessageID || null,
+        fromEmail: (from.Email || payload.From || '').toLowerCase(),
+        fromName: from.Name || payload.FromName || null,
+        subject: payload.Subject || '',
+        body: payload.TextBody || '',
+        reply: (payload.StrippedTextReply || payload.TextBody || '').trim(),
+        receivedAt: isNaN(receivedAt) ? new Date() : receivedAt,
+        submissionId: readReplyToken(token),
+        isAutoReply: isAutoReply(header)
+    };
+}
+
+module.exports = {
+    replyToken,
+    replyAddress,
+    readReplyToken,
+    parseInboundEmail
+};
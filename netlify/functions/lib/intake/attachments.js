@@ -0,0 +1,82 @@
+const { v2: cloudinary } = require('cloudinary');
+const database = require('../database');
+
+// Configure Cloudinary
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Check uploads against a schema's attachment policy before anything is
+// stored. Returns an error message, or null when the files are acceptable.
+function validateAttachments(files, policy) {
+    if (files.length === 0) return null;
+
+    if (!policy) {
+        return 'This form does not accept file uploads';
+    }
+
+    if (files.length > policy.maxFiles) {
+        return `You can upload up to ${policy.maxFiles} files`;
+    }
+
+    for (const file of files) {
+        if (file.size > policy.maxFileSize) {
+            return `${file.originalFilename} is larger than ${Math.round(policy.maxFileSize / (1024 * 1024))}MB`;
+        }
+
+        const allowed = policy.allowedTypes.some(type =>
+            type.endsWith('/') ? (file.mimetype || '').startsWith(type) : file.mimetype === type
+        );
+        if (!allowed) {
+            return `${file.originalFilename} is not a supported file type`;
+        }
+    }
+
+    return null;
+}
+
+// Upload each file to Cloudinary and record it against the submission.
+// A failed upload is logged and skipped so the submission still goes through.
+async function storeAttachments(files, submission, policy) {
+    const attachments = [];
+    if (files.length === 0) return attachments;
+
+    console.log(`Processing ${files.length} file uploads...`);
+
+    for (const file of files) {
+        try {
+            const filename = `${Date.now()}_${file.originalFilename}`;
+
+            // Upload to Cloudinary
+            const uploadResult = await cloudinary.uploader.upload(file.filepath, {
+                folder: `ajlong-electric/${policy.folder}/${submission.id}`,
+                public_id: filename,
+                resource_type: 'auto' // Handles images, videos, and other file types
+            });
+
+            // Save attachment record
+            const attachment = await database.createFileAttachment({
+                submission_id: submission.id,
+                filename,
+                original_filename: file.originalFilename,
+                file_url: uploadResult.secure_url,
+                file_size: file.size,
+                mime_type: file.mimetype
+            });
+            attachments.push(attachment);
+
+            console.log(`File uploaded: ${file.originalFilename}`);
+        } catch (uploadError) {
+            console.error(`Error uploading file ${file.originalFilename}:`, uploadError);
+        }
+    }
+
+    return attachments;
+}
+
+module.exports = {
+    validateAttachments,
+    storeAttachments
+};
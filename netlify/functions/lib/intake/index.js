@@ -0,0 +1,222 @@
+// Shared intake for every lead form. Each form function is a one-line
+// createIntakeHandler() call; what a form collects and requires lives in
+// ./schemas.js, so every form gets the same parsing, validation, spam checks,
+// storage, notifications and error responses.
+
+const AuthUtils = require('../auth-utils');
+const { parseFormData } = require('./parser');
+const { validateAttachments, storeAttachments } = require('./attachments');
+const { FORM_SCHEMAS } = require('./schemas');
+const { TOKEN_FIELD, checkSubmission } = require('./spam');
+const { recordNewLead } = require('../leads');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Handler for a single form schema
+function createIntakeHandler(schemaName) {
+    return (event, context) => handleIntake(event, () => schemaName);
+}
+
+// Handler that picks the schema from a posted field, e.g. the unified form's
+// `formType`; unknown values are rejected
+function createRoutedIntakeHandler({ fields, routes, defaultRoute }) {
+    return (event, context) => handleIntake(event, (formFields) => {
+        const route = formFields.get(fields) || defaultRoute;
+        return Object.prototype.hasOwnProperty.call(routes, route) ? routes[route] : null;
+    });
+}
+
+async function handleIntake(event, resolveSchema) {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    };
+
+    const respond = (statusCode, body) => ({
+        statusCode,
+        headers,
+        body: JSON.stringify(body)
+    });
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return respond(405, { success: false, message: 'Method not allowed' });
+    }
+
+    let parsed;
+    try {
+        parsed = await parseFormData(event);
+    } catch (parseError) {
+        console.error('Error parsing form data:', parseError);
+        return respond(400, {
+            success: false,
+            message: 'The form could not be read. Please check any attached files and try again.'
+        });
+    }
+
+    const { fields, files } = parsed;
+    const schemaName = resolveSchema(fields);
+    const schema = FORM_SCHEMAS[schemaName];
+    if (!schema) {
+        return respond(400, { success: false, message: 'Unknown form type' });
+    }
+
+    try {
+        console.log(`Processing ${schemaName} form submission...`);
+        console.log('Form fields parsed:', fields.keys());
+
+        const customerData = buildCustomerData(fields);
+        const submissionFields = resolveSpecs(schema.submission, fields, customerData);
+        const metadataFields = resolveSpecs(schema.metadata, fields, customerData);
+
+        const validationError = validateCustomer(schema, customerData)
+            || submissionFields.error
+            || metadataFields.error
+            || validateAttachments(files, schema.attachments);
+        if (validationError) {
+            return respond(400, { success: false, message: validationError });
+        }
+
+        console.log('Customer data validated:', customerData.email);
+
+        const spamCheck = await checkSubmission(event, fields, customerData);
+        if (spamCheck.blocked) {
+            console.warn(`Rejected ${schemaName} submission:`, spamCheck.reasons);
+            return respond(429, {
+                success: false,
+                message: 'Too many submissions. Please try again later or call us at (703) 997-0026.'
+            });
+        }
+
+        // Spam is kept for review in the dashboard, without uploads or emails
+        const isSpam = spamCheck.reasons.length > 0;
+        if (isSpam) {
+            console.warn(`Quarantining ${schemaName} submission as spam:`, spamCheck.reasons);
+        }
+
+        const { submission, attachments } = await recordNewLead({
+            customerData,
+            submission: {
+                form_type: schema.formType,
+                service_location: formatLocation(customerData),
+                ...submissionFields.values,
+                metadata: {
+                    form_source: schema.source,
+                    user_agent: event.headers['user-agent'],
+                    ip_address: AuthUtils.getClientIp(event),
+                    ...metadataFields.values,
+                    additional_fields: fields.toObject([TOKEN_FIELD])
+                }
+            },
+            spam: isSpam ? { reasons: spamCheck.reasons, attachment_count: files.length } : null,
+            notifications: schema.notifications,
+            attach: (created) => storeAttachments(files, created, schema.attachments)
+        });
+
+        // Quarantined submissions get the same response as accepted ones
+        return respond(200, {
+            success: true,
+            message: schema.successMessage,
+            submissionId: submission.id,
+            attachmentCount: attachments.length
+        });
+    } catch (error) {
+        console.error(`Error processing ${schemaName} form:`, error);
+
+        return respond(500, {
+            success: false,
+            message: 'There was an error processing your request. Please try again or contact us directly at (703) 997-0026.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// Forms send either firstName/lastName or a single "name" field
+function buildCustomerData(fields) {
+    const [nameFirst, ...nameRest] = (fields.get('name') || '').split(/\s+/);
+
+    return {
+        first_name: fields.get('firstName') || nameFirst || undefined,
+        last_name: fields.get('lastName') || nameRest.join(' ') || undefined,
+        email: fields.get('email'),
+        phone: fields.get('phone'),
+        address: fields.get('address'),
+        city: fields.get('city'),
+        state: fields.get('state'),
+        zip_code: fields.get('zip')
+    };
+}
+
+function validateCustomer(schema, customerData) {
+    for (const field of schema.required) {
+        if (!customerData[field]) {
+            return `Missing required field: ${field}`;
+        }
+    }
+
+    if (customerData.email && !EMAIL_PATTERN.test(customerData.email)) {
+        return 'Invalid email address format';
+    }
+
+    return null;
+}
+
+// Resolve a schema's field specs; stops at the first missing required value
+function resolveSpecs(specs = {}, fields, customerData) {
+    const values = {};
+
+    for (const [key, rawSpec] of Object.entries(specs)) {
+        const spec = typeof rawSpec === 'string' || Array.isArray(rawSpec) ? { from: rawSpec } : rawSpec;
+        let value;
+
+        if (spec.value) {
+            value = spec.value(fields, customerData);
+        } else if (spec.all) {
+            const all = [].concat(spec.from).flatMap(name => fields.getAll(name));
+            value = all.length > 0 ? all.join(', ') : undefined;
+        } else {
+            value = fields.get(spec.from);
+        }
+
+        if (value !== undefined && spec.map) {
+            value = spec.map[value] || value;
+        }
+
+        if ((value === undefined || value === '') && spec.default !== undefined) {
+            value = typeof spec.default === 'function' ? spec.default(fields, customerData) : spec.default;
+        }
+
+        if ((value === undefined || value === '') && spec.required) {
+            return { values, error: spec.required };
+        }
+
+        if (value !== undefined) {
+            values[key] = value;
+        }
+    }
+
+    return { values, error: null };
+}
+
+// Pages without separate city/state/zip fields send a single address line
+function formatLocation(customerData) {
+    const stateZip = [customerData.state, customerData.zip_code].filter(Boolean).join(' ');
+    return [customerData.address, customerData.city, stateZip].filter(Boolean).join(', ') || null;
+}
+
+module.exports = {
+    FORM_SCHEMAS,
+    createIntakeHandler,
+    createRoutedIntakeHandler
+};
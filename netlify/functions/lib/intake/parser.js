@@ -0,0 +1,92 @@
+const { Readable } = require('stream');
+const { formidable } = require('formidable');
+
+// Largest single upload accepted by any form; schemas may set a lower limit
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Parse a function event's multipart, urlencoded or JSON body. Netlify hands
+// the body over as a string, so it is replayed through a stream carrying the
+// request headers, which is all formidable reads from the request.
+async function parseFormData(event) {
+    const headers = Object.fromEntries(
+        Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+
+    const req = Readable.from([body]);
+    req.headers = { ...headers, 'content-length': String(body.length) };
+    req.method = event.httpMethod;
+    req.url = event.path;
+
+    // Empty file inputs still send a part; they are dropped below
+    const form = formidable({
+        multiples: true,
+        keepExtensions: true,
+        allowEmptyFiles: true,
+        minFileSize: 0,
+        maxFileSize: MAX_FILE_SIZE
+    });
+
+    const [fields, files] = await new Promise((resolve, reject) => {
+        form.parse(req, (err, fields, files) => {
+            if (err) return reject(err);
+            resolve([fields, files]);
+        });
+    });
+
+    return {
+        fields: new FormFields(fields),
+        files: Object.entries(files).flatMap(([field, entries]) =>
+            [].concat(entries)
+                .filter(file => file.size > 0 && file.originalFilename)
+                .map(file => ({
+                    field,
+                    filepath: file.filepath,
+                    originalFilename: file.originalFilename,
+                    size: file.size,
+                    mimetype: file.mimetype
+                }))
+        )
+    };
+}
+
+// Field access without the `Array.isArray(fields.x) ? fields.x[0] : fields.x`
+// unwrapping; formidable returns arrays for form posts and scalars for JSON
+class FormFields {
+    constructor(raw = {}) {
+        this.raw = raw;
+    }
+
+    // First non-empty value of the first field that has one
+    get(...names) {
+        for (const name of names.flat()) {
+            const value = this.getAll(name)[0];
+            if (value !== undefined) return value;
+        }
+        return undefined;
+    }
+
+    getAll(name) {
+        return [].concat(this.raw[name] ?? [])
+            .map(value => typeof value === 'string' ? value.trim() : value)
+            .filter(value => value !== '' && value !== null && value !== undefined);
+    }
+
+    keys() {
+        return Object.keys(this.raw);
+    }
+
+    // Single values unwrapped, for storing in submission metadata
+    toObject(omit = []) {
+        return Object.fromEntries(this.keys().filter(name => !omit.includes(name)).map(name => {
+            const values = this.getAll(name);
+            return [name, values.length > 1 ? values : values[0]];
+        }));
+    }
+}
+
+module.exports = {
+    MAX_FILE_SIZE,
+    FormFields,
+    parseFormData
+};
@@ -0,0 +1,237 @@
+const { MAX_FILE_SIZE } = require('./parser');
+
+// Every lead form is described here; the intake pipeline (./index.js) does
+// the parsing, validation, storage and notifications. A schema has:
+//   formType        form_submissions.form_type
+//   source          metadata.form_source
+//   required        customer fields that must be present
+//   submission      form_submissions column -> field spec
+//   metadata        extra metadata key -> field spec
+//   attachments     upload policy, or null when the form takes no files
+//   notifications   EmailService form types for the customer and admin emails
+//   successMessage  returned to the browser
+//
+// A field spec is a form field name, a list of names (the first one filled
+// in wins), or an object with:
+//   from      field name(s)
+//   value     (fields, customerData) => value, for derived values
+//   default   used when nothing was submitted; may be a function like `value`
+//   map       lookup table applied to the submitted value
+//   all       keep every submitted value, joined with ', '
+//   required  error message returned when the value is missing
+
+const ATTACHMENTS = {
+    maxFiles: 10,
+    maxFileSize: MAX_FILE_SIZE,
+    allowedTypes: [
+        'image/',
+        'video/',
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ]
+};
+
+// serviceType radio values on the unified form
+const SERVICE_LABELS = {
+    'panel-upgrade': 'Panel Upgrade',
+    'outlet-wiring': 'Outlets & Wiring',
+    'lighting': 'Lighting',
+    'smart-home': 'Smart Home',
+    'ev-charger': 'EV Charger',
+    'other': 'Other'
+};
+
+// The unified form's "routine" maps to the dashboard's default urgency
+const UNIFIED_URGENCY = {
+    routine: 'normal',
+    priority: 'high',
+    emergency: 'emergency'
+};
+
+// Fields a service page form sends that are not answers to its questions
+const SERVICE_PAGE_FIELDS = ['name', 'email', 'phone', 'address', 'service', 'timeline', 'form-name', 'bot-field', 'formToken'];
+
+// Most service pages ask their own questions (panel_age, vehicle_type, ...)
+// instead of a description; the answers become the message
+function describeServicePageAnswers(fields) {
+    const answers = fields.keys()
+        .filter(name => !SERVICE_PAGE_FIELDS.includes(name))
+        .map(name => [name, fields.getAll(name).filter(value => typeof value === 'string')])
+        .filter(([, values]) => values.length > 0)
+        .map(([name, values]) => {
+            const label = name.replace(/[_-]+/g, ' ');
+            return `${label.charAt(0).toUpperCase()}${label.slice(1)}: ${values.join(', ')}`;
+        });
+
+    return answers.length > 0 ? answers.join('\n') : undefined;
+}
+
+// Shared by the three unified forms (components/unified-form.html)
+function unifiedSchema({ formType, source, folder, defaultSubject, successMessage }) {
+    const serviceLabel = (fields) => {
+        const serviceType = fields.get('serviceType');
+        return SERVICE_LABELS[serviceType] || serviceType;
+    };
+
+    return {
+        formType,
+        source,
+        required: ['first_name', 'email', 'phone'],
+        submission: {
+            subject: {
+                from: 'subject',
+                default: (fields) => serviceLabel(fields) ? `${serviceLabel(fields)} - ${defaultSubject}` : defaultSubject
+            },
+            message: {
+                value: (fields) => {
+                    const description = fields.get('projectDescription', 'message', 'description');
+                    const instructions = fields.get('specialInstructions');
+                    if (!description) return undefined;
+                    return instructions ? `${description}\n\nSpecial instructions: ${instructions}` : description;
+                },
+                required: formType === 'inquiry' ? 'Message is required' : 'Project description is required'
+            },
+            project_type: { value: serviceLabel },
+            preferred_time: { from: 'contactTime', all: true },
+            urgency: { from: 'urgency', map: UNIFIED_URGENCY, default: 'normal' }
+        },
+        metadata: {
+            service_type: 'serviceType',
+            contact_method: 'contactMethod',
+            submitted_at: 'submittedAt'
+        },
+        attachments: { ...ATTACHMENTS, folder },
+        notifications: { customer: formType, admin: formType },
+        successMessage
+    };
+}
+
+const FORM_SCHEMAS = {
+    estimate: {
+        formType: 'estimate',
+        source: 'website_estimate_form',
+        required: ['first_name', 'last_name', 'email', 'phone'],
+        submission: {
+            subject: { from: 'subject', default: 'Estimate Request' },
+            message: { from: 'description', required: 'Project description is required' },
+            project_type: 'projectType',
+            budget_range: 'budgetRange',
+            timeline: 'timeline',
+            preferred_date: 'scheduledDate',
+            preferred_time: 'timeSlot',
+            urgency: { from: 'urgency', default: 'normal' }
+        },
+        attachments: { ...ATTACHMENTS, folder: 'estimates' },
+        notifications: { customer: 'estimate', admin: 'estimate' },
+        successMessage: 'Estimate request submitted successfully'
+    },
+
+    inquiry: {
+        formType: 'inquiry',
+        source: 'website_inquiry_form',
+        required: ['first_name', 'last_name', 'email'],
+        submission: {
+            subject: { from: 'subject', default: 'General Inquiry' },
+            message: { from: 'message', required: 'Message is required' },
+            urgency: { from: 'urgency', default: 'normal' }
+        },
+        metadata: {
+            inquiry_category: 'category'
+        },
+        attachments: { ...ATTACHMENTS, folder: 'inquiries' },
+        notifications: { customer: 'inquiry', admin: 'inquiry' },
+        successMessage: 'Inquiry submitted successfully'
+    },
+
+    schedule: {
+        formType: 'schedule',
+        source: 'website_schedule_form',
+        required: ['first_name', 'last_name', 'email', 'phone'],
+        submission: {
+            subject: { from: 'subject', default: 'Service Scheduling Request' },
+            message: { from: 'description', required: 'Service description is required' },
+            preferred_date: { from: 'preferredDate', required: 'Preferred date is required' },
+            preferred_time: 'preferredTime',
+            urgency: { from: 'urgency', default: 'normal' }
+        },
+        metadata: {
+            service_type: 'serviceType'
+        },
+        attachments: { ...ATTACHMENTS, folder: 'scheduling' },
+        notifications: { customer: 'schedule', admin: 'schedule' },
+        successMessage: 'Service scheduling request submitted successfully'
+    },
+
+    // Service pages posting to /api/submit-estimate
+    'service-estimate': {
+        formType: 'estimate',
+        source: 'website_service_page_form',
+        required: ['first_name', 'email', 'phone'],
+        submission: {
+            subject: {
+                value: (fields) => fields.get('service') ? `${fields.get('service')} Estimate Request` : 'Estimate Request'
+            },
+            message: {
+                from: ['description', 'message'],
+                default: describeServicePageAnswers,
+                required: 'Project description is required'
+            },
+            project_type: 'service',
+            timeline: 'timeline'
+        },
+        attachments: { ...ATTACHMENTS, folder: 'estimates' },
+        notifications: { customer: 'estimate', admin: 'estimate' },
+        successMessage: 'Estimate request submitted successfully'
+    },
+
+    // consultations/*.html; the page script adds consultationType
+    consultation: {
+        formType: 'consultation',
+        source: 'website_consultation_form',
+        required: ['first_name', 'email', 'phone'],
+        submission: {
+            subject: { value: (fields) => `${fields.get('consultationType') || 'General'} Consultation` },
+            message: {
+                from: ['message', 'additional-info', 'project-details'],
+                default: (fields) => `${fields.get('consultationType') || 'General'} consultation requested`
+            },
+            project_type: { from: 'consultationType', default: 'General Consultation' },
+            budget_range: 'budget-range'
+        },
+        metadata: {
+            consultation_type: { from: 'consultationType', default: 'General Consultation' }
+        },
+        attachments: { ...ATTACHMENTS, folder: 'consultations' },
+        notifications: { customer: 'consultation', admin: 'consultation' },
+        successMessage: 'Consultation request submitted successfully'
+    },
+
+    contact: unifiedSchema({
+        formType: 'inquiry',
+        source: 'website_contact_form',
+        folder: 'inquiries',
+        defaultSubject: 'Contact Form Message',
+        successMessage: 'Message sent successfully'
+    }),
+
+    'unified-estimate': unifiedSchema({
+        formType: 'estimate',
+        source: 'website_unified_estimate_form',
+        folder: 'estimates',
+        defaultSubject: 'Estimate Request',
+        successMessage: 'Estimate request submitted successfully'
+    }),
+
+    comprehensive: unifiedSchema({
+        formType: 'schedule',
+        source: 'website_comprehensive_form',
+        folder: 'scheduling',
+        defaultSubject: 'Service Scheduling Request',
+        successMessage: 'Service request submitted successfully'
+    })
+};
+
+module.exports = {
+    FORM_SCHEMAS
+};
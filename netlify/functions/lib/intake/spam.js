@@ -0,0 +1,160 @@
+const AuthUtils = require('../auth-utils');
+const { createRateLimitStore } = require('../rate-limit-store');
+
+// Spam checks run on every intake submission. Anything flagged is stored with
+// status 'spam' for review instead of being dropped; only an address posting
+// far past the limits is turned away outright. A missing form token is only a
+// soft signal: pages and scripts that never loaded js/form-protection.js still
+// post real leads, so it adds to another reason but never quarantines alone.
+
+// Fields js/form-protection.js adds to every public form
+const HONEYPOT_FIELD = 'bot-field';
+const TOKEN_FIELD = 'formToken';
+
+// A person cannot fill in and send a form faster than this
+const MIN_FILL_MS = 3000;
+const MAX_LINKS = 2;
+
+const HOUR_MS = 60 * 60 * 1000;
+const RATE_LIMITS = {
+    ip: { maxAttempts: 5, windowMs: HOUR_MS },
+    email: { maxAttempts: 3, windowMs: HOUR_MS },
+    block: { maxAttempts: 20, windowMs: HOUR_MS },
+    // Public reads behind a form, such as the appointment calendar's slots
+    lookup: { maxAttempts: 120, windowMs: HOUR_MS }
+};
+
+// Common throwaway mailbox providers; extend with SPAM_DISPOSABLE_DOMAINS
+const DISPOSABLE_DOMAINS = [
+    '10minutemail.com',
+    'dispostable.com',
+    'getnada.com',
+    'guerrillamail.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mintemail.com',
+    'sharklasers.com',
+    'temp-mail.org',
+    'tempmail.com',
+    'throwawaymail.com',
+    'trashmail.com',
+    'yopmail.com'
+];
+
+let limiters = null;
+
+function getLimiters() {
+    if (!limiters) {
+        const store = createRateLimitStore();
+        limiters = Object.fromEntries(Object.entries(RATE_LIMITS).map(([name, limit]) =>
+            [name, AuthUtils.createRateLimiter({ ...limit, store })]
+        ));
+    }
+    return limiters;
+}
+
+// A rate limit store outage must not turn real leads away
+async function isAllowed(limiter, key) {
+    try {
+        return await getLimiters()[limiter].isAllowed(key);
+    } catch (error) {
+        console.error('Error checking form rate limit:', error);
+        return true;
+    }
+}
+
+function getDisposableDomains() {
+    const extra = (process.env.SPAM_DISPOSABLE_DOMAINS || '')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean);
+    return new Set([...DISPOSABLE_DOMAINS, ...extra]);
+}
+
+const MISSING_TOKEN = 'Sent without loading the form';
+
+function checkFormToken(token) {
+    if (!token) {
+        return MISSING_TOKEN;
+    }
+
+    try {
+        const { iat } = AuthUtils.verifyFormToken(token);
+        const elapsed = Date.now() - iat * 1000;
+        if (elapsed < MIN_FILL_MS) {
+            return `Sent ${Math.max(0, Math.round(elapsed / 1000))}s after the form loaded`;
+        }
+    } catch (error) {
+        return 'Expired or invalid form token';
+    }
+
+    return null;
+}
+
+function countLinks(fields) {
+    const text = fields.keys()
+        .filter(name => name !== TOKEN_FIELD)
+        .flatMap(name => fields.getAll(name))
+        .filter(value => typeof value === 'string')
+        .join('\n');
+    return (text.match(/https?:\/\/|www\.|\[url=/gi) || []).length;
+}
+
+// Returns { blocked, reasons }. `blocked` means reject without storing;
+// otherwise a non-empty `reasons` list means quarantine as spam.
+async function checkSubmission(event, fields, customerData) {
+    const ip = AuthUtils.getClientIp(event) || 'unknown';
+
+    if (!(await isAllowed('block', `intake-block:${ip}`))) {
+        return { blocked: true, reasons: ['Too many submissions from this IP address'] };
+    }
+
+    const reasons = [];
+
+    if (fields.get(HONEYPOT_FIELD)) {
+        reasons.push('Hidden honeypot field was filled in');
+    }
+
+    const tokenProblem = checkFormToken(fields.get(TOKEN_FIELD));
+    if (tokenProblem) {
+        reasons.push(tokenProblem);
+    }
+
+    const links = countLinks(fields);
+    if (links > MAX_LINKS) {
+        reasons.push(`Contains ${links} links`);
+    }
+
+    const email = (customerData.email || '').toLowerCase();
+    const domain = email.split('@')[1];
+    if (domain && getDisposableDomains().has(domain)) {
+        reasons.push(`Disposable email domain (${domain})`);
+    }
+
+    if (!(await isAllowed('ip', `intake-ip:${ip}`))) {
+        reasons.push('Too many submissions from this IP address');
+    }
+
+    if (email && !(await isAllowed('email', `intake-email:${email}`))) {
+        reasons.push('Too many submissions from this email address');
+    }
+
+    if (reasons.length === 1 && reasons[0] === MISSING_TOKEN) {
+        return { blocked: false, reasons: [] };
+    }
+
+    return { blocked: false, reasons };
+}
+
+// Whether this address may make another public lookup (see RATE_LIMITS.lookup)
+async function checkLookup(event, name) {
+    const ip = AuthUtils.getClientIp(event) || 'unknown';
+    return isAllowed('lookup', `${name}-ip:${ip}`);
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    TOKEN_FIELD,
+    checkSubmission,
+    checkLookup
+};
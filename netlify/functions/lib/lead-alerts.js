@@ -0,0 +1,220 @@
+// Instant alerts for new leads. The first active lead_alert_rules row (lowest
+// priority first) that matches a new submission's form type, urgency and the
+// time of day on the business calendar pages its on-call rota: whoever on_call_shifts has on call is
+// texted and/or emailed, and the rota's chat webhook is posted to, as the
+// rota's channels say. A rule with escalate_after_minutes pages its
+// escalation rota when the submission is still 'new' after that long
+// (escalateOverdueAlerts, run by lead-alert-escalation.js).
+
+const emailService = require('./email');
+const smsService = require('./sms');
+const { DEFAULT_CALENDAR, loadCalendar, isBusinessHours, isEmergencyWindow } = require('./scheduling/calendar');
+
+const CHAT_TIMEOUT_MS = 5000;
+
+// business_hours is 'during' or 'outside' the calendar's opening hours
+// (holidays and blackout dates count as outside), 'emergency' for the
+// after-hours emergency window, or 'any'
+function matchesRule(rule, submission, now = new Date(), calendar = DEFAULT_CALENDAR) {
+    if (rule.form_types && !rule.form_types.includes(submission.form_type)) return false;
+    if (rule.urgencies && !rule.urgencies.includes(submission.urgency || 'normal')) return false;
+    if (rule.business_hours === 'during') return isBusinessHours(now, calendar);
+    if (rule.business_hours === 'outside') return !isBusinessHours(now, calendar);
+    if (rule.business_hours === 'emergency') return isEmergencyWindow(now, calendar);
+    return true;
+}
+
+// A calendar that cannot be read falls back to the default hours rather
+// than leaving a lead unalerted
+async function loadAlertCalendar() {
+    try {
+        return await loadCalendar();
+    } catch (error) {
+        console.error('Error loading the business calendar for lead alerts:', error);
+        return DEFAULT_CALENDAR;
+    }
+}
+
+// What the alert says about a submission from submission_details (or a new
+// submission with customer_name, phone and email added)
+function describeLead(submission, level = 'initial') {
+    const urgency = submission.urgency && submission.urgency !== 'normal' ? `${submission.urgency} ` : '';
+    const prefix = level === 'escalation' ? 'Still unanswered: ' : '';
+    const formLabel = emailService.getFormTypeLabel(submission.form_type);
+
+    return {
+        submission_id: submission.id,
+        form_type: submission.form_type,
+        headline: `${prefix}New ${urgency}${formLabel} from ${submission.customer_name}`,
+        customer_name: submission.customer_name,
+        phone: submission.phone || null,
+        email: submission.email || submission.customer_email || null,
+        location: submission.service_location || null,
+        details: emailService.getRequestDetails(submission.form_type, submission),
+        message: submission.message,
+        submitted_at: new Date(submission.created_at).toLocaleString(),
+        dashboard_url: `${process.env.URL || ''}/dashboard`
+    };
+}
+
+// One line per fact, for SMS and chat; the message is cut short for texts
+function formatLeadText(lead, { maxMessageLength = 160 } = {}) {
+    const message = lead.message && lead.message.length > maxMessageLength
+        ? `${lead.message.slice(0, maxMessageLength - 1)}…`
+        : lead.message;
+
+    return [
+        lead.headline,
+        lead.phone ? `Phone: ${lead.phone}` : null,
+        lead.location ? `Location: ${lead.location}` : null,
+        message ? `"${message}"` : null,
+        lead.dashboard_url
+    ].filter(Boolean).join('\n');
+}
+
+// Slack and Google Chat incoming webhooks both take { text }
+async function postToChat(url, text) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CHAT_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text }),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Chat webhook failed with status ${response.status}`);
+        }
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Sends on each of the rota's channels; returns the channels that worked
+async function deliver(rota, shift, lead) {
+    const senders = {
+        sms: shift && shift.phone ? () => smsService.sendToStaff(shift.phone, formatLeadText(lead)) : null,
+        email: shift && shift.email ? () => emailService.sendLeadAlert(shift.email, lead) : null,
+        chat: rota.chat_webhook_url
+            ? () => postToChat(rota.chat_webhook_url, formatLeadText({
+                ...lead,
+                headline: shift ? `${lead.headline} (on call: ${shift.name})` : lead.headline
+            }, { maxMessageLength: 500 }))
+            : null
+    };
+
+    const delivered = [];
+    for (const channel of rota.channels || []) {
+        if (!senders[channel]) {
+            const onCall = shift ? ` for ${shift.name}` : ' on call';
+            console.warn(`On-call rota ${rota.name} has no ${channel} contact${onCall}`);
+            continue;
+        }
+
+        try {
+            await senders[channel]();
+            delivered.push(channel);
+        } catch (error) {
+            console.error(`Error sending ${channel} lead alert for ${lead.submission_id}:`, error);
+        }
+    }
+
+    return delivered;
+}
+
+// Pages a rota about a submission and logs it; null when it was already paged at this level
+async function sendAlert(submission, { rule, rotaId, level }) {
+    // Required here, not at the top, so the email preview script can describe
+    // a lead without a database
+    const database = require('./database');
+    const now = new Date();
+    const rota = await database.getOnCallRota(rotaId);
+    if (!rota) {
+        console.warn(`On-call rota ${rotaId} for submission ${submission.id} no longer exists`);
+        return null;
+    }
+
+    const shift = await database.getCurrentOnCallShift(rota.id, now.toISOString());
+    const escalateAfter = level === 'initial' && rule && rule.escalate_after_minutes;
+
+    // Logged first, so a retried or concurrent intake cannot page twice
+    const alert = await database.createLeadAlert({
+        submission_id: submission.id,
+        rule_id: rule ? rule.id : null,
+        rota_id: rota.id,
+        level,
+        recipient_name: shift ? shift.name : null,
+        escalate_at: escalateAfter ? new Date(now.getTime() + escalateAfter * 60 * 1000).toISOString() : null
+    });
+    if (!alert) return null;
+
+    const channels = await deliver(rota, shift, describeLead(submission, level));
+    await database.updateLeadAlert(alert.id, { channels });
+
+    const sentOn = channels.join(', ') || 'no channel';
+    console.log(`Lead alert (${level}) for ${submission.id} sent to ${rota.name} on ${sentOn}`);
+    return { ...alert, channels };
+}
+
+// Called once a new lead is stored. Never throws: a lead is never lost
+// because an alert could not be sent.
+async function alertNewLead(submission) {
+    try {
+        const database = require('./database');
+        const now = new Date();
+        const calendar = await loadAlertCalendar();
+        const rule = (await database.getLeadAlertRules())
+            .find(candidate => matchesRule(candidate, submission, now, calendar));
+        if (!rule) return null;
+
+        return await sendAlert(submission, { rule, rotaId: rule.rota_id, level: 'initial' });
+    } catch (error) {
+        console.error(`Error alerting on-call for submission ${submission.id}:`, error);
+        return null;
+    }
+}
+
+// Escalates alerts whose submission is still new once their time is up;
+// alerts on submissions someone has picked up are cancelled instead
+async function escalateOverdueAlerts(now = new Date()) {
+    const database = require('./database');
+    const due = await database.getDueLeadAlerts(now.toISOString());
+    const results = { escalated: 0, cancelled: 0 };
+
+    for (const alert of due) {
+        const stillNew = alert.form_submissions && alert.form_submissions.status === 'new';
+
+        if (!await database.claimLeadAlertEscalation(alert.id, stillNew)) continue;
+
+        if (!stillNew) {
+            results.cancelled++;
+            continue;
+        }
+
+        try {
+            const details = await database.getSubmissionDetailsByIds([alert.submission_id]);
+            const submission = details[alert.submission_id];
+            if (!submission) continue;
+
+            const rotaId = (alert.lead_alert_rules && alert.lead_alert_rules.escalation_rota_id) || alert.rota_id;
+            if (await sendAlert(submission, { rule: { id: alert.rule_id }, rotaId, level: 'escalation' })) {
+                results.escalated++;
+            }
+        } catch (error) {
+            console.error(`Error escalating lead alert ${alert.id}:`, error);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    matchesRule,
+    describeLead,
+    formatLeadText,
+    alertNewLead,
+    escalateOverdueAlerts
+};
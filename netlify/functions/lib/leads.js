@@ -0,0 +1,78 @@
+// Recording a new lead, shared by the intake forms, the chat and online
+// bookings: find or create the customer, assign the submission by
+// round-robin, store it, page the on-call rota, send the form type's emails
+// and announce it on open dashboards. A lead quarantined as spam is only
+// stored, for review.
+
+const database = require('./database');
+const emailService = require('./email');
+const { pickRoundRobinAssignee } = require('./assignment');
+const { alertNewLead } = require('./lead-alerts');
+const { DASHBOARD_EVENTS, publishDashboardEvent } = require('./dashboard-events');
+
+// `submission` is the form_submissions row without customer_id or
+// assignment. `notifications` names the email templates to send
+// ({ customer, admin }). `attach(submission)` stores uploads once the
+// submission exists and returns them for the admin email.
+// Returns { customer, submission, attachments }.
+async function recordNewLead({ customerData, submission: submissionData, spam = null, notifications = {}, attach = null }) {
+    const isSpam = Boolean(spam);
+    const customerName = [customerData.first_name, customerData.last_name].filter(Boolean).join(' ');
+
+    // Spam passes updateExisting: false so a bot using a real customer's
+    // email cannot overwrite their details
+    const customer = await database.findOrCreateCustomer(customerData, { updateExisting: !isSpam });
+    const assignedTo = isSpam ? null : await pickRoundRobinAssignee(submissionData.form_type);
+
+    const submission = await database.createFormSubmission({
+        customer_id: customer.id,
+        ...submissionData,
+        ...(isSpam ? { status: 'spam' } : {}),
+        ...(assignedTo ? { assigned_to: assignedTo, assigned_at: new Date().toISOString() } : {}),
+        metadata: {
+            ...submissionData.metadata,
+            ...(isSpam ? { spam } : {})
+        }
+    });
+    console.log(`Recorded ${submission.form_type} lead ${submission.id} for customer ${customer.id}`);
+
+    if (isSpam) {
+        return { customer, submission, attachments: [] };
+    }
+
+    const attachments = attach ? await attach(submission) : [];
+
+    await alertNewLead({ ...submission, customer_name: customerName, phone: customerData.phone, email: customerData.email });
+    await sendNotifications(notifications, customerData, submission, attachments);
+    await publishDashboardEvent(DASHBOARD_EVENTS.NEW_SUBMISSIONS, {
+        id: submission.id,
+        form_type: submission.form_type,
+        status: submission.status,
+        customer_name: customerName,
+        assigned_to: submission.assigned_to || null,
+        created_at: submission.created_at
+    });
+
+    return { customer, submission, attachments };
+}
+
+// A failed email never fails the lead
+async function sendNotifications({ customer, admin }, customerData, submission, attachments) {
+    try {
+        if (customer) {
+            await emailService.sendCustomerNotification(customer, customerData, submission);
+            console.log('Customer notification sent');
+        }
+
+        if (admin) {
+            await emailService.sendAdminNotification(admin, customerData, submission, attachments);
+            console.log('Admin notification sent');
+        }
+    } catch (emailError) {
+        console.error('Error sending email notifications:', emailError);
+    }
+}
+
+module.exports = {
+    recordNewLead
+};
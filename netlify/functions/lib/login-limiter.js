@@ -0,0 +1,100 @@
+// Brute-force protection for admin login. Failed attempts are counted per
+// email and per IP address in a rate limit store (./rate-limit-store.js), so
+// the limits hold across cold starts and function instances. Each lockout
+// within a day of the previous one lasts twice as long, and every lockout is
+// recorded so admins can see who has been locked out and from where.
+
+const { createRateLimitStore } = require('./rate-limit-store');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const LOGIN_LIMITS = {
+    email: { maxFailures: 5, windowMs: 15 * MINUTE_MS },
+    // Offices and mobile carriers put many people behind one address
+    ip: { maxFailures: 20, windowMs: 15 * MINUTE_MS }
+};
+
+const BASE_LOCKOUT_MS = 15 * MINUTE_MS;
+const MAX_LOCKOUT_MS = DAY_MS;
+
+// Lockouts older than this no longer lengthen the next one
+const LOCKOUT_MEMORY_MS = DAY_MS;
+
+function lockoutDuration(level) {
+    return Math.min(BASE_LOCKOUT_MS * 2 ** (level - 1), MAX_LOCKOUT_MS);
+}
+
+// `attempt` is { email, ip }; either may be missing
+function createLoginLimiter({ store = createRateLimitStore(), limits = LOGIN_LIMITS } = {}) {
+    const keysFor = ({ email, ip }) => [
+        { scope: 'email', identifier: email ? email.toLowerCase() : null },
+        { scope: 'ip', identifier: ip }
+    ].filter(key => key.identifier);
+
+    const hitKey = ({ scope, identifier }) => `login-${scope}:${identifier}`;
+
+    const recentLockout = ({ scope, identifier }) =>
+        store.getLatestLockout(scope, identifier, new Date(Date.now() - LOCKOUT_MEMORY_MS).toISOString());
+
+    return {
+        // Returns { allowed, retryAfterMs } without counting an attempt
+        async check(attempt) {
+            let retryAfterMs = 0;
+
+            for (const key of keysFor(attempt)) {
+                const lockout = await recentLockout(key);
+                if (lockout) {
+                    retryAfterMs = Math.max(retryAfterMs, new Date(lockout.locked_until).getTime() - Date.now());
+                }
+            }
+
+            return { allowed: retryAfterMs <= 0, retryAfterMs: Math.max(retryAfterMs, 0) };
+        },
+
+        // Count a failed login; returns the longest lockout it started, or null
+        async recordFailure(attempt) {
+            let started = null;
+
+            for (const key of keysFor(attempt)) {
+                const { maxFailures, windowMs } = limits[key.scope];
+                const failures = await store.hit(hitKey(key), windowMs);
+                if (failures < maxFailures) continue;
+
+                const previous = await recentLockout(key);
+                const level = previous ? previous.level + 1 : 1;
+                const lockout = await store.recordLockout({
+                    scope: key.scope,
+                    identifier: key.identifier,
+                    level,
+                    failed_attempts: failures,
+                    locked_until: new Date(Date.now() + lockoutDuration(level)).toISOString(),
+                    email: attempt.email || null,
+                    ip_address: attempt.ip || null
+                });
+
+                // Count afresh once the lockout ends
+                await store.reset(hitKey(key));
+
+                if (!started || lockout.locked_until > started.locked_until) {
+                    started = lockout;
+                }
+            }
+
+            return started;
+        },
+
+        // A successful login clears the failure counts but not the lockout
+        // history, so repeat offenders still get longer lockouts
+        async recordSuccess(attempt) {
+            for (const key of keysFor(attempt)) {
+                await store.reset(hitKey(key));
+            }
+        }
+    };
+}
+
+module.exports = {
+    LOGIN_LIMITS,
+    createLoginLimiter
+};
@@ -0,0 +1,26 @@
+// @mentions in internal notes. An admin's handle is the part of their email
+// address before the @, so jane.doe@example.com is mentioned as @jane.doe.
+
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.-]+)/g;
+
+function mentionHandle(admin) {
+    return admin.email.split('@')[0].toLowerCase();
+}
+
+// Ids of the admins mentioned in `body`, in the order first mentioned
+function findMentions(body, admins) {
+    const handles = new Set();
+    for (const match of body.matchAll(MENTION_PATTERN)) {
+        // A mention at the end of a sentence keeps its full stop out
+        handles.add(match[2].replace(/\.+$/, '').toLowerCase());
+    }
+
+    return admins
+        .filter(admin => handles.has(mentionHandle(admin)))
+        .map(admin => admin.id);
+}
+
+module.exports = {
+    mentionHandle,
+    findMentions
+};
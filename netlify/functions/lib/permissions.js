@@ -0,0 +1,55 @@
+// Dashboard roles and what each may do. admin-dashboard.js checks every action
+// against this matrix, and admin-auth.js sends the current admin's permission
+// list to the dashboard so it can hide controls the role cannot use.
+
+const ROLES = {
+    owner: 'Owner',
+    office_manager: 'Office Manager',
+    technician: 'Technician',
+    read_only: 'Read Only'
+};
+
+// Accounts created before roles were defined
+const LEGACY_ROLES = {
+    admin: 'owner',
+    super_admin: 'owner'
+};
+
+const PERMISSIONS = {
+    'submissions:view': ['owner', 'office_manager', 'technician', 'read_only'],
+    'submissions:update-status': ['owner', 'office_manager', 'technician'],
+    'submissions:respond': ['owner', 'office_manager'],
+    'submissions:bulk-update': ['owner', 'office_manager'],
+    'submissions:bulk-respond': ['owner', 'office_manager'],
+    'submissions:export': ['owner', 'office_manager'],
+    'submissions:assign': ['owner', 'office_manager'],
+    'submissions:notes': ['owner', 'office_manager', 'technician'],
+    'templates:manage': ['owner', 'office_manager'],
+    'calendar:manage': ['owner', 'office_manager'],
+    'security:view': ['owner'],
+    'audit:view': ['owner'],
+    'audit:export': ['owner']
+};
+
+// Unknown roles get no permissions
+function normalizeRole(role) {
+    const normalized = LEGACY_ROLES[role] || role;
+    return Object.prototype.hasOwnProperty.call(ROLES, normalized) ? normalized : null;
+}
+
+function can(role, permission) {
+    const normalized = normalizeRole(role);
+    return Boolean(normalized && (PERMISSIONS[permission] || []).includes(normalized));
+}
+
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    normalizeRole,
+    can,
+    permissionsFor
+};
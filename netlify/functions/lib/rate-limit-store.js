@@ -0,0 +1,93 @@
+// Storage for AuthUtils.createRateLimiter() and the admin login limiter
+// (./login-limiter.js). Function instances do not share memory, so deployed
+// sites count hits and lockouts in Supabase; the memory store keeps local
+// development and one-off scripts dependency-free.
+
+const crypto = require('crypto');
+
+class MemoryRateLimitStore {
+    constructor() {
+        this.name = 'memory';
+        this.hits = new Map();
+        this.lockouts = [];
+    }
+
+    // Record a hit and return the number of hits inside the window
+    async hit(key, windowMs) {
+        const now = Date.now();
+        const recent = (this.hits.get(key) || []).filter(time => now - time < windowMs);
+        recent.push(now);
+        this.hits.set(key, recent);
+        return recent.length;
+    }
+
+    async reset(key) {
+        this.hits.delete(key);
+    }
+
+    // Most recent lockout for a scope/identifier created since `since`
+    async getLatestLockout(scope, identifier, since) {
+        return this.lockouts
+            .filter(lockout => lockout.scope === scope
+                && lockout.identifier === identifier
+                && lockout.created_at >= since)
+            .pop() || null;
+    }
+
+    async recordLockout(lockout) {
+        const record = {
+            id: crypto.randomUUID(),
+            ...lockout,
+            created_at: new Date().toISOString()
+        };
+        this.lockouts.push(record);
+        return record;
+    }
+}
+
+class SupabaseRateLimitStore {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    async hit(key, windowMs) {
+        const database = require('./database');
+        const windowStart = new Date(Date.now() - windowMs).toISOString();
+        return database.recordRateLimitHit(key, windowStart);
+    }
+
+    async reset(key) {
+        const database = require('./database');
+        await database.clearRateLimitHits(key);
+    }
+
+    async getLatestLockout(scope, identifier, since) {
+        const database = require('./database');
+        return database.getLatestLoginLockout(scope, identifier, since);
+    }
+
+    async recordLockout(lockout) {
+        const database = require('./database');
+        return database.createLoginLockout(lockout);
+    }
+}
+
+// RATE_LIMIT_STORE=supabase|memory; defaults to Supabase when configured
+function createRateLimitStore(name = process.env.RATE_LIMIT_STORE) {
+    const storeName = name || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
+    switch (storeName) {
+        case 'supabase':
+            return new SupabaseRateLimitStore();
+        case 'memory':
+            return new MemoryRateLimitStore();
+        default:
+            throw new Error(`Unknown rate limit store: ${storeName}`);
+    }
+}
+
+module.exports = {
+    MemoryRateLimitStore,
+    SupabaseRateLimitStore,
+    createRateLimitStore
+};
@@ -0,0 +1,69 @@
+// Merge fields for response templates. A template or a typed response can use
+// {{field}} placeholders, which are filled in from the submission_details row
+// of each submission it is sent to, so one bulk response reads as personal.
+
+const FORM_TYPE_LABELS = {
+    estimate: 'Estimate',
+    schedule: 'Service Appointment',
+    inquiry: 'Inquiry',
+    chat: 'Chat',
+    consultation: 'Consultation'
+};
+
+// preferred_date is a calendar date, so it is formatted without shifting time zones
+function formatDate(value) {
+    if (!value) return '';
+    return new Date(`${String(value).slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+const MERGE_FIELDS = {
+    first_name: submission => submission.first_name,
+    last_name: submission => submission.last_name,
+    customer_name: submission => submission.customer_name,
+    email: submission => submission.customer_email,
+    phone: submission => submission.phone,
+    address: submission => submission.address,
+    city: submission => submission.city,
+    form_type: submission => FORM_TYPE_LABELS[submission.form_type] || submission.form_type,
+    subject: submission => submission.subject,
+    project_type: submission => submission.project_type,
+    budget_range: submission => submission.budget_range,
+    timeline: submission => submission.timeline,
+    preferred_date: submission => formatDate(submission.preferred_date),
+    preferred_time: submission => submission.preferred_time,
+    service_location: submission => submission.service_location,
+    assignee_name: submission => submission.assignee_name
+};
+
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// Placeholders in `text` that are not merge fields, so a typo is caught
+// before it reaches a customer
+function findUnknownFields(text) {
+    const unknown = new Set();
+    for (const match of text.matchAll(MERGE_FIELD_PATTERN)) {
+        if (!MERGE_FIELDS[match[1]]) unknown.add(match[1]);
+    }
+    return [...unknown];
+}
+
+// Fields the submission has no value for are left blank
+function renderTemplate(text, submission) {
+    return text.replace(MERGE_FIELD_PATTERN, (placeholder, field) => {
+        const value = MERGE_FIELDS[field] ? MERGE_FIELDS[field](submission) : null;
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+module.exports = {
+    FORM_TYPE_LABELS,
+    MERGE_FIELDS,
+    findUnknownFields,
+    renderTemplate
+};
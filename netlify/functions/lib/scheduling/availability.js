@@ -0,0 +1,156 @@
+// Appointment window calculations shared by the scheduling providers.
+// All business hours are expressed in the company's local time zone and
+// converted to UTC instants so they can be compared with provider data.
+
+const BUSINESS_TIME_ZONE = process.env.BUSINESS_TIME_ZONE || 'America/New_York';
+
+// Monday-Friday, 8am-5pm; used until calendar_settings is set up (see ./calendar.js)
+const DEFAULT_WEEKLY_HOURS = {
+    1: { open: '08:00', close: '17:00' },
+    2: { open: '08:00', close: '17:00' },
+    3: { open: '08:00', close: '17:00' },
+    4: { open: '08:00', close: '17:00' },
+    5: { open: '08:00', close: '17:00' }
+};
+
+function getZonedParts(date, timeZone = BUSINESS_TIME_ZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    return parts.reduce((acc, part) => {
+        if (part.type !== 'literal') {
+            acc[part.type] = parseInt(part.value, 10);
+        }
+        return acc;
+    }, {});
+}
+
+function getTimeZoneOffset(date, timeZone = BUSINESS_TIME_ZONE) {
+    const p = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+// Convert a wall-clock time in the business time zone to a UTC Date
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone = BUSINESS_TIME_ZONE) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    let result = guess - offset;
+
+    // Re-check once in case the guess straddled a DST change
+    const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset;
+    }
+
+    return new Date(result);
+}
+
+function parseClock(value) {
+    const [hours, minutes] = value.split(':').map(n => parseInt(n, 10));
+    return hours * 60 + (minutes || 0);
+}
+
+// Whether a YYYY-MM-DD date falls in any holiday or blackout date range
+function isClosedOn(closures = [], dateString) {
+    return closures.some(closure => closure.starts_on <= dateString && dateString <= closure.ends_on);
+}
+
+function formatSlot(start, end, timeZone = BUSINESS_TIME_ZONE) {
+    const timeOptions = { timeZone, hour: 'numeric', minute: '2-digit' };
+
+    return {
+        id: start.toISOString(),
+        start: start.toISOString(),
+        end: end.toISOString(),
+        date: start.toLocaleDateString('en-US', {
+            timeZone,
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric'
+        }),
+        time: start.toLocaleTimeString('en-US', timeOptions),
+        endTime: end.toLocaleTimeString('en-US', timeOptions),
+        duration_minutes: Math.round((end - start) / 60000),
+        unavailable: false
+    };
+}
+
+// Build every candidate window for the next `days` calendar days
+function buildCandidateSlots(options = {}) {
+    const {
+        from = new Date(),
+        days = 7,
+        weeklyHours = DEFAULT_WEEKLY_HOURS,
+        closures = [],
+        slotMinutes = 120,
+        leadTimeMinutes = 120,
+        timeZone = BUSINESS_TIME_ZONE
+    } = options;
+
+    const today = getZonedParts(from, timeZone);
+    const earliestStart = from.getTime() + leadTimeMinutes * 60 * 1000;
+    const slots = [];
+
+    for (let i = 0; i < days; i++) {
+        const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+        const hours = weeklyHours[calendarDay.getUTCDay()];
+
+        if (!hours || isClosedOn(closures, calendarDay.toISOString().slice(0, 10))) continue;
+
+        const openMinutes = parseClock(hours.open);
+        const closeMinutes = parseClock(hours.close);
+
+        for (let minute = openMinutes; minute + slotMinutes <= closeMinutes; minute += slotMinutes) {
+            const start = zonedTimeToUtc(
+                calendarDay.getUTCFullYear(),
+                calendarDay.getUTCMonth() + 1,
+                calendarDay.getUTCDate(),
+                Math.floor(minute / 60),
+                minute % 60,
+                timeZone
+            );
+            const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+
+            if (start.getTime() < earliestStart) continue;
+
+            slots.push({ start, end });
+        }
+    }
+
+    return slots;
+}
+
+function overlaps(a, b) {
+    return new Date(a.start) < new Date(b.end) && new Date(b.start) < new Date(a.end);
+}
+
+// Drop candidates that already have `capacity` overlapping jobs booked
+function removeBookedSlots(candidates, busyWindows, capacity = 1) {
+    return candidates.filter(slot => {
+        const bookedCount = busyWindows.filter(busy => overlaps(slot, busy)).length;
+        return bookedCount < capacity;
+    });
+}
+
+module.exports = {
+    BUSINESS_TIME_ZONE,
+    DEFAULT_WEEKLY_HOURS,
+    getZonedParts,
+    zonedTimeToUtc,
+    parseClock,
+    isClosedOn,
+    buildCandidateSlots,
+    removeBookedSlots,
+    formatSlot,
+    overlaps
+};
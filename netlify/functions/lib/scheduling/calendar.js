@@ -0,0 +1,186 @@
+// The business calendar: weekly hours, holidays and blackout dates (closed
+// all day), the emergency after-hours window and the arrival window promised
+// to customers. Stored in calendar_settings and calendar_closures and edited
+// from the dashboard; read by the appointment calendar, the chat's slot
+// offering and new-lead alert rules, and served to pages by calendar-config.js.
+
+const {
+    BUSINESS_TIME_ZONE,
+    DEFAULT_WEEKLY_HOURS,
+    getZonedParts,
+    parseClock,
+    isClosedOn
+} = require('./availability');
+
+// A warm function re-reads the calendar at most this often
+const CACHE_TTL_MS = 60 * 1000;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// What applies until the calendar has been set up
+const DEFAULT_CALENDAR = {
+    weekly_hours: DEFAULT_WEEKLY_HOURS,
+    emergency_window: null,
+    arrival_window_minutes: 60,
+    closures: []
+};
+
+let cached = null;
+
+// Settings plus the holidays and blackout dates that have not yet ended
+async function loadCalendar({ fresh = false } = {}) {
+    if (!fresh && cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.calendar;
+    }
+
+    // Without a database (the chat run offline) the default hours apply
+    if (!process.env.SUPABASE_URL) {
+        return DEFAULT_CALENDAR;
+    }
+
+    // Required here, not at the top, so lead-alerts.js loads without a database
+    const database = require('../database');
+    const [settings, closures] = await Promise.all([
+        database.getCalendarSettings(),
+        database.getCalendarClosures(toDateString(new Date()))
+    ]);
+
+    const calendar = settings
+        ? {
+            weekly_hours: settings.weekly_hours,
+            emergency_window: settings.emergency_window,
+            arrival_window_minutes: settings.arrival_window_minutes,
+            closures
+        }
+        : { ...DEFAULT_CALENDAR, closures };
+
+    cached = { calendar, loadedAt: Date.now() };
+    return calendar;
+}
+
+// Called after an edit so this instance does not serve the old calendar
+function clearCalendarCache() {
+    cached = null;
+}
+
+// YYYY-MM-DD of an instant in the business time zone
+function toDateString(date, timeZone = BUSINESS_TIME_ZONE) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function minuteOfDay(date, timeZone = BUSINESS_TIME_ZONE) {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return hour * 60 + minute;
+}
+
+// Opening hours on a YYYY-MM-DD date, or null when closed all day
+function hoursOn(calendar, dateString) {
+    if (isClosedOn(calendar.closures, dateString)) return null;
+
+    const [year, month, day] = dateString.split('-').map(Number);
+    return calendar.weekly_hours[new Date(Date.UTC(year, month - 1, day)).getUTCDay()] || null;
+}
+
+function isBusinessHours(date = new Date(), calendar = DEFAULT_CALENDAR) {
+    const hours = hoursOn(calendar, toDateString(date));
+    if (!hours) return false;
+
+    const minute = minuteOfDay(date);
+    return minute >= parseClock(hours.open) && minute < parseClock(hours.close);
+}
+
+// Whether start to end lies wholly within one day's opening hours
+function isWithinBusinessHours(start, end, calendar = DEFAULT_CALENDAR) {
+    const date = toDateString(start);
+    const hours = hoursOn(calendar, date);
+    if (!hours || toDateString(new Date(end.getTime() - 1)) !== date) return false;
+
+    return minuteOfDay(start) >= parseClock(hours.open) &&
+        minuteOfDay(end) <= parseClock(hours.close) &&
+        minuteOfDay(end) > minuteOfDay(start);
+}
+
+// Outside business hours but inside the emergency window, which wraps past
+// midnight when it ends earlier than it starts
+function isEmergencyWindow(date = new Date(), calendar = DEFAULT_CALENDAR) {
+    const window = calendar.emergency_window;
+    if (!window || isBusinessHours(date, calendar)) return false;
+
+    const minute = minuteOfDay(date);
+    const start = parseClock(window.start);
+    const end = parseClock(window.end);
+
+    return start <= end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+}
+
+// "08:00" -> "8am", "17:30" -> "5:30pm"
+function formatClock(value) {
+    const minutes = parseClock(value);
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    const suffix = hour < 12 ? 'am' : 'pm';
+
+    return `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''}${suffix}`;
+}
+
+// "Monday-Friday, 8am-5pm; Saturday, 9am-1pm", for customers
+function summarizeHours(weeklyHours) {
+    const groups = [];
+
+    // Monday first, as customers read a week
+    for (const weekday of [1, 2, 3, 4, 5, 6, 0]) {
+        const hours = weeklyHours[weekday];
+        if (!hours) continue;
+
+        const label = `${formatClock(hours.open)}-${formatClock(hours.close)}`;
+        const last = groups[groups.length - 1];
+
+        if (last && last.label === label && last.next === weekday) {
+            last.to = weekday;
+        } else {
+            groups.push({ from: weekday, to: weekday, label });
+        }
+        groups[groups.length - 1].next = (weekday + 1) % 7;
+    }
+
+    return groups.map(group => {
+        const days = group.from === group.to
+            ? DAY_NAMES[group.from]
+            : `${DAY_NAMES[group.from]}-${DAY_NAMES[group.to]}`;
+        return `${days}, ${group.label}`;
+    }).join('; ');
+}
+
+// What pages may know about the calendar
+function publicCalendar(calendar) {
+    return {
+        time_zone: BUSINESS_TIME_ZONE,
+        weekly_hours: calendar.weekly_hours,
+        hours_summary: summarizeHours(calendar.weekly_hours),
+        emergency_window: calendar.emergency_window,
+        arrival_window_minutes: calendar.arrival_window_minutes,
+        closures: calendar.closures.map(closure => ({
+            kind: closure.kind,
+            name: closure.name,
+            starts_on: closure.starts_on,
+            ends_on: closure.ends_on
+        }))
+    };
+}
+
+module.exports = {
+    DAY_NAMES,
+    DEFAULT_CALENDAR,
+    loadCalendar,
+    clearCalendarCache,
+    toDateString,
+    hoursOn,
+    isBusinessHours,
+    isWithinBusinessHours,
+    isEmergencyWindow,
+    summarizeHours,
+    publicCalendar
+};
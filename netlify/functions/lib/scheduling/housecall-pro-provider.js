@@ -0,0 +1,164 @@
+// Scheduling provider backed by the Housecall Pro public API
+
+const HCP_API_URL = 'https://api.housecallpro.com';
+
+class HousecallProProvider {
+    constructor(options = {}) {
+        this.name = 'housecall-pro';
+        this.apiKey = options.apiKey || process.env.HOUSECALL_PRO_API_KEY;
+        this.baseUrl = options.baseUrl || HCP_API_URL;
+
+        if (!this.apiKey) {
+            throw new Error('Missing Housecall Pro API key');
+        }
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: {
+                'Authorization': `Token ${this.apiKey}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                ...options.headers
+            }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Housecall Pro API error ${response.status}: ${errorText}`);
+        }
+
+        return response.json();
+    }
+
+    // Existing jobs between start and end, as { start, end } windows
+    async getBusyWindows(start, end) {
+        const params = new URLSearchParams({
+            scheduled_start_min: start.toISOString(),
+            scheduled_start_max: end.toISOString(),
+            page_size: '100'
+        });
+
+        const data = await this.request(`/jobs?${params}`);
+
+        return (data.jobs || [])
+            .filter(job => job.schedule && job.schedule.scheduled_start && job.work_status !== 'user canceled' && job.work_status !== 'pro canceled')
+            .map(job => ({
+                start: job.schedule.scheduled_start,
+                end: job.schedule.scheduled_end || job.schedule.scheduled_start
+            }));
+    }
+
+    // The Housecall Pro customer with this email or phone number, or null.
+    // Matched here rather than trusting an id from the browser, so a booking
+    // can only be added to the customer it was made for.
+    async findCustomer(customer) {
+        const email = (customer.email || '').trim().toLowerCase();
+        const phone = digitsOf(customer.phone);
+        const query = email || phone;
+
+        if (!query) {
+            return null;
+        }
+
+        const data = await this.request(`/customers?${new URLSearchParams({ q: query, page_size: '25' })}`);
+
+        return (data.customers || []).find(existing =>
+            (email && (existing.email || '').toLowerCase() === email) ||
+            (phone && [existing.mobile_number, existing.home_number, existing.work_number].some(number => digitsOf(number) === phone))
+        ) || null;
+    }
+
+    // The existing customer's address on the same street, or a new one
+    async findOrAddAddress(customer, address) {
+        if (!address) {
+            return null;
+        }
+
+        const street = parseAddress(address).street.toLowerCase();
+        const existing = (customer.addresses || []).find(item => (item.street || '').toLowerCase() === street);
+        if (existing) {
+            return existing.id;
+        }
+
+        const created = await this.request(`/customers/${customer.id}/addresses`, {
+            method: 'POST',
+            body: JSON.stringify(parseAddress(address))
+        });
+
+        return created.id;
+    }
+
+    async createBooking(booking) {
+        const { customer, address, description, name, start, end, arrivalWindow } = booking;
+
+        let customerId;
+        let addressId;
+
+        const existing = await this.findCustomer(customer);
+
+        if (existing) {
+            customerId = existing.id;
+            addressId = await this.findOrAddAddress(existing, address);
+        } else {
+            const [firstName, ...rest] = (customer.name || '').trim().split(/\s+/);
+            const created = await this.request('/customers', {
+                method: 'POST',
+                body: JSON.stringify({
+                    first_name: firstName || 'Website',
+                    last_name: rest.join(' ') || 'Customer',
+                    email: customer.email || undefined,
+                    mobile_number: customer.phone || undefined,
+                    lead_source: 'Website AI Chat',
+                    addresses: address ? [parseAddress(address)] : []
+                })
+            });
+
+            customerId = created.id;
+            if (created.addresses && created.addresses.length > 0) {
+                addressId = created.addresses[0].id;
+            }
+        }
+
+        const job = await this.request('/jobs', {
+            method: 'POST',
+            body: JSON.stringify({
+                customer_id: customerId,
+                address_id: addressId || undefined,
+                notes: [name, description].filter(Boolean).join(' - '),
+                schedule: {
+                    scheduled_start: start.toISOString(),
+                    scheduled_end: end.toISOString(),
+                    arrival_window: arrivalWindow
+                }
+            })
+        });
+
+        return {
+            id: job.id,
+            customerId,
+            status: 'scheduled'
+        };
+    }
+}
+
+function digitsOf(phone) {
+    return (phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+}
+
+// Best-effort split of "123 Main St, Fairfax, VA 22030"
+function parseAddress(address) {
+    const parts = address.split(',').map(part => part.trim());
+    const stateZip = (parts[2] || '').split(/\s+/);
+
+    return {
+        street: parts[0] || address,
+        city: parts[1] || '',
+        state: stateZip[0] || 'VA',
+        zip: stateZip[1] || '',
+        country: 'USA'
+    };
+}
+
+module.exports = HousecallProProvider;
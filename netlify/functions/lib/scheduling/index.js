@@ -0,0 +1,175 @@
+const {
+    buildCandidateSlots,
+    removeBookedSlots,
+    formatSlot,
+    overlaps
+} = require('./availability');
+const { loadCalendar, toDateString, hoursOn, isWithinBusinessHours } = require('./calendar');
+const { lockBookingDay } = require('./slot-locks');
+
+// How far ahead the chat offers and books windows
+const MAX_DAYS_AHEAD = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Select the scheduling backend from the environment.
+// SCHEDULING_PROVIDER=housecall-pro|supabase; defaults to Housecall Pro
+// when an API key is configured, otherwise the local Supabase table.
+function createSchedulingProvider(name = process.env.SCHEDULING_PROVIDER) {
+    const providerName = name || (process.env.HOUSECALL_PRO_API_KEY ? 'housecall-pro' : 'supabase');
+
+    switch (providerName) {
+        case 'housecall-pro': {
+            const HousecallProProvider = require('./housecall-pro-provider');
+            return new HousecallProProvider();
+        }
+        case 'supabase': {
+            const SupabaseSchedulingProvider = require('./supabase-provider');
+            return new SupabaseSchedulingProvider();
+        }
+        default:
+            throw new Error(`Unknown scheduling provider: ${providerName}`);
+    }
+}
+
+class SchedulingService {
+    constructor(provider = null) {
+        this.provider = provider;
+        this.slotMinutes = parseInt(process.env.SCHEDULING_SLOT_MINUTES || '120', 10);
+        this.leadTimeMinutes = parseInt(process.env.SCHEDULING_LEAD_TIME_MINUTES || '120', 10);
+        this.capacity = parseInt(process.env.SCHEDULING_CAPACITY || '1', 10);
+    }
+
+    getProvider() {
+        if (!this.provider) {
+            this.provider = createSchedulingProvider();
+        }
+        return this.provider;
+    }
+
+    // Open appointment windows for the next `days` days
+    async getOpenSlots(options = {}) {
+        const { days = 7, from = new Date() } = options;
+        const calendar = await loadCalendar();
+
+        const candidates = buildCandidateSlots({
+            from,
+            days,
+            weeklyHours: calendar.weekly_hours,
+            closures: calendar.closures,
+            slotMinutes: this.slotMinutes,
+            leadTimeMinutes: this.leadTimeMinutes
+        });
+
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        const rangeStart = candidates[0].start;
+        const rangeEnd = candidates[candidates.length - 1].end;
+        const busyWindows = await this.getProvider().getBusyWindows(rangeStart, rangeEnd);
+
+        return removeBookedSlots(candidates, busyWindows, this.capacity)
+            .map(slot => formatSlot(slot.start, slot.end));
+    }
+
+    // The candidate window (as getOpenSlots offers them) that starts at
+    // `start` and, when given, ends at `end`; null for any other time
+    findCandidateSlot(calendar, start, end, now = new Date()) {
+        const days = Math.round((Date.parse(toDateString(start)) - Date.parse(toDateString(now))) / DAY_MS) + 1;
+        if (days < 1 || days > MAX_DAYS_AHEAD) {
+            return null;
+        }
+
+        const candidates = buildCandidateSlots({
+            from: now,
+            days,
+            weeklyHours: calendar.weekly_hours,
+            closures: calendar.closures,
+            slotMinutes: this.slotMinutes,
+            leadTimeMinutes: this.leadTimeMinutes
+        });
+
+        return candidates.find(slot =>
+            slot.start.getTime() === start.getTime() && (!end || slot.end.getTime() === end.getTime())
+        ) || null;
+    }
+
+    // Book one of the offered windows after confirming it is still open. The
+    // day is locked (./slot-locks.js) while the window's capacity is checked
+    // and the job is created, so concurrent requests, including calendar
+    // bookings, cannot both take its last place.
+    async bookSlot(booking) {
+        const start = new Date(booking.start);
+        const end = booking.end ? new Date(booking.end) : null;
+
+        if (isNaN(start.getTime()) || (end && (isNaN(end.getTime()) || end <= start))) {
+            throw new SchedulingError('Invalid appointment time', 400);
+        }
+
+        if (start.getTime() < Date.now()) {
+            throw new SchedulingError('Appointment time is in the past', 400);
+        }
+
+        const calendar = await loadCalendar();
+        if (!hoursOn(calendar, toDateString(start))) {
+            throw new SchedulingError('We are closed that day', 409);
+        }
+
+        const requestedEnd = end || new Date(start.getTime() + this.slotMinutes * 60 * 1000);
+        if (!isWithinBusinessHours(start, requestedEnd, calendar)) {
+            throw new SchedulingError('That time is outside our business hours', 409);
+        }
+
+        const slot = this.findCandidateSlot(calendar, start, end);
+        if (!slot) {
+            throw new SchedulingError('That appointment time is not available', 409);
+        }
+
+        const release = await lockBookingDay(slot.start);
+        if (!release) {
+            throw new SchedulingError('Someone else is booking that time. Please choose another.', 409);
+        }
+
+        try {
+            const provider = this.getProvider();
+            const busyWindows = await provider.getBusyWindows(
+                new Date(slot.start.getTime() - DAY_MS),
+                slot.end
+            );
+            const conflicts = busyWindows.filter(busy => overlaps(slot, busy));
+
+            if (conflicts.length >= this.capacity) {
+                throw new SchedulingError('That appointment time is no longer available', 409);
+            }
+
+            const result = await provider.createBooking({
+                ...booking,
+                start: slot.start,
+                end: slot.end,
+                arrivalWindow: booking.arrivalWindow || calendar.arrival_window_minutes
+            });
+
+            return {
+                ...result,
+                provider: provider.name,
+                slot: formatSlot(slot.start, slot.end)
+            };
+        } finally {
+            await release();
+        }
+    }
+}
+
+class SchedulingError extends Error {
+    constructor(message, statusCode = 500) {
+        super(message);
+        this.name = 'SchedulingError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = new SchedulingService();
+module.exports.SchedulingService = SchedulingService;
+module.exports.SchedulingError = SchedulingError;
+module.exports.MAX_DAYS_AHEAD = MAX_DAYS_AHEAD;
+module.exports.createSchedulingProvider = createSchedulingProvider;
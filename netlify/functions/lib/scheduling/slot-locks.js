@@ -0,0 +1,64 @@
+// One lock per business day, held while a booking checks a window is free
+// and books it. The chat (SchedulingService.bookSlot) and the calendar
+// (TechnicianScheduler.reserveSlot) both book into scheduled_jobs with
+// windows of different lengths, so they take the same day's lock rather
+// than one per window. Locks are rows in scheduling_slot_locks, keyed by the
+// start of the day, so they hold across function instances; a lock left by
+// a function that died is taken over once it expires. Without a database
+// (the chat run offline) they are kept in this process.
+
+const { getZonedParts, zonedTimeToUtc } = require('./availability');
+
+// Longer than any booking takes, including a Housecall Pro round trip
+const LOCK_SECONDS = 60;
+
+// Another booking on the same day is waited for, briefly
+const RETRY_MS = 250;
+const MAX_WAIT_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The lock rows' stand-in when there is no database
+const localLocks = new Map();
+
+const localStore = {
+    async acquireSchedulingSlotLock(key, expiresAtIso) {
+        const expiresAt = localLocks.get(key);
+        if (expiresAt && Date.parse(expiresAt) >= Date.now()) {
+            return false;
+        }
+        localLocks.set(key, expiresAtIso);
+        return true;
+    },
+
+    async releaseSchedulingSlotLock(key) {
+        localLocks.delete(key);
+    }
+};
+
+function dayLockKey(start) {
+    const { year, month, day } = getZonedParts(start);
+    return zonedTimeToUtc(year, month, day, 0, 0).toISOString();
+}
+
+// Locks the business day of `start`. Resolves to a release function, or
+// null when another booking still holds the day after MAX_WAIT_MS.
+async function lockBookingDay(start) {
+    // Required here, not at the top, so the chat loads without a database
+    const store = process.env.SUPABASE_URL ? require('../database') : localStore;
+    const key = dayLockKey(start);
+    const deadline = Date.now() + MAX_WAIT_MS;
+
+    while (!(await store.acquireSchedulingSlotLock(key, new Date(Date.now() + LOCK_SECONDS * 1000).toISOString()))) {
+        if (Date.now() >= deadline) {
+            return null;
+        }
+        await sleep(RETRY_MS);
+    }
+
+    return () => store.releaseSchedulingSlotLock(key).catch(() => {});
+}
+
+module.exports = {
+    lockBookingDay
+};
@@ -0,0 +1,44 @@
+// Scheduling provider that books into our own `scheduled_jobs` table.
+// Used for local development and testing without a Housecall Pro account.
+
+const database = require('../database');
+
+class SupabaseSchedulingProvider {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    async getBusyWindows(start, end) {
+        const jobs = await database.getScheduledJobs(start.toISOString(), end.toISOString());
+
+        return jobs.map(job => ({
+            start: job.scheduled_start,
+            end: job.scheduled_end
+        }));
+    }
+
+    async createBooking(booking) {
+        const { customer, address, description, name, start, end, arrivalWindow } = booking;
+
+        const job = await database.createScheduledJob({
+            customer_name: customer.name,
+            customer_email: customer.email,
+            customer_phone: customer.phone,
+            service_location: address,
+            service_name: name,
+            description,
+            scheduled_start: start.toISOString(),
+            scheduled_end: end.toISOString(),
+            arrival_window_minutes: arrivalWindow ? parseInt(arrivalWindow, 10) : null,
+            provider: this.name
+        });
+
+        return {
+            id: job.id,
+            customerId: null,
+            status: job.status
+        };
+    }
+}
+
+module.exports = SupabaseSchedulingProvider;
@@ -0,0 +1,216 @@
+// Appointments booked with our own technicians, for the calendar on
+// schedule-appointment.html (get-available-slots and schedule-job). A job
+// type takes a fixed time; a window is open when a technician who does that
+// job type is working for all of it and has nothing else booked in it.
+// Reserving holds the day's booking lock (./slot-locks.js), shared with the
+// chat's bookings, while it finds the window and inserts a scheduled_jobs
+// row for a technician; the table's exclusion constraint still refuses a
+// technician booked twice.
+// Nobody is booked on the business calendar's holidays and blackout dates.
+
+const database = require('../database');
+const {
+    BUSINESS_TIME_ZONE,
+    DEFAULT_WEEKLY_HOURS,
+    getZonedParts,
+    zonedTimeToUtc,
+    parseClock,
+    isClosedOn,
+    formatSlot,
+    overlaps
+} = require('./availability');
+const { SchedulingError } = require('./index');
+const { loadCalendar } = require('./calendar');
+const { lockBookingDay } = require('./slot-locks');
+
+const DEFAULT_JOB_TYPE = 'general';
+const MAX_DAYS_AHEAD = 90;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A technician's hours on a weekday (0 = Sunday); those with no hours of
+// their own work business hours
+function getWorkingHours(technician, weekday, weeklyHours = DEFAULT_WEEKLY_HOURS) {
+    const own = technician.technician_hours || [];
+    if (own.length === 0) {
+        return weeklyHours[weekday] || null;
+    }
+
+    const hours = own.find(row => row.day_of_week === weekday);
+    return hours ? { open: hours.start_time, close: hours.end_time } : null;
+}
+
+// Windows of `durationMinutes` on a calendar day (YYYY-MM-DD, business time
+// zone), starting every `stepMinutes` from each technician's start of work,
+// with the technicians free for each
+function buildTechnicianSlots(options = {}) {
+    const {
+        date,
+        technicians,
+        jobs = [],
+        jobTypeId,
+        durationMinutes,
+        weeklyHours = DEFAULT_WEEKLY_HOURS,
+        stepMinutes = 60,
+        earliestStart = 0,
+        timeZone = BUSINESS_TIME_ZONE
+    } = options;
+
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const busy = jobs.map(job => ({
+        technicianId: job.technician_id,
+        start: job.scheduled_start,
+        end: job.scheduled_end
+    }));
+    const windows = new Map();
+
+    for (const technician of technicians) {
+        if (technician.job_type_ids && !technician.job_type_ids.includes(jobTypeId)) continue;
+
+        const hours = getWorkingHours(technician, weekday, weeklyHours);
+        if (!hours) continue;
+
+        const closeMinutes = parseClock(hours.close);
+
+        for (let minute = parseClock(hours.open); minute + durationMinutes <= closeMinutes; minute += stepMinutes) {
+            const start = zonedTimeToUtc(year, month, day, Math.floor(minute / 60), minute % 60, timeZone);
+            const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+            if (start.getTime() < earliestStart) continue;
+            if (busy.some(job => job.technicianId === technician.id && overlaps({ start, end }, job))) continue;
+
+            if (!windows.has(start.getTime())) {
+                windows.set(start.getTime(), { start, end, technicianIds: [] });
+            }
+            windows.get(start.getTime()).technicianIds.push(technician.id);
+        }
+    }
+
+    // Jobs booked with no technician (the local provider behind the chat)
+    // each take up one of the technicians free at the time
+    const unassigned = busy.filter(job => !job.technicianId);
+
+    return [...windows.values()]
+        .filter(slot => slot.technicianIds.length > unassigned.filter(job => overlaps(slot, job)).length)
+        .sort((a, b) => a.start - b.start);
+}
+
+class TechnicianScheduler {
+    constructor() {
+        this.stepMinutes = parseInt(process.env.SCHEDULING_SLOT_STEP_MINUTES || '60', 10);
+        this.leadTimeMinutes = parseInt(process.env.SCHEDULING_LEAD_TIME_MINUTES || '120', 10);
+    }
+
+    async getJobType(jobTypeId) {
+        const jobType = await database.getJobType(jobTypeId || DEFAULT_JOB_TYPE);
+        if (!jobType) {
+            throw new SchedulingError('Unknown service type', 400);
+        }
+        return jobType;
+    }
+
+    // Open windows on one day, each with the technicians who could take it
+    async findOpenWindows(date, jobType, now = new Date()) {
+        if (!DATE_PATTERN.test(date || '')) {
+            throw new SchedulingError('Date must be in YYYY-MM-DD format', 400);
+        }
+
+        const [year, month, day] = date.split('-').map(Number);
+        const dayStart = zonedTimeToUtc(year, month, day, 0, 0);
+        const dayEnd = zonedTimeToUtc(year, month, day + 1, 0, 0);
+        const earliestStart = now.getTime() + this.leadTimeMinutes * 60 * 1000;
+
+        if (dayEnd.getTime() <= earliestStart || dayStart.getTime() > now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+            return [];
+        }
+
+        const calendar = await loadCalendar();
+        if (isClosedOn(calendar.closures, date)) {
+            return [];
+        }
+
+        const [technicians, jobs] = await Promise.all([
+            database.getActiveTechnicians(),
+            database.getScheduledJobs(dayStart.toISOString(), dayEnd.toISOString())
+        ]);
+
+        return buildTechnicianSlots({
+            date,
+            technicians,
+            jobs,
+            jobTypeId: jobType.id,
+            durationMinutes: jobType.duration_minutes,
+            weeklyHours: calendar.weekly_hours,
+            stepMinutes: this.stepMinutes,
+            earliestStart
+        });
+    }
+
+    // Open windows for a job type on one day, in the calendar's slot shape
+    async getAvailableSlots({ date, jobTypeId, now = new Date() }) {
+        const jobType = await this.getJobType(jobTypeId);
+        const windows = await this.findOpenWindows(date, jobType, now);
+
+        return {
+            jobType,
+            slots: windows.map(slot => formatSlot(slot.start, slot.end))
+        };
+    }
+
+    // Books the window starting at `start` with the first technician still
+    // free for it. Throws SchedulingError 409 when nobody is.
+    async reserveSlot(booking) {
+        const jobType = await this.getJobType(booking.jobTypeId);
+        const start = new Date(booking.start);
+
+        if (isNaN(start.getTime())) {
+            throw new SchedulingError('Invalid appointment time', 400);
+        }
+        if (start.getTime() < Date.now()) {
+            throw new SchedulingError('Appointment time is in the past', 400);
+        }
+
+        const { year, month, day } = getZonedParts(start);
+        const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+        const release = await lockBookingDay(start);
+        if (!release) {
+            throw new SchedulingError('Someone else is booking that time. Please choose another.', 409);
+        }
+
+        try {
+            const window = (await this.findOpenWindows(date, jobType))
+                .find(slot => slot.start.getTime() === start.getTime());
+            const { arrival_window_minutes: arrivalWindow } = await loadCalendar();
+
+            for (const technicianId of window ? window.technicianIds : []) {
+                const job = await database.reserveScheduledJob({
+                    technician_id: technicianId,
+                    job_type_id: jobType.id,
+                    customer_name: booking.customer.name,
+                    customer_email: booking.customer.email,
+                    customer_phone: booking.customer.phone,
+                    service_location: booking.address,
+                    service_name: jobType.name,
+                    description: booking.description,
+                    scheduled_start: window.start.toISOString(),
+                    scheduled_end: window.end.toISOString(),
+                    arrival_window_minutes: arrivalWindow,
+                    provider: 'supabase'
+                });
+
+                if (job) {
+                    return { job, jobType, slot: formatSlot(window.start, window.end) };
+                }
+            }
+        } finally {
+            await release();
+        }
+
+        throw new SchedulingError('That appointment time is no longer available', 409);
+    }
+}
+
+module.exports = new TechnicianScheduler();
+module.exports.TechnicianScheduler = TechnicianScheduler;
+module.exports.buildTechnicianSlots = buildTechnicianSlots;
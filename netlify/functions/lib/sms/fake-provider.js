@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// Sends nothing. Texts are kept in `messages` and logged, so confirmations and
+// admin texts can be exercised offline. Incoming texts are only accepted
+// under `netlify dev`, where they can be posted to sms-inbound by hand.
+class FakeSmsProvider {
+    constructor() {
+        this.name = 'fake';
+        this.fromNumber = process.env.TWILIO_FROM_NUMBER || '+15555550100';
+        this.messages = [];
+    }
+
+    async send({ to, body }) {
+        const messageId = `fake-${crypto.randomUUID()}`;
+
+        this.messages.push({ messageId, from: this.fromNumber, to, body });
+        console.log(`[fake sms] to ${to}: ${body}`);
+
+        return { messageId, status: 'sent' };
+    }
+
+    verifyRequest() {
+        return process.env.NETLIFY_DEV === 'true';
+    }
+}
+
+module.exports = FakeSmsProvider;
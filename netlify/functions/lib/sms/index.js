@@ -0,0 +1,167 @@
+// Text messages to customers and staff. Every text to a customer is logged
+// in sms_messages, which is how a reply (sms-inbound.js) finds the submission
+// it belongs to, and nothing is sent to a customer who has texted STOP.
+
+// Carrier keywords. Twilio answers them itself; we only record the choice.
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+
+// Four segments; longer texts are split by the carrier and arrive out of order
+const MAX_SMS_LENGTH = 640;
+
+// Select the SMS backend from the environment.
+// SMS_PROVIDER=twilio|fake; defaults to Twilio when an account is configured,
+// otherwise the fake, which sends nothing.
+//
+// A provider has send({ to, body }), resolving to { messageId, status }, a
+// fromNumber, and verifyRequest(event, params) for its inbound webhook.
+function createSmsProvider(name = process.env.SMS_PROVIDER) {
+    const providerName = name || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'fake');
+
+    switch (providerName) {
+        case 'twilio': {
+            const TwilioProvider = require('./twilio-provider');
+            return new TwilioProvider();
+        }
+        case 'fake': {
+            const FakeSmsProvider = require('./fake-provider');
+            return new FakeSmsProvider();
+        }
+        default:
+            throw new Error(`Unknown SMS provider: ${providerName}`);
+    }
+}
+
+// E.164 form of a phone number as customers type it; ten-digit numbers are
+// taken to be US numbers. null when it cannot be texted.
+function toE164(phone) {
+    const raw = String(phone || '').trim();
+    const digits = raw.replace(/\D/g, '');
+
+    if (raw.startsWith('+')) {
+        return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    return null;
+}
+
+// 'opt_out', 'opt_in' or null for an incoming text
+function optInChange(body) {
+    const keyword = String(body || '').trim().toUpperCase().replace(/[.!]+$/, '');
+
+    if (OPT_OUT_KEYWORDS.includes(keyword)) return 'opt_out';
+    if (OPT_IN_KEYWORDS.includes(keyword)) return 'opt_in';
+    return null;
+}
+
+class SmsService {
+    constructor(provider = null) {
+        this.provider = provider;
+    }
+
+    // Created on first use, so loading this module needs no SMS credentials
+    getProvider() {
+        if (!this.provider) {
+            this.provider = createSmsProvider();
+        }
+        return this.provider;
+    }
+
+    // Texts a customer and logs it against the submission. Throws SmsError
+    // when the customer cannot be texted.
+    async sendToCustomer(customerId, body, { submissionId = null, kind = 'admin_message', adminId = null } = {}) {
+        const database = require('../database');
+        const customer = await database.getCustomerById(customerId);
+
+        if (!customer) {
+            throw new SmsError('Customer not found', 404);
+        }
+        if (customer.sms_opted_out_at) {
+            throw new SmsError('Customer has opted out of text messages', 409);
+        }
+
+        const to = toE164(customer.phone);
+        if (!to) {
+            throw new SmsError('Customer has no phone number that can be texted', 400);
+        }
+
+        const provider = this.getProvider();
+        const result = await provider.send({ to, body });
+
+        // The text has already gone, so a failed log is reported rather than thrown
+        try {
+            await database.createSmsMessage({
+                customer_id: customer.id,
+                submission_id: submissionId,
+                direction: 'outbound',
+                kind,
+                body,
+                from_number: provider.fromNumber,
+                to_number: to,
+                provider_message_id: result.messageId,
+                status: result.status,
+                admin_id: adminId
+            });
+        } catch (error) {
+            console.error(`Error logging text ${result.messageId}:`, error);
+        }
+
+        console.log(`Text (${kind}) sent to customer ${customer.id}`);
+        return { ...result, to };
+    }
+
+    // Texts a member of staff, e.g. an on-call alert (lib/lead-alerts.js).
+    // Not logged: a reply to it belongs to no submission.
+    async sendToStaff(phone, body) {
+        const to = toE164(phone);
+        if (!to) {
+            throw new SmsError(`Cannot text ${phone}`, 400);
+        }
+
+        return await this.getProvider().send({ to, body });
+    }
+
+    // Confirms a booked appointment (see lib/chat/leads.js and
+    // schedule-job.js). A customer who cannot be texted is skipped; they
+    // still get the email.
+    async sendAppointmentConfirmation(customerId, submissionId, confirmation) {
+        try {
+            return await this.sendToCustomer(customerId, this.composeAppointmentConfirmation(confirmation), {
+                submissionId,
+                kind: 'appointment_confirmation'
+            });
+        } catch (error) {
+            if (error instanceof SmsError) {
+                console.log(`Appointment text not sent for submission ${submissionId}: ${error.message}`);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    composeAppointmentConfirmation(confirmation) {
+        return [
+            `AJ Long Electric: your ${confirmation.serviceType || 'service'} appointment is confirmed for ${confirmation.date}, ${confirmation.timeSlot}`,
+            confirmation.location ? ` at ${confirmation.location}` : '',
+            `. Confirmation #${confirmation.confirmationId}.`,
+            ' Reply to this text with any questions, or STOP to opt out.'
+        ].join('');
+    }
+}
+
+class SmsError extends Error {
+    constructor(message, statusCode = 500) {
+        super(message);
+        this.name = 'SmsError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = new SmsService();
+module.exports.SmsService = SmsService;
+module.exports.SmsError = SmsError;
+module.exports.MAX_SMS_LENGTH = MAX_SMS_LENGTH;
+module.exports.createSmsProvider = createSmsProvider;
+module.exports.toE164 = toE164;
+module.exports.optInChange = optInChange;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+const API_BASE_URL = 'https://api.twilio.com/2010-04-01';
+const REQUEST_TIMEOUT_MS = 8000;
+
+// Sends through Twilio's Messages API and checks the signature Twilio puts on
+// its incoming-message webhooks
+class TwilioProvider {
+    constructor() {
+        this.name = 'twilio';
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = process.env.TWILIO_AUTH_TOKEN;
+        this.fromNumber = process.env.TWILIO_FROM_NUMBER;
+
+        if (!this.accountSid || !this.authToken || !this.fromNumber) {
+            throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER must be configured');
+        }
+    }
+
+    async send({ to, body }) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/Accounts/${this.accountSid}/Messages.json`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({ To: to, From: this.fromNumber, Body: body }).toString(),
+                signal: controller.signal
+            });
+
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(`Twilio request failed with status ${response.status}: ${data.message || 'no details'}`);
+            }
+
+            return { messageId: data.sid, status: data.status };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // X-Twilio-Signature is the base64 HMAC-SHA1, keyed with the auth token,
+    // of the webhook URL followed by every POST parameter name and value in
+    // name order. The URL must be exactly the one configured in Twilio, so it
+    // can be pinned with SMS_WEBHOOK_URL when a proxy rewrites it.
+    verifyRequest(event, params) {
+        const signature = (event.headers || {})['x-twilio-signature'];
+        const url = process.env.SMS_WEBHOOK_URL || event.rawUrl;
+        if (!signature || !url) return false;
+
+        const payload = Object.keys(params).sort()
+            .reduce((text, key) => text + key + params[key], url);
+        const expected = crypto.createHmac('sha1', this.authToken).update(payload).digest();
+        const given = Buffer.from(signature, 'base64');
+
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+}
+
+module.exports = TwilioProvider;
@@ -0,0 +1,20 @@
+const { schedule } = require('@netlify/functions');
+const { pruneDashboardEvents } = require('./lib/dashboard-events');
+
+// Runs every minute: deletes dashboard events older than the 24-hour replay
+// window, which no reconnecting dashboard can ask for any more
+// (lib/dashboard-events.js).
+exports.handler = schedule('* * * * *', async (event, context) => {
+    try {
+        const pruned = await pruneDashboardEvents();
+
+        if (pruned) {
+            console.log(`Dashboard events: ${pruned} older than the replay window deleted`);
+        }
+
+        return { statusCode: 200 };
+    } catch (error) {
+        console.error('Dashboard event cleanup error:', error);
+        return { statusCode: 500 };
+    }
+});
@@ -0,0 +1,229 @@
+const smsService = require('./lib/sms');
+const AuthUtils = require('./lib/auth-utils');
+const technicianScheduler = require('./lib/scheduling/technician-scheduler');
+const { getZonedParts } = require('./lib/scheduling/availability');
+const { parseFormData } = require('./lib/intake/parser');
+const { checkSubmission } = require('./lib/intake/spam');
+const { recordNewLead } = require('./lib/leads');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Books a window picked on schedule-appointment.html with a technician
+// (lib/scheduling/technician-scheduler.js), then records the customer and a
+// 'schedule' submission for the dashboard and confirms by email and text.
+exports.handler = async (event, context) => {
+    // Set CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: 'Method not allowed'
+            })
+        };
+    }
+
+    try {
+        const { fields } = await parseFormData(event);
+        const name = AuthUtils.sanitizeInput(fields.get('name') || '');
+        const email = AuthUtils.sanitizeInput(fields.get('email') || '').toLowerCase();
+        const phone = AuthUtils.sanitizeInput(fields.get('phone') || '');
+        const start = fields.get('slot_start');
+
+        const validationError = !name || !email || !phone
+            ? 'Name, email and phone are required to book'
+            : !EMAIL_PATTERN.test(email)
+                ? 'Invalid email address format'
+                : !start
+                    ? 'Please select an appointment time'
+                    : null;
+
+        if (validationError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: validationError
+                })
+            };
+        }
+
+        const street = [fields.get('address'), fields.get('unit')].filter(Boolean).join(' ');
+        const stateZip = [fields.get('state'), fields.get('zip')].filter(Boolean).join(' ');
+        const location = AuthUtils.sanitizeInput([street, fields.get('city'), stateZip].filter(Boolean).join(', '));
+        const description = AuthUtils.sanitizeInput(fields.get('description') || '');
+        const [firstName, ...lastNames] = name.split(/\s+/);
+        const customerData = {
+            first_name: firstName,
+            last_name: lastNames.join(' '),
+            email,
+            phone,
+            address: street ? AuthUtils.sanitizeInput(street) : undefined,
+            city: fields.get('city'),
+            state: fields.get('state'),
+            zip_code: fields.get('zip')
+        };
+
+        // The same spam checks and rate limits as the other public forms. A
+        // flagged booking holds no technician; it is kept for review instead.
+        const spamCheck = await checkSubmission(event, fields, customerData);
+        if (spamCheck.blocked || spamCheck.reasons.length > 0) {
+            console.warn('Refused online booking:', spamCheck.reasons);
+
+            if (!spamCheck.blocked) {
+                await quarantineBooking(event, { customerData, start, location, description, reasons: spamCheck.reasons });
+            }
+
+            return {
+                statusCode: 429,
+                headers,
+                body: JSON.stringify({
+                    success: false,
+                    message: 'We could not book that appointment online. Please call us at (703) 997-0026.'
+                })
+            };
+        }
+
+        const { job, jobType, slot } = await technicianScheduler.reserveSlot({
+            jobTypeId: fields.get('job_type_id', 'service-category'),
+            start,
+            address: location,
+            description,
+            customer: { name, email, phone }
+        });
+
+        console.log(`Booked job ${job.id} (${jobType.id}) with technician ${job.technician_id} for ${slot.start}`);
+
+        await recordBooking(event, {
+            customerData,
+            job,
+            jobType,
+            slot,
+            location,
+            description
+        });
+
+        // Shape matches JobScheduler.showConfirmation() in js/scheduler.js
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                jobId: job.id,
+                details: {
+                    date: slot.date,
+                    startTime: slot.time,
+                    endTime: slot.endTime,
+                    service: jobType.name,
+                    status: job.status || 'scheduled'
+                }
+            })
+        };
+    } catch (error) {
+        console.error('Error scheduling job:', error);
+
+        const statusCode = error.statusCode || 500;
+
+        return {
+            statusCode,
+            headers,
+            body: JSON.stringify({
+                success: false,
+                message: statusCode < 500
+                    ? error.message
+                    : 'There was an error booking your appointment. Please call us at (703) 997-0026.',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            })
+        };
+    }
+};
+
+// The appointment is already held, so nothing here fails the booking
+async function recordBooking(event, { customerData, job, jobType, slot, location, description }) {
+    const { year, month, day } = getZonedParts(new Date(slot.start));
+    const confirmation = {
+        confirmationId: job.id,
+        serviceType: jobType.name,
+        date: slot.date,
+        timeSlot: `${slot.time} - ${slot.endTime}`,
+        location,
+        start: slot.start,
+        end: slot.end
+    };
+
+    try {
+        const { customer, submission } = await recordNewLead({
+            customerData,
+            submission: {
+                form_type: 'schedule',
+                service_location: location || null,
+                subject: `${jobType.name} booked online`,
+                message: description || `${jobType.name} appointment booked online`,
+                preferred_date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+                preferred_time: confirmation.timeSlot,
+                metadata: {
+                    form_source: 'website_job_scheduler',
+                    user_agent: event.headers['user-agent'],
+                    ip_address: AuthUtils.getClientIp(event),
+                    service_type: jobType.id,
+                    scheduled_job_id: job.id,
+                    technician_id: job.technician_id,
+                    confirmation
+                }
+            },
+            notifications: { customer: 'schedule', admin: 'schedule' }
+        });
+
+        try {
+            await smsService.sendAppointmentConfirmation(customer.id, submission.id, confirmation);
+        } catch (smsError) {
+            console.error('Error texting booking confirmation:', smsError);
+        }
+    } catch (error) {
+        console.error(`Error recording booking ${job.id}:`, error);
+    }
+}
+
+// A booking refused as spam is stored like quarantined form submissions, so
+// the office can still call back a real customer who was caught by mistake
+async function quarantineBooking(event, { customerData, start, location, description, reasons }) {
+    try {
+        await recordNewLead({
+            customerData,
+            submission: {
+                form_type: 'schedule',
+                service_location: location || null,
+                subject: 'Online booking refused as spam',
+                message: description || 'Appointment requested online',
+                metadata: {
+                    form_source: 'website_job_scheduler',
+                    user_agent: event.headers['user-agent'],
+                    ip_address: AuthUtils.getClientIp(event),
+                    requested_start: start
+                }
+            },
+            spam: { reasons }
+        });
+    } catch (error) {
+        console.error('Error recording refused booking:', error);
+    }
+}
@@ -0,0 +1,91 @@
+const database = require('./lib/database');
+const smsService = require('./lib/sms');
+const { optInChange } = require('./lib/sms');
+const { DASHBOARD_EVENTS, publishDashboardEvent } = require('./lib/dashboard-events');
+
+// The SMS provider's incoming-message webhook (Twilio posts form-encoded
+// From, To, Body and MessageSid). A text is threaded onto the submission the
+// last text we sent to that number was about, shows in its timeline and
+// raises an sms dashboard notification; STOP and START also change whether
+// the customer may be texted. Texts from numbers we have never texted are
+// acknowledged and dropped. Replies are empty TwiML: Twilio answers the
+// opt-out keywords itself.
+exports.handler = async (event, context) => {
+    const headers = {
+        'Content-Type': 'text/xml'
+    };
+
+    const reply = (statusCode) => ({
+        statusCode,
+        headers,
+        body: '<?xml version="1.0" encoding="UTF-8"?><Response></Response>'
+    });
+
+    if (event.httpMethod !== 'POST') {
+        return reply(405);
+    }
+
+    const rawBody = event.isBase64Encoded
+        ? Buffer.from(event.body || '', 'base64').toString()
+        : event.body || '';
+    const params = Object.fromEntries(new URLSearchParams(rawBody));
+
+    if (!smsService.getProvider().verifyRequest(event, params)) {
+        return reply(401);
+    }
+
+    if (!params.From || !params.MessageSid) {
+        return reply(400);
+    }
+
+    try {
+        const lastSent = await database.getLatestOutboundSms(params.From);
+
+        if (!lastSent) {
+            console.warn(`Text ${params.MessageSid} from ${params.From} matched no customer`);
+            return reply(200);
+        }
+
+        const stored = await database.createSmsMessage({
+            customer_id: lastSent.customer_id,
+            submission_id: lastSent.submission_id,
+            direction: 'inbound',
+            kind: 'customer_reply',
+            body: params.Body || '',
+            from_number: params.From,
+            to_number: params.To || lastSent.from_number,
+            provider_message_id: params.MessageSid,
+            status: 'received'
+        });
+
+        if (!stored) {
+            return reply(200);
+        }
+
+        const change = optInChange(params.Body);
+        if (change && lastSent.customer_id) {
+            await database.setCustomerSmsOptIn(lastSent.customer_id, change === 'opt_in');
+            console.log(`Customer ${lastSent.customer_id} ${change === 'opt_in' ? 'opted in to' : 'opted out of'} texts`);
+        }
+
+        if (lastSent.submission_id) {
+            const submissions = await database.getSubmissionDetailsByIds([lastSent.submission_id]);
+            const submission = submissions[lastSent.submission_id];
+
+            await publishDashboardEvent(DASHBOARD_EVENTS.SMS, {
+                submission_id: lastSent.submission_id,
+                direction: 'inbound',
+                customer_name: submission ? submission.customer_name : null,
+                from_number: params.From,
+                opt_in_change: change,
+                assigned_to: submission ? submission.assigned_to || null : null
+            });
+        }
+
+        return reply(200);
+    } catch (error) {
+        // The provider retries, and the message id keeps a retry from storing twice
+        console.error('Inbound text error:', error);
+        return reply(500);
+    }
+};
@@ -0,0 +1,5 @@
+const { createIntakeHandler } = require('./lib/intake');
+
+// /api/submit-estimate, posted by the service page estimate forms; fields and
+// rules are in lib/intake/schemas.js
+exports.handler = createIntakeHandler('service-estimate');
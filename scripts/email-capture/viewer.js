@@ -0,0 +1,140 @@
+// Lists the emails the capture transport (netlify/functions/lib/email-transport)
+// has written, newest first, with each one viewable as HTML and text.
+//
+//   EMAIL_TRANSPORT=capture npx netlify dev      (in another terminal)
+//   node scripts/email-capture/viewer.js [--port 8899] [--dir <capture dir>]
+//
+// Reads EMAIL_CAPTURE_DIR like the transport does; run both from the
+// repository root so the default directory matches.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { DEFAULT_CAPTURE_DIR } = require('../../netlify/functions/lib/email-transport');
+
+function parseArgs(argv) {
+    const options = { port: 8899, directory: process.env.EMAIL_CAPTURE_DIR || DEFAULT_CAPTURE_DIR };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--dir') {
+            options.directory = path.resolve(argv[++i]);
+        }
+    }
+
+    return options;
+}
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// File names start with the capture time, so a reverse sort is newest first
+function readMessages(directory) {
+    if (!fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .reverse()
+        .map(name => ({ file: name, ...JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8')) }));
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; font-size: 14px; }
+        a { color: #FF7200; }
+        pre { background: #f5f5f5; padding: 12px; white-space: pre-wrap; }
+        iframe { width: 100%; height: 600px; border: 1px solid #ddd; }
+        .muted { color: #777; }
+    </style>
+</head>
+<body>${body}</body>
+</html>`;
+}
+
+function renderList(messages, directory) {
+    const rows = messages.map(message => `
+        <tr>
+            <td>${escapeHtml(new Date(message.submittedAt).toLocaleString())}</td>
+            <td>${escapeHtml(message.to)}</td>
+            <td><a href="/message/${encodeURIComponent(message.file)}">${escapeHtml(message.subject)}</a></td>
+            <td class="muted">${escapeHtml(message.from)}</td>
+        </tr>`).join('');
+
+    return page('Captured emails', `
+        <h1>Captured emails</h1>
+        <p class="muted">${messages.length} in ${escapeHtml(directory)}</p>
+        ${messages.length === 0
+            ? '<p>Nothing captured yet. Start <code>netlify dev</code> with <code>EMAIL_TRANSPORT=capture</code> and submit a form.</p>'
+            : `<table><tr><th>Captured</th><th>To</th><th>Subject</th><th>From</th></tr>${rows}</table>`}
+    `);
+}
+
+function renderMessage(message) {
+    const headers = [
+        ['From', message.from],
+        ['To', message.to],
+        ['Reply-To', message.replyTo],
+        ['Subject', message.subject],
+        ['Message id', message.messageId],
+        ['Captured', new Date(message.submittedAt).toLocaleString()],
+        ['Attachments', (message.attachments || []).map(attachment => attachment.filename).join(', ')]
+    ].filter(([, value]) => value);
+
+    return page(message.subject, `
+        <p><a href="/">&larr; All captured emails</a></p>
+        <table>${headers.map(([name, value]) => `<tr><th>${name}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+        ${message.html ? `<h2>HTML</h2><iframe sandbox srcdoc="${escapeHtml(message.html)}"></iframe>` : ''}
+        ${message.text ? `<h2>Text</h2><pre>${escapeHtml(message.text)}</pre>` : ''}
+    `);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const server = http.createServer((req, res) => {
+        const send = (statusCode, html) => {
+            res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(html);
+        };
+
+        try {
+            const messages = readMessages(options.directory);
+            const match = req.url.match(/^\/message\/([^/?]+)$/);
+
+            if (req.url === '/') {
+                return send(200, renderList(messages, options.directory));
+            }
+
+            const message = match && messages.find(item => item.file === decodeURIComponent(match[1]));
+            if (!message) {
+                return send(404, page('Not found', '<p>No such message. <a href="/">All captured emails</a></p>'));
+            }
+
+            return send(200, renderMessage(message));
+        } catch (error) {
+            console.error('Error reading captured emails:', error);
+            return send(500, page('Error', `<pre>${escapeHtml(error.message)}</pre>`));
+        }
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Captured emails from ${options.directory}`);
+        console.log(`Viewer running at http://localhost:${options.port}`);
+    });
+}
+
+main();
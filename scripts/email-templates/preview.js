@@ -0,0 +1,79 @@
+// Renders every email template (netlify/functions/lib/email-templates) for
+// every form type with sample data, and writes the HTML and text versions
+// plus an index page linking them. Nothing is sent.
+//
+//   node scripts/email-templates/preview.js [--out <dir>] [--template <name>] [--form-type <type>]
+//
+// Open <out>/index.html in a browser; the default out directory is
+// .netlify/email-previews.
+
+const fs = require('fs');
+const path = require('path');
+const { TEMPLATE_NAMES } = require('../../netlify/functions/lib/email-templates');
+const { FORM_TYPES, compose } = require('./samples');
+
+function parseArgs(argv) {
+    const options = {
+        out: path.join(process.cwd(), '.netlify', 'email-previews'),
+        templates: TEMPLATE_NAMES,
+        formTypes: FORM_TYPES
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else if (argv[i] === '--template') {
+            options.templates = [argv[++i]];
+        } else if (argv[i] === '--form-type') {
+            options.formTypes = [argv[++i]];
+        }
+    }
+
+    return options;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const previews = [];
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    for (const template of options.templates) {
+        for (const formType of options.formTypes) {
+            const email = compose(template, formType);
+            const name = `${template}-${formType}`;
+
+            fs.writeFileSync(path.join(options.out, `${name}.html`), email.html);
+            fs.writeFileSync(path.join(options.out, `${name}.txt`), `Subject: ${email.subject}\n\n${email.text}\n`);
+            previews.push({ name, subject: email.subject });
+        }
+    }
+
+    const rows = previews.map(preview => `
+        <tr>
+            <td>${preview.name}</td>
+            <td>${escapeHtml(preview.subject)}</td>
+            <td><a href="${preview.name}.html">HTML</a> · <a href="${preview.name}.txt">Text</a></td>
+        </tr>`).join('');
+
+    fs.writeFileSync(path.join(options.out, 'index.html'), `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Email previews</title></head>
+<body style="font-family: Arial, sans-serif;">
+    <h1>Email previews</h1>
+    <table cellpadding="6">${rows}</table>
+</body>
+</html>
+`);
+
+    console.log(`Rendered ${previews.length} previews to ${path.join(options.out, 'index.html')}`);
+}
+
+main();
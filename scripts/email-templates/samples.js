@@ -0,0 +1,89 @@
+// Sample customers and submissions for rendering every email template
+// (netlify/functions/lib/email-templates) for every form type. Used by
+// preview.js and the snapshot tests in test/email-templates.test.js.
+
+const emailService = require('../../netlify/functions/lib/email');
+const { describeLead } = require('../../netlify/functions/lib/lead-alerts');
+
+const FORM_TYPES = ['estimate', 'schedule', 'inquiry', 'chat', 'consultation'];
+
+const SAMPLE_CUSTOMER = {
+    first_name: 'Jordan',
+    last_name: 'Rivera',
+    email: 'jordan.rivera@example.com',
+    phone: '(703) 555-0142',
+    address: '4120 Chain Bridge Rd',
+    city: 'Fairfax',
+    state: 'VA',
+    zip_code: '22030'
+};
+
+const SAMPLE_SUBMISSIONS = {
+    estimate: {
+        project_type: 'Panel upgrade',
+        budget_range: '$2,000 - $5,000',
+        timeline: 'Within a month',
+        preferred_date: '2026-11-03',
+        service_location: '4120 Chain Bridge Rd, Fairfax, VA',
+        message: 'Our 100A panel keeps tripping when the dryer and AC run together.\nWe would like a quote for a 200A upgrade.'
+    },
+    schedule: {
+        preferred_date: '2026-11-04',
+        preferred_time: 'Morning (8am - 12pm)',
+        service_location: '4120 Chain Bridge Rd, Fairfax, VA',
+        urgency: 'urgent',
+        message: 'Half the outlets in the kitchen stopped working.'
+    },
+    inquiry: {
+        subject: 'EV charger permits',
+        message: 'Do you pull the permit for a Level 2 charger install, or do I?'
+    },
+    chat: {
+        preferred_date: '2026-11-05',
+        preferred_time: '1:00 PM',
+        service_location: '4120 Chain Bridge Rd, Fairfax, VA',
+        metadata: { service_type: 'EV charger installation' },
+        message: 'Booked through the AI chat.'
+    },
+    consultation: {
+        budget_range: '$10,000+',
+        service_location: 'Fairfax, VA',
+        metadata: { consultation_type: 'Whole-home rewiring' },
+        message: 'House is from 1962 and still has some aluminum wiring.'
+    }
+};
+
+const SAMPLE_RESPONSE = 'Thanks for the details. A 200A upgrade is the right call here.\n\nWe can come out Tuesday morning to look at the panel and the service entrance.';
+
+// The rendered { subject, html, text } of one template for one form type
+function compose(template, formType) {
+    const submission = {
+        id: '00000000-0000-4000-8000-000000000000',
+        created_at: '2026-10-19T14:30:00Z',
+        ...SAMPLE_SUBMISSIONS[formType]
+    };
+
+    switch (template) {
+        case 'customer-confirmation':
+            return emailService.composeCustomerNotification(formType, SAMPLE_CUSTOMER, submission);
+        case 'admin-notification':
+            return emailService.composeAdminNotification(formType, SAMPLE_CUSTOMER, submission);
+        case 'admin-response':
+            return emailService.composeAdminResponse(formType, SAMPLE_CUSTOMER, SAMPLE_RESPONSE);
+        case 'lead-alert':
+            return emailService.composeLeadAlert(describeLead({
+                ...submission,
+                form_type: formType,
+                customer_name: `${SAMPLE_CUSTOMER.first_name} ${SAMPLE_CUSTOMER.last_name}`,
+                phone: SAMPLE_CUSTOMER.phone,
+                email: SAMPLE_CUSTOMER.email
+            }));
+        default:
+            throw new Error(`Unknown email template: ${template}`);
+    }
+}
+
+module.exports = {
+    FORM_TYPES,
+    compose
+};
@@ -0,0 +1,109 @@
+// Replays the Postmark inbound fixtures against a running email-inbound
+// function and checks each response against the fixture's `expect`.
+//
+//   npx netlify dev                  (in another terminal)
+//   npx netlify dev:exec node scripts/inbound-email/replay.js --submission <id> [fixture.json ...]
+//
+// dev:exec supplies the same INBOUND_EMAIL_* and POSTMARK_WEBHOOK_* settings
+// as the function. The submission must exist; matched replies are stored on
+// it and show up in its dashboard timeline. Exits non-zero if any fixture
+// does not get the expected response.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { replyToken, replyAddress } = require('../../netlify/functions/lib/inbound-email');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_URL = 'http://localhost:8888/.netlify/functions/email-inbound';
+
+function parseArgs(argv) {
+    const options = { url: DEFAULT_URL, submission: null, fixtures: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') {
+            options.url = argv[++i];
+        } else if (argv[i] === '--submission') {
+            options.submission = argv[++i];
+        } else {
+            options.fixtures.push(path.resolve(argv[i]));
+        }
+    }
+
+    if (options.fixtures.length === 0) {
+        options.fixtures = fs.readdirSync(FIXTURES_DIR)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => path.join(FIXTURES_DIR, name));
+    }
+
+    return options;
+}
+
+// Fills the {{placeholders}} fixtures use for values that depend on the
+// submission and the configured secret. run_id keeps message ids unique, so
+// replaying again is not taken for a Postmark retry.
+function fillPlaceholders(text, values) {
+    return text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder);
+}
+
+function expectationFailures(expect, statusCode, body) {
+    return Object.entries(expect)
+        .filter(([key, value]) => (key === 'statusCode' ? statusCode : body[key]) !== value)
+        .map(([key, value]) => `${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(key === 'statusCode' ? statusCode : body[key])}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.submission) {
+        console.error('Usage: replay.js --submission <submission id> [--url <function url>] [fixture.json ...]');
+        process.exit(2);
+    }
+    if (!replyAddress(options.submission)) {
+        console.error('INBOUND_EMAIL_ADDRESS and INBOUND_EMAIL_SECRET must be set');
+        process.exit(2);
+    }
+
+    const token = replyToken(options.submission);
+    const values = {
+        reply_token: token,
+        reply_address: replyAddress(options.submission),
+        forged_token: `${token.slice(0, 32)}${'0'.repeat(token.length - 32)}`,
+        run_id: crypto.randomUUID()
+    };
+    const credentials = Buffer.from(
+        `${process.env.POSTMARK_WEBHOOK_USERNAME || ''}:${process.env.POSTMARK_WEBHOOK_PASSWORD || ''}`
+    ).toString('base64');
+
+    let failed = 0;
+
+    for (const file of options.fixtures) {
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const payload = fillPlaceholders(JSON.stringify(fixture.payload), values);
+
+        const response = await fetch(options.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(fixture.auth === false ? {} : { Authorization: `Basic ${credentials}` })
+            },
+            body: payload
+        });
+        const body = await response.json().catch(() => ({}));
+        const failures = expectationFailures(fixture.expect || {}, response.status, body);
+
+        console.log(`${failures.length === 0 ? 'PASS' : 'FAIL'} ${path.basename(file)} - ${fixture.description}`);
+        failures.forEach(failure => console.log(`     ${failure}`));
+        failed += failures.length > 0 ? 1 : 0;
+    }
+
+    console.log(`\n${options.fixtures.length - failed} of ${options.fixtures.length} fixtures passed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('Replay failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,51 @@
+// The rule-based chat run offline: no database, language model or Housecall
+// Pro account, with appointments booked into an in-memory provider.
+
+delete process.env.SUPABASE_URL;
+process.env.CHAT_LLM_PROVIDER = 'rule-based';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SchedulingService } = require('../netlify/functions/lib/scheduling');
+const { ChatService } = require('../netlify/functions/lib/chat');
+
+function createMemoryProvider() {
+    const bookings = [];
+
+    return {
+        name: 'memory',
+        bookings,
+
+        async getBusyWindows() {
+            return bookings.map(booking => ({ start: booking.start, end: booking.end }));
+        },
+
+        async createBooking(booking) {
+            bookings.push(booking);
+            return { id: `job-${bookings.length}`, status: 'scheduled' };
+        }
+    };
+}
+
+test('offers open times and books one without a database', async () => {
+    const provider = createMemoryProvider();
+    const chat = new ChatService({ scheduling: new SchedulingService(provider) });
+
+    let reply = await chat.handleMessage({ message: 'I need a panel upgrade at 123 Main St, Fairfax, VA' });
+    assert.strictEqual(reply.currentStep, 'gathering_details');
+
+    reply = await chat.handleMessage({
+        sessionId: reply.sessionId,
+        message: 'My name is Jordan Rivera, jordan@example.com, 703-555-0142'
+    });
+    assert.strictEqual(reply.currentStep, 'scheduling');
+    assert.ok(reply.scheduleOptions.length > 0);
+
+    const [first] = reply.scheduleOptions;
+    const weekday = first.date.split(',')[0];
+    reply = await chat.handleMessage({ sessionId: reply.sessionId, message: `${weekday} at ${first.time}` });
+
+    assert.strictEqual(reply.currentStep, 'confirmation');
+    assert.strictEqual(provider.bookings.length, 1);
+    assert.strictEqual(provider.bookings[0].start.toISOString(), first.start);
+});
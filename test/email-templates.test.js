@@ -0,0 +1,48 @@
+// Snapshot tests for the email templates: every template rendered inside the
+// shared layout for every form type, with the sample data preview.js uses.
+// The snapshots live in test/__snapshots__/email-templates as the HTML and
+// text a customer or admin would receive.
+//
+//   npm test                          compare against the snapshots
+//   UPDATE_SNAPSHOTS=1 npm test       rewrite them after a template change
+//
+// A missing snapshot is written on the first run, except under CI.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { TEMPLATE_NAMES } = require('../netlify/functions/lib/email-templates');
+const { FORM_TYPES, compose } = require('../scripts/email-templates/samples');
+
+const SNAPSHOT_DIR = path.join(__dirname, '__snapshots__', 'email-templates');
+
+function matchSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, name);
+
+    if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `Missing snapshot ${name}; run UPDATE_SNAPSHOTS=1 npm test`);
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `${name} no longer matches its snapshot`);
+}
+
+for (const template of TEMPLATE_NAMES) {
+    for (const formType of FORM_TYPES) {
+        test(`${template} for ${formType}`, () => {
+            const { subject, html, text } = compose(template, formType);
+            const name = `${template}.${formType}`;
+
+            // Anything left in braces is a tag with no value in the model
+            assert.doesNotMatch(html, /\{\{|\}\}/);
+            assert.doesNotMatch(text, /\{\{|\}\}/);
+
+            matchSnapshot(`${name}.subject.txt`, `${subject}\n`);
+            matchSnapshot(`${name}.html`, html);
+            matchSnapshot(`${name}.txt`, text);
+        });
+    }
+}
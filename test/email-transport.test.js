@@ -0,0 +1,52 @@
+// Which email transport EmailService gets from the environment
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEmailTransport } = require('../netlify/functions/lib/email-transport');
+
+const TRANSPORT_ENV = ['EMAIL_TRANSPORT', 'POSTMARK_SERVER_TOKEN', 'SMTP_HOST', 'NETLIFY_DEV'];
+
+function withEnv(values, fn) {
+    const saved = Object.fromEntries(TRANSPORT_ENV.map(name => [name, process.env[name]]));
+    TRANSPORT_ENV.forEach(name => delete process.env[name]);
+    Object.assign(process.env, values);
+
+    try {
+        return fn();
+    } finally {
+        TRANSPORT_ENV.forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    }
+}
+
+test('uses Postmark when a server token is set', () => {
+    withEnv({ POSTMARK_SERVER_TOKEN: 'token', SMTP_HOST: 'smtp.example.com' }, () => {
+        assert.strictEqual(createEmailTransport().name, 'postmark');
+    });
+});
+
+test('uses SMTP when only a host is set', () => {
+    withEnv({ SMTP_HOST: 'smtp.example.com' }, () => {
+        assert.strictEqual(createEmailTransport().name, 'smtp');
+    });
+});
+
+test('captures under netlify dev when nothing is configured', () => {
+    withEnv({ NETLIFY_DEV: 'true' }, () => {
+        assert.strictEqual(createEmailTransport().name, 'capture');
+    });
+});
+
+test('refuses to pick a transport on a deployed site with nothing configured', () => {
+    withEnv({}, () => {
+        assert.throws(() => createEmailTransport(), /No email transport is configured/);
+    });
+});
+
+test('captures anywhere when asked to', () => {
+    withEnv({ EMAIL_TRANSPORT: 'capture' }, () => {
+        assert.strictEqual(createEmailTransport().name, 'capture');
+    });
+});
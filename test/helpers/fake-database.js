@@ -0,0 +1,137 @@
+// In-memory stand-in for netlify/functions/lib/database.js, so tests can run
+// the functions end to end without Supabase. installFakeDatabase() has to run
+// before anything requires lib/database; each test file gets its own process
+// under `node --test`, so one install per file is enough.
+
+const path = require('path');
+const crypto = require('crypto');
+
+const DATABASE_MODULE = path.join(__dirname, '..', '..', 'netlify', 'functions', 'lib', 'database.js');
+
+const overlaps = (a, b) => Date.parse(a.scheduled_start) < Date.parse(b.scheduled_end)
+    && Date.parse(b.scheduled_start) < Date.parse(a.scheduled_end);
+
+function createFakeDatabase() {
+    const tables = {
+        customers: [],
+        formSubmissions: [],
+        scheduledJobs: [],
+        jobTypes: [],
+        technicians: [],
+        slotLocks: new Map(),
+        emailMessages: []
+    };
+
+    const insert = (table, row) => {
+        const record = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+        tables[table].push(record);
+        return record;
+    };
+
+    return {
+        tables,
+
+        async findOrCreateCustomer(customerData) {
+            const existing = tables.customers.find(customer => customer.email === customerData.email);
+            return existing || insert('customers', customerData);
+        },
+
+        async createFormSubmission(submissionData) {
+            return insert('formSubmissions', { status: 'new', ...submissionData });
+        },
+
+        async updateFormSubmission(id, updates) {
+            const submission = tables.formSubmissions.find(row => row.id === id);
+            return Object.assign(submission, updates);
+        },
+
+        async createFileAttachment(attachment) {
+            return { id: crypto.randomUUID(), ...attachment };
+        },
+
+        async createEmailMessage(message) {
+            return insert('emailMessages', message);
+        },
+
+        async createDashboardEvent(event) {
+            return { id: Date.now(), ...event };
+        },
+
+        // Nothing set up: no rotations, alert rules or calendar edits
+        async getAssignmentRotation() {
+            return null;
+        },
+
+        async getAssignableAdmins() {
+            return [];
+        },
+
+        async getLeadAlertRules() {
+            return [];
+        },
+
+        async getCalendarSettings() {
+            return null;
+        },
+
+        async getCalendarClosures() {
+            return [];
+        },
+
+        async getJobType(id) {
+            return tables.jobTypes.find(jobType => jobType.id === id) || null;
+        },
+
+        async getActiveTechnicians() {
+            return tables.technicians;
+        },
+
+        async getScheduledJobs(startIso, endIso) {
+            return tables.scheduledJobs.filter(job =>
+                overlaps(job, { scheduled_start: startIso, scheduled_end: endIso }));
+        },
+
+        async createScheduledJob(jobData) {
+            return insert('scheduledJobs', { status: 'scheduled', ...jobData });
+        },
+
+        // Mirrors the scheduled_jobs_technician_overlap exclusion constraint
+        async reserveScheduledJob(jobData) {
+            const taken = tables.scheduledJobs.some(job =>
+                job.technician_id && job.technician_id === jobData.technician_id && overlaps(job, jobData));
+            return taken ? null : insert('scheduledJobs', { status: 'scheduled', ...jobData });
+        },
+
+        async acquireSchedulingSlotLock(slotStartIso, expiresAtIso) {
+            const lock = tables.slotLocks.get(slotStartIso);
+            if (lock && Date.parse(lock.expires_at) >= Date.now()) {
+                return false;
+            }
+            tables.slotLocks.set(slotStartIso, { slot_start: slotStartIso, expires_at: expiresAtIso });
+            return true;
+        },
+
+        async releaseSchedulingSlotLock(slotStartIso) {
+            tables.slotLocks.delete(slotStartIso);
+        }
+    };
+}
+
+// Puts a fake database in the require cache and returns it. SUPABASE_URL is
+// set too, since modules check it to decide whether there is a database;
+// nothing connects to it.
+function installFakeDatabase() {
+    process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+    const database = createFakeDatabase();
+    require.cache[DATABASE_MODULE] = {
+        id: DATABASE_MODULE,
+        filename: DATABASE_MODULE,
+        loaded: true,
+        exports: database
+    };
+    return database;
+}
+
+module.exports = {
+    installFakeDatabase
+};
@@ -0,0 +1,184 @@
+// The intake pipeline's spam checks, run through a real form function with
+// the in-memory database, rate limit store and email transport.
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.EMAIL_TRANSPORT = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+const database = installFakeDatabase();
+const { handler } = require('../netlify/functions/form-inquiry');
+const AuthUtils = require('../netlify/functions/lib/auth-utils');
+const emailService = require('../netlify/functions/lib/email');
+
+const FORM_ISSUER = 'ajlong-electric-forms';
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// A token from a page loaded a minute ago
+function loadedToken() {
+    return jwt.sign({ type: 'form', iat: nowSeconds() - 60 }, process.env.JWT_SECRET, {
+        expiresIn: '24h',
+        issuer: FORM_ISSUER
+    });
+}
+
+let ipCount = 0;
+let emailCount = 0;
+const nextIp = () => `203.0.113.${++ipCount}`;
+const nextEmail = () => `customer${++emailCount}@example.com`;
+
+// Posts the contact form the way a browser does; `fields` override the
+// defaults and a null value leaves the field out
+async function post(fields = {}, { ip = nextIp() } = {}) {
+    const body = new URLSearchParams();
+    const values = {
+        firstName: 'Jordan',
+        lastName: 'Rivera',
+        email: nextEmail(),
+        message: 'The breaker for the kitchen keeps tripping.',
+        'bot-field': '',
+        formToken: loadedToken(),
+        ...fields
+    };
+    for (const [name, value] of Object.entries(values)) {
+        if (value !== null) body.append(name, value);
+    }
+
+    const sentBefore = emailService.getTransport().messages.length;
+    const response = await handler({
+        httpMethod: 'POST',
+        path: '/.netlify/functions/form-inquiry',
+        headers: {
+            'content-type': 'application/x-www-form-urlencoded',
+            'x-nf-client-connection-ip': ip
+        },
+        body: body.toString()
+    });
+
+    return {
+        response,
+        submission: database.tables.formSubmissions.at(-1),
+        emailsSent: emailService.getTransport().messages.length - sentBefore
+    };
+}
+
+test('accepts a form sent from a loaded page', async () => {
+    const { response, submission, emailsSent } = await post();
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(submission.status, 'new');
+    assert.strictEqual(emailsSent, 2);
+});
+
+test('accepts a form from a page without form-protection.js', async () => {
+    const { response, submission, emailsSent } = await post({ formToken: null, 'bot-field': null });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(submission.status, 'new');
+    assert.strictEqual(emailsSent, 2);
+});
+
+test('quarantines a filled-in honeypot without sending email', async () => {
+    const { response, submission, emailsSent } = await post({ 'bot-field': 'http://spam.example' });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(submission.status, 'spam');
+    assert.deepStrictEqual(submission.metadata.spam.reasons, ['Hidden honeypot field was filled in']);
+    assert.strictEqual(emailsSent, 0);
+});
+
+test('counts a missing token alongside another reason', async () => {
+    const { submission } = await post({ formToken: null, 'bot-field': 'x' });
+
+    assert.strictEqual(submission.status, 'spam');
+    assert.deepStrictEqual(submission.metadata.spam.reasons, [
+        'Hidden honeypot field was filled in',
+        'Sent without loading the form'
+    ]);
+});
+
+test('quarantines an expired form token', async () => {
+    const expired = jwt.sign({ type: 'form', iat: nowSeconds() - 2 * 24 * 60 * 60 }, process.env.JWT_SECRET, {
+        expiresIn: '24h',
+        issuer: FORM_ISSUER
+    });
+    const { submission } = await post({ formToken: expired });
+
+    assert.strictEqual(submission.status, 'spam');
+    assert.deepStrictEqual(submission.metadata.spam.reasons, ['Expired or invalid form token']);
+});
+
+test('quarantines a form token signed with another secret', async () => {
+    const forged = jwt.sign({ type: 'form', iat: nowSeconds() - 60 }, 'not-our-secret', {
+        expiresIn: '24h',
+        issuer: FORM_ISSUER
+    });
+    const { submission } = await post({ formToken: forged });
+
+    assert.strictEqual(submission.status, 'spam');
+    assert.deepStrictEqual(submission.metadata.spam.reasons, ['Expired or invalid form token']);
+});
+
+test('quarantines a form sent as soon as the page loaded', async () => {
+    const { submission } = await post({ formToken: AuthUtils.generateFormToken() });
+
+    assert.strictEqual(submission.status, 'spam');
+    assert.match(submission.metadata.spam.reasons[0], /^Sent \ds after the form loaded$/);
+});
+
+test('allows two links and quarantines three', async () => {
+    const twoLinks = await post({ message: 'Photos: https://example.com/a and www.example.com/b' });
+    assert.strictEqual(twoLinks.submission.status, 'new');
+
+    const threeLinks = await post({ message: 'https://a.example https://b.example www.c.example' });
+    assert.strictEqual(threeLinks.submission.status, 'spam');
+    assert.deepStrictEqual(threeLinks.submission.metadata.spam.reasons, ['Contains 3 links']);
+});
+
+test('quarantines a disposable email domain', async () => {
+    const { submission } = await post({ email: 'someone@mailinator.com' });
+
+    assert.strictEqual(submission.status, 'spam');
+    assert.deepStrictEqual(submission.metadata.spam.reasons, ['Disposable email domain (mailinator.com)']);
+});
+
+test('quarantines the sixth form in an hour from one IP address', async () => {
+    const ip = nextIp();
+    for (let i = 0; i < 5; i++) {
+        const { submission } = await post({}, { ip });
+        assert.strictEqual(submission.status, 'new');
+    }
+
+    const { submission } = await post({}, { ip });
+    assert.strictEqual(submission.status, 'spam');
+    assert.deepStrictEqual(submission.metadata.spam.reasons, ['Too many submissions from this IP address']);
+});
+
+test('quarantines the fourth form in an hour from one email address', async () => {
+    const email = nextEmail();
+    for (let i = 0; i < 3; i++) {
+        const { submission } = await post({ email });
+        assert.strictEqual(submission.status, 'new');
+    }
+
+    const { submission } = await post({ email });
+    assert.strictEqual(submission.status, 'spam');
+    assert.deepStrictEqual(submission.metadata.spam.reasons, ['Too many submissions from this email address']);
+});
+
+test('turns an address away without storing anything past the block limit', async () => {
+    const ip = nextIp();
+    for (let i = 0; i < 20; i++) {
+        await post({}, { ip });
+    }
+
+    const stored = database.tables.formSubmissions.length;
+    const { response } = await post({}, { ip });
+
+    assert.strictEqual(response.statusCode, 429);
+    assert.strictEqual(database.tables.formSubmissions.length, stored);
+});
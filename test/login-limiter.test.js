@@ -0,0 +1,72 @@
+// Admin login brute-force protection (lib/login-limiter.js) on the memory
+// rate limit store
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryRateLimitStore } = require('../netlify/functions/lib/rate-limit-store');
+const { createLoginLimiter } = require('../netlify/functions/lib/login-limiter');
+
+const MINUTE_MS = 60 * 1000;
+
+async function fail(limiter, attempt, times) {
+    let lockout = null;
+    for (let i = 0; i < times; i++) {
+        lockout = await limiter.recordFailure(attempt);
+    }
+    return lockout;
+}
+
+test('locks an email out for 15 minutes after five failed logins', async () => {
+    const limiter = createLoginLimiter({ store: new MemoryRateLimitStore() });
+    const attempt = { email: 'Admin@Example.com', ip: '203.0.113.10' };
+
+    assert.strictEqual(await fail(limiter, attempt, 4), null);
+    assert.strictEqual((await limiter.check(attempt)).allowed, true);
+
+    const lockout = await fail(limiter, attempt, 1);
+    assert.strictEqual(lockout.scope, 'email');
+    assert.strictEqual(lockout.identifier, 'admin@example.com');
+    assert.strictEqual(lockout.level, 1);
+
+    const { allowed, retryAfterMs } = await limiter.check({ email: 'admin@example.com', ip: '198.51.100.7' });
+    assert.strictEqual(allowed, false);
+    assert.ok(retryAfterMs > 14 * MINUTE_MS && retryAfterMs <= 15 * MINUTE_MS);
+});
+
+test('doubles the lockout for the next five failures within a day', async () => {
+    const limiter = createLoginLimiter({ store: new MemoryRateLimitStore() });
+    const attempt = { email: 'admin@example.com', ip: '203.0.113.11' };
+
+    await fail(limiter, attempt, 5);
+    const second = await fail(limiter, attempt, 5);
+
+    assert.strictEqual(second.level, 2);
+    const lockedForMs = Date.parse(second.locked_until) - Date.now();
+    assert.ok(lockedForMs > 29 * MINUTE_MS && lockedForMs <= 30 * MINUTE_MS);
+});
+
+test('locks an IP address out after twenty failures across emails', async () => {
+    const limiter = createLoginLimiter({ store: new MemoryRateLimitStore() });
+    const ip = '203.0.113.12';
+
+    for (let i = 0; i < 19; i++) {
+        await limiter.recordFailure({ email: `person${i}@example.com`, ip });
+    }
+    assert.strictEqual((await limiter.check({ email: 'someone@example.com', ip })).allowed, true);
+
+    const lockout = await limiter.recordFailure({ email: 'person19@example.com', ip });
+    assert.strictEqual(lockout.scope, 'ip');
+    assert.strictEqual((await limiter.check({ email: 'someone@example.com', ip })).allowed, false);
+    assert.strictEqual((await limiter.check({ email: 'someone@example.com', ip: '203.0.113.13' })).allowed, true);
+});
+
+test('a successful login clears the failure count', async () => {
+    const limiter = createLoginLimiter({ store: new MemoryRateLimitStore() });
+    const attempt = { email: 'admin@example.com', ip: '203.0.113.14' };
+
+    await fail(limiter, attempt, 4);
+    await limiter.recordSuccess(attempt);
+
+    assert.strictEqual(await fail(limiter, attempt, 4), null);
+    assert.strictEqual((await limiter.check(attempt)).allowed, true);
+});
@@ -0,0 +1,59 @@
+// /api/submit-estimate as the service page forms post it: their own
+// questions instead of a description, sent as a plain form post.
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.EMAIL_TRANSPORT = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+const database = installFakeDatabase();
+const { handler } = require('../netlify/functions/submit-estimate');
+
+// services/panel-replacements/mclean.html
+const PANEL_REPLACEMENT_FORM = {
+    name: 'Jordan Rivera',
+    email: 'jordan@example.com',
+    phone: '(703) 555-0142',
+    address: '1234 Chain Bridge Rd, McLean, VA',
+    panel_age: '30+',
+    issues: 'Lights flicker when the dryer runs'
+};
+
+async function post(fields, ip) {
+    const response = await handler({
+        httpMethod: 'POST',
+        path: '/api/submit-estimate',
+        headers: {
+            'content-type': 'application/x-www-form-urlencoded',
+            'x-nf-client-connection-ip': ip
+        },
+        body: new URLSearchParams(fields).toString()
+    });
+
+    return { response, submission: database.tables.formSubmissions.at(-1) };
+}
+
+test('records a service page estimate with the page protection fields', async () => {
+    const formToken = jwt.sign({ type: 'form', iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET, {
+        expiresIn: '24h',
+        issuer: 'ajlong-electric-forms'
+    });
+    const { response, submission } = await post({ ...PANEL_REPLACEMENT_FORM, 'bot-field': '', formToken }, '198.51.100.1');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.notStrictEqual(submission.status, 'spam');
+    assert.strictEqual(submission.form_type, 'estimate');
+    assert.strictEqual(submission.message, 'Panel age: 30+\nIssues: Lights flicker when the dryer runs');
+    assert.strictEqual(submission.service_location, '1234 Chain Bridge Rd, McLean, VA');
+});
+
+test('records a service page estimate posted before form-protection.js loaded', async () => {
+    const { response, submission } = await post(PANEL_REPLACEMENT_FORM, '198.51.100.2');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.notStrictEqual(submission.status, 'spam');
+});
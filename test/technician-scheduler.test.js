@@ -0,0 +1,95 @@
+// Double-booking between the appointment calendar (TechnicianScheduler) and
+// the chat (SchedulingService on the local provider), which both book into
+// scheduled_jobs, against the in-memory database.
+
+process.env.SCHEDULING_PROVIDER = 'supabase';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+const database = installFakeDatabase();
+const { SchedulingService } = require('../netlify/functions/lib/scheduling');
+const { TechnicianScheduler } = require('../netlify/functions/lib/scheduling/technician-scheduler');
+const { getZonedParts } = require('../netlify/functions/lib/scheduling/availability');
+
+database.tables.jobTypes.push({ id: 'general', name: 'General Electrical Service', duration_minutes: 120 });
+database.tables.technicians.push({ id: 'tech-1', name: 'Sam', technician_hours: [], job_type_ids: null });
+
+const customer = (name) => ({ name, email: `${name.toLowerCase()}@example.com`, phone: '(703) 555-0100' });
+
+function zonedDate(iso) {
+    const { year, month, day } = getZonedParts(new Date(iso));
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// A window the chat offers that the calendar offers too, on a day with
+// nothing booked yet
+async function findSharedWindow(chat, calendar) {
+    const bookedDays = new Set(database.tables.scheduledJobs.map(job => zonedDate(job.scheduled_start)));
+
+    for (const slot of await chat.getOpenSlots({ days: 14 })) {
+        const date = zonedDate(slot.start);
+        if (bookedDays.has(date)) continue;
+
+        const { slots } = await calendar.getAvailableSlots({ date, jobTypeId: 'general' });
+        if (slots.some(window => window.start === slot.start)) {
+            return slot;
+        }
+    }
+    throw new Error('No window offered by both the chat and the calendar');
+}
+
+const reserve = (calendar, slot, name) => calendar.reserveSlot({
+    jobTypeId: 'general',
+    start: slot.start,
+    customer: customer(name),
+    address: '100 Main St, Fairfax, VA',
+    description: 'Calendar booking'
+});
+
+const book = (chat, slot, name) => chat.bookSlot({
+    start: slot.start,
+    end: slot.end,
+    name: 'Panel Upgrade',
+    description: 'Booked through the website chat',
+    address: '100 Main St, Fairfax, VA',
+    customer: customer(name)
+});
+
+test('gives a window to only one of two calendar bookings made at once', async () => {
+    const chat = new SchedulingService();
+    const calendar = new TechnicianScheduler();
+    const slot = await findSharedWindow(chat, calendar);
+
+    const results = await Promise.allSettled([reserve(calendar, slot, 'Avery'), reserve(calendar, slot, 'Blake')]);
+
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+    const rejected = results.find(result => result.status === 'rejected');
+    assert.strictEqual(rejected.reason.statusCode, 409);
+});
+
+test('gives a window to only one of a chat and a calendar booking made at once', async () => {
+    const chat = new SchedulingService();
+    const calendar = new TechnicianScheduler();
+    const slot = await findSharedWindow(chat, calendar);
+
+    const results = await Promise.allSettled([book(chat, slot, 'Casey'), reserve(calendar, slot, 'Devon')]);
+
+    assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+    const rejected = results.find(result => result.status === 'rejected');
+    assert.strictEqual(rejected.reason.statusCode, 409);
+
+    const jobsThatDay = database.tables.scheduledJobs.filter(job => job.scheduled_start === slot.start);
+    assert.strictEqual(jobsThatDay.length, 1);
+});
+
+test('releases the day once a booking is done', async () => {
+    const chat = new SchedulingService();
+    const calendar = new TechnicianScheduler();
+    const slot = await findSharedWindow(chat, calendar);
+
+    await reserve(calendar, slot, 'Emery');
+
+    assert.strictEqual(database.tables.slotLocks.size, 0);
+});